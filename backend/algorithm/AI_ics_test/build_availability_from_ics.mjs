@@ -1,49 +1,14 @@
 // build_availability_from_ics.mjs
 import fs from "fs";
 import path from "path";
-import { computeAvailabilityBlocks, DEFAULT_G_MINUTES } from "../availability.js";
+import { computeAvailabilityBlocks } from "../algorithm.js";
+import { DEFAULT_G_MINUTES } from "../types/algorithm_types.js";
+import { parseIcsEvents } from "../ics.js";
 
-/**
- * Minimal ICS parser for VEVENT DTSTART/DTEND in UTC ("...Z") format.
- * This is intentionally small + predictable for *your generated* ICS files.
- *
- * If later you import real Google ICS with TZID, RRULE, etc.,
- * you’ll want a library (node-ical / ical.js).
- */
+// Parsing (TZID, RRULE, all-day events, ...) lives in ../ics.js; this script
+// only builds participants and writes the debug availability calendar.
 
 // --- helpers ---
-function unfoldLines(text) {
-  // ICS line folding: lines can continue if the next line starts with space or tab.
-  // This recombines folded lines.
-  const raw = text.replace(/\r\n/g, "\n").split("\n");
-  const out = [];
-  for (const line of raw) {
-    if ((line.startsWith(" ") || line.startsWith("\t")) && out.length > 0) {
-      out[out.length - 1] += line.slice(1);
-    } else {
-      out.push(line);
-    }
-  }
-  return out;
-}
-
-function parseIcsUtcDateTime(value) {
-  // Expect: YYYYMMDDTHHMMSSZ
-  // Example: 20260105T090000Z
-  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
-  if (!m) return null;
-  const [_, y, mo, d, h, mi, s] = m;
-  return Date.UTC(
-    Number(y),
-    Number(mo) - 1,
-    Number(d),
-    Number(h),
-    Number(mi),
-    Number(s),
-    0
-  );
-}
-
 function icsEscape(s) {
   return String(s)
     .replace(/\\/g, "\\\\")
@@ -96,49 +61,6 @@ function makeCalendar({ calName, events }) {
   return [header, events.join("\r\n"), "END:VCALENDAR"].join("\r\n") + "\r\n";
 }
 
-// --- core: parse VEVENTs from one ICS file ---
-function parseEventsFromIcs(fileText) {
-  const lines = unfoldLines(fileText);
-
-  const events = [];
-  let inEvent = false;
-  let dtStart = null;
-  let dtEnd = null;
-
-  for (const line of lines) {
-    if (line === "BEGIN:VEVENT") {
-      inEvent = true;
-      dtStart = null;
-      dtEnd = null;
-      continue;
-    }
-    if (line === "END:VEVENT") {
-      if (inEvent && dtStart != null && dtEnd != null && dtEnd > dtStart) {
-        events.push({ startMs: dtStart, endMs: dtEnd });
-      }
-      inEvent = false;
-      continue;
-    }
-    if (!inEvent) continue;
-
-    // Accept formats:
-    // DTSTART:20260105T090000Z
-    // DTEND:20260105T103000Z
-    // (Ignore TZID and other complexities for now.)
-    if (line.startsWith("DTSTART")) {
-      const parts = line.split(":");
-      const value = parts[parts.length - 1];
-      dtStart = parseIcsUtcDateTime(value);
-    } else if (line.startsWith("DTEND")) {
-      const parts = line.split(":");
-      const value = parts[parts.length - 1];
-      dtEnd = parseIcsUtcDateTime(value);
-    }
-  }
-
-  return events;
-}
-
 // --- Build participants from calendar_*.ics files ---
 const inputFiles = process.argv.slice(2);
 if (inputFiles.length < 3) {
@@ -146,9 +68,12 @@ if (inputFiles.length < 3) {
   process.exit(1);
 }
 
+// Hardcode a known week (UTC) so you know what you're looking at.
+// Recurring events are expanded inside this window only.
+const windowStartMs = Date.UTC(2026, 0, 5, 0, 0, 0, 0);
+const windowEndMs = windowStartMs + 7 * 24 * 60 * 60 * 1000;
+
 const participants = [];
-let globalMin = Infinity;
-let globalMax = -Infinity;
 
 for (const file of inputFiles) {
   const text = fs.readFileSync(file, "utf8");
@@ -158,44 +83,12 @@ for (const file of inputFiles) {
   const m = /calendar_(.+)$/i.exec(stem);
   const userId = m ? m[1] : stem;
 
-  const intervals = parseEventsFromIcs(text);
-
-  // Track global min/max to define a window if you want auto windowing
-  for (const it of intervals) {
-    globalMin = Math.min(globalMin, it.startMs);
-    globalMax = Math.max(globalMax, it.endMs);
-  }
-
   participants.push({
     userId,
-    events: intervals.map((it, idx) => ({
-      eventRef: `${userId}-${idx}`,
-      userId,
-      startMs: it.startMs,
-      endMs: it.endMs,
-      source: "ICS",
-      blockingLevel: "B3",
-    })),
+    events: parseIcsEvents(text, { userId, windowStartMs, windowEndMs, source: "ICS" }),
   });
 }
 
-// Choose the window:
-// Option A (recommended): hardcode your week window so you know what you're looking at.
-// Option B: auto-detect from min/max intervals.
-const USE_AUTO_WINDOW = false;
-
-let windowStartMs, windowEndMs;
-if (USE_AUTO_WINDOW && Number.isFinite(globalMin) && Number.isFinite(globalMax) && globalMax > globalMin) {
-  // small padding so the first/last event isn't right at the edge
-  const pad = 60 * 60 * 1000; // 1 hour
-  windowStartMs = globalMin - pad;
-  windowEndMs = globalMax + pad;
-} else {
-  // Hardcode a known week (UTC)
-  windowStartMs = Date.UTC(2026, 0, 5, 0, 0, 0, 0);
-  windowEndMs = windowStartMs + 7 * 24 * 60 * 60 * 1000;
-}
-
 const blocks = computeAvailabilityBlocks({
   windowStartMs,
   windowEndMs,
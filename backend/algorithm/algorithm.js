@@ -1,31 +1,65 @@
 // availability.js
 // ES module exports: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Modules :contentReference[oaicite:6]{index=6}
 
-import { DEFAULT_G_MINUTES, BlockingLevel } from "./types/algorithm_types.js";
+import {
+  DEFAULT_G_MINUTES,
+  BlockingLevel,
+  BLOCKING_LEVEL_ORDER,
+  BlockAlignment,
+  AttendanceRole,
+} from "./types/algorithm_types.js";
+import { assertTimeZone, getZonedParts, zonedTimeToUtc } from "./timezone.js";
 
 /** @typedef {import("./types/algorithm_types.js").UserId} UserId */
 /** @typedef {import("./types/algorithm_types.js").ParticipantSnapshot} ParticipantSnapshot */
 /** @typedef {import("./types/algorithm_types.js").AvailabilityBlock} AvailabilityBlock */
+/** @typedef {import("./types/algorithm_types.js").BusyInterval} BusyInterval */
+/** @typedef {import("./types/algorithm_types.js").MeetingSlot} MeetingSlot */
+/** @typedef {import("./types/algorithm_types.js").WorkingHoursRule} WorkingHoursRule */
+/** @typedef {import("./types/algorithm_types.js").TimeRange} TimeRange */
+/** @typedef {import("./types/algorithm_types.js").QuorumRule} QuorumRule */
+/** @typedef {import("./types/algorithm_types.js").AvailabilitySegment} AvailabilitySegment */
+/** @typedef {import("./types/algorithm_types.js").BufferConfig} BufferConfig */
+/** @typedef {import("./types/algorithm_types.js").BufferRule} BufferRule */
+/** @typedef {import("./types/algorithm_types.js").ConflictExplanation} ConflictExplanation */
 
 /**
- * Merge overlapping/adjacent intervals for ONE user.
- * Assumes intervals are within the query window and valid (start < end).
+ * An event kept for explain mode: startMs/endMs with buffers applied and clamped
+ * to the window, eventStartMs/eventEndMs as the event itself has them.
+ * @typedef {{startMs:number, endMs:number, eventStartMs:number, eventEndMs:number,
+ *   eventRef:string, source?:string}} ExplainEvent
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rank of a blocking level (B1=0 ... B3=2).
+ * Missing/unknown levels fall back to B3 (MVP default: treat as highest).
+ *
+ * @param {string | undefined} level
+ * @returns {number}
+ */
+function levelRank(level) {
+  const rank = BLOCKING_LEVEL_ORDER.indexOf(/** @type {string} */ (level));
+  return rank === -1 ? BLOCKING_LEVEL_ORDER.length - 1 : rank;
+}
+
+/**
+ * Merge overlapping intervals of the SAME level (original MVP merge).
+ * Assumes intervals are valid (start < end).
  *
  * @param {{startMs:number,endMs:number}[]} intervals
  * @returns {{startMs:number,endMs:number}[]}
  */
-
-// TODO must change when implementing priority (overlapping events default block to highest given priority
-// one priority per event interval)
-function mergeIntervals(intervals) {
+function mergeSameLevel(intervals) {
   // simple case: make a copy: avoid mutating caller's array
-  if (intervals.length <= 1) return intervals.slice();
+  if (intervals.length <= 1) return intervals.map((it) => ({ startMs: it.startMs, endMs: it.endMs }));
 
   // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort
   // Sort by startMs (ascending). Sort a copy so the caller's array isn't mutated.
   // a.startMs - b.startMs returns negative when a.startMs < b.startMs (i.e. a before b)
   const sorted = intervals.slice().sort((a, b) => a.startMs - b.startMs);
-  
+
   /** @type {{startMs:number,endMs:number}[]} */
   const merged = [];
   let cur = { startMs: sorted[0].startMs, endMs: sorted[0].endMs };
@@ -44,6 +78,264 @@ function mergeIntervals(intervals) {
   return merged;
 }
 
+/**
+ * Remove every part of `interval` covered by `covers` (sorted, non-overlapping).
+ *
+ * @param {{startMs:number,endMs:number}} interval
+ * @param {{startMs:number,endMs:number}[]} covers
+ * @returns {{startMs:number,endMs:number}[]}
+ */
+function subtractCovered(interval, covers) {
+  /** @type {{startMs:number,endMs:number}[]} */
+  const out = [];
+  let cursor = interval.startMs;
+
+  for (const c of covers) {
+    if (c.endMs <= cursor) continue;
+    if (c.startMs >= interval.endMs) break;
+    if (c.startMs > cursor) out.push({ startMs: cursor, endMs: c.startMs });
+    cursor = Math.max(cursor, c.endMs);
+    if (cursor >= interval.endMs) break;
+  }
+  if (cursor < interval.endMs) out.push({ startMs: cursor, endMs: interval.endMs });
+  return out;
+}
+
+/**
+ * Throws unless `config` is a valid BufferConfig (undefined is allowed).
+ * @param {BufferConfig | undefined} config
+ */
+function validateBuffers(config) {
+  if (config === undefined) return;
+  if (!config || typeof config !== "object") {
+    throw new Error("buffers must be an object.");
+  }
+  const rules = [config.default, ...Object.values(config.bySource || {})];
+  for (const rule of rules) {
+    if (rule === undefined) continue;
+    for (const minutes of [rule.beforeMinutes ?? 0, rule.afterMinutes ?? 0]) {
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        throw new Error("buffer minutes must be non-negative numbers.");
+      }
+    }
+  }
+}
+
+/**
+ * Buffer for one event source. The first config that has an opinion wins,
+ * most specific first: [participant, group] -> bySource, then default.
+ *
+ * @param {string | undefined} source
+ * @param {(BufferConfig | undefined)[]} configs
+ * @returns {{beforeMs:number, afterMs:number}}
+ */
+function resolveBuffer(source, configs) {
+  /** @type {BufferRule | undefined} */
+  let rule;
+  if (source !== undefined) {
+    rule = configs.map((c) => c?.bySource?.[source]).find((r) => r !== undefined);
+  }
+  rule ??= configs.map((c) => c?.default).find((r) => r !== undefined);
+  return {
+    beforeMs: (rule?.beforeMinutes ?? 0) * 60 * 1000,
+    afterMs: (rule?.afterMinutes ?? 0) * 60 * 1000,
+  };
+}
+
+/**
+ * Merge overlapping intervals for ONE user, keeping blocking levels apart.
+ * Assumes intervals are within the query window and valid (start < end).
+ *
+ * Events of the same level are merged as before. Where events of different
+ * levels overlap, the overlap belongs to the highest level and the lower-level
+ * interval is cut around it, so every returned interval has exactly one level.
+ *
+ * With `buffers`, each interval is first padded by the rule for its `source`,
+ * so a 15-minute walk after class merges with a meeting 10 minutes later.
+ *
+ * @param {{startMs:number,endMs:number,blockingLevel?:string,source?:string}[]} intervals
+ * @param {BufferConfig} [buffers]
+ * @returns {BusyInterval[]} sorted by startMs, non-overlapping
+ */
+export function mergeIntervals(intervals, buffers) {
+  validateBuffers(buffers);
+
+  /** @type {{startMs:number,endMs:number}[][]} */
+  const byRank = BLOCKING_LEVEL_ORDER.map(() => []);
+  for (const it of intervals) {
+    const { beforeMs, afterMs } = resolveBuffer(it.source, [buffers]);
+    byRank[levelRank(it.blockingLevel)].push({ startMs: it.startMs - beforeMs, endMs: it.endMs + afterMs });
+  }
+
+  /** @type {BusyInterval[]} */
+  const out = [];
+  // Intervals already claimed by a higher level (sorted, non-overlapping).
+  /** @type {{startMs:number,endMs:number}[]} */
+  let covered = [];
+
+  // Highest level first: it keeps its full extent.
+  for (let rank = BLOCKING_LEVEL_ORDER.length - 1; rank >= 0; rank--) {
+    const merged = mergeSameLevel(byRank[rank]);
+    if (merged.length === 0) continue;
+
+    const blockingLevel = BLOCKING_LEVEL_ORDER[rank];
+    for (const m of merged) {
+      for (const piece of subtractCovered(m, covered)) {
+        out.push({ startMs: piece.startMs, endMs: piece.endMs, blockingLevel });
+      }
+    }
+    covered = mergeSameLevel(covered.concat(merged));
+  }
+
+  return out.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Parse "HH:MM" into minutes after local midnight ("24:00" = 1440).
+ * @param {string} hhmm
+ * @returns {number}
+ */
+function parseLocalTime(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm));
+  const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  if (!m || Number(m[2]) >= 60 || minutes > 24 * 60) {
+    throw new Error(`Invalid working-hours time: ${hhmm} (expected "HH:MM").`);
+  }
+  return minutes;
+}
+
+/**
+ * Validate a working-hours rule up front so bad input fails loudly
+ * instead of silently marking someone free/unavailable.
+ * @param {WorkingHoursRule} rule
+ */
+function validateWorkingHours(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("workingHours must be an object.");
+  }
+  assertTimeZone(rule.timeZone);
+  if (!Array.isArray(rule.weekdays)) {
+    throw new Error("workingHours.weekdays must be an array.");
+  }
+  /** @type {TimeRange[]} */
+  const ranges = [];
+  for (const w of rule.weekdays) {
+    if (!Array.isArray(w.days) || !w.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error("workingHours.weekdays[].days must be weekday numbers 0-6.");
+    }
+    ranges.push(w);
+  }
+  for (const ex of rule.exceptions || []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(ex.date)) || !Array.isArray(ex.ranges)) {
+      throw new Error(`Invalid working-hours exception: ${JSON.stringify(ex)}`);
+    }
+    ranges.push(...ex.ranges);
+  }
+  for (const r of ranges) {
+    if (parseLocalTime(r.end) <= parseLocalTime(r.start)) {
+      throw new Error(`Working-hours range must end after it starts: ${r.start}-${r.end}`);
+    }
+  }
+}
+
+/**
+ * Expand a working-hours rule into the intervals (inside the window) where the
+ * participant is NOT available. Walks local calendar dates in the rule's zone,
+ * so DST shifts move the UTC boundaries but not the local hours.
+ *
+ * @param {WorkingHoursRule} rule
+ * @param {number} windowStartMs
+ * @param {number} windowEndMs
+ * @returns {{startMs:number,endMs:number}[]} sorted, non-overlapping
+ */
+function offHoursIntervals(rule, windowStartMs, windowEndMs) {
+  const { timeZone } = rule;
+
+  /** @type {Map<string, TimeRange[]>} */
+  const exceptionsByDate = new Map();
+  for (const ex of rule.exceptions || []) exceptionsByDate.set(ex.date, ex.ranges);
+
+  /** @type {{startMs:number,endMs:number}[]} */
+  const onHours = [];
+  const first = getZonedParts(windowStartMs, timeZone);
+
+  for (let i = 0; ; i++) {
+    // Date.UTC rolls day overflow into the next month/year for us.
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (zonedTimeToUtc({ year, month, day }, timeZone) >= windowEndMs) break;
+
+    const key = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+    const weekday = date.getUTCDay();
+    const ranges = exceptionsByDate.get(key) ??
+      rule.weekdays.filter((w) => w.days.includes(weekday));
+
+    for (const r of ranges) {
+      const start = parseLocalTime(r.start);
+      const end = parseLocalTime(r.end);
+      const startMs = Math.max(
+        zonedTimeToUtc({ year, month, day, hour: Math.floor(start / 60), minute: start % 60 }, timeZone),
+        windowStartMs
+      );
+      const endMs = Math.min(
+        zonedTimeToUtc({ year, month, day, hour: Math.floor(end / 60), minute: end % 60 }, timeZone),
+        windowEndMs
+      );
+      if (endMs > startMs) onHours.push({ startMs, endMs });
+    }
+  }
+
+  // Complement of the on-hours inside the window.
+  return subtractCovered({ startMs: windowStartMs, endMs: windowEndMs }, mergeSameLevel(onHours));
+}
+
+/**
+ * Block boundaries for the window.
+ *
+ * WINDOW: every blockMs from windowStartMs; the last block may be partial.
+ *
+ * WALL_CLOCK: the grid restarts at every local midnight in `timeZone` and steps
+ * blockMs of real time from there, so 10:07 -> [10:07, 10:15), [10:15, 10:30) ...
+ * A day's last block is cut at the next local midnight, which keeps 23-hour
+ * (spring forward) and 25-hour (fall back) days aligned: with G dividing 60 the
+ * boundaries after a DST jump land on local :00/:15/:30/:45 again.
+ *
+ * @param {number} windowStartMs
+ * @param {number} windowEndMs
+ * @param {number} blockMs
+ * @param {string} alignment
+ * @param {string} timeZone
+ * @returns {{startMs:number,endMs:number}[]}
+ */
+function buildBlockGrid(windowStartMs, windowEndMs, blockMs, alignment, timeZone) {
+  /** @type {{startMs:number,endMs:number}[]} */
+  const grid = [];
+
+  if (alignment === BlockAlignment.WINDOW) {
+    for (let blockStart = windowStartMs; blockStart < windowEndMs; blockStart += blockMs) {
+      grid.push({ startMs: blockStart, endMs: Math.min(blockStart + blockMs, windowEndMs) });
+    }
+    return grid;
+  }
+
+  const { year, month, day } = getZonedParts(windowStartMs, timeZone);
+  for (let i = 0; ; i++) {
+    // day overflow rolls into the next month/year (Date.UTC semantics)
+    const dayStart = zonedTimeToUtc({ year, month, day: day + i }, timeZone);
+    if (dayStart >= windowEndMs) break;
+    const nextDayStart = zonedTimeToUtc({ year, month, day: day + i + 1 }, timeZone);
+
+    for (let s = dayStart; s < nextDayStart; s += blockMs) {
+      const startMs = Math.max(s, windowStartMs);
+      const endMs = Math.min(s + blockMs, nextDayStart, windowEndMs);
+      if (endMs > startMs) grid.push({ startMs, endMs });
+    }
+  }
+  return grid;
+}
+
 /**
  * True if [aStart, aEnd) overlaps [bStart, bEnd)
  * @param {number} aStart
@@ -55,27 +347,69 @@ function overlaps(aStart, aEnd, bStart, bEnd) {
   return aStart < bEnd && bStart < aEnd;
 }
 
+// Per-participant state inside one block (or segment).
+const FREE = 0;
+const SOFT_BUSY = 1;
+const HARD_BUSY = 2;
+const OUTSIDE_HOURS = 3;
+// Flag OR-ed onto SOFT_BUSY / HARD_BUSY when only buffer time (not an event) touches the block.
+const BUFFER_ONLY = 4;
+
 /**
- * Compute availability for each G-minute block within a window.
- *
- * This is deliberately "pure": no DB, no API calls, no queries.
- * The SDS describes availability as computed from fetched calendar events,
- * transiently sorted/merged in memory. :contentReference[oaicite:8]{index=8}
+ * Calendar conflicts win: OUTSIDE_HOURS only applies when there is no conflict.
+ * @param {number} maxRank - highest level rank overlapping (buffers included), -1 = none
+ * @param {boolean} isOutsideHours
+ * @param {number} priorityRank
+ * @param {boolean} touchesEvent - an unbuffered event overlaps the block
+ * @returns {number}
+ */
+function participantState(maxRank, isOutsideHours, priorityRank, touchesEvent) {
+  if (maxRank === -1) return isOutsideHours ? OUTSIDE_HOURS : FREE;
+  const busy = maxRank >= priorityRank ? HARD_BUSY : SOFT_BUSY;
+  return touchesEvent ? busy : busy | BUFFER_ONLY;
+}
+
+/**
+ * @typedef {Object} PreparedAvailability
+ * @property {number} windowStartMs
+ * @property {number} windowEndMs
+ * @property {ParticipantSnapshot[]} participants
+ * @property {number} blockMs
+ * @property {string} alignment
+ * @property {string} timeZone
+ * @property {number} priorityRank
+ * @property {number} minOptional
+ * @property {number} minWeightedScore
+ * @property {BusyInterval[][]} busyByIndex - merged busy intervals (buffers applied), per participant index
+ * @property {({startMs:number,endMs:number}[] | null)[]} rawBusyByIndex - merged events WITHOUT
+ *   buffers, per participant index; null when no buffer applies (same as busyByIndex)
+ * @property {{startMs:number,endMs:number}[][]} offHoursByIndex - per participant index
+ * @property {boolean} explain
+ * @property {ExplainEvent[][]} explainEventsByIndex - sorted by startMs; empty lists unless explain
+ * @property {boolean[]} requiredByIndex
+ * @property {number[]} weightByIndex
+ * @property {number} totalWeight
+ * @property {number} requiredCount
+ */
+
+/**
+ * Shared validation + preprocessing for both availability engines:
+ * clamp each participant's events to the window, merge them, expand working hours.
  *
- * @param {Object} args
- * @param {number} args.windowStartMs - inclusive
- * @param {number} args.windowEndMs - exclusive
- * @param {ParticipantSnapshot[]} args.participants
- * @param {number} [args.granularityMinutes=DEFAULT_G_MINUTES]
- * @param {string} [args.priority=BlockingLevel.B3] - accepted, ignored in MVP
- * @returns {AvailabilityBlock[]}
+ * @param {Object} args - see computeAvailabilityBlocks
+ * @returns {PreparedAvailability}
  */
-export function computeAvailabilityBlocks({
+function prepareAvailability({
   windowStartMs,
   windowEndMs,
   participants,
   granularityMinutes = DEFAULT_G_MINUTES,
-  priority = BlockingLevel.B3, // accepted; unused in MVP
+  priority = BlockingLevel.B3,
+  alignment = BlockAlignment.WINDOW,
+  timeZone = "UTC",
+  quorum = {},
+  buffers,
+  explain = false,
 }) {
   if (!Number.isFinite(windowStartMs) || !Number.isFinite(windowEndMs)) {
     throw new Error("windowStartMs/windowEndMs must be numbers (epoch ms).");
@@ -91,17 +425,69 @@ export function computeAvailabilityBlocks({
   if (!Number.isFinite(blockMs) || blockMs <= 0) {
     throw new Error("granularityMinutes must be a positive number.");
   }
+  if (!BLOCKING_LEVEL_ORDER.includes(priority)) {
+    throw new Error("priority must be one of B1, B2, B3.");
+  }
+  if (alignment !== BlockAlignment.WINDOW && alignment !== BlockAlignment.WALL_CLOCK) {
+    throw new Error(`alignment must be "${BlockAlignment.WINDOW}" or "${BlockAlignment.WALL_CLOCK}".`);
+  }
+  assertTimeZone(timeZone);
+  const { minOptional = 0, minWeightedScore = 0 } = quorum || {};
+  if (!Number.isInteger(minOptional) || minOptional < 0) {
+    throw new Error("quorum.minOptional must be a non-negative integer.");
+  }
+  if (!Number.isFinite(minWeightedScore) || minWeightedScore < 0 || minWeightedScore > 1) {
+    throw new Error("quorum.minWeightedScore must be a number between 0 and 1.");
+  }
+  validateBuffers(buffers);
 
-  // Preprocess: for each user, clamp events to window and merge overlaps.
-  /** @type {Map<UserId, {startMs:number,endMs:number}[]>} */
-  const mergedBusyByUser = new Map();
+  /** @type {PreparedAvailability} */
+  const prep = {
+    windowStartMs,
+    windowEndMs,
+    participants,
+    blockMs,
+    alignment,
+    timeZone,
+    priorityRank: levelRank(priority),
+    minOptional,
+    minWeightedScore,
+    busyByIndex: [],
+    rawBusyByIndex: [],
+    offHoursByIndex: [],
+    explain: explain === true,
+    explainEventsByIndex: [],
+    requiredByIndex: [],
+    weightByIndex: [],
+    totalWeight: 0,
+    requiredCount: 0,
+  };
 
+  // Preprocess: for each user, clamp events to window and merge overlaps.
   for (const p of participants) {
-    const userId = p.userId;
+    const { attendance = AttendanceRole.REQUIRED, weight = 1 } = p;
+    if (attendance !== AttendanceRole.REQUIRED && attendance !== AttendanceRole.OPTIONAL) {
+      throw new Error(`attendance must be "${AttendanceRole.REQUIRED}" or "${AttendanceRole.OPTIONAL}".`);
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error("weight must be a non-negative number.");
+    }
+    prep.requiredByIndex.push(attendance === AttendanceRole.REQUIRED);
+    prep.weightByIndex.push(weight);
+    prep.totalWeight += weight;
+    if (attendance === AttendanceRole.REQUIRED) prep.requiredCount++;
+
     const rawEvents = Array.isArray(p.events) ? p.events : [];
+    validateBuffers(p.buffers);
+    const bufferConfigs = [p.buffers, buffers];
 
-    /** @type {{startMs:number,endMs:number}[]} */
+    /** @type {{startMs:number,endMs:number,blockingLevel?:string}[]} */
     const clamped = [];
+    /** @type {{startMs:number,endMs:number}[]} */
+    const unbuffered = [];
+    /** @type {ExplainEvent[]} */
+    const explainEvents = [];
+    let anyBuffer = false;
 
     for (const ev of rawEvents) {
       if (!ev) continue;
@@ -110,75 +496,574 @@ export function computeAvailabilityBlocks({
       if (!Number.isFinite(s) || !Number.isFinite(e)) continue;
       if (e <= s) continue;
 
+      // pad BEFORE clamping: a buffer can reach into the window from an event outside it
+      const { beforeMs, afterMs } = resolveBuffer(ev.source, bufferConfigs);
+      if (beforeMs > 0 || afterMs > 0) anyBuffer = true;
+
       // clamp to the query window
-      const startMs = Math.max(s, windowStartMs);
-      const endMs = Math.min(e, windowEndMs);
+      const startMs = Math.max(s - beforeMs, windowStartMs);
+      const endMs = Math.min(e + afterMs, windowEndMs);
       if (endMs <= startMs) continue;
 
-      // MVP ignores ev.blockingLevel and ignores `priority`
-      // Later: use priority to treat some events as "soft busy".
-      clamped.push({ startMs, endMs });
+      clamped.push({ startMs, endMs, blockingLevel: ev.blockingLevel });
+      if (prep.explain) {
+        explainEvents.push({ startMs, endMs, eventStartMs: s, eventEndMs: e, eventRef: ev.eventRef, source: ev.source });
+      }
+
+      // original event boundaries, kept to tell "busy" apart from "in a buffer"
+      const rawStart = Math.max(s, windowStartMs);
+      const rawEnd = Math.min(e, windowEndMs);
+      if (rawEnd > rawStart) unbuffered.push({ startMs: rawStart, endMs: rawEnd });
     }
 
-    const merged = mergeIntervals(clamped);
-    if (merged.length > 0) {
-      mergedBusyByUser.set(userId, merged); // only store if non-empty
+    prep.busyByIndex.push(mergeIntervals(clamped));
+    prep.rawBusyByIndex.push(anyBuffer ? mergeSameLevel(unbuffered) : null);
+    prep.explainEventsByIndex.push(explainEvents.sort((a, b) => a.startMs - b.startMs));
+
+    if (p.workingHours !== undefined) {
+      validateWorkingHours(p.workingHours);
+      prep.offHoursByIndex.push(offHoursIntervals(p.workingHours, windowStartMs, windowEndMs));
+    } else {
+      prep.offHoursByIndex.push([]);
     }
   }
 
+  return prep;
+}
+
+/**
+ * Build one AvailabilityBlock from per-participant states.
+ * Both engines go through here so their output shapes can never drift apart.
+ *
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {number[]} states - one per participant index
+ * @param {PreparedAvailability} prep
+ * @param {(participant: number) => ExplainEvent[]} [conflictsOf] - explain mode:
+ *   events overlapping this block, asked only for busy participants
+ * @returns {AvailabilityBlock}
+ */
+function summarizeStates(startMs, endMs, states, prep, conflictsOf) {
+  /** @type {UserId[]} */
+  const freeUserIds = [];
+  /** @type {UserId[]} */
+  const busyUserIds = [];
+  /** @type {UserId[]} */
+  const softBusyUserIds = [];
+  /** @type {UserId[]} */
+  const hardBusyUserIds = [];
+  /** @type {UserId[]} */
+  const outsideHoursUserIds = [];
+  /** @type {UserId[]} */
+  const bufferOnlyUserIds = [];
+  /** @type {ConflictExplanation[]} */
+  const conflicts = [];
+  let requiredFreeCount = 0;
+  let optionalFreeCount = 0;
+  let freeWeight = 0;
+
+  prep.participants.forEach((p, i) => {
+    const userId = p.userId;
+    const state = /** @type {number} */ (states[i]) & ~BUFFER_ONLY;
+    if (/** @type {number} */ (states[i]) & BUFFER_ONLY) bufferOnlyUserIds.push(userId);
+
+    if (state === FREE) {
+      freeUserIds.push(userId);
+      freeWeight += /** @type {number} */ (prep.weightByIndex[i]);
+      if (prep.requiredByIndex[i]) requiredFreeCount++;
+      else optionalFreeCount++;
+    } else if (state === OUTSIDE_HOURS) {
+      outsideHoursUserIds.push(userId);
+    } else {
+      busyUserIds.push(userId);
+      if (state === HARD_BUSY) hardBusyUserIds.push(userId);
+      else softBusyUserIds.push(userId);
+      if (conflictsOf) {
+        conflicts.push({
+          userId,
+          events: conflictsOf(i).map((ev) => ({ ...ev })),
+        });
+      }
+    }
+  });
+
+  const totalCount = prep.participants.length;
+  const availableCount = freeUserIds.length;
+  const busyCount = busyUserIds.length;
+  const weightedScore = prep.totalWeight === 0 ? 1 : freeWeight / prep.totalWeight;
+
+  /** @type {AvailabilityBlock} */
+  const block = {
+    startMs,
+    endMs,
+    freeUserIds,
+    busyUserIds,
+    softBusyUserIds,
+    hardBusyUserIds,
+    availableCount,
+    busyCount,
+    softBusyCount: softBusyUserIds.length,
+    hardBusyCount: hardBusyUserIds.length,
+    outsideHoursUserIds,
+    outsideHoursCount: outsideHoursUserIds.length,
+    bufferOnlyUserIds,
+    requiredFreeCount,
+    optionalFreeCount,
+    weightedScore,
+    quorumMet:
+      requiredFreeCount === prep.requiredCount &&
+      optionalFreeCount >= prep.minOptional &&
+      weightedScore >= prep.minWeightedScore,
+    totalCount,
+    availabilityFraction: totalCount === 0 ? 1 : availableCount / totalCount,
+  };
+  if (conflictsOf) block.conflicts = conflicts;
+  return block;
+}
+
+/**
+ * Compute availability for each G-minute block within a window.
+ *
+ * This is deliberately "pure": no DB, no API calls, no queries.
+ * The SDS describes availability as computed from fetched calendar events,
+ * transiently sorted/merged in memory. :contentReference[oaicite:8]{index=8}
+ *
+ * O(blocks x participants). For large groups / long windows prefer
+ * computeAvailabilitySegments, which gives the same answer run-length encoded.
+ *
+ * @param {Object} args
+ * @param {number} args.windowStartMs - inclusive
+ * @param {number} args.windowEndMs - exclusive
+ * @param {ParticipantSnapshot[]} args.participants
+ * @param {number} [args.granularityMinutes=DEFAULT_G_MINUTES]
+ * @param {string} [args.priority=BlockingLevel.B3] - events at/above this level are
+ *   hard busy; events below it are soft busy (the user could skip them)
+ * @param {string} [args.alignment=BlockAlignment.WINDOW] - see buildBlockGrid
+ * @param {string} [args.timeZone="UTC"] - IANA zone for WALL_CLOCK alignment
+ * @param {QuorumRule} [args.quorum] - default: all required participants free
+ * @param {BufferConfig} [args.buffers] - group-wide padding around events; a
+ *   participant's own `buffers` take precedence
+ * @param {boolean} [args.explain=false] - add `conflicts` (the events, with their
+ *   buffered and original times, per busy user) to every block; off by default so
+ *   the hot path does no extra work
+ * @returns {AvailabilityBlock[]} a participant with `workingHours` is reported in
+ *   outsideHoursUserIds (not busyUserIds) for blocks outside those hours
+ */
+export function computeAvailabilityBlocks(args) {
+  const prep = prepareAvailability(args);
+  const { participants, busyByIndex, rawBusyByIndex, offHoursByIndex, priorityRank } = prep;
+
   // Block iteration with per-user pointers (fast enough for MVP).
-  /** @type {Map<UserId, number>} */
-  const idxByUser = new Map();
-  for (const p of participants) idxByUser.set(p.userId, 0);
+  const idxByUser = participants.map(() => 0);
+  const rawIdxByUser = participants.map(() => 0);
+  const offIdxByUser = participants.map(() => 0);
+  // explain mode: events not yet reached, and events still running, per participant
+  const nextEventByUser = participants.map(() => 0);
+  /** @type {ExplainEvent[][]} */
+  const activeEventsByUser = participants.map(() => []);
 
   /** @type {AvailabilityBlock[]} */
   const out = [];
-  const totalCount = participants.length;
 
-  // Align to block boundaries relative to windowStartMs.
-  // (If you want “round to nearest quarter hour of day”, that’s a later enhancement.)
-  for (let blockStart = windowStartMs; blockStart < windowEndMs; blockStart += blockMs) {
-    const blockEnd = Math.min(blockStart + blockMs, windowEndMs);
-
-    /** @type {UserId[]} */
-    const freeUserIds = [];
-    /** @type {UserId[]} */
-    const busyUserIds = [];
-
-    for (const p of participants) {
-      const userId = p.userId;
-      const merged = mergedBusyByUser.get(userId) || [];
-      let idx = idxByUser.get(userId) || 0;
+  for (const { startMs: blockStart, endMs: blockEnd } of
+    buildBlockGrid(prep.windowStartMs, prep.windowEndMs, prep.blockMs, prep.alignment, prep.timeZone)) {
+    const states = participants.map((_p, i) => {
+      const merged = /** @type {BusyInterval[]} */ (busyByIndex[i]);
+      let idx = /** @type {number} */ (idxByUser[i]);
 
       // advance pointer while interval ends before this block starts
       while (idx < merged.length && merged[idx].endMs <= blockStart) idx++;
 
-      idxByUser.set(userId, idx);
+      idxByUser[i] = idx;
+
+      // Several intervals (of different levels) can overlap one block:
+      // the highest level among them decides soft vs hard busy.
+      let maxRank = -1;
+      for (
+        let j = idx;
+        j < merged.length && overlaps(blockStart, blockEnd, merged[j].startMs, merged[j].endMs);
+        j++
+      ) {
+        maxRank = Math.max(maxRank, levelRank(merged[j].blockingLevel));
+      }
+
+      // Working hours: same pointer walk over the off-hours intervals.
+      const offHours = /** @type {{startMs:number,endMs:number}[]} */ (offHoursByIndex[i]);
+      let offIdx = /** @type {number} */ (offIdxByUser[i]);
+      while (offIdx < offHours.length && offHours[offIdx].endMs <= blockStart) offIdx++;
+      offIdxByUser[i] = offIdx;
+      const isOutsideHours = offIdx < offHours.length &&
+        overlaps(blockStart, blockEnd, offHours[offIdx].startMs, offHours[offIdx].endMs);
 
-      let isBusy = false;
-      if (idx < merged.length) {
-        const interval = merged[idx];
-        isBusy = overlaps(blockStart, blockEnd, interval.startMs, interval.endMs);
+      // Buffers: does an actual event (not just its padding) touch the block?
+      let touchesEvent = maxRank !== -1;
+      const raw = rawBusyByIndex[i];
+      if (raw && touchesEvent) {
+        let rawIdx = /** @type {number} */ (rawIdxByUser[i]);
+        while (rawIdx < raw.length && raw[rawIdx].endMs <= blockStart) rawIdx++;
+        rawIdxByUser[i] = rawIdx;
+        touchesEvent = rawIdx < raw.length &&
+          overlaps(blockStart, blockEnd, raw[rawIdx].startMs, raw[rawIdx].endMs);
       }
 
-      if (isBusy) busyUserIds.push(userId);
-      else freeUserIds.push(userId);
+      return participantState(maxRank, isOutsideHours, priorityRank, touchesEvent);
+    });
+
+    // Explain mode only; blocks move forward, so a start-sorted pointer plus an
+    // "active" list finds the overlapping events without rescanning.
+    const conflictsOf = prep.explain
+      ? (/** @type {number} */ i) => {
+        const events = /** @type {ExplainEvent[]} */ (prep.explainEventsByIndex[i]);
+        let next = /** @type {number} */ (nextEventByUser[i]);
+        const active = /** @type {ExplainEvent[]} */ (activeEventsByUser[i]);
+        while (next < events.length && /** @type {ExplainEvent} */ (events[next]).startMs < blockEnd) {
+          active.push(/** @type {ExplainEvent} */ (events[next++]));
+        }
+        nextEventByUser[i] = next;
+        activeEventsByUser[i] = active.filter((ev) => ev.endMs > blockStart);
+        return activeEventsByUser[i];
+      }
+      : undefined;
+
+    out.push(summarizeStates(blockStart, blockEnd, states, prep, conflictsOf));
+  }
+
+  return out;
+}
+
+/**
+ * Index of the first element > value (or >= value when `inclusive`) in a sorted array.
+ * @param {number[]} sorted
+ * @param {number} value
+ * @param {boolean} inclusive
+ * @returns {number}
+ */
+function bisect(sorted, value, inclusive) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const v = /** @type {number} */ (sorted[mid]);
+    if (v < value || (!inclusive && v === value)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Same availability as computeAvailabilityBlocks, run-length encoded.
+ *
+ * Sweep line over the merged busy / off-hours intervals: each interval is mapped
+ * to the range of blocks it touches, and a segment is emitted only when some
+ * participant's state actually changes. Cost is
+ * O(intervals log intervals + segments x participants) instead of
+ * O(blocks x participants), and a quiet month is a handful of segments
+ * instead of thousands of blocks.
+ *
+ * Segments always start and end on block boundaries, so expandSegments can turn
+ * them back into the exact block output.
+ *
+ * @param {Object} args - same as computeAvailabilityBlocks
+ * @returns {AvailabilitySegment[]}
+ */
+export function computeAvailabilitySegments(args) {
+  const prep = prepareAvailability(args);
+  const { participants, priorityRank } = prep;
+
+  const grid = buildBlockGrid(prep.windowStartMs, prep.windowEndMs, prep.blockMs, prep.alignment, prep.timeZone);
+  const blockStarts = grid.map((b) => b.startMs);
+
+  // Interval [s, e) -> blocks [first, last + 1) that it overlaps.
+  const toBlockRange = (/** @type {number} */ s, /** @type {number} */ e) => ({
+    startMs: bisect(blockStarts, s, false) - 1,
+    endMs: bisect(blockStarts, e, true),
+  });
+
+  /** @type {{at:number, participant:number, kind:"busy"|"off"|"raw"|"event", value:number, event?:number}[]} */
+  const changes = [];
+
+  const hasBuffers = participants.map(() => false);
+
+  participants.forEach((_p, i) => {
+    // Re-merge at block resolution: two intervals in one block -> highest level wins.
+    const busyRanges = mergeIntervals(
+      /** @type {BusyInterval[]} */ (prep.busyByIndex[i]).map((b) => ({
+        ...toBlockRange(b.startMs, b.endMs),
+        blockingLevel: b.blockingLevel,
+      }))
+    );
+    for (const r of busyRanges) {
+      changes.push({ at: r.startMs, participant: i, kind: "busy", value: levelRank(r.blockingLevel) });
+      changes.push({ at: r.endMs, participant: i, kind: "busy", value: -1 });
     }
 
-    const availableCount = freeUserIds.length;
-    const busyCount = busyUserIds.length;
+    const offRanges = mergeSameLevel(
+      /** @type {{startMs:number,endMs:number}[]} */ (prep.offHoursByIndex[i]).map((o) =>
+        toBlockRange(o.startMs, o.endMs)
+      )
+    );
+    for (const r of offRanges) {
+      changes.push({ at: r.startMs, participant: i, kind: "off", value: 1 });
+      changes.push({ at: r.endMs, participant: i, kind: "off", value: 0 });
+    }
 
-    out.push({
-      startMs: blockStart,
-      endMs: blockEnd,
-      freeUserIds,
-      busyUserIds,
-      availableCount,
-      busyCount,
-      totalCount,
-      availabilityFraction: totalCount === 0 ? 1 : availableCount / totalCount,
+    // Without buffers every busy block touches an event, so nothing to track.
+    const raw = prep.rawBusyByIndex[i];
+    hasBuffers[i] = raw !== null;
+    for (const r of mergeSameLevel((raw || []).map((b) => toBlockRange(b.startMs, b.endMs)))) {
+      changes.push({ at: r.startMs, participant: i, kind: "raw", value: 1 });
+      changes.push({ at: r.endMs, participant: i, kind: "raw", value: 0 });
+    }
+
+    // Explain mode: a different conflicting event is a different segment.
+    /** @type {ExplainEvent[]} */ (prep.explainEventsByIndex[i]).forEach((ev, event) => {
+      const r = toBlockRange(ev.startMs, ev.endMs);
+      changes.push({ at: r.startMs, participant: i, kind: "event", value: 1, event });
+      changes.push({ at: r.endMs, participant: i, kind: "event", value: 0, event });
     });
+  });
+
+  // By block index; at the same index, clears (-1 / 0) before sets so touching ranges hand over cleanly.
+  changes.sort((a, b) => a.at - b.at || a.value - b.value);
+
+  const busyRank = participants.map(() => -1);
+  const offHours = participants.map(() => false);
+  const touchesEvent = participants.map(() => false);
+  const states = participants.map(() => FREE);
+  /** @type {Set<number>[]} */
+  const activeEvents = participants.map(() => new Set());
+
+  /** @type {AvailabilitySegment[]} */
+  const out = [];
+  const emit = (/** @type {number} */ from, /** @type {number} */ to) => {
+    const block = summarizeStates(
+      /** @type {{startMs:number}} */ (grid[from]).startMs,
+      /** @type {{endMs:number}} */ (grid[to - 1]).endMs,
+      states,
+      prep,
+      prep.explain
+        ? (i) => [...(/** @type {Set<number>} */ (activeEvents[i]))]
+          .sort((a, b) => a - b)
+          .map((e) => /** @type {ExplainEvent} */ (prep.explainEventsByIndex[i]?.[e]))
+        : undefined
+    );
+    out.push({ ...block, blockCount: to - from });
+  };
+
+  let segStart = 0;
+  let k = 0;
+  while (k < changes.length) {
+    const at = /** @type {number} */ (changes[k]?.at);
+    /** @type {Set<number>} */
+    const touched = new Set();
+    // event changes are applied after emitting the previous segment
+    /** @type {{participant:number, value:number, event?:number}[]} */
+    const eventChanges = [];
+    for (; k < changes.length && changes[k]?.at === at; k++) {
+      const c = /** @type {{participant:number, kind:string, value:number, event?:number}} */ (changes[k]);
+      if (c.kind === "busy") busyRank[c.participant] = c.value;
+      else if (c.kind === "off") offHours[c.participant] = c.value === 1;
+      else if (c.kind === "raw") touchesEvent[c.participant] = c.value === 1;
+      else eventChanges.push(c);
+      touched.add(c.participant);
+    }
+    if (at >= grid.length) break;
+
+    const next = states.slice();
+    let changed = eventChanges.length > 0;
+    for (const i of touched) {
+      next[i] = participantState(
+        /** @type {number} */ (busyRank[i]),
+        /** @type {boolean} */ (offHours[i]),
+        priorityRank,
+        !hasBuffers[i] || /** @type {boolean} */ (touchesEvent[i])
+      );
+      if (next[i] !== states[i]) changed = true;
+    }
+    if (!changed) continue;
+
+    if (at > segStart) emit(segStart, at);
+    for (const i of touched) states[i] = /** @type {number} */ (next[i]);
+    for (const c of eventChanges) {
+      const active = /** @type {Set<number>} */ (activeEvents[c.participant]);
+      if (c.value === 1) active.add(/** @type {number} */ (c.event));
+      else active.delete(/** @type {number} */ (c.event));
+    }
+    segStart = at;
   }
+  emit(segStart, grid.length);
+
+  return out;
+}
+
+/**
+ * Expand segments back into the per-block format of computeAvailabilityBlocks.
+ * Pass the same granularity/alignment options that produced the segments.
+ *
+ * @param {AvailabilitySegment[]} segments
+ * @param {Object} [options]
+ * @param {number} [options.granularityMinutes=DEFAULT_G_MINUTES]
+ * @param {string} [options.alignment=BlockAlignment.WINDOW]
+ * @param {string} [options.timeZone="UTC"]
+ * @returns {AvailabilityBlock[]}
+ */
+export function expandSegments(segments, {
+  granularityMinutes = DEFAULT_G_MINUTES,
+  alignment = BlockAlignment.WINDOW,
+  timeZone = "UTC",
+} = {}) {
+  const blockMs = granularityMinutes * 60 * 1000;
 
+  /** @type {AvailabilityBlock[]} */
+  const out = [];
+  for (const { blockCount, ...segment } of segments) {
+    for (const { startMs, endMs } of buildBlockGrid(segment.startMs, segment.endMs, blockMs, alignment, timeZone)) {
+      out.push({
+        ...segment,
+        startMs,
+        endMs,
+        freeUserIds: segment.freeUserIds.slice(),
+        busyUserIds: segment.busyUserIds.slice(),
+        softBusyUserIds: segment.softBusyUserIds.slice(),
+        hardBusyUserIds: segment.hardBusyUserIds.slice(),
+        outsideHoursUserIds: segment.outsideHoursUserIds.slice(),
+        bufferOnlyUserIds: segment.bufferOnlyUserIds.slice(),
+        ...(segment.conflicts ? {
+          conflicts: segment.conflicts.map((c) => ({ userId: c.userId, events: c.events.map((ev) => ({ ...ev })) })),
+        } : {}),
+      });
+    }
+  }
   return out;
-}
\ No newline at end of file
+}
+
+/**
+ * Find ranked candidate start times for a meeting of `durationMinutes`.
+ *
+ * Built on computeAvailabilityBlocks: a start is a candidate when every block
+ * the meeting touches has availabilityFraction >= minFraction.
+ *
+ * Ranking:
+ *  1. full attendance (everyone free for the whole slot) first
+ *  2. earlier start (by day, counted from window.startMs)
+ *  3. least fragmentation: prefer slots that sit next to existing busy time
+ *     (or the window edge) instead of splitting someone's free stretch
+ *  4. exact start time
+ *
+ * @param {Object} args
+ * @param {number} args.durationMinutes
+ * @param {ParticipantSnapshot[]} args.participants
+ * @param {{startMs:number,endMs:number}} args.window - start inclusive, end exclusive
+ * @param {number} [args.minFraction=1] - attendance threshold in [0, 1]
+ * @param {number} [args.maxResults=10]
+ * @param {number} [args.granularityMinutes=DEFAULT_G_MINUTES]
+ * @param {string} [args.priority=BlockingLevel.B3]
+ * @param {string} [args.alignment=BlockAlignment.WINDOW]
+ * @param {string} [args.timeZone="UTC"]
+ * @returns {MeetingSlot[]}
+ */
+export function findMeetingSlots({
+  durationMinutes,
+  participants,
+  window,
+  minFraction = 1,
+  maxResults = 10,
+  granularityMinutes = DEFAULT_G_MINUTES,
+  priority = BlockingLevel.B3,
+  alignment = BlockAlignment.WINDOW,
+  timeZone = "UTC",
+}) {
+  const durationMs = durationMinutes * 60 * 1000;
+  if (!Number.isFinite(durationMs) || durationMs <= 0) {
+    throw new Error("durationMinutes must be a positive number.");
+  }
+  if (!window || typeof window !== "object") {
+    throw new Error("window must be an object with startMs/endMs.");
+  }
+  if (!Number.isFinite(minFraction) || minFraction < 0 || minFraction > 1) {
+    throw new Error("minFraction must be a number between 0 and 1.");
+  }
+  if (!Number.isInteger(maxResults) || maxResults <= 0) {
+    throw new Error("maxResults must be a positive integer.");
+  }
+
+  const blocks = computeAvailabilityBlocks({
+    windowStartMs: window.startMs,
+    windowEndMs: window.endMs,
+    participants,
+    granularityMinutes,
+    priority,
+    alignment,
+    timeZone,
+  });
+
+  /** @type {Set<UserId>[]} */
+  const freeSets = blocks.map((b) => new Set(b.freeUserIds));
+
+  /** @type {MeetingSlot[]} */
+  const candidates = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    const startMs = blocks[i].startMs;
+    const endMs = startMs + durationMs;
+    if (endMs > window.endMs) break;
+
+    // Walk the consecutive blocks the meeting touches.
+    let meetsThreshold = true;
+    let j = i;
+    for (; j < blocks.length && blocks[j].startMs < endMs; j++) {
+      if (blocks[j].availabilityFraction < minFraction) {
+        meetsThreshold = false;
+        break;
+      }
+    }
+    if (!meetsThreshold) continue;
+
+    // Attendees = free in every touched block (keep participant order).
+    /** @type {UserId[]} */
+    const attendeeUserIds = [];
+    for (const p of participants) {
+      let freeThroughout = true;
+      for (let k = i; k < j; k++) {
+        if (!freeSets[k].has(p.userId)) {
+          freeThroughout = false;
+          break;
+        }
+      }
+      if (freeThroughout) attendeeUserIds.push(p.userId);
+    }
+
+    // A free neighbour block means the slot leaves a free sliver on that side.
+    let fragmentation = 0;
+    for (const userId of attendeeUserIds) {
+      if (i > 0 && freeSets[i - 1].has(userId)) fragmentation++;
+      if (j < blocks.length && freeSets[j].has(userId)) fragmentation++;
+    }
+
+    const totalCount = participants.length;
+    const attendeeCount = attendeeUserIds.length;
+
+    candidates.push({
+      startMs,
+      endMs,
+      attendeeUserIds,
+      attendeeCount,
+      totalCount,
+      attendanceFraction: totalCount === 0 ? 1 : attendeeCount / totalCount,
+      fullAttendance: attendeeCount === totalCount,
+      fragmentation,
+    });
+  }
+
+  const dayOf = (/** @type {MeetingSlot} */ slot) =>
+    Math.floor((slot.startMs - window.startMs) / ONE_DAY_MS);
+
+  candidates.sort((a, b) =>
+    Number(b.fullAttendance) - Number(a.fullAttendance) ||
+    dayOf(a) - dayOf(b) ||
+    a.fragmentation - b.fragmentation ||
+    a.startMs - b.startMs
+  );
+
+  return candidates.slice(0, maxResults);
+}
@@ -1,6 +1,14 @@
 // availability.test.js
-import { computeAvailabilityBlocks, DEFAULT_G_MINUTES } from './algorithm';
-import { BlockingLevel } from './types/algorithm_types';
+import {
+  computeAvailabilityBlocks,
+  computeAvailabilitySegments,
+  expandSegments,
+  mergeIntervals,
+  findMeetingSlots,
+  DEFAULT_G_MINUTES
+} from './algorithm';
+import { BlockingLevel, BlockAlignment, AttendanceRole } from './types/algorithm_types';
+import { getZonedParts } from './timezone';
 /** @typedef {import("./types/algorithm_types.js").UserId} UserId */
 /** @typedef {import("./types/algorithm_types.js").ParticipantSnapshot} ParticipantSnapshot */
 /** @typedef {import("./types/algorithm_types.js").AvailabilityBlock} AvailabilityBlock */
@@ -524,4 +532,1217 @@ describe('Participant Event List Validation', () => {
     expect(result[0].freeUserIds).toContain('u1');
     expect(result[1].freeUserIds).toContain('u1');
   });
-});
\ No newline at end of file
+});
+
+// ================================================================
+// Priority: BlockingLevel + `priority` threshold (soft vs hard busy)
+// ================================================================
+describe('Priority & Blocking Levels', () => {
+  describe('mergeIntervals', () => {
+    test('should merge overlapping events of the same level', () => {
+      const merged = mergeIntervals([
+        { startMs: t(0), endMs: t(20), blockingLevel: BlockingLevel.B2 },
+        { startMs: t(10), endMs: t(30), blockingLevel: BlockingLevel.B2 }
+      ]);
+
+      expect(merged).toEqual([
+        { startMs: t(0), endMs: t(30), blockingLevel: BlockingLevel.B2 }
+      ]);
+    });
+
+    test('should NOT collapse overlapping events of different levels', () => {
+      // B1: 0-60, B3: 20-40 -> B1 0-20, B3 20-40, B1 40-60
+      const merged = mergeIntervals([
+        { startMs: t(0), endMs: t(60), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(20), endMs: t(40), blockingLevel: BlockingLevel.B3 }
+      ]);
+
+      expect(merged).toEqual([
+        { startMs: t(0), endMs: t(20), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(20), endMs: t(40), blockingLevel: BlockingLevel.B3 },
+        { startMs: t(40), endMs: t(60), blockingLevel: BlockingLevel.B1 }
+      ]);
+    });
+
+    test('should keep a lower-level event that sits between higher-level ones', () => {
+      const merged = mergeIntervals([
+        { startMs: t(0), endMs: t(5), blockingLevel: BlockingLevel.B3 },
+        { startMs: t(10), endMs: t(20), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(50), endMs: t(60), blockingLevel: BlockingLevel.B3 }
+      ]);
+
+      expect(merged).toEqual([
+        { startMs: t(0), endMs: t(5), blockingLevel: BlockingLevel.B3 },
+        { startMs: t(10), endMs: t(20), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(50), endMs: t(60), blockingLevel: BlockingLevel.B3 }
+      ]);
+    });
+
+    test('should drop a lower-level event fully covered by a higher one', () => {
+      const merged = mergeIntervals([
+        { startMs: t(10), endMs: t(20), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(0), endMs: t(30), blockingLevel: BlockingLevel.B2 }
+      ]);
+
+      expect(merged).toEqual([
+        { startMs: t(0), endMs: t(30), blockingLevel: BlockingLevel.B2 }
+      ]);
+    });
+
+    test('should default missing or unknown levels to B3', () => {
+      const merged = mergeIntervals([
+        { startMs: t(0), endMs: t(10) },
+        { startMs: t(20), endMs: t(30), blockingLevel: 'B9' }
+      ]);
+
+      expect(merged.map(m => m.blockingLevel)).toEqual([BlockingLevel.B3, BlockingLevel.B3]);
+    });
+
+    test('should not mutate the caller\'s array', () => {
+      const input = [
+        { startMs: t(30), endMs: t(40), blockingLevel: BlockingLevel.B1 },
+        { startMs: t(0), endMs: t(10), blockingLevel: BlockingLevel.B1 }
+      ];
+      const copy = JSON.parse(JSON.stringify(input));
+
+      mergeIntervals(input);
+      expect(input).toEqual(copy);
+    });
+  });
+
+  describe('computeAvailabilityBlocks with priority', () => {
+    const participants = () => [
+      { userId: 'low', events: [{ eventRef: 'gym', startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B1 }] },
+      { userId: 'mid', events: [{ eventRef: 'club', startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B2 }] },
+      { userId: 'high', events: [{ eventRef: 'exam', startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B3 }] },
+      { userId: 'free', events: [] }
+    ];
+
+    test('should treat only B3 as hard busy with the default priority', () => {
+      const [block] = computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: participants()
+      });
+
+      expect(block.freeUserIds).toEqual(['free']);
+      expect(block.softBusyUserIds).toEqual(['low', 'mid']);
+      expect(block.hardBusyUserIds).toEqual(['high']);
+      expect(block.busyUserIds).toEqual(['low', 'mid', 'high']);
+      expect(block.softBusyCount).toBe(2);
+      expect(block.hardBusyCount).toBe(1);
+      expect(block.availabilityFraction).toBe(0.25);
+    });
+
+    test('should treat B2 and above as hard busy with priority B2', () => {
+      const [block] = computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: participants(),
+        priority: BlockingLevel.B2
+      });
+
+      expect(block.softBusyUserIds).toEqual(['low']);
+      expect(block.hardBusyUserIds).toEqual(['mid', 'high']);
+    });
+
+    test('should treat every event as hard busy with priority B1', () => {
+      const [block] = computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: participants(),
+        priority: BlockingLevel.B1
+      });
+
+      expect(block.softBusyUserIds).toEqual([]);
+      expect(block.hardBusyUserIds).toEqual(['low', 'mid', 'high']);
+    });
+
+    test('should keep events without blockingLevel as hard busy (MVP behaviour)', () => {
+      const [block] = computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: [{ userId: 'u1', events: [{ startMs: t(0), endMs: t(15) }] }]
+      });
+
+      expect(block.hardBusyUserIds).toEqual(['u1']);
+      expect(block.softBusyUserIds).toEqual([]);
+    });
+
+    test('should use the highest level among events sharing a block', () => {
+      // B1 covers 0-10, B3 covers 10-15: same 15-minute block -> hard busy
+      const result = computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(30),
+        participants: [{
+          userId: 'u1',
+          events: [
+            { startMs: t(0), endMs: t(25), blockingLevel: BlockingLevel.B1 },
+            { startMs: t(10), endMs: t(15), blockingLevel: BlockingLevel.B3 }
+          ]
+        }],
+        granularityMinutes: 15
+      });
+
+      expect(result[0].hardBusyUserIds).toEqual(['u1']);
+      expect(result[1].softBusyUserIds).toEqual(['u1']);
+    });
+
+    test('should throw error if priority is not a BlockingLevel', () => {
+      expect(() => {
+        computeAvailabilityBlocks({
+          windowStartMs: t(0),
+          windowEndMs: t(15),
+          participants: [],
+          priority: 'B4'
+        });
+      }).toThrow(/priority must be one of B1, B2, B3/);
+    });
+  });
+});
+
+// ================================================================
+// Meeting slot finder (built on top of availability blocks)
+// ================================================================
+describe('findMeetingSlots', () => {
+  const window = { startMs: t(0), endMs: t(120) }; // 10:00 - 12:00
+
+  test('should only return starts where every touched block meets the threshold', () => {
+    // A busy 30-45 -> a 30-minute meeting cannot start at 15 or 30
+    const slots = findMeetingSlots({
+      durationMinutes: 30,
+      participants: [
+        { userId: 'A', events: [{ startMs: t(30), endMs: t(45) }] },
+        { userId: 'B', events: [] }
+      ],
+      window,
+      maxResults: 20
+    });
+
+    const starts = slots.map(s => s.startMs).sort((a, b) => a - b);
+    expect(starts).toEqual([t(0), t(45), t(60), t(75), t(90)]);
+    slots.forEach(s => {
+      expect(s.endMs - s.startMs).toBe(30 * ONE_MIN);
+      expect(s.fullAttendance).toBe(true);
+    });
+  });
+
+  test('should rank full attendance before partial attendance', () => {
+    // B busy 0-60: with minFraction 0.5 early slots are partial
+    const slots = findMeetingSlots({
+      durationMinutes: 30,
+      participants: [
+        { userId: 'A', events: [] },
+        { userId: 'B', events: [{ startMs: t(0), endMs: t(60) }] }
+      ],
+      window,
+      minFraction: 0.5,
+      maxResults: 20
+    });
+
+    const firstPartial = slots.findIndex(s => !s.fullAttendance);
+    const lastFull = slots.map(s => s.fullAttendance).lastIndexOf(true);
+    expect(lastFull).toBeLessThan(firstPartial);
+    expect(slots.slice(0, firstPartial).map(s => s.startMs).sort((a, b) => a - b))
+      .toEqual([t(60), t(75), t(90)]);
+    expect(slots[firstPartial].attendeeUserIds).toEqual(['A']);
+    expect(slots[firstPartial].attendanceFraction).toBe(0.5);
+  });
+
+  test('should prefer earlier days over later ones', () => {
+    const slots = findMeetingSlots({
+      durationMinutes: 60,
+      participants: [{ userId: 'A', events: [{ startMs: t(60), endMs: t(24 * 60) }] }],
+      window: { startMs: t(0), endMs: t(24 * 60 + 120) }
+    });
+
+    expect(slots[0].startMs).toBe(t(0));
+    expect(slots[1].startMs).toBe(t(24 * 60));
+  });
+
+  test('should prefer slots next to busy time (least fragmentation) within a day', () => {
+    // A busy 0-15 and 105-120. Free stretch 15-105 for a 30-minute meeting:
+    // 15 and 75 touch busy time on one side, 30/45/60 split the stretch.
+    const slots = findMeetingSlots({
+      durationMinutes: 30,
+      participants: [{
+        userId: 'A',
+        events: [
+          { startMs: t(0), endMs: t(15) },
+          { startMs: t(105), endMs: t(120) }
+        ]
+      }],
+      window
+    });
+
+    expect(slots.map(s => s.startMs)).toEqual([t(15), t(75), t(30), t(45), t(60)]);
+    expect(slots[0].fragmentation).toBe(1);
+    expect(slots[2].fragmentation).toBe(2);
+  });
+
+  test('should limit the number of results to maxResults', () => {
+    const slots = findMeetingSlots({
+      durationMinutes: 15,
+      participants: [{ userId: 'A', events: [] }],
+      window,
+      maxResults: 3
+    });
+
+    expect(slots).toHaveLength(3);
+  });
+
+  test('should return no slots when the meeting is longer than the window', () => {
+    const slots = findMeetingSlots({
+      durationMinutes: 180,
+      participants: [{ userId: 'A', events: [] }],
+      window
+    });
+
+    expect(slots).toEqual([]);
+  });
+
+  test('should treat an empty participant list as fully available', () => {
+    const [slot] = findMeetingSlots({
+      durationMinutes: 30,
+      participants: [],
+      window
+    });
+
+    expect(slot.attendanceFraction).toBe(1);
+    expect(slot.fullAttendance).toBe(true);
+  });
+
+  describe('Input Validation', () => {
+    test.each([0, -30, NaN])('should throw error if durationMinutes is %p', (durationMinutes) => {
+      expect(() => findMeetingSlots({ durationMinutes, participants: [], window }))
+        .toThrow(/durationMinutes must be a positive number/);
+    });
+
+    test('should throw error if window is missing', () => {
+      expect(() => findMeetingSlots({ durationMinutes: 30, participants: [] }))
+        .toThrow(/window must be an object/);
+    });
+
+    test.each([-0.1, 1.5, NaN])('should throw error if minFraction is %p', (minFraction) => {
+      expect(() => findMeetingSlots({ durationMinutes: 30, participants: [], window, minFraction }))
+        .toThrow(/minFraction must be a number between 0 and 1/);
+    });
+
+    test.each([0, 2.5])('should throw error if maxResults is %p', (maxResults) => {
+      expect(() => findMeetingSlots({ durationMinutes: 30, participants: [], window, maxResults }))
+        .toThrow(/maxResults must be a positive integer/);
+    });
+
+    test('should pass window errors through from computeAvailabilityBlocks', () => {
+      expect(() => findMeetingSlots({
+        durationMinutes: 30,
+        participants: [],
+        window: { startMs: t(60), endMs: t(0) }
+      })).toThrow(/windowEndMs must be > windowStartMs/);
+    });
+  });
+});
+
+// ================================================================
+// Working hours & time zones (ParticipantSnapshot.workingHours)
+// ================================================================
+describe('Working Hours', () => {
+  // Monday 2026-01-05 is a winter (standard time) weekday in all three zones.
+  const MON = (hourUtc, minute = 0) => Date.UTC(2026, 0, 5, hourUtc, minute);
+  const nineToFive = (timeZone, extra = {}) => ({
+    timeZone,
+    weekdays: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }],
+    ...extra
+  });
+
+  test('should mark time outside working hours as unavailable, separately from busy', () => {
+    // New York 09:00 EST = 14:00Z. Window 13:00Z-15:00Z, 1-hour blocks.
+    const result = computeAvailabilityBlocks({
+      windowStartMs: MON(13),
+      windowEndMs: MON(15),
+      participants: [{ userId: 'ny', events: [], workingHours: nineToFive('America/New_York') }],
+      granularityMinutes: 60
+    });
+
+    expect(result[0].outsideHoursUserIds).toEqual(['ny']);
+    expect(result[0].busyUserIds).toEqual([]);
+    expect(result[0].outsideHoursCount).toBe(1);
+    expect(result[0].availabilityFraction).toBe(0);
+    expect(result[1].freeUserIds).toEqual(['ny']);
+    expect(result[1].outsideHoursUserIds).toEqual([]);
+  });
+
+  test('should report a calendar conflict as busy even outside working hours', () => {
+    const [block] = computeAvailabilityBlocks({
+      windowStartMs: MON(13),
+      windowEndMs: MON(14),
+      participants: [{
+        userId: 'ny',
+        events: [{ startMs: MON(13), endMs: MON(14) }],
+        workingHours: nineToFive('America/New_York')
+      }],
+      granularityMinutes: 60
+    });
+
+    expect(block.busyUserIds).toEqual(['ny']);
+    expect(block.outsideHoursUserIds).toEqual([]);
+  });
+
+  test('should only find the overlap of three time zones', () => {
+    // LA 09-17 = 17-01Z, NY 09-17 = 14-22Z, London 09-18 = 09-18Z -> overlap is 17:00-18:00Z
+    const participants = [
+      { userId: 'la', events: [], workingHours: nineToFive('America/Los_Angeles') },
+      { userId: 'ny', events: [], workingHours: nineToFive('America/New_York') },
+      {
+        userId: 'ldn',
+        events: [],
+        workingHours: { timeZone: 'Europe/London', weekdays: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }] }
+      }
+    ];
+
+    const result = computeAvailabilityBlocks({
+      windowStartMs: MON(0),
+      windowEndMs: MON(24),
+      participants,
+      granularityMinutes: 60
+    });
+
+    const allFree = result.filter(b => b.availabilityFraction === 1).map(b => b.startMs);
+    expect(allFree).toEqual([MON(17)]);
+    // 03:00Z is outside working hours in all three zones
+    expect(result[3].outsideHoursUserIds).toEqual(['la', 'ny', 'ldn']);
+  });
+
+  test('should apply weekday ranges by LOCAL weekday', () => {
+    // Monday 02:00Z is still Sunday evening in Los Angeles -> no weekday hours apply
+    const [block] = computeAvailabilityBlocks({
+      windowStartMs: MON(2),
+      windowEndMs: MON(3),
+      participants: [{
+        userId: 'la',
+        events: [],
+        workingHours: { timeZone: 'America/Los_Angeles', weekdays: [{ days: [1], start: '00:00', end: '24:00' }] }
+      }],
+      granularityMinutes: 60
+    });
+
+    expect(block.outsideHoursUserIds).toEqual(['la']);
+  });
+
+  test('should let exceptions replace the weekday hours on a date', () => {
+    const participants = [{
+      userId: 'ldn',
+      events: [],
+      workingHours: nineToFive('Europe/London', {
+        exceptions: [
+          { date: '2026-01-05', ranges: [] },                                 // day off
+          { date: '2026-01-06', ranges: [{ start: '12:00', end: '13:00' }] }  // short day
+        ]
+      })
+    }];
+
+    const result = computeAvailabilityBlocks({
+      windowStartMs: MON(0),
+      windowEndMs: MON(48),
+      participants,
+      granularityMinutes: 60
+    });
+
+    const freeHours = result.filter(b => b.availableCount === 1).map(b => b.startMs);
+    expect(freeHours).toEqual([Date.UTC(2026, 0, 6, 12)]);
+  });
+
+  test('should keep local hours fixed across a DST change', () => {
+    // New York switches to EDT on Sunday 2026-03-08: 09:00 local is 14:00Z before, 13:00Z after.
+    const participants = [{ userId: 'ny', events: [], workingHours: nineToFive('America/New_York') }];
+    const freeStart = (dayUtc) => computeAvailabilityBlocks({
+      windowStartMs: dayUtc,
+      windowEndMs: dayUtc + 24 * ONE_HOUR,
+      participants,
+      granularityMinutes: 60
+    }).find(b => b.availableCount === 1).startMs;
+
+    expect(freeStart(Date.UTC(2026, 2, 6))).toBe(Date.UTC(2026, 2, 6, 14)); // Friday, EST
+    expect(freeStart(Date.UTC(2026, 2, 9))).toBe(Date.UTC(2026, 2, 9, 13)); // Monday, EDT
+  });
+
+  test('should leave participants without workingHours available around the clock', () => {
+    const result = computeAvailabilityBlocks({
+      windowStartMs: MON(0),
+      windowEndMs: MON(24),
+      participants: [{ userId: 'u1', events: [] }],
+      granularityMinutes: 60
+    });
+
+    expect(result.every(b => b.availableCount === 1 && b.outsideHoursCount === 0)).toBe(true);
+  });
+
+  test('should make findMeetingSlots skip times outside working hours', () => {
+    const [slot] = findMeetingSlots({
+      durationMinutes: 60,
+      participants: [{ userId: 'ny', events: [], workingHours: nineToFive('America/New_York') }],
+      window: { startMs: MON(0), endMs: MON(24) }
+    });
+
+    expect(slot.startMs).toBe(MON(14));
+  });
+
+  describe('Input Validation', () => {
+    const run = (workingHours) => computeAvailabilityBlocks({
+      windowStartMs: MON(0),
+      windowEndMs: MON(1),
+      participants: [{ userId: 'u1', events: [], workingHours }]
+    });
+
+    test('should throw error if workingHours is not an object', () => {
+      expect(() => run(null)).toThrow(/workingHours must be an object/);
+    });
+
+    test('should throw error for an unknown time zone', () => {
+      expect(() => run(nineToFive('Not/AZone'))).toThrow(/Invalid time zone: Not\/AZone/);
+    });
+
+    test('should throw error if weekdays is not an array', () => {
+      expect(() => run({ timeZone: 'UTC' })).toThrow(/workingHours.weekdays must be an array/);
+    });
+
+    test('should throw error for weekday numbers outside 0-6', () => {
+      expect(() => run({ timeZone: 'UTC', weekdays: [{ days: [7], start: '09:00', end: '17:00' }] }))
+        .toThrow(/must be weekday numbers 0-6/);
+    });
+
+    test.each(['9:00', '09:60', '25:00', 'noon'])('should throw error for time %p', (start) => {
+      expect(() => run({ timeZone: 'UTC', weekdays: [{ days: [1], start, end: '17:00' }] }))
+        .toThrow(/Invalid working-hours time/);
+    });
+
+    test('should throw error for a range that ends before it starts', () => {
+      expect(() => run({ timeZone: 'UTC', weekdays: [{ days: [1], start: '17:00', end: '09:00' }] }))
+        .toThrow(/must end after it starts/);
+    });
+
+    test('should throw error for a malformed exception', () => {
+      expect(() => run(nineToFive('UTC', { exceptions: [{ date: 'Jan 5', ranges: [] }] })))
+        .toThrow(/Invalid working-hours exception/);
+    });
+  });
+});
+
+// ================================================================
+// Wall-clock aligned, DST-safe block grid
+// ================================================================
+describe('Wall-Clock Alignment', () => {
+  const NY = 'America/New_York';
+  const localMinute = (ms, tz) => {
+    const p = getZonedParts(ms, tz);
+    return p.hour * 60 + p.minute;
+  };
+
+  test('should keep the MVP window-relative grid by default', () => {
+    const result = computeAvailabilityBlocks({
+      windowStartMs: t(7), // 10:07
+      windowEndMs: t(37),
+      participants: []
+    });
+
+    expect(result.map(b => b.startMs)).toEqual([t(7), t(22)]);
+  });
+
+  test('should snap blocks to quarter hours, with a partial first block', () => {
+    const result = computeAvailabilityBlocks({
+      windowStartMs: t(7), // 10:07 UTC
+      windowEndMs: t(37),  // 10:37 UTC
+      participants: [],
+      alignment: BlockAlignment.WALL_CLOCK
+    });
+
+    expect(result.map(b => [b.startMs, b.endMs])).toEqual([
+      [t(7), t(15)],
+      [t(15), t(30)],
+      [t(30), t(37)]
+    ]);
+  });
+
+  test('should align to local time in a zone with a half-hour offset', () => {
+    // Kolkata is UTC+5:30: local hours start at :30 UTC
+    const result = computeAvailabilityBlocks({
+      windowStartMs: Date.UTC(2026, 0, 5, 0, 0),
+      windowEndMs: Date.UTC(2026, 0, 5, 3, 0),
+      participants: [],
+      granularityMinutes: 60,
+      alignment: BlockAlignment.WALL_CLOCK,
+      timeZone: 'Asia/Kolkata'
+    });
+
+    expect(result.map(b => b.startMs)).toEqual([
+      Date.UTC(2026, 0, 5, 0, 0),
+      Date.UTC(2026, 0, 5, 0, 30),
+      Date.UTC(2026, 0, 5, 1, 30),
+      Date.UTC(2026, 0, 5, 2, 30)
+    ]);
+  });
+
+  // New York 2026: spring forward Sun Mar 8 (02:00 -> 03:00), fall back Sun Nov 1 (02:00 -> 01:00)
+  describe.each([
+    ['spring-forward', Date.UTC(2026, 2, 8, 5), Date.UTC(2026, 2, 15, 4), 23],
+    ['fall-back', Date.UTC(2026, 10, 1, 4), Date.UTC(2026, 10, 8, 5), 25]
+  ])('%s week in New York', (_name, weekStartMs, weekEndMs, dstDayHours) => {
+    const run = (participants = []) => computeAvailabilityBlocks({
+      windowStartMs: weekStartMs, // local Sunday 00:00
+      windowEndMs: weekEndMs,     // local next Sunday 00:00
+      participants,
+      alignment: BlockAlignment.WALL_CLOCK,
+      timeZone: NY
+    });
+
+    test('should cover the week without gaps or overlaps', () => {
+      const result = run();
+
+      expect(result[0].startMs).toBe(weekStartMs);
+      expect(result[result.length - 1].endMs).toBe(weekEndMs);
+      for (let i = 1; i < result.length; i++) {
+        expect(result[i].startMs).toBe(result[i - 1].endMs);
+      }
+      // 6 normal days of 96 blocks + the DST day
+      expect(result).toHaveLength(6 * 96 + dstDayHours * 4);
+    });
+
+    test(`should give the DST day ${dstDayHours} hours of 15-minute blocks`, () => {
+      const result = run();
+      const dstDayEnd = weekStartMs + dstDayHours * ONE_HOUR;
+      const dstDay = result.filter(b => b.startMs < dstDayEnd);
+
+      expect(dstDay).toHaveLength(dstDayHours * 4);
+      expect(dstDay[dstDay.length - 1].endMs).toBe(dstDayEnd);
+    });
+
+    test('should start every block on a local quarter hour', () => {
+      const result = run();
+
+      result.forEach(b => {
+        expect(localMinute(b.startMs, NY) % 15).toBe(0);
+        expect(b.endMs - b.startMs).toBe(15 * ONE_MIN);
+      });
+    });
+
+    test('should place events by instant, not by local time', () => {
+      // Monday 09:00-10:00 local, after the DST change
+      const mondayNine = weekStartMs + dstDayHours * ONE_HOUR + 9 * ONE_HOUR;
+      const result = run([{ userId: 'u1', events: [{ startMs: mondayNine, endMs: mondayNine + ONE_HOUR }] }]);
+      const busy = result.filter(b => b.busyCount === 1);
+
+      expect(busy).toHaveLength(4);
+      expect(localMinute(busy[0].startMs, NY)).toBe(9 * 60);
+    });
+  });
+
+  test('should pass alignment through findMeetingSlots', () => {
+    const slots = findMeetingSlots({
+      durationMinutes: 30,
+      participants: [],
+      window: { startMs: t(7), endMs: t(60) },
+      alignment: BlockAlignment.WALL_CLOCK
+    });
+
+    // window start, then quarter hours
+    expect(slots.map(s => s.startMs)).toEqual([t(7), t(15), t(30)]);
+  });
+
+  describe('Input Validation', () => {
+    test('should throw error for an unknown alignment', () => {
+      expect(() => computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: [],
+        alignment: 'quarterHour'
+      })).toThrow(/alignment must be "window" or "wallClock"/);
+    });
+
+    test('should throw error for an unknown time zone', () => {
+      expect(() => computeAvailabilityBlocks({
+        windowStartMs: t(0),
+        windowEndMs: t(15),
+        participants: [],
+        alignment: BlockAlignment.WALL_CLOCK,
+        timeZone: 'Nowhere/Special'
+      })).toThrow(/Invalid time zone/);
+    });
+  });
+});
+
+// ================================================================
+// Required vs optional attendees, weights and quorum
+// ================================================================
+describe('Attendance Roles & Quorum', () => {
+  const busy = [{ startMs: t(0), endMs: t(15) }];
+  const required = (userId, events = []) => ({ userId, events, attendance: AttendanceRole.REQUIRED });
+  const optional = (userId, events = []) => ({ userId, events, attendance: AttendanceRole.OPTIONAL });
+
+  // Club: president + treasurer required, any three other members are enough.
+  const club = (busyIds) => [
+    required('president', busyIds.includes('president') ? busy : []),
+    required('treasurer', busyIds.includes('treasurer') ? busy : []),
+    ...['m1', 'm2', 'm3', 'm4', 'm5'].map(id => optional(id, busyIds.includes(id) ? busy : []))
+  ];
+  const block = (participants, extra = {}) => computeAvailabilityBlocks({
+    windowStartMs: t(0),
+    windowEndMs: t(15),
+    participants,
+    ...extra
+  })[0];
+
+  test('should meet quorum with all required plus enough optional members', () => {
+    const b = block(club(['m1', 'm2']), { quorum: { minOptional: 3 } });
+
+    expect(b.requiredFreeCount).toBe(2);
+    expect(b.optionalFreeCount).toBe(3);
+    expect(b.quorumMet).toBe(true);
+  });
+
+  test('should NOT meet quorum when too few optional members are free', () => {
+    const b = block(club(['m1', 'm2', 'm3']), { quorum: { minOptional: 3 } });
+
+    expect(b.optionalFreeCount).toBe(2);
+    expect(b.quorumMet).toBe(false);
+  });
+
+  test('should NOT meet quorum when a required member is busy', () => {
+    const b = block(club(['treasurer']), { quorum: { minOptional: 3 } });
+
+    expect(b.requiredFreeCount).toBe(1);
+    expect(b.optionalFreeCount).toBe(5);
+    expect(b.quorumMet).toBe(false);
+  });
+
+  test('should treat participants as required by default', () => {
+    const b = block([{ userId: 'a', events: busy }, { userId: 'b', events: [] }]);
+
+    expect(b.requiredFreeCount).toBe(1);
+    expect(b.quorumMet).toBe(false);
+  });
+
+  test('should meet the default quorum when only optional members are busy', () => {
+    const b = block([required('a'), optional('b', busy)]);
+
+    expect(b.quorumMet).toBe(true);
+    expect(b.availabilityFraction).toBe(0.5); // unweighted fraction is unchanged
+  });
+
+  test('should compute a weighted score from participant weights', () => {
+    const b = block([
+      { userId: 'lead', events: [], weight: 3 },
+      { userId: 'x', events: busy, weight: 1 }
+    ]);
+
+    expect(b.weightedScore).toBe(0.75);
+    expect(b.availabilityFraction).toBe(0.5);
+  });
+
+  test('should require minWeightedScore when given', () => {
+    const participants = [
+      optional('a'),
+      { ...optional('b', busy), weight: 2 },
+      optional('c')
+    ];
+
+    expect(block(participants, { quorum: { minWeightedScore: 0.5 } }).quorumMet).toBe(true);
+    expect(block(participants, { quorum: { minWeightedScore: 0.6 } }).quorumMet).toBe(false);
+  });
+
+  test('should give a score of 1 when every weight is zero', () => {
+    const b = block([{ userId: 'a', events: busy, weight: 0 }]);
+
+    expect(b.weightedScore).toBe(1);
+  });
+
+  test('should count outside-hours participants as not free for quorum', () => {
+    const b = block([{
+      ...required('a'),
+      workingHours: { timeZone: 'UTC', weekdays: [] }
+    }]);
+
+    expect(b.outsideHoursUserIds).toEqual(['a']);
+    expect(b.quorumMet).toBe(false);
+  });
+
+  describe('Input Validation', () => {
+    test('should throw error for an unknown attendance role', () => {
+      expect(() => block([{ userId: 'a', events: [], attendance: 'maybe' }]))
+        .toThrow(/attendance must be "required" or "optional"/);
+    });
+
+    test.each([-1, NaN, Infinity])('should throw error for weight %p', (weight) => {
+      expect(() => block([{ userId: 'a', events: [], weight }]))
+        .toThrow(/weight must be a non-negative number/);
+    });
+
+    test.each([-1, 1.5])('should throw error for quorum.minOptional %p', (minOptional) => {
+      expect(() => block([], { quorum: { minOptional } }))
+        .toThrow(/quorum.minOptional must be a non-negative integer/);
+    });
+
+    test.each([-0.1, 2, NaN])('should throw error for quorum.minWeightedScore %p', (minWeightedScore) => {
+      expect(() => block([], { quorum: { minWeightedScore } }))
+        .toThrow(/quorum.minWeightedScore must be a number between 0 and 1/);
+    });
+
+    test('should treat a null quorum as the default', () => {
+      expect(block([required('a')], { quorum: null }).quorumMet).toBe(true);
+    });
+  });
+});
+
+// ================================================================
+// Sweep-line engine: run-length segments
+// ================================================================
+describe('Availability Segments (sweep line)', () => {
+  test('should collapse blocks with identical state into one segment', () => {
+    const segments = computeAvailabilitySegments({
+      windowStartMs: t(0),
+      windowEndMs: t(120),
+      participants: [
+        { userId: 'A', events: [{ startMs: t(30), endMs: t(60) }] },
+        { userId: 'B', events: [] }
+      ]
+    });
+
+    expect(segments.map(s => [s.startMs, s.endMs, s.blockCount, s.freeUserIds])).toEqual([
+      [t(0), t(30), 2, ['A', 'B']],
+      [t(30), t(60), 2, ['B']],
+      [t(60), t(120), 4, ['A', 'B']]
+    ]);
+  });
+
+  test('should snap segment edges to block boundaries', () => {
+    // 10-20 touches blocks 0-15 and 15-30
+    const [first, second] = computeAvailabilitySegments({
+      windowStartMs: t(0),
+      windowEndMs: t(60),
+      participants: [{ userId: 'A', events: [{ startMs: t(10), endMs: t(20) }] }]
+    });
+
+    expect([first.startMs, first.endMs, first.busyUserIds]).toEqual([t(0), t(30), ['A']]);
+    expect([second.startMs, second.endMs, second.freeUserIds]).toEqual([t(30), t(60), ['A']]);
+  });
+
+  test('should split segments when only the busy level changes', () => {
+    const segments = computeAvailabilitySegments({
+      windowStartMs: t(0),
+      windowEndMs: t(30),
+      participants: [{
+        userId: 'A',
+        events: [
+          { startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B1 },
+          { startMs: t(15), endMs: t(30), blockingLevel: BlockingLevel.B3 }
+        ]
+      }]
+    });
+
+    expect(segments.map(s => [s.softBusyUserIds, s.hardBusyUserIds])).toEqual([
+      [['A'], []],
+      [[], ['A']]
+    ]);
+  });
+
+  test('should NOT split segments where touching events keep the same state', () => {
+    const segments = computeAvailabilitySegments({
+      windowStartMs: t(0),
+      windowEndMs: t(60),
+      participants: [{
+        userId: 'A',
+        events: [
+          { startMs: t(0), endMs: t(15) },
+          { startMs: t(15), endMs: t(45) }
+        ]
+      }]
+    });
+
+    expect(segments.map(s => s.blockCount)).toEqual([3, 1]);
+  });
+
+  test('should return a single segment for an empty group', () => {
+    const segments = computeAvailabilitySegments({
+      windowStartMs: t(0),
+      windowEndMs: t(16),
+      participants: []
+    });
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0]).toMatchObject({ startMs: t(0), endMs: t(16), blockCount: 2, availabilityFraction: 1 });
+  });
+
+  test('should validate input like computeAvailabilityBlocks', () => {
+    expect(() => computeAvailabilitySegments({ windowStartMs: t(60), windowEndMs: t(0), participants: [] }))
+      .toThrow(/windowEndMs must be > windowStartMs/);
+  });
+
+  test('should expand with default options (15-minute window grid)', () => {
+    const args = {
+      windowStartMs: t(0),
+      windowEndMs: t(50),
+      participants: [{ userId: 'A', events: [{ startMs: t(20), endMs: t(25) }] }]
+    };
+
+    expect(expandSegments(computeAvailabilitySegments(args))).toEqual(computeAvailabilityBlocks(args));
+  });
+
+  // ------------------------------------------------------------
+  // 200 members, one month, seeded random calendars. Both engines must agree exactly.
+  // ------------------------------------------------------------
+  describe('Large group: block engine vs segment engine', () => {
+    // Small deterministic PRNG (mulberry32) so the data is the same every run.
+    const rng = (seed) => () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let x = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+      return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+    const ZONES = ['America/Los_Angeles', 'America/New_York', 'Europe/London'];
+    const LEVELS = [BlockingLevel.B1, BlockingLevel.B2, BlockingLevel.B3];
+
+    const makeGroup = (size, startMs, days, random) => Array.from({ length: size }, (_, i) => {
+      const events = [];
+      for (let d = 0; d < days; d++) {
+        const count = Math.floor(random() * 4);
+        for (let e = 0; e < count; e++) {
+          // odd minutes on purpose: events should not line up with blocks
+          const start = startMs + d * 24 * ONE_HOUR + Math.floor(random() * 24 * 60) * ONE_MIN;
+          events.push({
+            eventRef: `u${i}-${d}-${e}`,
+            startMs: start,
+            endMs: start + (20 + Math.floor(random() * 150)) * ONE_MIN,
+            blockingLevel: LEVELS[Math.floor(random() * 3)],
+            source: random() < 0.5 ? 'in-person' : 'online'
+          });
+        }
+      }
+      return {
+        userId: `u${i}`,
+        events,
+        attendance: i % 5 === 0 ? AttendanceRole.REQUIRED : AttendanceRole.OPTIONAL,
+        weight: 1 + (i % 3),
+        ...(i % 6 === 0 ? { buffers: { default: { beforeMinutes: 5, afterMinutes: 5 } } } : {}),
+        ...(i % 4 === 0 ? {
+          workingHours: {
+            timeZone: ZONES[i % 3],
+            weekdays: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }],
+            exceptions: [{ date: '2026-03-17', ranges: [] }]
+          }
+        } : {})
+      };
+    });
+
+    test.each([
+      ['window grid', {}],
+      ['wall-clock grid across DST', { alignment: BlockAlignment.WALL_CLOCK, timeZone: 'America/New_York' }],
+      ['explain mode', { explain: true }]
+    ])('should produce identical blocks for 200 members over a month (%s)', (_name, gridOptions) => {
+      const windowStartMs = Date.UTC(2026, 2, 1, 5); // March 2026: New York DST starts on the 8th
+      const args = {
+        windowStartMs,
+        windowEndMs: windowStartMs + 30 * 24 * ONE_HOUR,
+        participants: makeGroup(200, windowStartMs, 30, rng(42)),
+        priority: BlockingLevel.B2,
+        quorum: { minOptional: 10 },
+        buffers: { bySource: { 'in-person': { afterMinutes: 15 } } },
+        ...gridOptions
+      };
+
+      const blocks = computeAvailabilityBlocks(args);
+      const segments = computeAvailabilitySegments(args);
+
+      expect(expandSegments(segments, args)).toEqual(blocks);
+      expect(segments.reduce((n, s) => n + s.blockCount, 0)).toBe(blocks.length);
+      expect(segments.length).toBeLessThanOrEqual(blocks.length);
+    });
+
+    // a month in which everyone has the same weekly meeting
+    const sparseMonth = () => {
+      const windowStartMs = Date.UTC(2026, 0, 1);
+      return {
+        windowStartMs,
+        windowEndMs: windowStartMs + 30 * 24 * ONE_HOUR,
+        participants: Array.from({ length: 200 }, (_, i) => ({
+          userId: `u${i}`,
+          events: [0, 1, 2, 3].map(w => ({
+            startMs: windowStartMs + w * 7 * 24 * ONE_HOUR + 14 * ONE_HOUR,
+            endMs: windowStartMs + w * 7 * 24 * ONE_HOUR + 15 * ONE_HOUR
+          }))
+        }))
+      };
+    };
+
+    test('should compress a sparse month into far fewer segments than blocks', () => {
+      const args = sparseMonth();
+
+      const segments = computeAvailabilitySegments(args);
+
+      expect(segments).toHaveLength(9);
+      expect(expandSegments(segments)).toEqual(computeAvailabilityBlocks(args));
+    });
+
+    // Timings are too noisy for every run (one shared CPU, coverage on), so this
+    // only runs on request: BENCHMARK_ROUNDS=5 npx jest -t Benchmark
+    const rounds = Number(process.env.BENCHMARK_ROUNDS) || 0;
+    (rounds > 0 ? test : test.skip)('Benchmark: the segment engine is faster on a sparse month', () => {
+      const median = (fn) => {
+        const times = Array.from({ length: rounds }, () => {
+          const t0 = performance.now();
+          fn();
+          return performance.now() - t0;
+        }).sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+      };
+      const args = sparseMonth();
+
+      const blockEngineMs = median(() => computeAvailabilityBlocks(args));
+      const segmentEngineMs = median(() => computeAvailabilitySegments(args));
+
+      console.log(`[benchmark] median of ${rounds}: blocks ${blockEngineMs.toFixed(1)}ms, segments ${segmentEngineMs.toFixed(1)}ms`);
+      expect(segmentEngineMs).toBeLessThan(blockEngineMs);
+    });
+  });
+});
+
+// ================================================================
+// Buffer / travel time around events
+// ================================================================
+describe('Buffers', () => {
+  const inPersonClass = { eventRef: 'cs101', startMs: t(0), endMs: t(30), source: 'in-person' };
+  const onlineMeeting = { eventRef: 'zoom', startMs: t(60), endMs: t(90), source: 'online' };
+  const groupBuffers = {
+    bySource: {
+      'in-person': { afterMinutes: 15 },
+      online: { afterMinutes: 0 }
+    }
+  };
+  const run = (participants, extra = {}) => computeAvailabilityBlocks({
+    windowStartMs: t(0),
+    windowEndMs: t(120),
+    participants,
+    ...extra
+  });
+
+  describe('mergeIntervals', () => {
+    test('should pad by source before merging', () => {
+      // class 0-30 + 15 after = 0-45, touches the seminar at 40
+      const merged = mergeIntervals([
+        inPersonClass,
+        { startMs: t(40), endMs: t(50), source: 'in-person' }
+      ], groupBuffers);
+
+      expect(merged).toEqual([{ startMs: t(0), endMs: t(65), blockingLevel: BlockingLevel.B3 }]);
+    });
+
+    test('should fall back to the default rule for unknown or missing sources', () => {
+      const merged = mergeIntervals(
+        [{ startMs: t(30), endMs: t(40) }],
+        { default: { beforeMinutes: 10, afterMinutes: 5 } }
+      );
+
+      expect(merged).toEqual([{ startMs: t(20), endMs: t(45), blockingLevel: BlockingLevel.B3 }]);
+    });
+  });
+
+  test('should block the buffer after an in-person class but not after an online meeting', () => {
+    const result = run([{ userId: 'A', events: [inPersonClass, onlineMeeting] }], { buffers: groupBuffers });
+
+    // blocks: 0-15 15-30 30-45 45-60 60-75 75-90 90-105 105-120
+    expect(result.map(b => b.busyCount)).toEqual([1, 1, 1, 0, 1, 1, 0, 0]);
+  });
+
+  test('should report blocks that are busy only because of a buffer', () => {
+    const result = run([{ userId: 'A', events: [inPersonClass] }], { buffers: groupBuffers });
+
+    expect(result[1].bufferOnlyUserIds).toEqual([]);     // the class itself
+    expect(result[2].bufferOnlyUserIds).toEqual(['A']);  // 30-45 walk to the next building
+    expect(result[2].busyUserIds).toEqual(['A']);
+  });
+
+  test('should let a participant override the group buffers', () => {
+    const result = run([
+      { userId: 'A', events: [inPersonClass] },
+      { userId: 'B', events: [inPersonClass], buffers: { bySource: { 'in-person': { afterMinutes: 0 } } } }
+    ], { buffers: groupBuffers });
+
+    expect(result[2].busyUserIds).toEqual(['A']);
+    expect(result[2].freeUserIds).toEqual(['B']);
+  });
+
+  test('should prefer the group bySource rule over the participant default', () => {
+    const result = run([
+      { userId: 'A', events: [inPersonClass], buffers: { default: { afterMinutes: 60 } } }
+    ], { buffers: groupBuffers });
+
+    expect(result[2].busyUserIds).toEqual(['A']);
+    expect(result[3].freeUserIds).toEqual(['A']);
+  });
+
+  test('should let a buffer reach into the window from an event outside it', () => {
+    const [block] = computeAvailabilityBlocks({
+      windowStartMs: t(0),
+      windowEndMs: t(15),
+      participants: [{ userId: 'A', events: [{ startMs: t(20), endMs: t(30) }] }],
+      buffers: { default: { beforeMinutes: 10 } }
+    });
+
+    expect(block.busyUserIds).toEqual(['A']);
+    expect(block.bufferOnlyUserIds).toEqual(['A']);
+  });
+
+  test('should keep the buffer at the event\'s blocking level', () => {
+    const result = run([{
+      userId: 'A',
+      events: [{ ...inPersonClass, blockingLevel: BlockingLevel.B1 }]
+    }], { buffers: groupBuffers });
+
+    expect(result[2].softBusyUserIds).toEqual(['A']);
+  });
+
+  test('should match the segment engine with buffers', () => {
+    const args = {
+      windowStartMs: t(0),
+      windowEndMs: t(120),
+      participants: [{ userId: 'A', events: [inPersonClass, onlineMeeting] }],
+      buffers: groupBuffers
+    };
+
+    expect(expandSegments(computeAvailabilitySegments(args))).toEqual(computeAvailabilityBlocks(args));
+  });
+
+  describe('Input Validation', () => {
+    test('should throw error if buffers is not an object', () => {
+      expect(() => run([], { buffers: 'lots' })).toThrow(/buffers must be an object/);
+    });
+
+    test.each([-5, NaN])('should throw error for buffer minutes %p', (afterMinutes) => {
+      expect(() => run([{ userId: 'A', events: [], buffers: { default: { afterMinutes } } }]))
+        .toThrow(/buffer minutes must be non-negative numbers/);
+    });
+
+    test('should validate buffers passed to mergeIntervals', () => {
+      expect(() => mergeIntervals([], { bySource: { x: { beforeMinutes: -1 } } }))
+        .toThrow(/buffer minutes must be non-negative numbers/);
+    });
+  });
+});
+
+// ================================================================
+// Explain mode: which events make a block busy
+// ================================================================
+describe('Explain Mode', () => {
+  const cls = { eventRef: 'cs101', startMs: t(0), endMs: t(30), source: 'in-person' };
+  const gym = { eventRef: 'gym', startMs: t(20), endMs: t(45), source: 'google' };
+  const args = {
+    windowStartMs: t(0),
+    windowEndMs: t(60),
+    participants: [
+      { userId: 'alex', events: [cls, gym] },
+      { userId: 'sam', events: [] }
+    ]
+  };
+
+  test('should not add conflicts unless explain is on', () => {
+    const result = computeAvailabilityBlocks(args);
+
+    result.forEach(b => expect(b).not.toHaveProperty('conflicts'));
+  });
+
+  test('should list the events behind each busy user', () => {
+    const result = computeAvailabilityBlocks({ ...args, explain: true });
+
+    const clsConflict = { ...cls, eventStartMs: t(0), eventEndMs: t(30) };
+    const gymConflict = { ...gym, eventStartMs: t(20), eventEndMs: t(45) };
+    expect(result.map(b => b.conflicts)).toEqual([
+      [{ userId: 'alex', events: [clsConflict] }],
+      [{ userId: 'alex', events: [clsConflict, gymConflict] }],
+      [{ userId: 'alex', events: [gymConflict] }],
+      []
+    ]);
+  });
+
+  test('should keep events that are merged away by a higher blocking level', () => {
+    const result = computeAvailabilityBlocks({
+      windowStartMs: t(0),
+      windowEndMs: t(15),
+      participants: [{
+        userId: 'alex',
+        events: [
+          { eventRef: 'exam', startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B3 },
+          { eventRef: 'club', startMs: t(0), endMs: t(15), blockingLevel: BlockingLevel.B1 }
+        ]
+      }],
+      explain: true
+    });
+
+    expect(result[0].conflicts[0].events.map(e => e.eventRef)).toEqual(['exam', 'club']);
+  });
+
+  test('should attribute buffer-only blocks to their event', () => {
+    const result = computeAvailabilityBlocks({
+      ...args,
+      participants: [{ userId: 'alex', events: [cls] }],
+      buffers: { bySource: { 'in-person': { afterMinutes: 15 } } },
+      explain: true
+    });
+
+    expect(result[2].bufferOnlyUserIds).toEqual(['alex']);
+    expect(result[2].conflicts).toEqual([{
+      userId: 'alex',
+      events: [{ eventRef: 'cs101', source: 'in-person', startMs: t(0), endMs: t(45), eventStartMs: t(0), eventEndMs: t(30) }]
+    }]);
+  });
+
+  test('should report the original event times next to the buffered ones', () => {
+    // the event starts before the window; its buffers reach past both window edges
+    const early = { eventRef: 'lab', startMs: t(-20), endMs: t(10), source: 'in-person' };
+    const bufferedArgs = {
+      windowStartMs: t(0),
+      windowEndMs: t(30),
+      participants: [{ userId: 'alex', events: [early] }],
+      buffers: { bySource: { 'in-person': { beforeMinutes: 15, afterMinutes: 15 } } },
+      explain: true
+    };
+    const conflict = {
+      userId: 'alex',
+      events: [{ ...early, startMs: t(0), endMs: t(25), eventStartMs: t(-20), eventEndMs: t(10) }]
+    };
+
+    const blocks = computeAvailabilityBlocks(bufferedArgs);
+    expect(blocks.map(b => b.bufferOnlyUserIds)).toEqual([[], ['alex']]);
+    expect(blocks.map(b => b.conflicts)).toEqual([[conflict], [conflict]]);
+
+    const segments = computeAvailabilitySegments(bufferedArgs);
+    expect(segments.map(s => s.conflicts)).toEqual([[conflict], [conflict]]);
+    expect(expandSegments(segments)).toEqual(blocks);
+  });
+
+  test('should not explain users who are only outside working hours', () => {
+    const result = computeAvailabilityBlocks({
+      ...args,
+      participants: [{
+        userId: 'alex',
+        events: [],
+        workingHours: { timeZone: 'UTC', weekdays: [{ days: [4], start: '10:30', end: '17:00' }] }
+      }],
+      explain: true
+    });
+
+    expect(result[0].outsideHoursUserIds).toEqual(['alex']);
+    expect(result[0].conflicts).toEqual([]);
+  });
+
+  test('should split segments where the conflicting events change', () => {
+    const segments = computeAvailabilitySegments({ ...args, explain: true });
+
+    // alex is busy for three blocks in a row, but with three different explanations
+    expect(segments.map(s => s.blockCount)).toEqual([1, 1, 1, 1]);
+    expect(expandSegments(segments)).toEqual(computeAvailabilityBlocks({ ...args, explain: true }));
+  });
+
+  test('should not split segments on events when explain is off', () => {
+    const segments = computeAvailabilitySegments(args);
+
+    expect(segments.map(s => s.blockCount)).toEqual([3, 1]);
+  });
+});
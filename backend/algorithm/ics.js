@@ -0,0 +1,811 @@
+// ics.js
+// iCalendar import: VEVENTs from an .ics file -> EventInterval[] for a ParticipantSnapshot.
+// RFC 5545: https://datatracker.ietf.org/doc/html/rfc5545
+//
+// Supported: line folding, TZID (IANA names, or the file's own VTIMEZONE for
+// names like "Eastern Standard Time"), floating and all-day DATE values,
+// DTEND/DURATION, RRULE (FREQ DAILY..YEARLY with INTERVAL, COUNT, UNTIL, BYDAY,
+// BYMONTHDAY, BYMONTH, BYSETPOS, WKST), RDATE, EXDATE, RECURRENCE-ID overrides,
+// TRANSP and STATUS.
+
+import { BlockingLevel } from "./types/algorithm_types.js";
+import { assertTimeZone, zonedTimeToUtc } from "./timezone.js";
+
+/** @typedef {import("./types/algorithm_types.js").UserId} UserId */
+/** @typedef {import("./types/algorithm_types.js").EventInterval} EventInterval */
+
+/**
+ * @typedef {Object} IcsProperty
+ * @property {string} name - upper case
+ * @property {Record<string, string>} params - upper-case keys, unquoted values
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} IcsComponent
+ * @property {string} name - e.g. "VEVENT"
+ * @property {IcsProperty[]} props
+ * @property {IcsComponent[]} components
+ */
+
+/**
+ * Wall-clock date and time (month is 1..12).
+ * @typedef {{year:number, month:number, day:number, hour:number, minute:number, second:number}} LocalParts
+ */
+
+/**
+ * @typedef {Object} IcsZone
+ * @property {string} key - same key = same zone (used for nominal durations)
+ * @property {(local: LocalParts) => number} toUtc
+ */
+
+/**
+ * @typedef {Object} ParsedRule
+ * @property {"DAILY"|"WEEKLY"|"MONTHLY"|"YEARLY"} freq
+ * @property {number} interval
+ * @property {number} count - Infinity when absent
+ * @property {number} untilMs - Infinity when absent
+ * @property {{ordinal:number, weekday:number}[]|null} byDay - ordinal 0 = every
+ * @property {number[]|null} byMonthDay
+ * @property {number[]|null} byMonth
+ * @property {number[]|null} bySetPos
+ * @property {number} weekStart - 0 = Sunday ... 6 = Saturday
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const UTC_ZONE = Object.freeze({ key: "UTC", toUtc: (/** @type {LocalParts} */ p) => localKey(p) });
+
+// ---------------------------------------------------------------
+// Lexing: lines -> properties -> components
+// ---------------------------------------------------------------
+
+/**
+ * Undo line folding (a line starting with a space or tab continues the previous one).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+  /** @type {string[]} */
+  const out = [];
+  for (const line of text.split(/\r\n|\r|\n/)) {
+    if ((line.startsWith(" ") || line.startsWith("\t")) && out.length > 0) {
+      out[out.length - 1] += line.slice(1);
+    } else if (line.length > 0) {
+      out.push(line);
+    }
+  }
+  return out;
+}
+
+/**
+ * NAME;PARAM=a;PARAM="b:c":VALUE  (colons inside quoted params are not separators)
+ * @param {string} line
+ * @returns {IcsProperty}
+ */
+function parseContentLine(line) {
+  let split = -1;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) throw new Error(`Invalid ICS line: ${line}`);
+
+  const head = line.slice(0, split);
+  const nameEnd = head.indexOf(";");
+  /** @type {Record<string, string>} */
+  const params = {};
+  if (nameEnd !== -1) {
+    for (const m of head.slice(nameEnd).matchAll(/;([^=;]+)=("[^"]*"|[^;]*)/g)) {
+      params[/** @type {string} */ (m[1]).toUpperCase()] = /** @type {string} */ (m[2]).replace(/^"|"$/g, "");
+    }
+  }
+  return {
+    name: (nameEnd === -1 ? head : head.slice(0, nameEnd)).toUpperCase(),
+    params,
+    value: line.slice(split + 1),
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {IcsComponent} a synthetic root holding the VCALENDAR(s)
+ */
+function parseComponents(text) {
+  /** @type {IcsComponent} */
+  const root = { name: "ROOT", props: [], components: [] };
+  const stack = [root];
+
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    const current = /** @type {IcsComponent} */ (stack[stack.length - 1]);
+    if (prop.name === "BEGIN") {
+      const child = { name: prop.value.toUpperCase(), props: [], components: [] };
+      current.components.push(child);
+      stack.push(child);
+    } else if (prop.name === "END") {
+      if (stack.length === 1 || current.name !== prop.value.toUpperCase()) {
+        throw new Error(`Unexpected END:${prop.value} in ICS data.`);
+      }
+      stack.pop();
+    } else {
+      current.props.push(prop);
+    }
+  }
+  if (stack.length !== 1) {
+    throw new Error(`Unterminated ${/** @type {IcsComponent} */ (stack[stack.length - 1]).name} in ICS data.`);
+  }
+  return root;
+}
+
+/**
+ * @param {IcsComponent} comp
+ * @param {string} name
+ * @returns {IcsProperty | undefined}
+ */
+const getProp = (comp, name) => comp.props.find((p) => p.name === name);
+
+/**
+ * @param {IcsComponent} comp
+ * @param {string} name
+ * @returns {IcsProperty[]}
+ */
+const getProps = (comp, name) => comp.props.filter((p) => p.name === name);
+
+// ---------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------
+
+/**
+ * Wall-clock parts as if they were UTC: a monotonic key for local times.
+ * @param {LocalParts} p
+ */
+function localKey(p) {
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * Inverse of localKey.
+ * @param {number} key
+ * @returns {LocalParts}
+ */
+function partsFromKey(key) {
+  const d = new Date(key);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    second: d.getUTCSeconds(),
+  };
+}
+
+/**
+ * DATE ("20260105") or DATE-TIME ("20260105T090000", optional trailing "Z").
+ * @param {string} value
+ * @returns {{parts: LocalParts, isDate: boolean, isUtc: boolean}}
+ */
+function parseDateValue(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) throw new Error(`Invalid ICS date value: ${value}`);
+  return {
+    parts: {
+      year: Number(m[1]),
+      month: Number(m[2]),
+      day: Number(m[3]),
+      hour: Number(m[4] ?? 0),
+      minute: Number(m[5] ?? 0),
+      second: Number(m[6] ?? 0),
+    },
+    isDate: m[4] === undefined,
+    isUtc: m[7] === "Z",
+  };
+}
+
+/**
+ * "P1W", "PT1H30M", "P1DT2H" -> wall-clock days plus exact milliseconds.
+ * @param {string} value
+ * @returns {{wallMs:number, exactMs:number}}
+ */
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!m || value.trim().endsWith("P") || value.trim().endsWith("T")) {
+    throw new Error(`Invalid ICS duration: ${value}`);
+  }
+  const sign = m[1] === "-" ? -1 : 1;
+  const days = Number(m[2] ?? 0) * 7 + Number(m[3] ?? 0);
+  const seconds = Number(m[4] ?? 0) * 3600 + Number(m[5] ?? 0) * 60 + Number(m[6] ?? 0);
+  return { wallMs: sign * days * ONE_DAY_MS, exactMs: sign * seconds * 1000 };
+}
+
+/**
+ * "+0530" / "-0500" / "+013000" -> ms
+ * @param {string} value
+ */
+function parseUtcOffset(value) {
+  const m = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(value.trim());
+  if (!m) throw new Error(`Invalid ICS UTC offset: ${value}`);
+  const ms = (Number(m[2]) * 3600 + Number(m[3]) * 60 + Number(m[4] ?? 0)) * 1000;
+  return m[1] === "-" ? -ms : ms;
+}
+
+// ---------------------------------------------------------------
+// Time zones
+// ---------------------------------------------------------------
+
+/**
+ * @param {string} timeZone - IANA name
+ * @returns {IcsZone}
+ */
+function ianaZone(timeZone) {
+  return {
+    key: timeZone,
+    toUtc: (p) => zonedTimeToUtc(p, timeZone) + p.second * 1000,
+  };
+}
+
+/**
+ * A zone defined only by a VTIMEZONE component (e.g. Outlook's "Eastern Standard Time").
+ * Each STANDARD/DAYLIGHT observance starts at DTSTART (local time before the
+ * change, i.e. in TZOFFSETFROM) and repeats per its RRULE/RDATEs.
+ * @param {IcsComponent} vtimezone
+ * @param {string} tzid
+ * @returns {IcsZone}
+ */
+function vtimezoneZone(vtimezone, tzid) {
+  const observances = vtimezone.components
+    .filter((c) => c.name === "STANDARD" || c.name === "DAYLIGHT")
+    .map((c) => {
+      const dtstart = getProp(c, "DTSTART");
+      const from = getProp(c, "TZOFFSETFROM");
+      const to = getProp(c, "TZOFFSETTO");
+      if (!dtstart || !from || !to) {
+        throw new Error(`VTIMEZONE ${tzid} has an observance without DTSTART/TZOFFSETFROM/TZOFFSETTO.`);
+      }
+      const rrule = getProp(c, "RRULE");
+      return {
+        start: parseDateValue(dtstart.value).parts,
+        offsetFromMs: parseUtcOffset(from.value),
+        offsetToMs: parseUtcOffset(to.value),
+        rule: rrule ? parseRule(rrule.value, UTC_ZONE) : null,
+        rdates: getProps(c, "RDATE").flatMap((p) => p.value.split(",").map((v) => parseDateValue(v).parts)),
+      };
+    });
+  if (observances.length === 0) {
+    throw new Error(`VTIMEZONE ${tzid} has no STANDARD or DAYLIGHT observance.`);
+  }
+
+  /** @type {Map<number, {atMs:number, offsetMs:number}[]>} */
+  const transitionsByYear = new Map();
+
+  /**
+   * Offset changes (UTC instants) from the start of year-1 to the end of year.
+   * @param {number} year
+   */
+  const transitionsAround = (year) => {
+    let list = transitionsByYear.get(year);
+    if (!list) {
+      const fromKey = Date.UTC(year - 1, 0, 1);
+      const toKey = Date.UTC(year + 1, 0, 1);
+      list = [];
+      for (const o of observances) {
+        const onsets = o.rule
+          ? expandRule(o.rule, o.start, UTC_ZONE, fromKey, toKey).map((occ) => occ.startMs)
+          : [localKey(o.start)];
+        for (const rdate of o.rdates) onsets.push(localKey(rdate));
+        for (const key of onsets) {
+          if (key >= fromKey && key < toKey) list.push({ atMs: key - o.offsetFromMs, offsetMs: o.offsetToMs });
+        }
+      }
+      list.sort((a, b) => a.atMs - b.atMs);
+      transitionsByYear.set(year, list);
+    }
+    return list;
+  };
+
+  // Before any known transition: the earliest observance's "from" offset.
+  const earliest = observances.reduce((a, b) => (localKey(b.start) < localKey(a.start) ? b : a));
+
+  /** @param {number} ms */
+  const offsetAt = (ms) => {
+    let offset = null;
+    for (const t of transitionsAround(new Date(ms).getUTCFullYear())) {
+      if (t.atMs <= ms) offset = t.offsetMs;
+    }
+    return offset ?? (ms < localKey(earliest.start) - earliest.offsetFromMs ? earliest.offsetFromMs : earliest.offsetToMs);
+  };
+
+  return {
+    key: `vtimezone:${tzid}`,
+    // Same DST rules as zonedTimeToUtc: skipped times move forward, repeated times take the earlier instant.
+    toUtc: (p) => {
+      const key = localKey(p);
+      const valid = [key - offsetAt(key - ONE_DAY_MS), key - offsetAt(key + ONE_DAY_MS)]
+        .filter((c) => offsetAt(c) === key - c)
+        .sort((a, b) => a - b);
+      return valid[0] ?? key - offsetAt(key - ONE_DAY_MS);
+    },
+  };
+}
+
+/**
+ * Looks up TZIDs: IANA names via Intl first, then the file's VTIMEZONEs.
+ * @param {Map<string, IcsComponent>} vtimezones
+ * @param {IcsZone} floatingZone - for values without TZID or "Z"
+ */
+function createZoneResolver(vtimezones, floatingZone) {
+  /** @type {Map<string, IcsZone>} */
+  const cache = new Map();
+
+  /**
+   * @param {IcsProperty} prop - a date property (its TZID param decides the zone)
+   * @param {{isDate: boolean, isUtc: boolean}} value
+   * @returns {IcsZone}
+   */
+  return (prop, { isDate, isUtc }) => {
+    if (isUtc) return UTC_ZONE;
+    // DATE values have no time zone: all-day events are local days
+    if (isDate) return floatingZone;
+    const tzid = prop.params.TZID?.replace(/^\//, "");
+    if (!tzid) return floatingZone;
+
+    let zone = cache.get(tzid);
+    if (!zone) {
+      const vtimezone = vtimezones.get(tzid);
+      try {
+        assertTimeZone(tzid);
+        zone = ianaZone(tzid);
+      } catch {
+        if (!vtimezone) throw new Error(`Unknown TZID: ${tzid} (not an IANA zone and no VTIMEZONE given).`);
+        zone = vtimezoneZone(vtimezone, tzid);
+      }
+      cache.set(tzid, zone);
+    }
+    return zone;
+  };
+}
+
+// ---------------------------------------------------------------
+// Recurrence rules
+// ---------------------------------------------------------------
+
+/**
+ * @param {string} list - comma separated integers
+ * @param {string} part
+ * @param {number} limit - allowed absolute range 1..limit
+ * @param {boolean} [allowNegative=true] - negative values count from the end
+ */
+function parseIntList(list, part, limit, allowNegative = true) {
+  return list.split(",").map((s) => {
+    const n = Number(s);
+    if (!Number.isInteger(n) || n === 0 || Math.abs(n) > limit || (n < 0 && !allowNegative)) {
+      throw new Error(`Invalid RRULE ${part}: ${list}`);
+    }
+    return n;
+  });
+}
+
+/**
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260301T000000Z"
+ * @param {IcsZone} zone - for a floating or DATE UNTIL
+ * @returns {ParsedRule}
+ */
+function parseRule(value, zone) {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const kv of value.split(";")) {
+    const [k, v = ""] = kv.split("=");
+    if (k) parts[k.toUpperCase()] = v.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (freq !== "DAILY" && freq !== "WEEKLY" && freq !== "MONTHLY" && freq !== "YEARLY") {
+    throw new Error(`Unsupported RRULE FREQ: ${freq}`);
+  }
+  for (const unsupported of ["BYSECOND", "BYMINUTE", "BYHOUR", "BYYEARDAY", "BYWEEKNO"]) {
+    if (unsupported in parts) throw new Error(`Unsupported RRULE part: ${unsupported}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval <= 0) throw new Error(`Invalid RRULE INTERVAL: ${parts.INTERVAL}`);
+  const count = parts.COUNT === undefined ? Infinity : Number(parts.COUNT);
+  if (count !== Infinity && (!Number.isInteger(count) || count <= 0)) {
+    throw new Error(`Invalid RRULE COUNT: ${parts.COUNT}`);
+  }
+
+  let untilMs = Infinity;
+  if (parts.UNTIL !== undefined) {
+    const until = parseDateValue(parts.UNTIL);
+    if (until.isUtc) untilMs = localKey(until.parts);
+    // a DATE UNTIL includes that whole day
+    else if (until.isDate) untilMs = zone.toUtc({ ...until.parts, day: until.parts.day + 1 }) - 1;
+    else untilMs = zone.toUtc(until.parts);
+  }
+
+  const byDay = parts.BYDAY === undefined ? null : parts.BYDAY.split(",").map((s) => {
+    const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(s);
+    if (!m) throw new Error(`Invalid RRULE BYDAY: ${parts.BYDAY}`);
+    return { ordinal: Number(m[1] ?? 0), weekday: WEEKDAY_CODES.indexOf(/** @type {string} */ (m[2])) };
+  });
+
+  const weekStart = WEEKDAY_CODES.indexOf(parts.WKST ?? "MO");
+  if (weekStart === -1) throw new Error(`Invalid RRULE WKST: ${parts.WKST}`);
+
+  return {
+    freq,
+    interval,
+    count,
+    untilMs,
+    byDay,
+    byMonthDay: parts.BYMONTHDAY === undefined ? null : parseIntList(parts.BYMONTHDAY, "BYMONTHDAY", 31),
+    byMonth: parts.BYMONTH === undefined ? null : parseIntList(parts.BYMONTH, "BYMONTH", 12, false),
+    bySetPos: parts.BYSETPOS === undefined ? null : parseIntList(parts.BYSETPOS, "BYSETPOS", 366),
+    weekStart,
+  };
+}
+
+/**
+ * Day keys (Date.UTC at midnight) of every day in a month.
+ * @param {number} year
+ * @param {number} month - 1..12
+ */
+function daysOfMonth(year, month) {
+  const count = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return Array.from({ length: count }, (_, i) => Date.UTC(year, month - 1, i + 1));
+}
+
+/**
+ * Keep the days matching BYDAY. Ordinals ("2MO", "-1FR") count within `days`.
+ * @param {number[]} days - sorted day keys
+ * @param {{ordinal:number, weekday:number}[]} byDay
+ */
+function filterByDay(days, byDay) {
+  /** @type {Set<number>} */
+  const keep = new Set();
+  for (const { ordinal, weekday } of byDay) {
+    const matching = days.filter((d) => new Date(d).getUTCDay() === weekday);
+    if (ordinal === 0) matching.forEach((d) => keep.add(d));
+    else {
+      const d = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (d !== undefined) keep.add(d);
+    }
+  }
+  return days.filter((d) => keep.has(d));
+}
+
+/**
+ * @param {number[]} days
+ * @param {number[]} byMonthDay - negative counts from the end of the month
+ */
+function filterByMonthDay(days, byMonthDay) {
+  return days.filter((d) => {
+    const date = new Date(d);
+    const dayOfMonth = date.getUTCDate();
+    const monthLength = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    return byMonthDay.some((n) => (n > 0 ? n === dayOfMonth : monthLength + n + 1 === dayOfMonth));
+  });
+}
+
+/**
+ * Candidate days of one month for MONTHLY (and YEARLY with BYMONTH).
+ * @param {number} year
+ * @param {number} month
+ * @param {ParsedRule} rule
+ * @param {LocalParts} start
+ */
+function monthCandidates(year, month, rule, start) {
+  let days = daysOfMonth(year, month);
+  if (rule.byMonthDay) days = filterByMonthDay(days, rule.byMonthDay);
+  if (rule.byDay) days = filterByDay(days, rule.byDay);
+  if (!rule.byMonthDay && !rule.byDay) days = days.filter((d) => new Date(d).getUTCDate() === start.day);
+  return days;
+}
+
+/**
+ * Candidate days (sorted day keys) of the n-th period of a rule.
+ * @param {ParsedRule} rule
+ * @param {LocalParts} start
+ * @param {number} n
+ * @returns {{days:number[], periodStartKey:number}}
+ */
+function periodCandidates(rule, start, n) {
+  const step = n * rule.interval;
+  /** @type {number[]} */
+  let days;
+  let periodStartKey;
+
+  if (rule.freq === "DAILY") {
+    periodStartKey = Date.UTC(start.year, start.month - 1, start.day + step);
+    days = [periodStartKey];
+    if (rule.byMonthDay) days = filterByMonthDay(days, rule.byMonthDay);
+    if (rule.byDay) days = filterByDay(days, rule.byDay);
+  } else if (rule.freq === "WEEKLY") {
+    const startWeekday = new Date(Date.UTC(start.year, start.month - 1, start.day)).getUTCDay();
+    const back = (startWeekday - rule.weekStart + 7) % 7;
+    periodStartKey = Date.UTC(start.year, start.month - 1, start.day - back + step * 7);
+    const week = Array.from({ length: 7 }, (_, i) => periodStartKey + i * ONE_DAY_MS);
+    const weekdays = rule.byDay ? rule.byDay.map((d) => d.weekday) : [startWeekday];
+    days = week.filter((d) => weekdays.includes(new Date(d).getUTCDay()));
+  } else if (rule.freq === "MONTHLY") {
+    periodStartKey = Date.UTC(start.year, start.month - 1 + step, 1);
+    const first = new Date(periodStartKey);
+    days = monthCandidates(first.getUTCFullYear(), first.getUTCMonth() + 1, rule, start);
+  } else {
+    const year = start.year + step;
+    periodStartKey = Date.UTC(year, 0, 1);
+    if (rule.byMonth) {
+      days = rule.byMonth.slice().sort((a, b) => a - b).flatMap((m) => monthCandidates(year, m, rule, start));
+    } else if (rule.byDay) {
+      // ordinals count within the whole year here
+      const yearDays = Array.from({ length: 12 }, (_, i) => daysOfMonth(year, i + 1)).flat();
+      days = filterByDay(yearDays, rule.byDay);
+      if (rule.byMonthDay) days = filterByMonthDay(days, rule.byMonthDay);
+    } else if (rule.byMonthDay) {
+      days = Array.from({ length: 12 }, (_, i) => monthCandidates(year, i + 1, rule, start)).flat();
+    } else {
+      days = monthCandidates(year, start.month, rule, start);
+    }
+  }
+
+  if (rule.byMonth && rule.freq !== "YEARLY") {
+    const months = rule.byMonth;
+    days = days.filter((d) => months.includes(new Date(d).getUTCMonth() + 1));
+  }
+  if (rule.bySetPos) {
+    const all = days;
+    days = rule.bySetPos
+      .map((pos) => (pos > 0 ? all[pos - 1] : all[all.length + pos]))
+      .filter((d) => d !== undefined)
+      .sort((a, b) => /** @type {number} */ (a) - /** @type {number} */ (b));
+    days = [...new Set(days)];
+  }
+  return { days, periodStartKey };
+}
+
+/**
+ * Occurrences of a rule with fromMs <= start < toMs. DTSTART is always the
+ * first occurrence (and counts towards COUNT), as RFC 5545 requires.
+ * @param {ParsedRule} rule
+ * @param {LocalParts} start
+ * @param {IcsZone} zone
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {{parts: LocalParts, startMs: number}[]}
+ */
+function expandRule(rule, start, zone, fromMs, toMs) {
+  /** @type {{parts: LocalParts, startMs: number}[]} */
+  const out = [];
+  const startKey = localKey(start);
+  const timeOfDayMs = startKey - Date.UTC(start.year, start.month - 1, start.day);
+
+  let count = 0;
+  /**
+   * @param {LocalParts} parts
+   * @returns {boolean} false once the rule is exhausted or past the window
+   */
+  const take = (parts) => {
+    const startMs = zone.toUtc(parts);
+    if (startMs > rule.untilMs || startMs >= toMs) return false;
+    count++;
+    if (startMs >= fromMs) out.push({ parts, startMs });
+    return count < rule.count;
+  };
+
+  if (!take(start)) return out;
+  // stop once a whole period lies past the window (2 days covers any UTC offset)
+  for (
+    let n = 0, period = periodCandidates(rule, start, 0);
+    period.periodStartKey - 2 * ONE_DAY_MS <= toMs;
+    period = periodCandidates(rule, start, ++n)
+  ) {
+    for (const day of period.days) {
+      const key = day + timeOfDayMs;
+      if (key <= startKey) continue;
+      if (!take(partsFromKey(key))) return out;
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------
+
+/**
+ * @typedef {Object} IcsImportOptions
+ * @property {UserId} userId - copied onto every EventInterval
+ * @property {number} windowStartMs - only events overlapping the window are returned
+ * @property {number} windowEndMs
+ * @property {string} [timeZone] - IANA zone for floating times and all-day events;
+ *   defaults to the calendar's X-WR-TIMEZONE, then "UTC"
+ * @property {string} [source="ics"]
+ * @property {string} [blockingLevel=BlockingLevel.B3] - for confirmed events
+ * @property {string} [tentativeBlockingLevel=BlockingLevel.B1] - for STATUS:TENTATIVE
+ */
+
+/**
+ * Parse an .ics file into busy intervals for one participant.
+ *
+ * Recurring events are expanded inside the window (RRULE plus RDATE, minus
+ * EXDATE); a VEVENT with a RECURRENCE-ID replaces that one occurrence.
+ * TRANSP:TRANSPARENT and STATUS:CANCELLED events are left out. All-day events
+ * cover whole local days in `timeZone`.
+ *
+ * eventRef is the UID, plus "#<ISO start>" for occurrences of recurring events.
+ *
+ * @param {string} text - .ics file contents
+ * @param {IcsImportOptions} options
+ * @returns {EventInterval[]} sorted by startMs
+ */
+export function parseIcsEvents(text, {
+  userId,
+  windowStartMs,
+  windowEndMs,
+  timeZone,
+  source = "ics",
+  blockingLevel = BlockingLevel.B3,
+  tentativeBlockingLevel = BlockingLevel.B1,
+}) {
+  if (typeof text !== "string") {
+    throw new Error("ICS text must be a string.");
+  }
+  if (!Number.isFinite(windowStartMs) || !Number.isFinite(windowEndMs)) {
+    throw new Error("windowStartMs/windowEndMs must be numbers (epoch ms).");
+  }
+  if (windowEndMs <= windowStartMs) {
+    throw new Error("windowEndMs must be > windowStartMs.");
+  }
+
+  const calendars = parseComponents(text).components.filter((c) => c.name === "VCALENDAR");
+  if (calendars.length === 0) throw new Error("No VCALENDAR found in ICS data.");
+
+  /** @type {EventInterval[]} */
+  const out = [];
+
+  for (const calendar of calendars) {
+    const floatingTimeZone = timeZone ?? getProp(calendar, "X-WR-TIMEZONE")?.value ?? "UTC";
+    assertTimeZone(floatingTimeZone);
+
+    /** @type {Map<string, IcsComponent>} */
+    const vtimezones = new Map();
+    for (const c of calendar.components) {
+      const tzid = c.name === "VTIMEZONE" ? getProp(c, "TZID")?.value : undefined;
+      if (tzid) vtimezones.set(tzid.replace(/^\//, ""), c);
+    }
+    const resolveZone = createZoneResolver(vtimezones, ianaZone(floatingTimeZone));
+
+    /**
+     * @param {IcsProperty} prop
+     * @param {string} value - one of possibly several comma-separated values
+     */
+    const toInstant = (prop, value) => {
+      const parsed = parseDateValue(value);
+      const zone = resolveZone(prop, parsed);
+      return { ...parsed, zone, ms: zone.toUtc(parsed.parts) };
+    };
+
+    const vevents = calendar.components.filter((c) => c.name === "VEVENT");
+
+    // RECURRENCE-ID overrides: uid -> replaced occurrence starts
+    /** @type {Map<string, Set<number>>} */
+    const overridden = new Map();
+    for (const ev of vevents) {
+      const uid = getProp(ev, "UID")?.value;
+      const rid = getProp(ev, "RECURRENCE-ID");
+      if (uid !== undefined && rid) {
+        const set = overridden.get(uid) ?? new Set();
+        set.add(toInstant(rid, rid.value).ms);
+        overridden.set(uid, set);
+      }
+    }
+
+    vevents.forEach((ev, index) => {
+      const dtstartProp = getProp(ev, "DTSTART");
+      if (!dtstartProp) throw new Error("VEVENT is missing DTSTART.");
+      const uid = getProp(ev, "UID")?.value ?? `ics-${index}`;
+
+      const start = toInstant(dtstartProp, dtstartProp.value);
+      const { zone, ms: startMs } = start;
+
+      // Length, applied to every occurrence: wall-clock part first, then exact part.
+      const dtendProp = getProp(ev, "DTEND");
+      const durationProp = getProp(ev, "DURATION");
+      /** @type {{wallMs:number, exactMs:number}} */
+      let length;
+      if (dtendProp) {
+        const end = toInstant(dtendProp, dtendProp.value);
+        length = end.isDate || end.zone.key === zone.key
+          ? { wallMs: localKey(end.parts) - localKey(start.parts), exactMs: 0 }
+          : { wallMs: 0, exactMs: end.ms - startMs };
+      } else if (durationProp) {
+        length = parseDuration(durationProp.value);
+      } else {
+        length = { wallMs: start.isDate ? ONE_DAY_MS : 0, exactMs: 0 };
+      }
+      /** @param {LocalParts} parts */
+      const endOf = (parts) => zone.toUtc(partsFromKey(localKey(parts) + length.wallMs)) + length.exactMs;
+
+      const transparent = getProp(ev, "TRANSP")?.value.toUpperCase() === "TRANSPARENT";
+      const status = getProp(ev, "STATUS")?.value.toUpperCase();
+      if (transparent || status === "CANCELLED") return;
+      const level = status === "TENTATIVE" ? tentativeBlockingLevel : blockingLevel;
+
+      const rrule = getProp(ev, "RRULE");
+      const rdates = getProps(ev, "RDATE");
+      const isOverride = getProp(ev, "RECURRENCE-ID") !== undefined;
+      const isRecurring = !isOverride && (rrule !== undefined || rdates.length > 0);
+
+      /** @type {{startMs:number, endMs:number}[]} */
+      const occurrences = [];
+      if (!isRecurring) {
+        occurrences.push({ startMs, endMs: endOf(start.parts) });
+      } else {
+        // look back far enough to catch occurrences that started before the window
+        const lookbackMs = Math.max(0, endOf(start.parts) - startMs) + ONE_DAY_MS;
+        const fromMs = windowStartMs - lookbackMs;
+        const expanded = rrule
+          ? expandRule(parseRule(rrule.value, zone), start.parts, zone, fromMs, windowEndMs)
+          : [{ parts: start.parts, startMs }];
+        for (const occ of expanded) occurrences.push({ startMs: occ.startMs, endMs: endOf(occ.parts) });
+
+        for (const prop of rdates) {
+          for (const value of prop.value.split(",")) {
+            const [first = "", second] = value.split("/");
+            const rdate = toInstant(prop, first);
+            let endMs = rdate.zone.key === zone.key ? endOf(rdate.parts) : rdate.ms + endOf(start.parts) - startMs;
+            // VALUE=PERIOD: "start/end" or "start/duration"
+            if (second !== undefined) {
+              if (second.startsWith("P")) {
+                const d = parseDuration(second);
+                endMs = rdate.zone.toUtc(partsFromKey(localKey(rdate.parts) + d.wallMs)) + d.exactMs;
+              } else {
+                endMs = toInstant(prop, second).ms;
+              }
+            }
+            occurrences.push({ startMs: rdate.ms, endMs });
+          }
+        }
+
+        /** @type {Set<number>} */
+        const excluded = new Set(overridden.get(uid));
+        for (const prop of getProps(ev, "EXDATE")) {
+          for (const value of prop.value.split(",")) {
+            excluded.add(toInstant(prop, value).ms);
+          }
+        }
+
+        /** @type {Set<number>} */
+        const seen = new Set();
+        for (let i = occurrences.length - 1; i >= 0; i--) {
+          const occ = /** @type {{startMs:number}} */ (occurrences[i]);
+          if (excluded.has(occ.startMs) || seen.has(occ.startMs)) occurrences.splice(i, 1);
+          else seen.add(occ.startMs);
+        }
+      }
+
+      // Overrides are refs for the occurrence they replace.
+      const ridProp = getProp(ev, "RECURRENCE-ID");
+      const ridMs = ridProp ? toInstant(ridProp, ridProp.value).ms : null;
+
+      for (const occ of occurrences) {
+        if (occ.endMs <= occ.startMs || occ.endMs <= windowStartMs || occ.startMs >= windowEndMs) continue;
+        const instanceMs = ridMs ?? (isRecurring ? occ.startMs : null);
+        out.push({
+          eventRef: instanceMs === null ? uid : `${uid}#${new Date(instanceMs).toISOString()}`,
+          userId,
+          startMs: occ.startMs,
+          endMs: occ.endMs,
+          source,
+          blockingLevel: level,
+        });
+      }
+    });
+  }
+
+  return out.sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs);
+}
@@ -0,0 +1,373 @@
+// ics.test.js
+import fs from 'fs';
+import path from 'path';
+import { parseIcsEvents } from './ics';
+import { computeAvailabilityBlocks } from './algorithm';
+import { BlockingLevel } from './types/algorithm_types';
+
+const ONE_HOUR = 60 * 60 * 1000;
+const ONE_DAY = 24 * ONE_HOUR;
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'AI_ics_test', name), 'utf8');
+
+// Wrap VEVENT lines into a calendar
+const cal = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+const vevent = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'].join('\r\n');
+
+// Whole of 2026 unless a test narrows it
+const YEAR = { userId: 'u1', windowStartMs: Date.UTC(2026, 0, 1), windowEndMs: Date.UTC(2027, 0, 1) };
+const starts = (events) => events.map(e => new Date(e.startMs).toISOString());
+
+describe('ICS import', () => {
+  describe('fixtures', () => {
+    test('should read the synthetic UTC calendar like the old parser', () => {
+      const events = parseIcsEvents(fixture('calendar_A.ics'), {
+        userId: 'A',
+        windowStartMs: Date.UTC(2026, 0, 5),
+        windowEndMs: Date.UTC(2026, 0, 12)
+      });
+
+      expect(events).toHaveLength(12);
+      expect(events[0]).toEqual({
+        eventRef: 'A-0@dags',
+        userId: 'A',
+        startMs: Date.UTC(2026, 0, 5, 9),
+        endMs: Date.UTC(2026, 0, 5, 10, 30),
+        source: 'ics',
+        blockingLevel: BlockingLevel.B3
+      });
+      expect(events[11].endMs).toBe(Date.UTC(2026, 0, 9, 15, 30));
+    });
+
+    describe('Google export', () => {
+      // March 2026 in New York; DST starts Sunday March 8
+      const events = parseIcsEvents(fixture('google_export.ics'), {
+        userId: 'sam',
+        windowStartMs: Date.UTC(2026, 2, 1, 5),
+        windowEndMs: Date.UTC(2026, 4, 1, 4),
+        source: 'google'
+      });
+      const byUid = (uid) => events.filter(e => e.eventRef.startsWith(uid));
+
+      test('should expand the weekly rule across DST with EXDATE, RDATE and overrides', () => {
+        expect(byUid('standup@google.com').map(e => [e.eventRef, e.startMs, e.endMs])).toEqual([
+          ['standup@google.com#2026-03-02T14:00:00.000Z', Date.UTC(2026, 2, 2, 14), Date.UTC(2026, 2, 2, 14, 30)],
+          // RDATE (Friday), 15:00 EST
+          ['standup@google.com#2026-03-06T20:00:00.000Z', Date.UTC(2026, 2, 6, 20), Date.UTC(2026, 2, 6, 20, 30)],
+          // moved from 09:00 to 11:00 EDT; the ref keeps the original occurrence
+          ['standup@google.com#2026-03-09T13:00:00.000Z', Date.UTC(2026, 2, 9, 15), Date.UTC(2026, 2, 9, 15, 30)],
+          // March 4 is an EXDATE and March 11 a cancelled override; 09:00 EDT is 13:00Z
+          ['standup@google.com#2026-03-16T13:00:00.000Z', Date.UTC(2026, 2, 16, 13), Date.UTC(2026, 2, 16, 13, 30)],
+          ['standup@google.com#2026-03-18T13:00:00.000Z', Date.UTC(2026, 2, 18, 13), Date.UTC(2026, 2, 18, 13, 30)]
+        ]);
+      });
+
+      test('should cover the whole local day for all-day events', () => {
+        expect(byUid('offsite@google.com')).toEqual([expect.objectContaining({
+          eventRef: 'offsite@google.com',
+          startMs: Date.UTC(2026, 2, 10, 4),
+          endMs: Date.UTC(2026, 2, 11, 4)
+        })]);
+      });
+
+      test('should skip transparent and cancelled events', () => {
+        expect(byUid('birthday@google.com')).toEqual([]);
+        expect(byUid('dinner@google.com')).toEqual([]);
+      });
+
+      test('should import tentative events at the tentative blocking level', () => {
+        expect(byUid('coffee@google.com')).toEqual([expect.objectContaining({
+          startMs: Date.UTC(2026, 2, 5, 20),
+          blockingLevel: BlockingLevel.B1,
+          source: 'google'
+        })]);
+      });
+
+      test('should expand a last-Friday monthly rule until UNTIL', () => {
+        expect(starts(byUid('retro@google.com'))).toEqual([
+          '2026-03-27T20:00:00.000Z',
+          '2026-04-24T20:00:00.000Z'
+        ]);
+      });
+
+      test('should return events sorted by start', () => {
+        const sorted = [...events].sort((a, b) => a.startMs - b.startMs);
+        expect(events).toEqual(sorted);
+      });
+    });
+
+    test('should use the VTIMEZONE for non-IANA TZIDs (Outlook export)', () => {
+      const events = parseIcsEvents(fixture('outlook_export.ics'), {
+        userId: 'alex',
+        windowStartMs: Date.UTC(2026, 2, 1, 5),
+        windowEndMs: Date.UTC(2026, 2, 15, 4)
+      });
+
+      expect(events.map(e => [e.eventRef.slice(0, 12), e.startMs, e.endMs])).toEqual([
+        ['office-hours', Date.UTC(2026, 2, 2, 18), Date.UTC(2026, 2, 2, 19)],
+        ['office-hours', Date.UTC(2026, 2, 4, 18), Date.UTC(2026, 2, 4, 19)],
+        ['040000008200', Date.UTC(2026, 2, 6, 15), Date.UTC(2026, 2, 6, 16)],
+        ['office-hours', Date.UTC(2026, 2, 6, 18), Date.UTC(2026, 2, 6, 19)],
+        // after the change to EDT: 10:00 local is 14:00Z
+        ['040000008200', Date.UTC(2026, 2, 13, 14), Date.UTC(2026, 2, 13, 15)]
+      ]);
+    });
+
+    test('should shift a time skipped by a VTIMEZONE change forward', () => {
+      // 02:30 does not exist in New York on March 8; like zonedTimeToUtc it becomes 03:30 EDT
+      const text = fixture('outlook_export.ics').replace(
+        'DTSTART;TZID="Eastern Standard Time":20260306T100000',
+        'DTSTART;TZID="Eastern Standard Time":20260308T023000'
+      );
+      const events = parseIcsEvents(text, {
+        userId: 'alex',
+        windowStartMs: Date.UTC(2026, 2, 8),
+        windowEndMs: Date.UTC(2026, 2, 9)
+      });
+
+      expect(events[0].startMs).toBe(Date.UTC(2026, 2, 8, 7, 30));
+    });
+
+    test('should feed computeAvailabilityBlocks directly', () => {
+      const window = { windowStartMs: Date.UTC(2026, 0, 5, 9), windowEndMs: Date.UTC(2026, 0, 5, 11) };
+      const blocks = computeAvailabilityBlocks({
+        ...window,
+        participants: [{ userId: 'A', events: parseIcsEvents(fixture('calendar_A.ics'), { userId: 'A', ...window }) }]
+      });
+
+      // A-0 is 09:00-10:30Z
+      expect(blocks.map(b => b.busyCount)).toEqual([1, 1, 1, 1, 1, 1, 0, 0]);
+    });
+  });
+
+  describe('values', () => {
+    test('should read floating times in the given time zone', () => {
+      const events = parseIcsEvents(cal(vevent('UID:f', 'DTSTART:20260105T090000', 'DTEND:20260105T100000')), {
+        ...YEAR,
+        timeZone: 'Europe/Berlin'
+      });
+
+      expect(events[0].startMs).toBe(Date.UTC(2026, 0, 5, 8));
+    });
+
+    test('should default floating times to UTC', () => {
+      const events = parseIcsEvents(cal(vevent('UID:f', 'DTSTART:20260105T090000', 'DTEND:20260105T100000')), YEAR);
+
+      expect(events[0].startMs).toBe(Date.UTC(2026, 0, 5, 9));
+    });
+
+    test('should treat an all-day event without DTEND as one day', () => {
+      const events = parseIcsEvents(cal(vevent('UID:d', 'DTSTART;VALUE=DATE:20260105')), YEAR);
+
+      expect(events[0].endMs - events[0].startMs).toBe(ONE_DAY);
+    });
+
+    test('should skip a DATE-TIME event without DTEND or DURATION (zero length)', () => {
+      expect(parseIcsEvents(cal(vevent('UID:z', 'DTSTART:20260105T090000Z')), YEAR)).toEqual([]);
+    });
+
+    test('should apply DURATION days on the wall clock and hours exactly', () => {
+      // Saturday 12:00 EST + 1 day 1 hour = Sunday 13:00 EDT (DST starts in between)
+      const events = parseIcsEvents(cal(vevent(
+        'UID:dur',
+        'DTSTART;TZID=America/New_York:20260307T120000',
+        'DURATION:P1DT1H'
+      )), YEAR);
+
+      expect(events[0].endMs).toBe(Date.UTC(2026, 2, 8, 17));
+    });
+
+    test('should use exact length when DTSTART and DTEND are in different zones', () => {
+      const events = parseIcsEvents(cal(vevent(
+        'UID:flight',
+        'DTSTART;TZID=America/New_York:20260105T180000',
+        'DTEND;TZID=Europe/London:20260106T060000',
+        'RRULE:FREQ=DAILY;COUNT=2'
+      )), YEAR);
+
+      expect(events.map(e => e.endMs - e.startMs)).toEqual([7 * ONE_HOUR, 7 * ONE_HOUR]);
+    });
+
+    test('should unquote parameters and accept a leading slash in TZID', () => {
+      const events = parseIcsEvents(cal(vevent(
+        'UID:q',
+        'DTSTART;X-NOTE="a:b;c";TZID=/Europe/Paris:20260105T090000',
+        'DTEND;TZID="Europe/Paris":20260105T100000'
+      )), YEAR);
+
+      expect(events[0]).toMatchObject({ startMs: Date.UTC(2026, 0, 5, 8), endMs: Date.UTC(2026, 0, 5, 9) });
+    });
+
+    test('should only return events overlapping the window', () => {
+      const events = parseIcsEvents(cal(
+        vevent('UID:before', 'DTSTART:20260104T220000Z', 'DTEND:20260105T000000Z'),
+        vevent('UID:across', 'DTSTART:20260104T230000Z', 'DTEND:20260105T010000Z'),
+        vevent('UID:after', 'DTSTART:20260106T000000Z', 'DTEND:20260106T010000Z')
+      ), { userId: 'u1', windowStartMs: Date.UTC(2026, 0, 5), windowEndMs: Date.UTC(2026, 0, 6) });
+
+      expect(events.map(e => e.eventRef)).toEqual(['across']);
+    });
+
+    test('should skip events with a negative DURATION', () => {
+      expect(parseIcsEvents(cal(vevent('UID:n', 'DTSTART:20260105T090000Z', 'DURATION:-PT1H')), YEAR)).toEqual([]);
+    });
+
+    test('should order events with the same start by end', () => {
+      const events = parseIcsEvents(cal(
+        vevent('UID:long', 'DTSTART:20260105T090000Z', 'DTEND:20260105T110000Z'),
+        vevent('UID:short', 'DTSTART:20260105T090000Z', 'DTEND:20260105T100000Z')
+      ), YEAR);
+
+      expect(events.map(e => e.eventRef)).toEqual(['short', 'long']);
+    });
+
+    test('should generate refs for events without UID', () => {
+      const events = parseIcsEvents(cal(vevent('DTSTART:20260105T090000Z', 'DTEND:20260105T100000Z')), YEAR);
+
+      expect(events[0].eventRef).toBe('ics-0');
+    });
+  });
+
+  describe('recurrence', () => {
+    const expand = (rrule, dtstart = 'DTSTART:20260105T090000Z', ...extra) => starts(parseIcsEvents(cal(vevent(
+      'UID:r', dtstart, 'DURATION:PT30M', `RRULE:${rrule}`, ...extra
+    )), YEAR)).map(s => s.slice(0, 10));
+
+    test.each([
+      ['FREQ=DAILY;COUNT=3', ['2026-01-05', '2026-01-06', '2026-01-07']],
+      ['FREQ=DAILY;INTERVAL=3;COUNT=3', ['2026-01-05', '2026-01-08', '2026-01-11']],
+      ['FREQ=DAILY;BYDAY=MO,FR;COUNT=3', ['2026-01-05', '2026-01-09', '2026-01-12']],
+      ['FREQ=DAILY;BYMONTHDAY=1,-1;BYMONTH=2;COUNT=3', ['2026-01-05', '2026-02-01', '2026-02-28']],
+      ['FREQ=WEEKLY;COUNT=3', ['2026-01-05', '2026-01-12', '2026-01-19']],
+      ['FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=4', ['2026-01-05', '2026-01-06', '2026-01-08', '2026-01-20']],
+      ['FREQ=WEEKLY;UNTIL=20260119;COUNT=10', ['2026-01-05', '2026-01-12', '2026-01-19']],
+      ['FREQ=MONTHLY;COUNT=3', ['2026-01-05', '2026-02-05', '2026-03-05']],
+      ['FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', ['2026-01-05', '2026-01-31', '2026-02-28']],
+      ['FREQ=MONTHLY;BYDAY=2TU;COUNT=3', ['2026-01-05', '2026-01-13', '2026-02-10']],
+      ['FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3', ['2026-01-05', '2026-01-30', '2026-02-27']],
+      ['FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1,2;COUNT=3', ['2026-01-05', '2026-02-02', '2026-02-03']],
+      ['FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30', ['2026-01-05']],
+      ['FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=2', ['2026-01-05', '2026-02-13']],
+      ['FREQ=MONTHLY;BYMONTH=6,12;COUNT=3', ['2026-01-05', '2026-06-05', '2026-12-05']],
+      ['FREQ=YEARLY;COUNT=2', ['2026-01-05']],
+      ['FREQ=YEARLY;BYMONTH=3;BYDAY=2SU', ['2026-01-05', '2026-03-08']],
+      ['FREQ=YEARLY;BYDAY=20MO', ['2026-01-05', '2026-05-18']],
+      ['FREQ=YEARLY;BYMONTHDAY=15;BYDAY=MO', ['2026-01-05', '2026-06-15']],
+      ['FREQ=YEARLY;BYMONTHDAY=-1;COUNT=3', ['2026-01-05', '2026-01-31', '2026-02-28']]
+    ])('%s', (rrule, expected) => {
+      expect(expand(rrule)).toEqual(expected);
+    });
+
+    test('should skip invalid dates instead of rolling them over', () => {
+      expect(expand('FREQ=MONTHLY;COUNT=3', 'DTSTART:20260131T090000Z')).toEqual([
+        '2026-01-31', '2026-03-31', '2026-05-31'
+      ]);
+    });
+
+    test('should honour WKST for weekly intervals', () => {
+      // Sunday start: with WKST=MO the Sunday closes week 1; with WKST=SU it opens it
+      expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,MO;COUNT=3;WKST=MO', 'DTSTART:20260104T090000Z'))
+        .toEqual(['2026-01-04', '2026-01-12', '2026-01-18']);
+      expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,MO;COUNT=3;WKST=SU', 'DTSTART:20260104T090000Z'))
+        .toEqual(['2026-01-04', '2026-01-05', '2026-01-18']);
+    });
+
+    test('should keep local time across DST for UNTIL given as a floating time', () => {
+      const events = parseIcsEvents(cal(vevent(
+        'UID:w',
+        'DTSTART;TZID=America/New_York:20260302T090000',
+        'DTEND;TZID=America/New_York:20260302T100000',
+        'RRULE:FREQ=WEEKLY;UNTIL=20260309T090000'
+      )), YEAR);
+
+      expect(events.map(e => e.startMs)).toEqual([Date.UTC(2026, 2, 2, 14), Date.UTC(2026, 2, 9, 13)]);
+    });
+
+    test('should return nothing for a rule starting after the window', () => {
+      expect(expand('FREQ=DAILY', 'DTSTART:20270105T090000Z')).toEqual([]);
+    });
+
+    test('should include occurrences that started before the window', () => {
+      const events = parseIcsEvents(cal(vevent(
+        'UID:night', 'DTSTART:20260101T220000Z', 'DTEND:20260102T060000Z', 'RRULE:FREQ=DAILY'
+      )), { userId: 'u1', windowStartMs: Date.UTC(2026, 0, 10), windowEndMs: Date.UTC(2026, 0, 11) });
+
+      expect(starts(events)).toEqual(['2026-01-09T22:00:00.000Z', '2026-01-10T22:00:00.000Z']);
+    });
+
+    test('should expand all-day rules with DATE EXDATEs', () => {
+      expect(expand('FREQ=DAILY;COUNT=4', 'DTSTART;VALUE=DATE:20260105', 'EXDATE;VALUE=DATE:20260106,20260107'))
+        .toEqual(['2026-01-05', '2026-01-08']);
+    });
+
+    test('should accept RDATE without RRULE, including PERIOD values', () => {
+      const events = parseIcsEvents(cal(vevent(
+        'UID:rd',
+        'DTSTART:20260105T090000Z',
+        'DTEND:20260105T100000Z',
+        'RDATE:20260106T090000Z,20260105T090000Z',
+        'RDATE;VALUE=PERIOD:20260107T090000Z/20260107T120000Z,20260108T090000Z/PT2H',
+        'RDATE;TZID=Europe/London:20260109T090000'
+      )), YEAR);
+
+      expect(events.map(e => [e.startMs, (e.endMs - e.startMs) / ONE_HOUR])).toEqual([
+        [Date.UTC(2026, 0, 5, 9), 1],
+        [Date.UTC(2026, 0, 6, 9), 1],
+        [Date.UTC(2026, 0, 7, 9), 3],
+        [Date.UTC(2026, 0, 8, 9), 2],
+        [Date.UTC(2026, 0, 9, 9), 1]
+      ]);
+    });
+
+    test('should use VTIMEZONE RDATE observances and fixed offsets', () => {
+      const events = parseIcsEvents(cal(
+        'BEGIN:VTIMEZONE', 'TZID:Custom', 'BEGIN:STANDARD', 'DTSTART:20000101T000000',
+        'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0100', 'END:STANDARD',
+        'BEGIN:DAYLIGHT', 'DTSTART:20000101T000000', 'RDATE:20260601T000000',
+        'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'END:DAYLIGHT', 'END:VTIMEZONE',
+        vevent('UID:c1', 'DTSTART;TZID=Custom:20260105T090000', 'DURATION:PT1H'),
+        vevent('UID:c2', 'DTSTART;TZID=Custom:20260610T090000', 'DURATION:PT1H'),
+        vevent('UID:c3', 'DTSTART;TZID=Custom:19990105T090000', 'DURATION:PT1H')
+      ), { userId: 'u1', windowStartMs: Date.UTC(1999, 0, 1), windowEndMs: Date.UTC(2027, 0, 1) });
+
+      expect(events.map(e => e.startMs)).toEqual([
+        Date.UTC(1999, 0, 5, 8),
+        Date.UTC(2026, 0, 5, 8),
+        Date.UTC(2026, 5, 10, 7)
+      ]);
+    });
+  });
+
+  describe('Input Validation', () => {
+    test.each([
+      ['non-string text', 42, YEAR, /ICS text must be a string/],
+      ['bad window', cal(), { userId: 'u1', windowStartMs: 'x', windowEndMs: 1 }, /must be numbers/],
+      ['empty window', cal(), { userId: 'u1', windowStartMs: 5, windowEndMs: 5 }, /windowEndMs must be > windowStartMs/],
+      ['no calendar', '', YEAR, /No VCALENDAR found/],
+      ['line without colon', cal('NOCOLON'), YEAR, /Invalid ICS line/],
+      ['mismatched END', 'BEGIN:VCALENDAR\r\nEND:VEVENT', YEAR, /Unexpected END:VEVENT/],
+      ['unterminated component', 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT', YEAR, /Unterminated VEVENT/],
+      ['missing DTSTART', cal(vevent('UID:x')), YEAR, /missing DTSTART/],
+      ['bad date', cal(vevent('DTSTART:2026-01-05')), YEAR, /Invalid ICS date value/],
+      ['bad duration', cal(vevent('DTSTART:20260105T090000Z', 'DURATION:PT')), YEAR, /Invalid ICS duration/],
+      ['unknown TZID', cal(vevent('DTSTART;TZID=Nowhere:20260105T090000')), YEAR, /Unknown TZID: Nowhere/],
+      ['bad time zone option', cal(), { ...YEAR, timeZone: 'Mars/Base' }, /Invalid time zone/],
+      ['unsupported FREQ', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=HOURLY')), YEAR, /Unsupported RRULE FREQ/],
+      ['unsupported part', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;BYHOUR=9')), YEAR, /Unsupported RRULE part: BYHOUR/],
+      ['bad INTERVAL', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;INTERVAL=0')), YEAR, /Invalid RRULE INTERVAL/],
+      ['bad COUNT', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;COUNT=x')), YEAR, /Invalid RRULE COUNT/],
+      ['bad BYDAY', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;BYDAY=XX')), YEAR, /Invalid RRULE BYDAY/],
+      ['bad WKST', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;WKST=XX')), YEAR, /Invalid RRULE WKST/],
+      ['negative BYMONTH', cal(vevent('DTSTART:20260105T090000Z', 'RRULE:FREQ=DAILY;BYMONTH=-1')), YEAR, /Invalid RRULE BYMONTH/],
+      ['empty VTIMEZONE', cal('BEGIN:VTIMEZONE', 'TZID:Empty', 'END:VTIMEZONE',
+        vevent('DTSTART;TZID=Empty:20260105T090000')), YEAR, /has no STANDARD or DAYLIGHT/],
+      ['incomplete observance', cal('BEGIN:VTIMEZONE', 'TZID:Half', 'BEGIN:STANDARD', 'TZOFFSETTO:+0100',
+        'END:STANDARD', 'END:VTIMEZONE', vevent('DTSTART;TZID=Half:20260105T090000')), YEAR, /observance without/],
+      ['bad offset', cal('BEGIN:VTIMEZONE', 'TZID:Odd', 'BEGIN:STANDARD', 'DTSTART:20000101T000000',
+        'TZOFFSETFROM:0100', 'TZOFFSETTO:+0100', 'END:STANDARD', 'END:VTIMEZONE',
+        vevent('DTSTART;TZID=Odd:20260105T090000')), YEAR, /Invalid ICS UTC offset/]
+    ])('should throw error for %s', (_name, text, options, error) => {
+      expect(() => parseIcsEvents(text, options)).toThrow(error);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 let algorithmPromise = null;
+let icsPromise = null;
 
 async function loadAlgorithm() {
   if (!algorithmPromise) {
@@ -7,11 +8,30 @@ async function loadAlgorithm() {
   return algorithmPromise;
 }
 
+async function loadIcs() {
+  if (!icsPromise) {
+    icsPromise = import("./ics.js");
+  }
+  return icsPromise;
+}
+
 async function computeAvailabilityBlocks(args) {
   const mod = await loadAlgorithm();
   return mod.computeAvailabilityBlocks(args);
 }
 
+async function findMeetingSlots(args) {
+  const mod = await loadAlgorithm();
+  return mod.findMeetingSlots(args);
+}
+
+async function parseIcsEvents(text, options) {
+  const mod = await loadIcs();
+  return mod.parseIcsEvents(text, options);
+}
+
 module.exports = {
   computeAvailabilityBlocks,
+  findMeetingSlots,
+  parseIcsEvents,
 };
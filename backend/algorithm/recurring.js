@@ -0,0 +1,183 @@
+// recurring.js
+// Weekly recurring meeting search (e.g. a Mon/Wed/Fri standup for the next 6 weeks).
+
+import { computeAvailabilityBlocks } from "./algorithm.js";
+import { DEFAULT_G_MINUTES, BlockingLevel, BlockAlignment, AttendanceRole } from "./types/algorithm_types.js";
+import { assertTimeZone, zonedTimeToUtc } from "./timezone.js";
+
+/** @typedef {import("./types/algorithm_types.js").UserId} UserId */
+/** @typedef {import("./types/algorithm_types.js").ParticipantSnapshot} ParticipantSnapshot */
+/** @typedef {import("./types/algorithm_types.js").AvailabilityBlock} AvailabilityBlock */
+/** @typedef {import("./types/algorithm_types.js").QuorumRule} QuorumRule */
+
+/**
+ * One occurrence of a recurring slot that does not work.
+ * @typedef {Object} FailedOccurrence
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {UserId[]} unavailableUserIds - required participants not free for the whole occurrence
+ */
+
+/**
+ * A local time of day that is tried on every occurrence date.
+ * @typedef {Object} RecurringSlot
+ * @property {string} startTime - "HH:MM" in the search time zone
+ * @property {number} durationMinutes
+ * @property {number} occurrenceCount
+ * @property {number} failCount
+ * @property {FailedOccurrence[]} failedOccurrences
+ */
+
+const pad2 = (/** @type {number} */ n) => String(n).padStart(2, "0");
+
+/**
+ * Find local start times that work on every occurrence of a weekly pattern.
+ *
+ * An occurrence "works" when every block it touches meets quorum (by default:
+ * all REQUIRED participants free; see QuorumRule). Slots that work on every
+ * occurrence are returned. If there are none, the slots with the fewest failing
+ * occurrences are returned instead, each listing the occurrences that fail.
+ *
+ * Candidate start times are every G minutes from local midnight; weekly
+ * occurrences keep the same LOCAL time across DST changes.
+ *
+ * @param {Object} args
+ * @param {ParticipantSnapshot[]} args.participants
+ * @param {string} args.startDate - "YYYY-MM-DD", first day of the first week (local)
+ * @param {number} args.weeks - number of weeks to repeat
+ * @param {number[]} args.weekdays - 0 = Sunday ... 6 = Saturday
+ * @param {number} args.durationMinutes
+ * @param {string} [args.timeZone="UTC"] - IANA zone the meeting time is fixed in
+ * @param {number} [args.granularityMinutes=DEFAULT_G_MINUTES]
+ * @param {string} [args.priority=BlockingLevel.B3]
+ * @param {QuorumRule} [args.quorum]
+ * @param {number} [args.maxResults=10]
+ * @returns {RecurringSlot[]} only the best tier (fewest failures), earliest start time first
+ */
+export function findRecurringSlots({
+  participants,
+  startDate,
+  weeks,
+  weekdays,
+  durationMinutes,
+  timeZone = "UTC",
+  granularityMinutes = DEFAULT_G_MINUTES,
+  priority = BlockingLevel.B3,
+  quorum,
+  maxResults = 10,
+}) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(startDate));
+  if (!dateMatch) {
+    throw new Error('startDate must be a "YYYY-MM-DD" string.');
+  }
+  if (!Number.isInteger(weeks) || weeks <= 0) {
+    throw new Error("weeks must be a positive integer.");
+  }
+  if (
+    !Array.isArray(weekdays) ||
+    weekdays.length === 0 ||
+    !weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+  ) {
+    throw new Error("weekdays must be a non-empty array of weekday numbers 0-6.");
+  }
+  const durationMs = durationMinutes * 60 * 1000;
+  if (!Number.isFinite(durationMs) || durationMs <= 0 || durationMinutes > 24 * 60) {
+    throw new Error("durationMinutes must be a positive number of at most one day.");
+  }
+  if (!Number.isInteger(maxResults) || maxResults <= 0) {
+    throw new Error("maxResults must be a positive integer.");
+  }
+  assertTimeZone(timeZone);
+
+  const year = Number(dateMatch[1]);
+  const month = Number(dateMatch[2]);
+  const day = Number(dateMatch[3]);
+
+  // Local dates of every occurrence (Date.UTC only used as a calendar here).
+  /** @type {{year:number, month:number, day:number}[]} */
+  const occurrenceDates = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const date = new Date(Date.UTC(year, month - 1, day + i));
+    if (weekdays.includes(date.getUTCDay())) {
+      occurrenceDates.push({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+    }
+  }
+
+  // One availability pass over the whole range; meetings may run past the last midnight.
+  const windowStartMs = zonedTimeToUtc({ year, month, day }, timeZone);
+  const windowEndMs = zonedTimeToUtc({ year, month, day: day + weeks * 7 + 1 }, timeZone);
+  const blocks = computeAvailabilityBlocks({
+    windowStartMs,
+    windowEndMs,
+    participants,
+    granularityMinutes,
+    priority,
+    quorum,
+    alignment: BlockAlignment.WALL_CLOCK,
+    timeZone,
+  });
+
+  const requiredUserIds = participants
+    .filter((p) => (p.attendance ?? AttendanceRole.REQUIRED) === AttendanceRole.REQUIRED)
+    .map((p) => p.userId);
+
+  /**
+   * Index of the first block ending after `ms`.
+   * @param {number} ms
+   */
+  const firstBlockAfter = (ms) => {
+    let lo = 0;
+    let hi = blocks.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (/** @type {AvailabilityBlock} */ (blocks[mid]).endMs <= ms) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  /** @type {RecurringSlot[]} */
+  const slots = [];
+
+  for (let minute = 0; minute + durationMinutes <= 24 * 60; minute += granularityMinutes) {
+    /** @type {FailedOccurrence[]} */
+    const failedOccurrences = [];
+
+    for (const date of occurrenceDates) {
+      const startMs = zonedTimeToUtc({ ...date, hour: Math.floor(minute / 60), minute: minute % 60 }, timeZone);
+      const endMs = startMs + durationMs;
+
+      let works = true;
+      /** @type {Set<UserId>} */
+      const unavailable = new Set();
+      for (let i = firstBlockAfter(startMs); i < blocks.length; i++) {
+        const block = /** @type {AvailabilityBlock} */ (blocks[i]);
+        if (block.startMs >= endMs) break;
+        if (!block.quorumMet) works = false;
+        for (const userId of requiredUserIds) {
+          if (!block.freeUserIds.includes(userId)) unavailable.add(userId);
+        }
+      }
+
+      if (!works) {
+        failedOccurrences.push({
+          startMs,
+          endMs,
+          unavailableUserIds: requiredUserIds.filter((id) => unavailable.has(id)),
+        });
+      }
+    }
+
+    slots.push({
+      startTime: `${pad2(Math.floor(minute / 60))}:${pad2(minute % 60)}`,
+      durationMinutes,
+      occurrenceCount: occurrenceDates.length,
+      failCount: failedOccurrences.length,
+      failedOccurrences,
+    });
+  }
+
+  // Only the best tier: all-clear slots if any exist, else the least-failing ones.
+  const fewest = Math.min(...slots.map((s) => s.failCount));
+  return slots.filter((s) => s.failCount === fewest).slice(0, maxResults);
+}
@@ -0,0 +1,166 @@
+// recurring.test.js
+import { findRecurringSlots } from './recurring';
+import { AttendanceRole, BlockingLevel } from './types/algorithm_types';
+
+const ONE_MIN = 60 * 1000;
+const ONE_HOUR = 60 * ONE_MIN;
+
+// Monday 2026-01-05, UTC. Helper: day offset + hour (UTC).
+const at = (dayOffset, hour, minute = 0) => Date.UTC(2026, 0, 5 + dayOffset, hour, minute);
+
+// Everyone works 09:00-12:00 UTC on weekdays, to keep the candidate list short.
+const mornings = { timeZone: 'UTC', weekdays: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' }] };
+const person = (userId, events = [], extra = {}) => ({ userId, events, workingHours: mornings, ...extra });
+
+// Mon/Wed/Fri standup, 30 minutes, 3 weeks
+const standup = (participants, extra = {}) => findRecurringSlots({
+  participants,
+  startDate: '2026-01-05',
+  weeks: 3,
+  weekdays: [1, 3, 5],
+  durationMinutes: 30,
+  ...extra
+});
+
+describe('Recurring Meeting Search', () => {
+  test('should return every local start time that is free in all occurrences', () => {
+    const slots = standup([person('A'), person('B')], { maxResults: 20 });
+
+    expect(slots.map(s => s.startTime)).toEqual([
+      '09:00', '09:15', '09:30', '09:45', '10:00', '10:15', '10:30', '10:45', '11:00', '11:15', '11:30'
+    ]);
+    slots.forEach(s => {
+      expect(s.occurrenceCount).toBe(9);
+      expect(s.failCount).toBe(0);
+      expect(s.failedOccurrences).toEqual([]);
+    });
+  });
+
+  test('should exclude times blocked by a weekly class', () => {
+    // A has class 09:00-10:30 every Mon/Wed/Fri
+    const classes = [0, 2, 4, 7, 9, 11, 14, 16, 18].map((d, i) => ({
+      eventRef: `class-${i}`, startMs: at(d, 9), endMs: at(d, 10, 30)
+    }));
+
+    const slots = standup([person('A', classes), person('B')]);
+
+    expect(slots[0].startTime).toBe('10:30');
+    expect(slots.map(s => s.startTime)).not.toContain('10:15');
+  });
+
+  test('should report the least-failing slots and which occurrences fail', () => {
+    // A is busy 09:00-12:00 on the 2nd Wednesday, B on the 3rd Friday: no slot works every time.
+    const slots = standup([
+      person('A', [{ startMs: at(9, 9), endMs: at(9, 12) }]),
+      person('B', [{ startMs: at(18, 9), endMs: at(18, 12) }])
+    ]);
+
+    expect(slots.length).toBeGreaterThan(0);
+    slots.forEach(s => expect(s.failCount).toBe(2));
+    expect(slots[0].startTime).toBe('09:00');
+    expect(slots[0].failedOccurrences).toEqual([
+      { startMs: at(9, 9), endMs: at(9, 9, 30), unavailableUserIds: ['A'] },
+      { startMs: at(18, 9), endMs: at(18, 9, 30), unavailableUserIds: ['B'] }
+    ]);
+  });
+
+  test('should prefer a slot that fails once over slots that fail more', () => {
+    const slots = standup([
+      // busy 09:00-11:00 on two Mondays, and 11:00-12:00 on one Monday
+      person('A', [
+        { startMs: at(0, 9), endMs: at(0, 11) },
+        { startMs: at(7, 9), endMs: at(7, 11) },
+        { startMs: at(14, 11), endMs: at(14, 12) }
+      ])
+    ]);
+
+    expect(slots.map(s => s.startTime)).toEqual(['11:00', '11:15', '11:30']);
+    expect(slots[0].failCount).toBe(1);
+  });
+
+  test('should only require REQUIRED participants to be free', () => {
+    const slots = standup([
+      person('lead'),
+      person('intern', [{ startMs: at(0, 9), endMs: at(21, 0) }], { attendance: AttendanceRole.OPTIONAL })
+    ], { maxResults: 20 });
+
+    expect(slots[0].failCount).toBe(0);
+    expect(slots).toHaveLength(11);
+  });
+
+  test('should count soft-busy time as unavailable for required participants', () => {
+    const gym = [0, 2, 4, 7, 9, 11, 14, 16, 18].map(d => ({
+      startMs: at(d, 9), endMs: at(d, 12), blockingLevel: BlockingLevel.B1
+    }));
+
+    expect(standup([person('A', gym)])[0].failCount).toBe(9);
+    expect(standup([person('A', gym)], { priority: BlockingLevel.B2 })[0].failCount).toBe(9);
+    // ...unless the participant is optional
+    expect(standup([person('A', gym, { attendance: AttendanceRole.OPTIONAL })])[0].failCount).toBe(0);
+  });
+
+  test('should keep the same LOCAL time across a DST change', () => {
+    // New York standup every Monday for 3 weeks starting 2026-03-02 (DST starts 03-08)
+    const ny = { timeZone: 'America/New_York', weekdays: [{ days: [1], start: '09:00', end: '10:00' }] };
+    const slots = findRecurringSlots({
+      participants: [{ userId: 'A', events: [], workingHours: ny }],
+      startDate: '2026-03-02',
+      weeks: 3,
+      weekdays: [1],
+      durationMinutes: 60,
+      timeZone: 'America/New_York'
+    });
+
+    expect(slots).toHaveLength(1);
+    expect(slots[0]).toMatchObject({ startTime: '09:00', occurrenceCount: 3, failCount: 0 });
+  });
+
+  test('should limit results to maxResults', () => {
+    expect(standup([person('A')], { maxResults: 2 })).toHaveLength(2);
+  });
+
+  test('should allow a meeting that ends exactly at midnight', () => {
+    const slots = findRecurringSlots({
+      participants: [],
+      startDate: '2026-01-05',
+      weeks: 1,
+      weekdays: [1],
+      durationMinutes: 60,
+      granularityMinutes: 60,
+      maxResults: 24
+    });
+
+    expect(slots).toHaveLength(24);
+    expect(slots[23].startTime).toBe('23:00');
+  });
+
+  describe('Input Validation', () => {
+    test.each(['2026/01/05', undefined])('should throw error for startDate %p', (startDate) => {
+      expect(() => standup([], { startDate })).toThrow(/startDate must be a "YYYY-MM-DD" string/);
+    });
+
+    test.each([0, 1.5])('should throw error for weeks %p', (weeks) => {
+      expect(() => standup([], { weeks })).toThrow(/weeks must be a positive integer/);
+    });
+
+    test.each([[[]], [[7]], ['1,3,5']])('should throw error for weekdays %p', (weekdays) => {
+      expect(() => standup([], { weekdays })).toThrow(/weekdays must be a non-empty array/);
+    });
+
+    test.each([0, NaN, 25 * 60])('should throw error for durationMinutes %p', (durationMinutes) => {
+      expect(() => standup([], { durationMinutes })).toThrow(/durationMinutes must be a positive number/);
+    });
+
+    test('should throw error for maxResults 0', () => {
+      expect(() => standup([], { maxResults: 0 })).toThrow(/maxResults must be a positive integer/);
+    });
+
+    test('should throw error for an unknown time zone', () => {
+      expect(() => standup([], { timeZone: 'Atlantis/Capital' })).toThrow(/Invalid time zone/);
+    });
+
+    test('should pass granularity errors through from computeAvailabilityBlocks', () => {
+      expect(() => standup([], { granularityMinutes: 0 })).toThrow(/granularityMinutes must be a positive number/);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// timezone.cjs
+// Small IANA time zone helpers on top of Intl (no external deps).
+// CommonJS so backend code (e.g. sync/calendarSync.js) can require it directly;
+// the algorithm imports it through timezone.js.
+// Intl.DateTimeFormat: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat
+
+/**
+ * @typedef {Object} ZonedParts
+ * @property {number} year
+ * @property {number} month - 1..12
+ * @property {number} day - 1..31
+ * @property {number} hour - 0..23
+ * @property {number} minute
+ * @property {number} second
+ * @property {number} weekday - 0 = Sunday ... 6 = Saturday
+ */
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatterCache = new Map();
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * One formatter per zone: constructing Intl formatters is slow.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let fmt = formatterCache.get(timeZone);
+  if (!fmt) {
+    try {
+      fmt = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      });
+    } catch {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    formatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * Throws unless `timeZone` is a valid IANA zone name.
+ * @param {string} timeZone
+ */
+function assertTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.length === 0) {
+    throw new Error(`Invalid time zone: ${timeZone}`);
+  }
+  getFormatter(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone.
+ * @param {number} ms - epoch ms
+ * @param {string} timeZone
+ * @returns {ZonedParts}
+ */
+function getZonedParts(ms, timeZone) {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(ms)) parts[p.type] = p.value;
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(/** @type {string} */ (parts.weekday)),
+  };
+}
+
+/**
+ * UTC offset (local - UTC) in ms at an instant, e.g. -5h for New York in winter.
+ * @param {number} ms
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getOffsetMs(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Epoch ms for a wall-clock time in a time zone.
+ * Out-of-range fields roll over like Date.UTC (hour 24 = next midnight).
+ *
+ * DST edge cases:
+ *  - a skipped time (spring forward) is shifted forward by the gap: 02:30 -> 03:30
+ *  - a repeated time (fall back) resolves to the EARLIER of the two instants
+ *
+ * @param {{year:number,month:number,day:number,hour?:number,minute?:number}} local - month is 1..12
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the "wrong" instant, then correct once.
+  const offsetBefore = getOffsetMs(localAsUtc - 24 * 60 * 60 * 1000, timeZone);
+  const offsetAfter = getOffsetMs(localAsUtc + 24 * 60 * 60 * 1000, timeZone);
+
+  const candidateBefore = localAsUtc - offsetBefore;
+  const candidateAfter = localAsUtc - offsetAfter;
+
+  // Earlier instant wins when both are valid (fall back).
+  const valid = [candidateBefore, candidateAfter]
+    .filter((c) => getOffsetMs(c, timeZone) === localAsUtc - c)
+    .sort((a, b) => a - b);
+  if (valid.length > 0) return /** @type {number} */ (valid[0]);
+
+  // Skipped wall time (spring forward): keep the pre-gap offset, which lands after the gap.
+  return candidateBefore;
+}
+
+module.exports = {
+  assertTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+};
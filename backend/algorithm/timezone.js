@@ -0,0 +1,4 @@
+// timezone.js
+// ESM entry for the time zone helpers in timezone.cjs.
+
+export { assertTimeZone, getZonedParts, getOffsetMs, zonedTimeToUtc } from "./timezone.cjs";
@@ -0,0 +1,64 @@
+// timezone.test.js
+import { assertTimeZone, getZonedParts, getOffsetMs, zonedTimeToUtc } from './timezone';
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+describe('Timezone helpers', () => {
+  describe('assertTimeZone', () => {
+    test('should accept a valid IANA zone', () => {
+      expect(() => assertTimeZone('America/New_York')).not.toThrow();
+    });
+
+    test.each(['Mars/Olympus_Mons', '', undefined])('should throw error for %p', (tz) => {
+      expect(() => assertTimeZone(tz)).toThrow(/Invalid time zone/);
+    });
+  });
+
+  describe('getZonedParts', () => {
+    test('should return wall-clock parts and weekday in the zone', () => {
+      // 2026-01-05 14:30Z = Monday 09:30 in New York (EST, UTC-5)
+      expect(getZonedParts(Date.UTC(2026, 0, 5, 14, 30), 'America/New_York')).toEqual({
+        year: 2026, month: 1, day: 5, hour: 9, minute: 30, second: 0, weekday: 1
+      });
+    });
+
+    test('should roll the date over across midnight', () => {
+      // 2026-01-05 02:00Z is still Sunday Jan 4 in Los Angeles
+      const p = getZonedParts(Date.UTC(2026, 0, 5, 2, 0), 'America/Los_Angeles');
+      expect(p.day).toBe(4);
+      expect(p.weekday).toBe(0);
+    });
+  });
+
+  describe('getOffsetMs', () => {
+    test('should report standard and daylight offsets', () => {
+      expect(getOffsetMs(Date.UTC(2026, 0, 5), 'America/New_York')).toBe(-5 * ONE_HOUR);
+      expect(getOffsetMs(Date.UTC(2026, 6, 5), 'America/New_York')).toBe(-4 * ONE_HOUR);
+      expect(getOffsetMs(Date.UTC(2026, 0, 5), 'UTC')).toBe(0);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert a normal wall-clock time', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 5, hour: 9 }, 'America/New_York'))
+        .toBe(Date.UTC(2026, 0, 5, 14));
+    });
+
+    test('should treat hour 24 as the next midnight', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 5, hour: 24 }, 'Europe/London'))
+        .toBe(Date.UTC(2026, 0, 6, 0));
+    });
+
+    test('should shift a skipped spring-forward time forward by the gap', () => {
+      // New York 2026-03-08: 02:00 EST jumps to 03:00 EDT. 02:30 does not exist.
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York'))
+        .toBe(Date.UTC(2026, 2, 8, 7, 30)); // 03:30 EDT
+    });
+
+    test('should resolve a repeated fall-back time to the earlier instant', () => {
+      // New York 2026-11-01: 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST)
+      expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York'))
+        .toBe(Date.UTC(2026, 10, 1, 5, 30));
+    });
+  });
+});
@@ -11,6 +11,34 @@ export const BlockingLevel = Object.freeze({
   B3: "B3", // MVP default: treat as highest
 });
 
+/**
+ * How block boundaries are placed.
+ * - WINDOW: every G minutes from windowStartMs (MVP behaviour)
+ * - WALL_CLOCK: every G minutes from local midnight in a time zone
+ */
+export const BlockAlignment = Object.freeze({
+  WINDOW: "window",
+  WALL_CLOCK: "wallClock",
+});
+
+/**
+ * Whether a participant must attend for a block to count.
+ */
+export const AttendanceRole = Object.freeze({
+  REQUIRED: "required", // default
+  OPTIONAL: "optional",
+});
+
+/**
+ * Ordering of blocking levels, lowest to highest.
+ * An event "meets" a priority threshold when its rank is >= the threshold's rank.
+ */
+export const BLOCKING_LEVEL_ORDER = Object.freeze([
+  BlockingLevel.B1,
+  BlockingLevel.B2,
+  BlockingLevel.B3,
+]);
+
 /**
  * @typedef {string} UserId
  */
@@ -25,10 +53,79 @@ export const BlockingLevel = Object.freeze({
  * @property {string} [blockingLevel]
  */
 
+/**
+ * A merged busy interval for ONE user. Intervals never overlap and each
+ * carries exactly one blocking level (the highest of the events it covers).
+ * @typedef {Object} BusyInterval
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {string} blockingLevel
+ */
+
+/**
+ * Local wall-clock range within one day. "HH:MM", start inclusive, end exclusive.
+ * end may be "24:00" (midnight at the end of the day).
+ * @typedef {Object} TimeRange
+ * @property {string} start
+ * @property {string} end
+ */
+
+/**
+ * Hours that apply on the listed weekdays.
+ * @typedef {Object} WeekdayRange
+ * @property {number[]} days - 0 = Sunday ... 6 = Saturday
+ * @property {string} start - "HH:MM"
+ * @property {string} end - "HH:MM"
+ */
+
+/**
+ * Replaces the weekday hours on one local date. `ranges: []` = unavailable all day.
+ * @typedef {Object} WorkingHoursException
+ * @property {string} date - "YYYY-MM-DD" in the rule's time zone
+ * @property {TimeRange[]} ranges
+ */
+
+/**
+ * When a participant can meet at all, independent of their calendar.
+ * @typedef {Object} WorkingHoursRule
+ * @property {string} timeZone - IANA name, e.g. "America/New_York"
+ * @property {WeekdayRange[]} weekdays
+ * @property {WorkingHoursException[]} [exceptions]
+ */
+
 /**
  * @typedef {Object} ParticipantSnapshot
  * @property {UserId} userId
  * @property {EventInterval[]} events
+ * @property {WorkingHoursRule} [workingHours] - omitted = available around the clock
+ * @property {string} [attendance=AttendanceRole.REQUIRED]
+ * @property {number} [weight=1] - share of weightedScore; >= 0
+ * @property {BufferConfig} [buffers] - overrides the group-wide buffers for this participant
+ */
+
+/**
+ * Padding around an event (travel time, setup, a breather).
+ * @typedef {Object} BufferRule
+ * @property {number} [beforeMinutes=0]
+ * @property {number} [afterMinutes=0]
+ */
+
+/**
+ * Which buffer applies to an event: `bySource[event.source]` if present, else `default`.
+ * e.g. { bySource: { "in-person": { afterMinutes: 15 }, "online": { afterMinutes: 0 } } }
+ * @typedef {Object} BufferConfig
+ * @property {BufferRule} [default]
+ * @property {Record<string, BufferRule>} [bySource]
+ */
+
+/**
+ * When a block is "good enough" to meet. A block meets quorum when ALL required
+ * participants are free, at least `minOptional` optional participants are free,
+ * and the weighted score reaches `minWeightedScore`.
+ * e.g. "all required plus at least 2 optional" = { minOptional: 2 }
+ * @typedef {Object} QuorumRule
+ * @property {number} [minOptional=0]
+ * @property {number} [minWeightedScore=0] - 0..1
  */
 
 /**
@@ -36,9 +133,58 @@ export const BlockingLevel = Object.freeze({
  * @property {number} startMs
  * @property {number} endMs
  * @property {UserId[]} freeUserIds
- * @property {UserId[]} busyUserIds
+ * @property {UserId[]} busyUserIds - soft busy + hard busy
+ * @property {UserId[]} softBusyUserIds - only events below the priority threshold
+ * @property {UserId[]} hardBusyUserIds - at least one event at/above the priority threshold
+ * @property {UserId[]} outsideHoursUserIds - no calendar conflict, but outside working hours
+ * @property {UserId[]} bufferOnlyUserIds - busy only because of buffer time (the events themselves don't touch the block)
  * @property {number} availableCount
  * @property {number} busyCount
+ * @property {number} softBusyCount
+ * @property {number} hardBusyCount
+ * @property {number} outsideHoursCount
+ * @property {number} requiredFreeCount
+ * @property {number} optionalFreeCount
+ * @property {number} weightedScore - free weight / total weight (1 when total weight is 0)
+ * @property {boolean} quorumMet
  * @property {number} totalCount
  * @property {number} availabilityFraction
+ * @property {ConflictExplanation[]} [conflicts] - explain mode only: one entry per busy user
+ */
+
+/**
+ * Why a user is busy in a block (explain mode). Buffer-only conflicts list the
+ * event the buffer belongs to; its eventStartMs/eventEndMs then lie outside the block.
+ * @typedef {Object} ConflictExplanation
+ * @property {UserId} userId
+ * @property {ConflictEvent[]} events
+ */
+
+/**
+ * @typedef {Object} ConflictEvent
+ * @property {string} eventRef
+ * @property {string} [source]
+ * @property {number} startMs - buffers applied, clamped to the window: the time it blocks
+ * @property {number} endMs
+ * @property {number} eventStartMs - the event's own start and end, without buffers
+ * @property {number} eventEndMs
+ */
+
+/**
+ * A run of consecutive blocks in which every participant's state is the same.
+ * Same fields as AvailabilityBlock (startMs/endMs span the whole run).
+ * @typedef {AvailabilityBlock & { blockCount: number }} AvailabilitySegment
+ */
+
+/**
+ * A candidate meeting time returned by findMeetingSlots.
+ * @typedef {Object} MeetingSlot
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {UserId[]} attendeeUserIds - free for the WHOLE slot
+ * @property {number} attendeeCount
+ * @property {number} totalCount
+ * @property {number} attendanceFraction
+ * @property {boolean} fullAttendance
+ * @property {number} fragmentation - free slivers the slot leaves next to it, summed over attendees
  */
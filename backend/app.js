@@ -0,0 +1,1321 @@
+// app.js
+// The Express app: every page and API route. server.js gives it the Postgres
+// session store and starts listening; tests build it with the default
+// in-memory store and a pg-mem database (see db/testDatabase.js).
+const express = require('express');
+const path = require("path");
+const db = require("./db/index");
+const session = require('express-session');
+const algorithm = require('./algorithm/index.cjs');
+const calendarSync = require('./sync/calendarSync');
+const tokenManager = require('./auth/tokenManager');
+const { requireAuth, developmentOnly } = require('./auth/middleware');
+const { createLoginRouter } = require('./auth/googleLogin');
+const googleEndpoints = require('./auth/googleEndpoints');
+const groupPermissions = require('./auth/groupPermissions');
+const { GroupRole, loadMemberGroup, requireGroupPermission } = groupPermissions;
+
+const scopes = [
+  'https://www.googleapis.com/auth/calendar.readonly',
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/userinfo.profile'
+];
+
+// asked for only when the user books a meeting: /auth/google?access=calendar_write
+const CALENDAR_WRITE_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
+const optionalScopes = {
+  calendar_write: [CALENDAR_WRITE_SCOPE]
+};
+
+const router = express.Router();
+
+// ===================PAGES========================
+
+
+router.get('/', (req, res) => {
+  if (typeof req.session.userId !== "undefined") {
+    res.sendFile(path.join(__dirname, "..", "frontend", "index.html"));
+  } else {
+    res.redirect('/login');
+  }
+});
+
+router.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, "..", "frontend", "login.html"));
+});
+
+// app.get('/login', (req, res) => {
+//   // If already logged in, send them to the app
+//   if (req.session.tokens) {
+//     return res.redirect('/');
+//   }
+//   res.sendFile(path.join(__dirname, "..", "frontend", "login.html"));
+// });
+
+// check if user is logged in or not
+
+router.get('/api/me', async (req, res) => {
+  if (req.session.userId) {
+    const person_info = await db.persons.getGoogleAccount(req.session.userId);
+    // never send tokens to the browser
+    res.json(person_info ? {
+      user_id: req.session.userId,
+      google_id: person_info.google_id,
+      calendar_connected: Boolean(person_info.refresh_token)
+    } : "");
+  }
+  else {
+    res.json("");
+  }
+}) 
+
+// app.get('api/me', (req, res) => {
+//   if (!req.session.tokens) return res.json({ loggedIn: false }); // stay on login page
+//   return res.json( { loggedIn: true }); // go to calendar view
+// });
+
+router.get('/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      return console.log(err);
+    }
+    res.redirect('/login');
+  });
+});
+
+// Database test route (development only)
+router.get('/api/test-db', developmentOnly, async (req, res) => {
+  try {
+    const result = await db.testConnection();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Health check
+router.get('/health', (req, res) => {
+  res.json({ status: 'healthy' });
+});
+
+// Session dump for debugging sign-in (development only)
+router.get('/test-session', developmentOnly, (req, res) => {
+  res.json({
+    sessionID: req.sessionID,
+    userId: req.session.userId,
+    isAuthenticated: req.session.isAuthenticated,
+    fullSession: req.session
+  });
+});
+
+// ===================GROUPS========================
+
+const ONE_MINUTE_MS = 60 * 1000;
+const ONE_HOUR_MS = 60 * ONE_MINUTE_MS;
+const ONE_WEEK_MS = 7 * 24 * ONE_HOUR_MS;
+const SYNC_MAX_AGE_MS = 10 * ONE_MINUTE_MS; // older synced calendars are refreshed before use
+const MAX_WINDOW_MS = 31 * 24 * ONE_HOUR_MS; // bounds event reads and block counts
+
+// parse an ISO date or epoch ms query value; returns NaN when invalid
+function parseTimeParam(value, fallbackMs) {
+  if (value === undefined) return fallbackMs;
+  if (/^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+const MAX_GROUP_NAME_LENGTH = 50; // f_group.group_name is VARCHAR(50)
+
+// trimmed group name, or null when missing/empty/too long
+function parseGroupName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  if (name.length === 0 || name.length > MAX_GROUP_NAME_LENGTH) return null;
+  return name;
+}
+
+// array of positive integer ids (user or calendar ids), without repeats, or null
+function parseIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(Number);
+  if (!ids.every((id) => Number.isInteger(id) && id > 0)) return null;
+  return [...new Set(ids)];
+}
+
+const formatGroup = (row) => ({
+  groupId: row.group_id,
+  groupName: row.group_name,
+  ...(row.member_count !== undefined ? { memberCount: row.member_count } : {}),
+  ...(row.member_role !== undefined ? { role: row.member_role } : {})
+});
+
+// email and join date are member details: only roles with viewMemberDetails see them
+const formatMember = (row, withDetails) => ({
+  userId: row.user_id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  username: row.username,
+  role: row.member_role,
+  ...(withDetails ? { email: row.email, joinedAt: row.joined_at } : {})
+});
+
+// List my groups
+router.get('/api/groups', requireAuth, async (req, res) => {
+  try {
+    const groups = await db.groups.listForUser(req.session.userId);
+    res.json(groups.map(formatGroup));
+  } catch (error) {
+    console.error('Error listing groups', error);
+    res.status(500).json({ error: "Failed to list groups" });
+  }
+});
+
+// Create a group; body: { groupName, memberIds? }. The creator is its owner.
+router.post('/api/groups', requireAuth, async (req, res) => {
+  const groupName = parseGroupName(req.body?.groupName);
+  if (!groupName) {
+    return res.status(400).json({ error: `groupName must be 1-${MAX_GROUP_NAME_LENGTH} characters` });
+  }
+  const memberIds = parseIds(req.body?.memberIds ?? []);
+  if (!memberIds) {
+    return res.status(400).json({ error: "memberIds must be an array of user ids" });
+  }
+  try {
+    const existing = await db.persons.listExistingIds(memberIds);
+    const unknown = memberIds.filter((id) => !existing.includes(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: "User not found", userIds: unknown });
+    }
+    const group = await db.groups.create({
+      group_name: groupName,
+      creator_id: req.session.userId,
+      member_ids: memberIds
+    });
+    res.status(201).json(formatGroup(group));
+  } catch (error) {
+    console.error('Error creating group', error);
+    res.status(500).json({ error: "Failed to create group" });
+  }
+});
+
+// Rename a group; body: { groupName }
+router.patch('/api/groups/:id', requireAuth, loadMemberGroup, requireGroupPermission('rename'), async (req, res) => {
+  const groupName = parseGroupName(req.body?.groupName);
+  if (!groupName) {
+    return res.status(400).json({ error: `groupName must be 1-${MAX_GROUP_NAME_LENGTH} characters` });
+  }
+  try {
+    const renamed = await db.groups.rename(req.group.group_id, groupName);
+    res.json(formatGroup(renamed));
+  } catch (error) {
+    console.error('Error renaming group', error);
+    res.status(500).json({ error: "Failed to rename group" });
+  }
+});
+
+// Delete a group (owner only)
+router.delete('/api/groups/:id', requireAuth, loadMemberGroup, requireGroupPermission('delete'), async (req, res) => {
+  try {
+    await db.groups.remove(req.group.group_id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting group', error);
+    res.status(500).json({ error: "Failed to delete group" });
+  }
+});
+
+// List a group's members
+router.get('/api/groups/:id/members', requireAuth, loadMemberGroup, async (req, res) => {
+  try {
+    const members = await db.memberships.listMembers(req.group.group_id);
+    const withDetails = groupPermissions.can(req.groupRole, 'viewMemberDetails');
+    res.json(members.map((row) => formatMember(row, withDetails)));
+  } catch (error) {
+    console.error('Error listing group members', error);
+    res.status(500).json({ error: "Failed to list group members" });
+  }
+});
+
+// Add members; body: { userIds }. Users who are already members are ignored.
+router.post('/api/groups/:id/members', requireAuth, loadMemberGroup, requireGroupPermission('invite'), async (req, res) => {
+  const userIds = parseIds(req.body?.userIds);
+  if (!userIds || userIds.length === 0) {
+    return res.status(400).json({ error: "userIds must be a non-empty array of user ids" });
+  }
+  try {
+    const existing = await db.persons.listExistingIds(userIds);
+    const unknown = userIds.filter((id) => !existing.includes(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: "User not found", userIds: unknown });
+    }
+    const added = await db.memberships.add(req.group.group_id, userIds);
+    res.status(201).json({ addedUserIds: added });
+  } catch (error) {
+    console.error('Error adding group members', error);
+    res.status(500).json({ error: "Failed to add group members" });
+  }
+});
+
+const ASSIGNABLE_ROLES = [GroupRole.OWNER, GroupRole.ADMIN, GroupRole.MEMBER];
+
+// Change a member's role; body: { role }. Making someone the owner hands
+// ownership over and the current owner becomes an admin.
+router.patch('/api/groups/:id/members/:userId', requireAuth, loadMemberGroup, requireGroupPermission('manageRoles'), async (req, res) => {
+  const userId = Number(req.params.userId);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ error: "Invalid user id" });
+  }
+  const role = req.body?.role;
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ASSIGNABLE_ROLES.join(', ')}` });
+  }
+  if (userId === req.session.userId) {
+    return res.status(400).json({ error: "Transfer ownership to another member to change your own role" });
+  }
+  try {
+    if (role === GroupRole.OWNER) {
+      const transferred = await db.memberships.transferOwnership(req.group.group_id, req.session.userId, userId);
+      if (!transferred) {
+        return res.status(404).json({ error: "Not a member of this group" });
+      }
+      return res.json({ userId, role });
+    }
+    const updated = await db.memberships.setRole(req.group.group_id, userId, role);
+    if (!updated) {
+      return res.status(404).json({ error: "Not a member of this group" });
+    }
+    res.json({ userId: updated.user_id, role: updated.member_role });
+  } catch (error) {
+    console.error('Error changing member role', error);
+    res.status(500).json({ error: "Failed to change member role" });
+  }
+});
+
+// Leave a group; the group is deleted when its last member leaves
+// (an owner who leaves hands ownership to an admin, or else a member)
+router.delete('/api/groups/:id/members/me', requireAuth, loadMemberGroup, async (req, res) => {
+  try {
+    const { groupDeleted } = await db.memberships.remove(req.group.group_id, req.session.userId);
+    res.json({ left: true, groupDeleted });
+  } catch (error) {
+    console.error('Error leaving group', error);
+    res.status(500).json({ error: "Failed to leave group" });
+  }
+});
+
+// cal_event row -> EventInterval for the algorithm
+function toEventInterval(row) {
+  const startMs = new Date(row.event_start).getTime();
+  return {
+    eventRef: row.gcal_event_id || String(row.event_id),
+    userId: row.user_id,
+    startMs,
+    endMs: startMs + Math.round(row.event_duration * ONE_HOUR_MS),
+    source: 'google',
+    blockingLevel: row.blocking_level // set per calendar, see /api/calendars
+  };
+}
+
+// Build ParticipantSnapshots from the synced events in cal_event.
+// Calendars older than maxAgeMs are synced first; members whose sync
+// fails are left out and listed in failedMembers (not treated as free).
+async function loadGroupParticipants(groupId, windowStartMs, windowEndMs, maxAgeMs = SYNC_MAX_AGE_MS) {
+  const memberIds = await db.memberships.listMemberIds(groupId);
+  const syncErrors = await calendarSync.syncStaleCalendars(memberIds, maxAgeMs);
+
+  const loadedIds = memberIds.filter((userId) => !syncErrors.has(userId));
+  const rows = await db.events.listForUsers(loadedIds, new Date(windowStartMs), new Date(windowEndMs));
+
+  const participants = loadedIds.map((userId) => ({
+    userId,
+    events: rows.filter((row) => row.user_id === userId).map(toEventInterval)
+  }));
+  const failedMembers = [...syncErrors].map(([userId, error]) => ({ userId, error }));
+  return { participants, failedMembers };
+}
+
+// ===================CALENDARS========================
+
+const CALENDAR_BLOCKING_LEVELS = ['NONE', 'B1', 'B2', 'B3']; // NONE: events never block
+
+function formatCalendar(row) {
+  return {
+    calendarId: row.calendar_id,
+    gcalId: row.gcal_id,
+    name: row.calendar_name,
+    selected: row.is_selected,
+    blockingLevel: row.blocking_level
+  };
+}
+
+// My Google calendars (refreshed from calendarList) and whether each counts toward busy time
+router.get('/api/calendars', requireAuth, async (req, res) => {
+  try {
+    const rows = await calendarSync.refreshCalendarList(req.session.userId);
+    res.json(rows.map(formatCalendar));
+  } catch (error) {
+    console.error('Error listing calendars', error);
+    if (error instanceof tokenManager.ReconnectRequiredError) {
+      return res.status(401).json({ error: error.message, reconnect: true });
+    }
+    res.status(502).json({ error: "Failed to list calendars" });
+  }
+});
+
+// Choose whether a calendar counts toward my busy time, and how strongly
+// body: { selected?: boolean, blockingLevel?: 'NONE' | 'B1' | 'B2' | 'B3' }
+router.patch('/api/calendars/:id', requireAuth, async (req, res) => {
+  const calendarId = Number(req.params.id);
+  if (!Number.isInteger(calendarId)) {
+    return res.status(400).json({ error: "Invalid calendar id" });
+  }
+  const { selected, blockingLevel } = req.body || {};
+  if (selected !== undefined && typeof selected !== 'boolean') {
+    return res.status(400).json({ error: "selected must be a boolean" });
+  }
+  if (blockingLevel !== undefined && !CALENDAR_BLOCKING_LEVELS.includes(blockingLevel)) {
+    return res.status(400).json({ error: `blockingLevel must be one of ${CALENDAR_BLOCKING_LEVELS.join(', ')}` });
+  }
+  if (selected === undefined && blockingLevel === undefined) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  try {
+    // newly selected calendars are picked up by the next background or on-demand sync
+    const row = await db.calendars.updateSettings(req.session.userId, calendarId, {
+      is_selected: selected ?? null,
+      blocking_level: blockingLevel ?? null
+    });
+    if (!row) {
+      return res.status(404).json({ error: "Calendar not found" });
+    }
+    res.json(formatCalendar(row));
+  } catch (error) {
+    console.error('Error updating calendar', error);
+    res.status(500).json({ error: "Failed to update calendar" });
+  }
+});
+
+// Google event -> the event shape sent to the frontend
+function formatEvent(event, cal) {
+  const allDay = !event.start.dateTime;
+  return {
+    id: event.id,
+    calendarId: cal.calendar_id,
+    calendarName: cal.calendar_name,
+    title: event.summary || "No Title",
+    start: event.start.dateTime || event.start.date, // all-day events are "YYYY-MM-DD"
+    end: event.end.dateTime || event.end.date,
+    allDay,
+    status: event.status || 'confirmed',
+    transparency: event.transparency || 'opaque',
+    blockingLevel: cal.blocking_level
+  };
+}
+
+// every page of one calendar's events in [timeMin, timeMax)
+async function listEventsInRange(calendar, gcalId, timeMin, timeMax) {
+  const items = [];
+  let pageToken;
+  do {
+    const response = await calendar.events.list({
+      calendarId: gcalId,
+      timeMin,
+      timeMax,
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: 250,
+      pageToken
+    });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return items;
+}
+
+// My events, read live from Google
+// query: start, end (ISO or epoch ms, at most 31 days apart; default the next week)
+//        calendars: comma-separated calendarIds (default: my selected calendars)
+router.get("/api/events", requireAuth, async (req, res) => {
+  const window = parseWindowQuery(req, res);
+  if (!window) return;
+
+  let calendarIds = null;
+  if (req.query.calendars !== undefined) {
+    calendarIds = parseIds(String(req.query.calendars).split(','));
+    if (!calendarIds) {
+      return res.status(400).json({ error: "calendars must be a comma-separated list of calendar ids" });
+    }
+  }
+
+  try {
+    let calendars;
+    if (calendarIds) {
+      const owned = await db.calendars.listForUser(req.session.userId);
+      calendars = owned.filter((cal) => calendarIds.includes(cal.calendar_id));
+      if (calendars.length !== calendarIds.length) {
+        return res.status(404).json({ error: "Calendar not found" });
+      }
+    } else {
+      calendars = await db.calendars.listSelected(req.session.userId);
+    }
+
+    const timeMin = new Date(window.windowStartMs).toISOString();
+    const timeMax = new Date(window.windowEndMs).toISOString();
+
+    // this user's own client; refreshed tokens are saved by the token manager
+    const itemsByCalendar = await tokenManager.withUserClient(req.session.userId, (client) => {
+      const calendar = googleEndpoints.calendarApi(client);
+      return Promise.all(calendars.map((cal) => listEventsInRange(calendar, cal.gcal_id, timeMin, timeMax)));
+    });
+
+    const events = itemsByCalendar.flatMap((items, i) => items.map((item) => formatEvent(item, calendars[i])));
+    events.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+    res.json(events);
+
+  } catch (error) {
+    console.error('Error fetching calendar', error);
+
+    if (error instanceof tokenManager.ReconnectRequiredError) {
+      return res.status(401).json({ error: error.message, reconnect: true });
+    }
+
+    // If authentication failed, clear session
+    if (error.code === 401 || error.code === 403) {
+      req.session.destroy();
+      return res.status(401).json({ error: "Authentication expired. Please log in again." });
+    }
+    
+    res.status(500).json({ error: "Failed to fetch events" });
+  }
+});
+
+// Sync my selected Google calendars into the database now
+router.post('/api/calendar/sync', requireAuth, async (req, res) => {
+  try {
+    const results = await calendarSync.syncSelectedCalendars(req.session.userId);
+    res.json(results);
+  } catch (error) {
+    console.error('Error syncing calendar', error);
+    if (error instanceof tokenManager.ReconnectRequiredError) {
+      return res.status(401).json({ error: error.message, reconnect: true });
+    }
+    res.status(502).json({ error: "Failed to sync calendar" });
+  }
+});
+
+// Per-calendar sync state for the logged-in user
+router.get('/api/sync/status', requireAuth, async (req, res) => {
+  try {
+    const rows = await db.syncMeta.listStatusForUser(req.session.userId);
+    res.json(rows.map((row) => ({
+      calendarId: row.calendar_id,
+      gcalId: row.gcal_id,
+      calendarName: row.calendar_name,
+      status: row.sync_status,
+      lastRefreshed: row.last_refreshed,
+      lastError: row.last_error,
+      failureCount: row.failure_count,
+      nextAttemptAt: row.next_attempt_at
+    })));
+  } catch (error) {
+    console.error('Error reading sync status', error);
+    res.status(500).json({ error: "Failed to read sync status" });
+  }
+});
+
+// start/end query window, defaulting to the week from defaultStartMs; sends 400 and returns null when invalid
+function parseWindowQuery(req, res, defaultStartMs = Date.now()) {
+  const windowStartMs = parseTimeParam(req.query.start, defaultStartMs);
+  const windowEndMs = parseTimeParam(req.query.end, windowStartMs + ONE_WEEK_MS);
+  if (!Number.isFinite(windowStartMs) || !Number.isFinite(windowEndMs)) {
+    res.status(400).json({ error: "start/end must be ISO dates or epoch ms" });
+    return null;
+  }
+  if (windowEndMs <= windowStartMs) {
+    res.status(400).json({ error: "end must be after start" });
+    return null;
+  }
+  if (windowEndMs - windowStartMs > MAX_WINDOW_MS) {
+    res.status(400).json({ error: "Window must be at most 31 days" });
+    return null;
+  }
+  return { windowStartMs, windowEndMs };
+}
+
+// block sizes that tile an hour; the smallest keeps a 31-day window under 9000 blocks
+const GRANULARITY_MINUTES = [5, 6, 10, 12, 15, 20, 30, 60];
+
+// granularity query in whole minutes, default 15; sends 400 and returns null when invalid
+function parseGranularityQuery(req, res) {
+  const value = req.query.granularity ?? '15';
+  const minutes = /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!GRANULARITY_MINUTES.includes(minutes)) {
+    res.status(400).json({ error: `granularity must be one of ${GRANULARITY_MINUTES.join(', ')} minutes` });
+    return null;
+  }
+  return minutes;
+}
+
+// Availability blocks for a group
+// query: start, end (ISO or epoch ms), granularity (minutes)
+// response: { blocks: AvailabilityBlock[], failedMembers: [{ userId, error }] }
+router.get('/api/groups/:id/availability', requireAuth, loadMemberGroup, async (req, res) => {
+
+  const window = parseWindowQuery(req, res);
+  if (!window) return;
+  const granularityMinutes = parseGranularityQuery(req, res);
+  if (!granularityMinutes) return;
+
+  try {
+
+    const { participants, failedMembers } = await loadGroupParticipants(
+      req.group.group_id, window.windowStartMs, window.windowEndMs
+    );
+
+    let blocks;
+    try {
+      blocks = await algorithm.computeAvailabilityBlocks({
+        windowStartMs: window.windowStartMs,
+        windowEndMs: window.windowEndMs,
+        participants,
+        granularityMinutes
+      });
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    res.json({ blocks, failedMembers });
+  } catch (error) {
+    console.error('Error computing availability', error);
+    res.status(500).json({ error: "Failed to compute availability" });
+  }
+});
+
+const MAX_SUGGESTIONS = 50;
+
+// duration (required, whole minutes up to a day), minFraction (0-1, default 1) and
+// maxResults (default 10) of a suggestions query; sends 400 and returns null when invalid
+function parseSuggestionQuery(req, res) {
+  const { duration, minFraction = '1', maxResults = '10' } = req.query;
+  const durationMinutes = /^\d+$/.test(duration) ? Number(duration) : NaN;
+  if (!(durationMinutes >= 1 && durationMinutes <= MAX_MEETING_MS / ONE_MINUTE_MS)) {
+    res.status(400).json({ error: `duration must be a whole number of minutes from 1 to ${MAX_MEETING_MS / ONE_MINUTE_MS}` });
+    return null;
+  }
+  const fraction = typeof minFraction === 'string' && minFraction.trim() !== '' ? Number(minFraction) : NaN;
+  if (!(fraction >= 0 && fraction <= 1)) {
+    res.status(400).json({ error: "minFraction must be a number from 0 to 1" });
+    return null;
+  }
+  const results = /^\d+$/.test(maxResults) ? Number(maxResults) : NaN;
+  if (!(results >= 1 && results <= MAX_SUGGESTIONS)) {
+    res.status(400).json({ error: `maxResults must be a whole number from 1 to ${MAX_SUGGESTIONS}` });
+    return null;
+  }
+  return { durationMinutes, minFraction: fraction, maxResults: results };
+}
+
+// Suggested meeting times for a group
+// query: start (default: the next block boundary), end (ISO or epoch ms), duration (minutes,
+// required), minFraction, maxResults, granularity
+// response: { slots: MeetingSlot[], failedMembers: [{ userId, error }] }
+router.get('/api/groups/:id/suggestions', requireAuth, loadMemberGroup, async (req, res) => {
+
+  const granularityMinutes = parseGranularityQuery(req, res);
+  if (!granularityMinutes) return;
+  // without a start, slots begin at the next block boundary: on the quarter hour
+  // (for the default granularity) and still in the future when someone picks one
+  const blockMs = granularityMinutes * ONE_MINUTE_MS;
+  const window = parseWindowQuery(req, res, (Math.floor(Date.now() / blockMs) + 1) * blockMs);
+  if (!window) return;
+  const query = parseSuggestionQuery(req, res);
+  if (!query) return;
+  const { durationMinutes, minFraction, maxResults } = query;
+
+  try {
+
+    const { participants, failedMembers } = await loadGroupParticipants(
+      req.group.group_id, window.windowStartMs, window.windowEndMs
+    );
+
+    let slots;
+    try {
+      slots = await algorithm.findMeetingSlots({
+        durationMinutes,
+        participants,
+        window: { startMs: window.windowStartMs, endMs: window.windowEndMs },
+        minFraction,
+        maxResults,
+        granularityMinutes
+      });
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    res.json({ slots, failedMembers });
+  } catch (error) {
+    console.error('Error computing suggestions', error);
+    res.status(500).json({ error: "Failed to compute suggestions" });
+  }
+});
+
+// ===================MEETINGS========================
+
+const MAX_MEETING_TITLE_LENGTH = 200; // meeting.title is VARCHAR(200)
+const MAX_MEETING_MS = 24 * ONE_HOUR_MS;
+const BOOKING_SYNC_MAX_AGE_MS = ONE_MINUTE_MS; // booking re-checks against nearly fresh calendars
+const CALENDAR_WRITE_AUTH_URL = '/auth/google?access=calendar_write';
+
+function formatMeeting(row) {
+  return {
+    meetingId: row.meeting_id,
+    groupId: row.group_id,
+    organizerId: row.organizer_id,
+    title: row.title,
+    description: row.description,
+    start: new Date(row.start_time).toISOString(),
+    end: new Date(row.end_time).toISOString(),
+    status: row.status,
+    gcalEventId: row.gcal_event_id,
+    attendeeIds: row.attendee_ids
+  };
+}
+
+// true when the user's last Google grant lets us add events to their calendar
+function canWriteCalendar(account) {
+  const granted = (account.granted_scopes || '').split(' ');
+  return granted.includes(CALENDAR_WRITE_SCOPE) || granted.includes('https://www.googleapis.com/auth/calendar');
+}
+
+// trimmed meeting or poll title, or null when missing/empty/too long
+function parseMeetingTitle(value) {
+  if (typeof value !== 'string') return null;
+  const title = value.trim();
+  if (title.length === 0 || title.length > MAX_MEETING_TITLE_LENGTH) return null;
+  return title;
+}
+
+// { startMs, endMs } of a future meeting time, or { error }
+function parseMeetingTime(start, end) {
+  const startMs = parseTimeParam(start, NaN);
+  const endMs = parseTimeParam(end, NaN);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) return { error: "start/end must be ISO dates or epoch ms" };
+  if (endMs <= startMs) return { error: "end must be after start" };
+  if (endMs - startMs > MAX_MEETING_MS) return { error: "A meeting can be at most 24 hours long" };
+  if (startMs < Date.now()) return { error: "start must be in the future" };
+  return { startMs, endMs };
+}
+
+// Meeting fields from a POST/PATCH body; sends 400 and returns null when invalid.
+// With partial, missing fields stay undefined; otherwise title, start and end are required.
+// returns { title, description, startMs, endMs }
+function parseMeetingBody(req, res, { partial = false } = {}) {
+  const body = req.body || {};
+  const fields = {};
+
+  if (body.title !== undefined || !partial) {
+    fields.title = parseMeetingTitle(body.title);
+    if (!fields.title) {
+      res.status(400).json({ error: `title must be 1-${MAX_MEETING_TITLE_LENGTH} characters` });
+      return null;
+    }
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') {
+      res.status(400).json({ error: "description must be a string" });
+      return null;
+    }
+    fields.description = body.description;
+  }
+
+  if (body.start !== undefined || body.end !== undefined || !partial) {
+    if (body.start === undefined || body.end === undefined) {
+      res.status(400).json({ error: "start and end must be given together" });
+      return null;
+    }
+    const time = parseMeetingTime(body.start, body.end);
+    if (time.error) {
+      res.status(400).json({ error: time.error });
+      return null;
+    }
+    fields.startMs = time.startMs;
+    fields.endMs = time.endMs;
+  }
+  return fields;
+}
+
+// Members busy during [startMs, endMs), checked again at booking time against
+// calendars synced within the last minute: the slot may have been suggested
+// before someone's calendar filled up. ownEventId (when moving a meeting) is
+// the meeting's own Google event, which attendees' calendars also carry.
+// returns { busyUserIds, failedMembers }
+async function findMeetingConflicts(groupId, startMs, endMs, ownEventId = null) {
+  const { participants, failedMembers } = await loadGroupParticipants(groupId, startMs, endMs, BOOKING_SYNC_MAX_AGE_MS);
+  const others = participants.map((p) => ({
+    ...p,
+    events: p.events.filter((event) => ownEventId === null || event.eventRef !== ownEventId)
+  }));
+  // one block spanning the whole meeting
+  const blocks = await algorithm.computeAvailabilityBlocks({
+    windowStartMs: startMs,
+    windowEndMs: endMs,
+    participants: others,
+    granularityMinutes: (endMs - startMs) / ONE_MINUTE_MS
+  });
+  const busyUserIds = [...new Set(blocks.flatMap((block) => block.busyUserIds))];
+  return { busyUserIds, failedMembers };
+}
+
+// 401/403 when the organizer cannot write to their Google Calendar; returns false after answering
+async function requireCalendarWrite(req, res) {
+  const account = await db.persons.getGoogleAccount(req.session.userId);
+  if (!account || !account.refresh_token) {
+    res.status(401).json({ error: "Calendar not connected", reconnect: true });
+    return false;
+  }
+  if (!canWriteCalendar(account)) {
+    res.status(403).json({ error: "Allow adding events to your Google Calendar to book meetings", authorizeUrl: CALENDAR_WRITE_AUTH_URL });
+    return false;
+  }
+  return true;
+}
+
+// HTTP status of a googleapis error
+function googleStatusOf(error) {
+  return error.code || (error.response && error.response.status);
+}
+
+// Errors from writing the organizer's Google event -> response
+function sendCalendarWriteError(res, error, message) {
+  if (error instanceof tokenManager.ReconnectRequiredError) {
+    return res.status(401).json({ error: error.message, reconnect: true });
+  }
+  if (googleStatusOf(error) === 403) {
+    // the write scope was revoked on Google's side
+    return res.status(403).json({ error: "Allow adding events to your Google Calendar to book meetings", authorizeUrl: CALENDAR_WRITE_AUTH_URL });
+  }
+  res.status(502).json({ error: message });
+}
+
+// Resolve :meetingId to a meeting of req.group organized by the caller;
+// sets req.meeting. Only the organizer's tokens can change the Google event.
+async function loadOrganizedMeeting(req, res, next) {
+  const meetingId = Number(req.params.meetingId);
+  if (!Number.isInteger(meetingId) || meetingId <= 0) {
+    return res.status(400).json({ error: "Invalid meeting id" });
+  }
+  try {
+    const meeting = await db.meetings.getById(req.group.group_id, meetingId);
+    if (!meeting || meeting.status !== 'scheduled') {
+      return res.status(404).json({ error: "Meeting not found" });
+    }
+    if (meeting.organizer_id !== req.session.userId) {
+      return res.status(403).json({ error: "Only the organizer can change this meeting" });
+    }
+    req.meeting = meeting;
+    next();
+  } catch (error) {
+    console.error('Error loading meeting', error);
+    res.status(500).json({ error: "Failed to load meeting" });
+  }
+}
+
+// Upcoming meetings of a group
+router.get('/api/groups/:id/meetings', requireAuth, loadMemberGroup, async (req, res) => {
+  try {
+    const meetings = await db.meetings.listUpcoming(req.group.group_id, new Date());
+    res.json(meetings.map(formatMeeting));
+  } catch (error) {
+    console.error('Error listing meetings', error);
+    res.status(500).json({ error: "Failed to list meetings" });
+  }
+});
+
+// Book a meeting for req.group with the signed-in user as organizer: checks
+// calendar write access and the members' availability again, creates the
+// Google event on the organizer's primary calendar with the members invited,
+// and stores the meeting. Answers the request itself and returns null when
+// booking is refused or fails.
+// fields: { title, description?, startMs, endMs }
+// returns { meeting, failedMembers } (members whose calendars could not be checked)
+async function bookMeeting(req, res, fields, { allowConflicts = false } = {}) {
+  if (!(await requireCalendarWrite(req, res))) return null;
+
+  const { busyUserIds, failedMembers } = await findMeetingConflicts(req.group.group_id, fields.startMs, fields.endMs);
+  if (busyUserIds.length > 0 && !allowConflicts) {
+    res.status(409).json({ error: "Some members are busy at that time", busyUserIds, failedMembers });
+    return null;
+  }
+
+  const members = await db.memberships.listMembers(req.group.group_id);
+  let event;
+  try {
+    ({ data: event } = await tokenManager.withUserClient(req.session.userId, (client) =>
+      googleEndpoints.calendarApi(client).events.insert({
+        calendarId: 'primary',
+        sendUpdates: 'all',
+        requestBody: {
+          summary: fields.title,
+          description: fields.description,
+          start: { dateTime: new Date(fields.startMs).toISOString() },
+          end: { dateTime: new Date(fields.endMs).toISOString() },
+          attendees: members
+            .filter((m) => m.user_id !== req.session.userId && m.email)
+            .map((m) => ({ email: m.email }))
+        }
+      })));
+  } catch (error) {
+    console.error('Error creating Google event', error);
+    sendCalendarWriteError(res, error, "Failed to create the Google Calendar event");
+    return null;
+  }
+
+  try {
+    const meeting = await db.meetings.create({
+      group_id: req.group.group_id,
+      organizer_id: req.session.userId,
+      title: fields.title,
+      description: fields.description,
+      start_time: new Date(fields.startMs),
+      end_time: new Date(fields.endMs),
+      gcal_event_id: event.id,
+      attendee_ids: members.map((m) => m.user_id)
+    });
+    return { meeting, failedMembers };
+  } catch (error) {
+    // not stored: take the invitation back rather than leave an event nobody can manage here
+    await removeGoogleEvent(req.session.userId, event.id);
+    throw error;
+  }
+}
+
+// Best-effort delete of an event just created on the organizer's primary
+// calendar, when what it was booked for could not be saved; failures are logged.
+async function removeGoogleEvent(userId, eventId) {
+  await tokenManager.withUserClient(userId, (client) =>
+    googleEndpoints.calendarApi(client).events.delete({ calendarId: 'primary', eventId, sendUpdates: 'all' }))
+    .catch((err) => console.error(`Failed to remove Google event ${eventId}`, err));
+}
+
+// Book a meeting (see bookMeeting)
+// body: { title, description?, start, end (ISO or epoch ms), allowConflicts? }
+// 409 { busyUserIds } when members became busy since the slot was suggested,
+// unless allowConflicts; 403 { authorizeUrl } without calendar write access.
+// response: 201 { meeting, failedMembers }
+router.post('/api/groups/:id/meetings', requireAuth, loadMemberGroup, async (req, res) => {
+  const fields = parseMeetingBody(req, res);
+  if (!fields) return;
+
+  try {
+    const booked = await bookMeeting(req, res, fields, { allowConflicts: req.body.allowConflicts === true });
+    if (!booked) return;
+    res.status(201).json({ meeting: formatMeeting(booked.meeting), failedMembers: booked.failedMembers });
+  } catch (error) {
+    console.error('Error booking meeting', error);
+    res.status(500).json({ error: "Failed to book meeting" });
+  }
+});
+
+// Move or edit a meeting (organizer only); attendees are notified by Google.
+// body: { title?, description?, start?, end?, allowConflicts? } (start and end together)
+// response: { meeting, failedMembers }
+router.patch('/api/groups/:id/meetings/:meetingId', requireAuth, loadMemberGroup, loadOrganizedMeeting, async (req, res) => {
+  const fields = parseMeetingBody(req, res, { partial: true });
+  if (!fields) return;
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  try {
+    let failedMembers = [];
+    if (fields.startMs !== undefined) {
+      const check = await findMeetingConflicts(req.group.group_id, fields.startMs, fields.endMs, req.meeting.gcal_event_id);
+      if (check.busyUserIds.length > 0 && req.body.allowConflicts !== true) {
+        return res.status(409).json({ error: "Some members are busy at that time", ...check });
+      }
+      failedMembers = check.failedMembers;
+    }
+
+    const changes = {
+      summary: fields.title,
+      description: fields.description,
+      ...(fields.startMs !== undefined ? {
+        start: { dateTime: new Date(fields.startMs).toISOString() },
+        end: { dateTime: new Date(fields.endMs).toISOString() }
+      } : {})
+    };
+    try {
+      await tokenManager.withUserClient(req.session.userId, (client) =>
+        googleEndpoints.calendarApi(client).events.patch({
+          calendarId: 'primary',
+          eventId: req.meeting.gcal_event_id,
+          sendUpdates: 'all',
+          requestBody: changes
+        }));
+    } catch (error) {
+      console.error('Error updating Google event', error);
+      return sendCalendarWriteError(res, error, "Failed to update the Google Calendar event");
+    }
+
+    const meeting = await db.meetings.update(req.meeting.meeting_id, {
+      title: fields.title ?? null,
+      description: fields.description ?? null,
+      start_time: fields.startMs !== undefined ? new Date(fields.startMs) : null,
+      end_time: fields.endMs !== undefined ? new Date(fields.endMs) : null
+    });
+    res.json({ meeting: formatMeeting(meeting), failedMembers });
+  } catch (error) {
+    console.error('Error updating meeting', error);
+    res.status(500).json({ error: "Failed to update meeting" });
+  }
+});
+
+// Cancel a meeting (organizer only): the Google event is deleted and attendees notified
+router.delete('/api/groups/:id/meetings/:meetingId', requireAuth, loadMemberGroup, loadOrganizedMeeting, async (req, res) => {
+  try {
+    try {
+      await tokenManager.withUserClient(req.session.userId, (client) =>
+        googleEndpoints.calendarApi(client).events.delete({
+          calendarId: 'primary',
+          eventId: req.meeting.gcal_event_id,
+          sendUpdates: 'all'
+        }));
+    } catch (error) {
+      // already deleted in Google Calendar: only the local row is left to cancel
+      if (googleStatusOf(error) !== 404 && googleStatusOf(error) !== 410) {
+        console.error('Error deleting Google event', error);
+        return sendCalendarWriteError(res, error, "Failed to delete the Google Calendar event");
+      }
+    }
+    await db.meetings.cancel(req.meeting.meeting_id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error cancelling meeting', error);
+    res.status(500).json({ error: "Failed to cancel meeting" });
+  }
+});
+
+// ===================POLLS========================
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const POLL_VOTES = ['yes', 'if_needed', 'no'];
+
+// poll row -> API shape; with options when the row has them (polls.getById).
+// fractions: availabilityFraction per option, in option order
+function formatPoll(poll, fractions = null) {
+  return {
+    pollId: poll.poll_id,
+    groupId: poll.group_id,
+    organizerId: poll.organizer_id,
+    title: poll.title,
+    description: poll.description,
+    status: poll.status,
+    chosenOptionId: poll.chosen_option_id,
+    meetingId: poll.meeting_id,
+    createdAt: poll.created_at,
+    ...(poll.options ? {
+      options: poll.options.map((option, i) => ({
+        optionId: option.option_id,
+        start: new Date(option.start_time).toISOString(),
+        end: new Date(option.end_time).toISOString(),
+        // voter user ids per answer
+        votes: Object.fromEntries(POLL_VOTES.map((answer) => [
+          answer,
+          option.votes.filter((v) => v.vote === answer).map((v) => v.user_id)
+        ])),
+        ...(fractions ? { availabilityFraction: fractions[i] } : {})
+      }))
+    } : {})
+  };
+}
+
+// Candidate times from a poll body: [{ start, end }], each a valid future
+// meeting time, all within 31 days; sends 400 and returns null when invalid.
+// returns [{ startMs, endMs }]
+function parsePollOptions(value, res) {
+  if (!Array.isArray(value) || value.length < MIN_POLL_OPTIONS || value.length > MAX_POLL_OPTIONS) {
+    res.status(400).json({ error: `options must be an array of ${MIN_POLL_OPTIONS}-${MAX_POLL_OPTIONS} { start, end } times` });
+    return null;
+  }
+  const options = [];
+  for (const option of value) {
+    const time = parseMeetingTime(option?.start, option?.end);
+    if (time.error) {
+      res.status(400).json({ error: time.error });
+      return null;
+    }
+    if (options.some((o) => o.startMs === time.startMs && o.endMs === time.endMs)) {
+      res.status(400).json({ error: "options must not repeat a time" });
+      return null;
+    }
+    options.push(time);
+  }
+  const spanMs = Math.max(...options.map((o) => o.endMs)) - Math.min(...options.map((o) => o.startMs));
+  if (spanMs > MAX_WINDOW_MS) {
+    res.status(400).json({ error: "All options must be within 31 days" });
+    return null;
+  }
+  return options;
+}
+
+// availabilityFraction of each option (share of members free for all of it),
+// from the same synced calendars as /availability
+// returns { fractions, failedMembers }
+async function computeOptionFractions(groupId, options) {
+  const times = options.map((o) => ({ startMs: new Date(o.start_time).getTime(), endMs: new Date(o.end_time).getTime() }));
+  const { participants, failedMembers } = await loadGroupParticipants(
+    groupId, Math.min(...times.map((t) => t.startMs)), Math.max(...times.map((t) => t.endMs))
+  );
+  const fractions = [];
+  for (const { startMs, endMs } of times) {
+    // one block spanning the whole option
+    const blocks = await algorithm.computeAvailabilityBlocks({
+      windowStartMs: startMs,
+      windowEndMs: endMs,
+      participants,
+      granularityMinutes: (endMs - startMs) / ONE_MINUTE_MS
+    });
+    fractions.push(blocks.length > 0 ? blocks[0].availabilityFraction : null);
+  }
+  return { fractions, failedMembers };
+}
+
+// the option with the most yes + if-needed votes; ties go to more yes votes, then the earlier time
+function pickWinningOption(options) {
+  const count = (option, answers) => option.votes.filter((v) => answers.includes(v.vote)).length;
+  return [...options].sort((a, b) =>
+    count(b, ['yes', 'if_needed']) - count(a, ['yes', 'if_needed']) ||
+    count(b, ['yes']) - count(a, ['yes']) ||
+    new Date(a.start_time) - new Date(b.start_time)
+  )[0];
+}
+
+// Resolve :pollId to a poll of req.group (with options and votes); sets req.poll
+async function loadPoll(req, res, next) {
+  const pollId = Number(req.params.pollId);
+  if (!Number.isInteger(pollId) || pollId <= 0) {
+    return res.status(400).json({ error: "Invalid poll id" });
+  }
+  try {
+    const poll = await db.polls.getById(req.group.group_id, pollId);
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+    req.poll = poll;
+    next();
+  } catch (error) {
+    console.error('Error loading poll', error);
+    res.status(500).json({ error: "Failed to load poll" });
+  }
+}
+
+// A group's polls (without options), open ones first
+router.get('/api/groups/:id/polls', requireAuth, loadMemberGroup, async (req, res) => {
+  try {
+    const polls = await db.polls.listForGroup(req.group.group_id);
+    res.json(polls.map((poll) => formatPoll(poll)));
+  } catch (error) {
+    console.error('Error listing polls', error);
+    res.status(500).json({ error: "Failed to list polls" });
+  }
+});
+
+// Propose candidate times (e.g. picked from /availability or /suggestions)
+// body: { title, description?, options: [{ start, end }] }
+router.post('/api/groups/:id/polls', requireAuth, loadMemberGroup, async (req, res) => {
+  const title = parseMeetingTitle(req.body?.title);
+  if (!title) {
+    return res.status(400).json({ error: `title must be 1-${MAX_MEETING_TITLE_LENGTH} characters` });
+  }
+  const description = req.body?.description;
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({ error: "description must be a string" });
+  }
+  const options = parsePollOptions(req.body?.options, res);
+  if (!options) return;
+
+  try {
+    const poll = await db.polls.create({
+      group_id: req.group.group_id,
+      organizer_id: req.session.userId,
+      title,
+      description,
+      options: options.map((o) => ({ start_time: new Date(o.startMs), end_time: new Date(o.endMs) }))
+    });
+    res.status(201).json(formatPoll(poll));
+  } catch (error) {
+    console.error('Error creating poll', error);
+    res.status(500).json({ error: "Failed to create poll" });
+  }
+});
+
+// A poll with its votes and each option's current availabilityFraction
+// response: { poll, failedMembers } (members whose calendars could not be read)
+router.get('/api/groups/:id/polls/:pollId', requireAuth, loadMemberGroup, loadPoll, async (req, res) => {
+  try {
+    const { fractions, failedMembers } = await computeOptionFractions(req.group.group_id, req.poll.options);
+    res.json({ poll: formatPoll(req.poll, fractions), failedMembers });
+  } catch (error) {
+    console.error('Error reading poll', error);
+    res.status(500).json({ error: "Failed to read poll" });
+  }
+});
+
+// My votes on an open poll; options left out keep my earlier vote
+// body: { votes: { [optionId]: 'yes' | 'if_needed' | 'no' } }
+router.put('/api/groups/:id/polls/:pollId/votes', requireAuth, loadMemberGroup, loadPoll, async (req, res) => {
+  const votes = req.body?.votes;
+  if (!votes || typeof votes !== 'object' || Array.isArray(votes)) {
+    return res.status(400).json({ error: "votes must map option ids to yes, if_needed or no" });
+  }
+  const optionIds = req.poll.options.map((option) => option.option_id);
+  const entries = Object.entries(votes).map(([optionId, vote]) => ({ option_id: Number(optionId), vote }));
+  if (!entries.every((v) => optionIds.includes(v.option_id))) {
+    return res.status(400).json({ error: "votes must only name options of this poll" });
+  }
+  if (!entries.every((v) => POLL_VOTES.includes(v.vote))) {
+    return res.status(400).json({ error: `Each vote must be one of ${POLL_VOTES.join(', ')}` });
+  }
+
+  try {
+    const saved = await db.polls.saveVotes(req.poll.poll_id, req.session.userId, entries);
+    if (!saved) {
+      return res.status(409).json({ error: "This poll is closed" });
+    }
+    res.json(formatPoll(await db.polls.getById(req.group.group_id, req.poll.poll_id)));
+  } catch (error) {
+    console.error('Error saving votes', error);
+    res.status(500).json({ error: "Failed to save votes" });
+  }
+});
+
+// Finalize a poll (organizer only): books the chosen option as a meeting,
+// the same way as POST /meetings. Without optionId the winning option is
+// booked (most yes + if-needed votes, then most yes, then the earliest).
+// The poll is claimed before booking and reopened if booking fails; 409 when
+// it is already closed or being finalized by another request.
+// body: { optionId?, allowConflicts? }
+// response: { poll, meeting, failedMembers }
+router.post('/api/groups/:id/polls/:pollId/finalize', requireAuth, loadMemberGroup, loadPoll, async (req, res) => {
+  if (req.poll.organizer_id !== req.session.userId) {
+    return res.status(403).json({ error: "Only the organizer can finalize this poll" });
+  }
+  if (req.poll.status !== 'open') {
+    return res.status(409).json({ error: "This poll is closed" });
+  }
+  const optionId = req.body?.optionId;
+  const option = optionId === undefined
+    ? pickWinningOption(req.poll.options)
+    : req.poll.options.find((o) => o.option_id === optionId);
+  if (!option) {
+    return res.status(400).json({ error: "optionId must name an option of this poll" });
+  }
+  const time = parseMeetingTime(new Date(option.start_time).getTime(), new Date(option.end_time).getTime());
+  if (time.error) {
+    return res.status(400).json({ error: `The chosen option cannot be booked: ${time.error}` });
+  }
+
+  try {
+    // claim the poll first: a second finalize (or a vote) sees it closed
+    if (!(await db.polls.claim(req.poll.poll_id, option.option_id))) {
+      return res.status(409).json({ error: "This poll is closed" });
+    }
+    let booked;
+    try {
+      booked = await bookMeeting(req, res, {
+        title: req.poll.title,
+        description: req.poll.description ?? undefined,
+        ...time
+      }, { allowConflicts: req.body?.allowConflicts === true });
+    } finally {
+      if (!booked) await db.polls.release(req.poll.poll_id);
+    }
+    if (!booked) return;
+
+    let finalized = null;
+    try {
+      finalized = await db.polls.finalize(req.poll.poll_id, booked.meeting.meeting_id);
+    } finally {
+      if (!finalized) {
+        // the poll was deleted meanwhile, or the write failed: undo the booking
+        await removeGoogleEvent(req.session.userId, booked.meeting.gcal_event_id);
+        await db.meetings.cancel(booked.meeting.meeting_id);
+        await db.polls.release(req.poll.poll_id);
+      }
+    }
+    if (!finalized) {
+      return res.status(409).json({ error: "This poll is closed" });
+    }
+    res.json({
+      poll: formatPoll(await db.polls.getById(req.group.group_id, req.poll.poll_id)),
+      meeting: formatMeeting(booked.meeting),
+      failedMembers: booked.failedMembers
+    });
+  } catch (error) {
+    console.error('Error finalizing poll', error);
+    res.status(500).json({ error: "Failed to finalize poll" });
+  }
+});
+
+// Delete a poll (organizer only); a meeting it booked stays
+router.delete('/api/groups/:id/polls/:pollId', requireAuth, loadMemberGroup, loadPoll, async (req, res) => {
+  if (req.poll.organizer_id !== req.session.userId) {
+    return res.status(403).json({ error: "Only the organizer can delete this poll" });
+  }
+  try {
+    await db.polls.remove(req.poll.poll_id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting poll', error);
+    res.status(500).json({ error: "Failed to delete poll" });
+  }
+});
+
+// options: { sessionStore, sessionSecret, isProduction }
+// sessionStore defaults to express-session's MemoryStore
+function createApp({
+  sessionStore,
+  sessionSecret = process.env.SESSION_SECRET,
+  isProduction = process.env.NODE_ENV === 'production'
+} = {}) {
+  const app = express();
+
+  app.use(express.json());
+  app.set('trust proxy', 1);
+
+  app.use(session({
+    store: sessionStore,
+    secret: sessionSecret,
+    resave:false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: isProduction,
+      maxAge: 24*60*60*1000,
+      path: '/'
+    }
+  }));
+
+  app.use(express.static(path.join(__dirname, "..", "frontend"), { index: false }));
+
+  // Google sign-in: /auth/google and /oauth2callback
+  app.use(createLoginRouter({
+    secret: sessionSecret,
+    scopes,
+    optionalScopes,
+    secureCookies: isProduction,
+    apiRootUrl: googleEndpoints.apiRootUrl()
+  }));
+
+  app.use(router);
+  return app;
+}
+
+module.exports = {
+  createApp
+};
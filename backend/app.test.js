@@ -0,0 +1,635 @@
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.TOKEN_ENCRYPTION_KEY_ID = 'test';
+process.env.GOOGLE_CLIENT_ID = 'fake-client';
+process.env.GOOGLE_CLIENT_SECRET = 'fake-secret';
+
+const crypto = require('crypto');
+const http = require('http');
+const session = require('express-session');
+
+jest.mock('./db/index', () => require('./db/testDatabase').createTestDatabase());
+// no Google: stored events are the members' calendars
+jest.mock('./sync/calendarSync', () => ({
+  syncStaleCalendars: jest.fn(async () => new Map()),
+  syncSelectedCalendars: jest.fn(async () => []),
+  refreshCalendarList: jest.fn(async () => [])
+}));
+// algorithm/index.cjs loads the ESM algorithm with import(), which needs Jest's VM modules
+jest.mock('./algorithm/index.cjs', () => ({
+  computeAvailabilityBlocks: jest.fn(async () => []),
+  findMeetingSlots: jest.fn(async () => [])
+}));
+
+const db = require('./db/index');
+const calendarSync = require('./sync/calendarSync');
+const algorithm = require('./algorithm/index.cjs');
+const { createApp } = require('./app');
+const { SCOPES, createFakeGoogle } = require('./fakeGoogle/fakeGoogle');
+
+const SECRET = 'test-secret';
+const sessionStore = new session.MemoryStore();
+const empty = db.mem.backup();
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = createApp({ sessionStore, sessionSecret: SECRET, isProduction: false });
+  await new Promise((resolve) => {
+    server = http.createServer(app).listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  empty.restore();
+  jest.clearAllMocks();
+});
+
+// a signed session cookie for userId, as /oauth2callback would leave it
+const sessionCookies = new Map();
+async function cookieFor(userId) {
+  if (!sessionCookies.has(userId)) {
+    const sid = crypto.randomBytes(16).toString('hex');
+    await new Promise((resolve, reject) => sessionStore.set(sid, {
+      cookie: { originalMaxAge: null, httpOnly: true, path: '/' },
+      userId,
+      isAuthenticated: true
+    }, (err) => (err ? reject(err) : resolve())));
+    const signature = crypto.createHmac('sha256', SECRET).update(sid).digest('base64').replace(/=+$/, '');
+    sessionCookies.set(userId, `connect.sid=${encodeURIComponent(`s:${sid}.${signature}`)}`);
+  }
+  return sessionCookies.get(userId);
+}
+
+// api('GET', '/api/groups', { as: userId, body })
+async function api(method, path, { as, body } = {}) {
+  const headers = {};
+  if (as !== undefined) headers.cookie = await cookieFor(as);
+  if (body !== undefined) headers['content-type'] = 'application/json';
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function createPerson(first_name) {
+  const person = await db.persons.create({
+    email: `${first_name.toLowerCase()}@example.com`,
+    first_name,
+    last_name: 'Test',
+    username: first_name.toLowerCase()
+  });
+  return person.user_id;
+}
+
+// a fake Google (see fakeGoogle/) for the routes that call it
+
+const REDIRECT_URI = 'http://127.0.0.1/oauth2callback';
+let fake, fakeServer, fakeUrl;
+
+beforeAll(async () => {
+  fake = createFakeGoogle({
+    clientId: 'fake-client',
+    clientSecret: 'fake-secret',
+    users: [
+      { id: 'g-alice', email: 'alice@example.com', given_name: 'Alice', family_name: 'Test' },
+      { id: 'g-bob', email: 'bob@example.com', given_name: 'Bob', family_name: 'Test' }
+    ]
+  });
+  await new Promise((resolve) => {
+    fakeServer = http.createServer(fake.app).listen(0, '127.0.0.1', resolve);
+  });
+  fakeUrl = `http://127.0.0.1:${fakeServer.address().port}`;
+  process.env.GOOGLE_API_ROOT_URL = fakeUrl;
+});
+
+afterAll(async () => {
+  delete process.env.GOOGLE_API_ROOT_URL;
+  await new Promise((resolve) => fakeServer.close(resolve));
+});
+
+// sign in to the fake Google and store the tokens, as /oauth2callback would
+async function connect(googleId, firstName, scopes) {
+  const consent = new URL(`${fakeUrl}/o/oauth2/v2/auth`);
+  consent.search = new URLSearchParams({
+    client_id: 'fake-client', redirect_uri: REDIRECT_URI, response_type: 'code', scope: scopes.join(' '), account: googleId
+  });
+  const redirect = await fetch(consent, { redirect: 'manual' });
+  const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+  const tokens = await (await fetch(`${fakeUrl}/token`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'fake-client', client_secret: 'fake-secret'
+    })
+  })).json();
+  const { user_id } = await db.persons.upsertGoogleAccount({
+    google_id: googleId, email: `${firstName.toLowerCase()}@example.com`, first_name: firstName, last_name: 'Test',
+    username: firstName.toLowerCase(), refresh_token: tokens.refresh_token, access_token: tokens.access_token,
+    token_expiry: Date.now() + tokens.expires_in * 1000, granted_scopes: tokens.scope
+  });
+  return user_id;
+}
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+// ISO time n hours after the start of tomorrow's first full hour
+const hour = (n) => {
+  const next = Math.ceil(Date.now() / ONE_HOUR_MS) * ONE_HOUR_MS;
+  return new Date(next + (24 + n) * ONE_HOUR_MS).toISOString();
+};
+
+describe('auth', () => {
+  test('API routes need a signed-in session', async () => {
+    expect(await api('GET', '/api/groups')).toEqual({ status: 401, body: { error: "User not authenticated" } });
+  });
+
+  test('/api/me reports whether the calendar is connected, never the tokens', async () => {
+    const { user_id } = await db.persons.upsertGoogleAccount({
+      google_id: 'g-1', email: 'g@example.com', first_name: 'Gina', last_name: 'G', username: 'gina',
+      refresh_token: 'refresh-1', access_token: 'access-1', token_expiry: Date.now()
+    });
+    const me = await api('GET', '/api/me', { as: user_id });
+    expect(me.body).toEqual({ user_id, google_id: 'g-1', calendar_connected: true });
+  });
+});
+
+describe('groups', () => {
+  let alice, bob, carol;
+
+  beforeEach(async () => {
+    alice = await createPerson('Alice');
+    bob = await createPerson('Bob');
+    carol = await createPerson('Carol');
+  });
+
+  async function createGroup(memberIds) {
+    const created = await api('POST', '/api/groups', { as: alice, body: { groupName: ' Team ', memberIds } });
+    expect(created.status).toBe(201);
+    return created.body.groupId;
+  }
+
+  test('creating a group makes the creator its owner', async () => {
+    const groupId = await createGroup([bob]);
+    expect((await api('GET', '/api/groups', { as: alice })).body).toEqual([
+      { groupId, groupName: 'Team', memberCount: 2, role: 'owner' }
+    ]);
+    expect((await api('GET', '/api/groups', { as: bob })).body).toEqual([
+      { groupId, groupName: 'Team', memberCount: 2, role: 'member' }
+    ]);
+    expect((await api('GET', '/api/groups', { as: carol })).body).toEqual([]);
+  });
+
+  test('unknown members are rejected and nothing is created', async () => {
+    const created = await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [bob, 999] } });
+    expect(created).toEqual({ status: 404, body: { error: "User not found", userIds: [999] } });
+    expect((await api('GET', '/api/groups', { as: alice })).body).toEqual([]);
+  });
+
+  test('non-members cannot see a group; members only see member details as admins', async () => {
+    const groupId = await createGroup([bob, carol]);
+    expect((await api('GET', `/api/groups/${groupId}/members`, { as: await createPerson('Dan') })).status).toBe(403);
+
+    const asMember = await api('GET', `/api/groups/${groupId}/members`, { as: bob });
+    expect(asMember.body.map((m) => m.userId)).toEqual([alice, bob, carol]);
+    expect(asMember.body[0]).not.toHaveProperty('email');
+
+    await api('PATCH', `/api/groups/${groupId}/members/${bob}`, { as: alice, body: { role: 'admin' } });
+    const asAdmin = await api('GET', `/api/groups/${groupId}/members`, { as: bob });
+    expect(asAdmin.body[0]).toMatchObject({ userId: alice, role: 'owner', email: 'alice@example.com' });
+  });
+
+  test('admins can rename and invite; only the owner deletes', async () => {
+    const groupId = await createGroup([bob]);
+    expect((await api('PATCH', `/api/groups/${groupId}`, { as: bob, body: { groupName: 'Crew' } })).status).toBe(403);
+
+    await api('PATCH', `/api/groups/${groupId}/members/${bob}`, { as: alice, body: { role: 'admin' } });
+    expect((await api('PATCH', `/api/groups/${groupId}`, { as: bob, body: { groupName: 'Crew' } })).body)
+      .toEqual({ groupId, groupName: 'Crew' });
+    expect((await api('POST', `/api/groups/${groupId}/members`, { as: bob, body: { userIds: [alice, carol] } })).body)
+      .toEqual({ addedUserIds: [carol] });
+    expect((await api('DELETE', `/api/groups/${groupId}`, { as: bob })).status).toBe(403);
+
+    expect((await api('DELETE', `/api/groups/${groupId}`, { as: alice })).status).toBe(204);
+    expect((await api('GET', `/api/groups/${groupId}/members`, { as: alice })).status).toBe(404);
+  });
+
+  test('handing over ownership, and the owner leaving', async () => {
+    const groupId = await createGroup([bob, carol]);
+    expect((await api('PATCH', `/api/groups/${groupId}/members/${bob}`, { as: alice, body: { role: 'owner' } })).body)
+      .toEqual({ userId: bob, role: 'owner' });
+    expect((await api('GET', '/api/groups', { as: alice })).body[0].role).toBe('admin');
+
+    expect((await api('DELETE', `/api/groups/${groupId}/members/me`, { as: bob })).body)
+      .toEqual({ left: true, groupDeleted: false });
+    expect((await api('GET', '/api/groups', { as: alice })).body[0].role).toBe('owner'); // the admin
+    expect((await api('GET', '/api/groups', { as: bob })).body).toEqual([]);
+  });
+});
+
+describe('calendars and availability', () => {
+  test('PATCH /api/calendars/:id only changes the signed-in user\'s calendars', async () => {
+    const alice = await createPerson('Alice');
+    const bob = await createPerson('Bob');
+    const { calendar_id } = await db.calendars.upsert(alice, 'primary');
+
+    expect((await api('PATCH', `/api/calendars/${calendar_id}`, { as: bob, body: { selected: false } })).status).toBe(404);
+    expect((await api('PATCH', `/api/calendars/${calendar_id}`, { as: alice, body: { blockingLevel: 'B1' } })).body)
+      .toEqual({ calendarId: calendar_id, gcalId: 'primary', name: null, selected: true, blockingLevel: 'B1' });
+    expect((await api('PATCH', `/api/calendars/${calendar_id}`, { as: alice, body: { blockingLevel: 'B9' } })).status).toBe(400);
+  });
+
+  test('availability reads the members\' stored events and reports members whose sync failed', async () => {
+    const alice = await createPerson('Alice');
+    const bob = await createPerson('Bob');
+    const created = await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [bob] } });
+    const { calendar_id } = await db.calendars.upsert(alice, 'primary');
+    await db.events.replaceForCalendar(calendar_id, [
+      { gcal_event_id: 'standup', event_start: new Date('2026-03-02T09:00:00Z'), event_duration: 0.5, priority: 3 }
+    ], 'token-1');
+    calendarSync.syncStaleCalendars.mockResolvedValueOnce(new Map([[bob, 'Calendar not connected']]));
+
+    const start = '2026-03-02T00:00:00Z';
+    const end = '2026-03-03T00:00:00Z';
+    const response = await api('GET', `/api/groups/${created.body.groupId}/availability?start=${start}&end=${end}`, { as: alice });
+    expect(response).toEqual({ status: 200, body: { blocks: [], failedMembers: [{ userId: bob, error: 'Calendar not connected' }] } });
+
+    expect(calendarSync.syncStaleCalendars).toHaveBeenCalledWith([alice, bob], expect.any(Number));
+    expect(algorithm.computeAvailabilityBlocks).toHaveBeenCalledWith(expect.objectContaining({
+      windowStartMs: Date.parse(start),
+      windowEndMs: Date.parse(end),
+      participants: [{
+        userId: alice,
+        events: [{
+          eventRef: 'standup',
+          userId: alice,
+          startMs: Date.parse('2026-03-02T09:00:00Z'),
+          endMs: Date.parse('2026-03-02T09:30:00Z'),
+          source: 'google',
+          blockingLevel: 'B3'
+        }]
+      }]
+    }));
+  });
+
+  test('availability only accepts a granularity of whole minutes that divides an hour', async () => {
+    const alice = await createPerson('Alice');
+    const { groupId } = (await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [] } })).body;
+    const availability = (granularity) =>
+      api('GET', `/api/groups/${groupId}/availability?start=2026-03-02T00:00:00Z&end=2026-04-02T00:00:00Z&granularity=${granularity}`, { as: alice });
+
+    for (const granularity of ['0.0001', '0', '-15', '7', '90', '15.5', 'abc']) {
+      expect((await availability(granularity)).status).toBe(400);
+    }
+    expect(algorithm.computeAvailabilityBlocks).not.toHaveBeenCalled();
+
+    expect((await availability('30')).status).toBe(200);
+    expect(algorithm.computeAvailabilityBlocks).toHaveBeenCalledWith(expect.objectContaining({ granularityMinutes: 30 }));
+  });
+
+  test('suggestions run findMeetingSlots over the members\' events', async () => {
+    const alice = await createPerson('Alice');
+    const bob = await createPerson('Bob');
+    const { groupId } = (await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [bob] } })).body;
+    const slot = { startMs: Date.parse('2026-03-02T10:00:00Z'), endMs: Date.parse('2026-03-02T10:30:00Z'), attendeeUserIds: [alice, bob] };
+    algorithm.findMeetingSlots.mockResolvedValueOnce([slot]);
+    calendarSync.syncStaleCalendars.mockResolvedValueOnce(new Map([[bob, 'Calendar not connected']]));
+
+    const start = '2026-03-02T00:00:00Z';
+    const end = '2026-03-09T00:00:00Z';
+    const query = new URLSearchParams({ start, end, duration: '30', minFraction: '0.5', maxResults: '3', granularity: '30' });
+    expect(await api('GET', `/api/groups/${groupId}/suggestions?${query}`, { as: alice })).toEqual({
+      status: 200,
+      body: { slots: [slot], failedMembers: [{ userId: bob, error: 'Calendar not connected' }] }
+    });
+    expect(algorithm.findMeetingSlots).toHaveBeenCalledWith({
+      durationMinutes: 30,
+      participants: [{ userId: alice, events: [] }],
+      window: { startMs: Date.parse(start), endMs: Date.parse(end) },
+      minFraction: 0.5,
+      maxResults: 3,
+      granularityMinutes: 30
+    });
+
+    // defaults: everyone free, ten results, 15-minute blocks
+    await api('GET', `/api/groups/${groupId}/suggestions?start=${start}&end=${end}&duration=60`, { as: alice });
+    expect(algorithm.findMeetingSlots).toHaveBeenLastCalledWith(expect.objectContaining({
+      durationMinutes: 60, minFraction: 1, maxResults: 10, granularityMinutes: 15
+    }));
+  });
+
+  test('suggestions need a duration and reject a bad minFraction, maxResults or granularity', async () => {
+    const alice = await createPerson('Alice');
+    const { groupId } = (await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [] } })).body;
+    const suggestions = (query) => api('GET', `/api/groups/${groupId}/suggestions?${new URLSearchParams(query)}`, { as: alice });
+
+    const bad = [
+      {},
+      { duration: '0' },
+      { duration: '1441' },
+      { duration: '30.5' },
+      { duration: '30', minFraction: '1.5' },
+      { duration: '30', minFraction: '' },
+      { duration: '30', minFraction: 'half' },
+      { duration: '30', maxResults: '0' },
+      { duration: '30', maxResults: '51' },
+      { duration: '30', maxResults: '2.5' },
+      { duration: '30', granularity: '0.0001' },
+      { duration: '30', granularity: '45' }
+    ];
+    for (const query of bad) {
+      expect((await suggestions(query)).status).toBe(400);
+    }
+    expect(algorithm.findMeetingSlots).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/events', () => {
+  let alice, work;
+
+  beforeEach(async () => {
+    for (const event of fake.listEvents('alice@example.com')) fake.deleteEvent('alice@example.com', event.id);
+    alice = await connect('g-alice', 'Alice', [SCOPES.calendarReadonly]);
+    work = fake.addCalendar('g-alice', { summary: 'Work' });
+    await db.calendars.saveList(alice, [
+      { gcal_id: 'primary', calendar_name: 'Alice', is_selected: true, blocking_level: 'B3' },
+      { gcal_id: work, calendar_name: 'Work', is_selected: false, blocking_level: 'B1' }
+    ]);
+  });
+
+  const calendarIdOf = async (gcalId) => (await db.calendars.listForUser(alice)).find((c) => c.gcal_id === gcalId).calendar_id;
+  const events = (query) => api('GET', `/api/events?${new URLSearchParams({ start: hour(0), end: hour(48), ...query })}`, { as: alice });
+
+  test('start, end and calendars are validated', async () => {
+    const bad = [
+      { start: hour(2), end: hour(1) },
+      { start: 'soon' },
+      { end: hour(24 * 40) },
+      { calendars: 'work' },
+      { calendars: '1,-2' }
+    ];
+    for (const query of bad) {
+      expect((await events(query)).status).toBe(400);
+    }
+    expect((await events({ calendars: '999' })).status).toBe(404);
+  });
+
+  test('events of my selected calendars, every page, in start order', async () => {
+    for (let i = 0; i < 260; i++) {
+      fake.insertEvent('alice@example.com', {
+        id: `e${i}`, summary: `Event ${i}`,
+        start: { dateTime: hour(i / 10) }, end: { dateTime: hour(i / 10 + 0.05) }
+      });
+    }
+    fake.insertEvent(work, { id: 'standup', summary: 'Standup', start: { dateTime: hour(1) }, end: { dateTime: hour(2) } });
+    fake.insertEvent('alice@example.com', { id: 'later', start: { dateTime: hour(50) }, end: { dateTime: hour(51) } });
+
+    const listed = await events();
+    expect(listed.status).toBe(200);
+    expect(listed.body.map((e) => e.id)).toEqual(Array.from({ length: 260 }, (_, i) => `e${i}`));
+  });
+
+  test('the calendars filter, and the event shape', async () => {
+    const day = hour(0).slice(0, 10);
+    const nextDay = new Date(Date.parse(day) + 24 * ONE_HOUR_MS).toISOString().slice(0, 10);
+    fake.insertEvent(work, { id: 'standup', summary: 'Standup', start: { dateTime: hour(1) }, end: { dateTime: hour(2) } });
+    fake.insertEvent(work, { id: 'focus', start: { dateTime: hour(3) }, end: { dateTime: hour(4) }, transparency: 'transparent' });
+    fake.insertEvent(work, { id: 'offsite', summary: 'Offsite', start: { date: day }, end: { date: nextDay } });
+    fake.insertEvent('alice@example.com', { id: 'mine', summary: 'Mine', start: { dateTime: hour(2) }, end: { dateTime: hour(3) } });
+    const workId = await calendarIdOf(work);
+
+    const listed = await events({ calendars: String(workId) });
+    expect(listed.body).toEqual([
+      {
+        id: 'offsite', calendarId: workId, calendarName: 'Work', title: 'Offsite', start: day, end: nextDay,
+        allDay: true, status: 'confirmed', transparency: 'opaque', blockingLevel: 'B1'
+      },
+      {
+        id: 'standup', calendarId: workId, calendarName: 'Work', title: 'Standup', start: hour(1), end: hour(2),
+        allDay: false, status: 'confirmed', transparency: 'opaque', blockingLevel: 'B1'
+      },
+      {
+        id: 'focus', calendarId: workId, calendarName: 'Work', title: 'No Title', start: hour(3), end: hour(4),
+        allDay: false, status: 'confirmed', transparency: 'transparent', blockingLevel: 'B1'
+      }
+    ]);
+
+    const both = await events({ calendars: `${workId},${await calendarIdOf('primary')}` });
+    expect(both.body.map((e) => e.id)).toEqual(['offsite', 'standup', 'mine', 'focus']);
+  });
+});
+
+describe('meetings', () => {
+  let alice, bob, groupId;
+
+  const googleEvents = () => fake.listEvents('alice@example.com').filter((e) => e.status !== 'cancelled');
+
+  beforeEach(async () => {
+    for (const event of googleEvents()) fake.deleteEvent('alice@example.com', event.id);
+    alice = await connect('g-alice', 'Alice', [SCOPES.calendarReadonly, SCOPES.events]);
+    bob = await connect('g-bob', 'Bob', [SCOPES.calendarReadonly]);
+    groupId = (await api('POST', '/api/groups', { as: alice, body: { groupName: 'Team', memberIds: [bob] } })).body.groupId;
+  });
+
+  async function book(body = {}) {
+    return api('POST', `/api/groups/${groupId}/meetings`, {
+      as: alice,
+      body: { title: 'Planning', start: hour(0), end: hour(1), ...body }
+    });
+  }
+
+  test('booking creates a Google event on the organizer\'s calendar with the members invited', async () => {
+    const booked = await book({ description: 'Agenda' });
+    expect(booked.status).toBe(201);
+    expect(booked.body).toEqual({
+      meeting: expect.objectContaining({
+        groupId, organizerId: alice, title: 'Planning', description: 'Agenda',
+        start: hour(0), end: hour(1), status: 'scheduled', attendeeIds: [alice, bob]
+      }),
+      failedMembers: []
+    });
+    expect(googleEvents()).toEqual([expect.objectContaining({
+      id: booked.body.meeting.gcalEventId,
+      summary: 'Planning',
+      start: { dateTime: hour(0) },
+      attendees: [{ email: 'bob@example.com' }]
+    })]);
+    expect((await api('GET', `/api/groups/${groupId}/meetings`, { as: bob })).body).toEqual([booked.body.meeting]);
+
+    // availability was checked again, on calendars synced within the last minute
+    expect(calendarSync.syncStaleCalendars).toHaveBeenCalledWith([alice, bob], 60 * 1000);
+    expect(algorithm.computeAvailabilityBlocks).toHaveBeenCalledWith(expect.objectContaining({
+      windowStartMs: Date.parse(hour(0)), windowEndMs: Date.parse(hour(1)), granularityMinutes: 60
+    }));
+  });
+
+  test('without calendar write access the organizer is sent to grant it', async () => {
+    const booked = await api('POST', `/api/groups/${groupId}/meetings`, {
+      as: bob,
+      body: { title: 'Planning', start: hour(0), end: hour(1) }
+    });
+    expect(booked).toEqual({ status: 403, body: expect.objectContaining({ authorizeUrl: '/auth/google?access=calendar_write' }) });
+    expect(googleEvents()).toEqual([]);
+  });
+
+  test('members who became busy block the booking unless conflicts are allowed', async () => {
+    algorithm.computeAvailabilityBlocks.mockResolvedValueOnce([{ busyUserIds: [bob] }]);
+    expect(await book()).toEqual({
+      status: 409,
+      body: { error: "Some members are busy at that time", busyUserIds: [bob], failedMembers: [] }
+    });
+    expect(googleEvents()).toEqual([]);
+
+    algorithm.computeAvailabilityBlocks.mockResolvedValueOnce([{ busyUserIds: [bob] }]);
+    expect((await book({ allowConflicts: true })).status).toBe(201);
+  });
+
+  test('invalid meetings are rejected before anything is checked', async () => {
+    expect((await book({ title: ' ' })).status).toBe(400);
+    expect((await book({ start: new Date(Date.now() - ONE_HOUR_MS).toISOString() })).status).toBe(400);
+    expect((await book({ end: hour(0) })).status).toBe(400);
+    expect((await book({ end: hour(30) })).status).toBe(400);
+    expect(algorithm.computeAvailabilityBlocks).not.toHaveBeenCalled();
+  });
+
+  test('the organizer moves and cancels the meeting; the Google event follows', async () => {
+    const { meeting } = (await book()).body;
+    const path = `/api/groups/${groupId}/meetings/${meeting.meetingId}`;
+    expect((await api('PATCH', path, { as: bob, body: { title: 'Mine now' } })).status).toBe(403);
+
+    // the meeting's own event, synced into the organizer's calendar, is not a conflict
+    const { calendar_id } = await db.calendars.upsert(alice, 'primary');
+    await db.events.replaceForCalendar(calendar_id, [
+      { gcal_event_id: meeting.gcalEventId, event_start: new Date(hour(0)), event_duration: 1, priority: 3 }
+    ], 'token-1');
+    const moved = await api('PATCH', path, { as: alice, body: { start: hour(0.5), end: hour(1.5) } });
+    expect(moved.body.meeting).toMatchObject({ title: 'Planning', start: hour(0.5), end: hour(1.5) });
+    const { participants } = algorithm.computeAvailabilityBlocks.mock.calls.at(-1)[0];
+    expect(participants.find((p) => p.userId === alice).events).toEqual([]);
+    expect(googleEvents()[0]).toMatchObject({ start: { dateTime: hour(0.5) }, end: { dateTime: hour(1.5) } });
+
+    expect((await api('DELETE', path, { as: alice })).status).toBe(204);
+    expect(googleEvents()).toEqual([]);
+    expect((await api('GET', `/api/groups/${groupId}/meetings`, { as: alice })).body).toEqual([]);
+    expect((await api('DELETE', path, { as: alice })).status).toBe(404);
+  });
+
+  describe('polls', () => {
+    async function createPoll() {
+      const created = await api('POST', `/api/groups/${groupId}/polls`, {
+        as: alice,
+        body: {
+          title: 'Retro',
+          options: [{ start: hour(2), end: hour(3) }, { start: hour(0), end: hour(1) }, { start: hour(4), end: hour(5) }]
+        }
+      });
+      expect(created.status).toBe(201);
+      return created.body;
+    }
+
+    test('members vote on candidate times, shown with their availabilityFraction', async () => {
+      const poll = await createPoll();
+      expect(poll.options.map((o) => [o.start, o.votes])).toEqual([
+        [hour(0), { yes: [], if_needed: [], no: [] }],
+        [hour(2), { yes: [], if_needed: [], no: [] }],
+        [hour(4), { yes: [], if_needed: [], no: [] }]
+      ]);
+      const [first, second] = poll.options.map((o) => o.optionId);
+      const path = `/api/groups/${groupId}/polls/${poll.pollId}`;
+
+      const voted = await api('PUT', `${path}/votes`, { as: bob, body: { votes: { [first]: 'no', [second]: 'if_needed' } } });
+      expect(voted.body.options[0].votes).toEqual({ yes: [], if_needed: [], no: [bob] });
+      expect((await api('PUT', `${path}/votes`, { as: bob, body: { votes: { [first]: 'maybe' } } })).status).toBe(400);
+      expect((await api('PUT', `${path}/votes`, { as: bob, body: { votes: { 999: 'yes' } } })).status).toBe(400);
+
+      algorithm.computeAvailabilityBlocks
+        .mockResolvedValueOnce([{ availabilityFraction: 0.5 }])
+        .mockResolvedValueOnce([{ availabilityFraction: 1 }])
+        .mockResolvedValueOnce([{ availabilityFraction: 1 }]);
+      const read = await api('GET', path, { as: bob });
+      expect(read.body.poll.options.map((o) => o.availabilityFraction)).toEqual([0.5, 1, 1]);
+      expect(read.body.failedMembers).toEqual([]);
+      expect(algorithm.computeAvailabilityBlocks).toHaveBeenCalledWith(expect.objectContaining({
+        windowStartMs: Date.parse(hour(0)), windowEndMs: Date.parse(hour(1)), granularityMinutes: 60
+      }));
+
+      expect((await api('GET', `/api/groups/${groupId}/polls`, { as: bob })).body).toEqual([
+        expect.objectContaining({ pollId: poll.pollId, title: 'Retro', status: 'open', organizerId: alice })
+      ]);
+    });
+
+    test('a poll can be created from the suggested times', async () => {
+      // everyone is free: the earliest slots start right at the window start
+      algorithm.findMeetingSlots.mockImplementationOnce(async ({ window, durationMinutes }) => [0, 1].map((n) => ({
+        startMs: window.startMs + n * ONE_HOUR_MS,
+        endMs: window.startMs + n * ONE_HOUR_MS + durationMinutes * 60 * 1000,
+        attendeeUserIds: [alice, bob]
+      })));
+      const { slots } = (await api('GET', `/api/groups/${groupId}/suggestions?duration=60&minFraction=0.5`, { as: alice })).body;
+      expect(slots[0].startMs).toBeGreaterThan(Date.now());
+      expect(slots[0].startMs % (15 * 60 * 1000)).toBe(0);
+
+      const options = slots.map((slot) => ({ start: new Date(slot.startMs).toISOString(), end: new Date(slot.endMs).toISOString() }));
+      const created = await api('POST', `/api/groups/${groupId}/polls`, { as: alice, body: { title: 'Retro', options } });
+      expect(created.status).toBe(201);
+      expect(created.body.options.map((o) => o.start)).toEqual(options.map((o) => o.start));
+    });
+
+    test('finalizing books the winning option as a meeting and closes the poll', async () => {
+      const poll = await createPoll();
+      const [first, second, third] = poll.options.map((o) => o.optionId);
+      const path = `/api/groups/${groupId}/polls/${poll.pollId}`;
+      await api('PUT', `${path}/votes`, { as: alice, body: { votes: { [first]: 'yes', [second]: 'yes', [third]: 'yes' } } });
+      await api('PUT', `${path}/votes`, { as: bob, body: { votes: { [first]: 'no', [second]: 'if_needed', [third]: 'if_needed' } } });
+
+      expect((await api('POST', `${path}/finalize`, { as: bob })).status).toBe(403);
+      const finalized = await api('POST', `${path}/finalize`, { as: alice });
+      expect(finalized.status).toBe(200);
+      expect(finalized.body.poll).toMatchObject({ status: 'finalized', chosenOptionId: second, meetingId: finalized.body.meeting.meetingId });
+      expect(finalized.body.meeting).toMatchObject({ title: 'Retro', start: hour(2), end: hour(3), attendeeIds: [alice, bob] });
+      expect(googleEvents()).toEqual([expect.objectContaining({ summary: 'Retro', start: { dateTime: hour(2) } })]);
+
+      expect((await api('PUT', `${path}/votes`, { as: bob, body: { votes: { [first]: 'yes' } } })).status).toBe(409);
+      expect((await api('POST', `${path}/finalize`, { as: alice })).status).toBe(409);
+    });
+
+    test('two finalize requests at once book one meeting', async () => {
+      const poll = await createPoll();
+      const path = `/api/groups/${groupId}/polls/${poll.pollId}/finalize`;
+      const results = await Promise.all([api('POST', path, { as: alice }), api('POST', path, { as: alice })]);
+      expect(results.map((r) => r.status).sort()).toEqual([200, 409]);
+      expect(googleEvents()).toHaveLength(1);
+      expect((await api('GET', `/api/groups/${groupId}/meetings`, { as: alice })).body).toHaveLength(1);
+    });
+
+    test('a failed finalize removes the booked event and reopens the poll', async () => {
+      const poll = await createPoll();
+      const path = `/api/groups/${groupId}/polls/${poll.pollId}`;
+      const finalize = jest.spyOn(db.polls, 'finalize').mockRejectedValueOnce(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        expect((await api('POST', `${path}/finalize`, { as: alice })).status).toBe(500);
+      } finally {
+        finalize.mockRestore();
+        console.error.mockRestore();
+      }
+      expect(googleEvents()).toEqual([]);
+      expect((await api('GET', `/api/groups/${groupId}/meetings`, { as: alice })).body).toEqual([]);
+      expect((await api('GET', path, { as: alice })).body.poll).toMatchObject({ status: 'open', chosenOptionId: null });
+
+      expect((await api('POST', `${path}/finalize`, { as: alice })).status).toBe(200);
+    });
+
+    test('candidate times are validated', async () => {
+      const create = (options) => api('POST', `/api/groups/${groupId}/polls`, { as: alice, body: { title: 'Retro', options } });
+      expect((await create([{ start: hour(0), end: hour(1) }])).status).toBe(400);
+      expect((await create([{ start: hour(0), end: hour(1) }, { start: hour(0), end: hour(1) }])).status).toBe(400);
+      expect((await create([{ start: hour(0), end: hour(1) }, { start: hour(24 * 40), end: hour(24 * 40 + 1) }])).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// googleEndpoints.js
+// Where the backend finds Google. Unset, everything goes to Google itself;
+// for offline development and tests point both at fakeGoogle/server.js:
+//   GOOGLE_OAUTH_BASE_URL  consent page, token and revoke endpoints
+//                          (<base>/o/oauth2/v2/auth, <base>/token, <base>/revoke)
+//   GOOGLE_API_ROOT_URL    replaces https://www.googleapis.com/ (calendar, userinfo)
+
+const { google } = require('googleapis');
+
+const GOOGLE_DEFAULTS = {
+  authUrl: google.auth.OAuth2.GOOGLE_OAUTH2_AUTH_BASE_URL_,
+  tokenUrl: google.auth.OAuth2.GOOGLE_OAUTH2_TOKEN_URL_,
+  revokeUrl: google.auth.OAuth2.GOOGLE_OAUTH2_REVOKE_URL_
+};
+
+// rootUrl option for googleapis clients; undefined means Google
+function apiRootUrl() {
+  const url = process.env.GOOGLE_API_ROOT_URL;
+  return url ? url.replace(/\/*$/, '/') : undefined;
+}
+
+// google-auth-library reads its OAuth endpoints from statics on OAuth2Client,
+// so this applies to every client; called once at startup
+function configureOAuthEndpoints(baseUrl = process.env.GOOGLE_OAUTH_BASE_URL) {
+  const OAuth2 = google.auth.OAuth2;
+  if (!baseUrl) {
+    OAuth2.GOOGLE_OAUTH2_AUTH_BASE_URL_ = GOOGLE_DEFAULTS.authUrl;
+    OAuth2.GOOGLE_OAUTH2_TOKEN_URL_ = GOOGLE_DEFAULTS.tokenUrl;
+    OAuth2.GOOGLE_OAUTH2_REVOKE_URL_ = GOOGLE_DEFAULTS.revokeUrl;
+    return;
+  }
+  const base = baseUrl.replace(/\/+$/, '');
+  OAuth2.GOOGLE_OAUTH2_AUTH_BASE_URL_ = `${base}/o/oauth2/v2/auth`;
+  OAuth2.GOOGLE_OAUTH2_TOKEN_URL_ = `${base}/token`;
+  OAuth2.GOOGLE_OAUTH2_REVOKE_URL_ = `${base}/revoke`;
+}
+
+// Calendar API client for an authorized OAuth client
+function calendarApi(auth) {
+  return google.calendar({ version: 'v3', auth, rootUrl: apiRootUrl() });
+}
+
+module.exports = {
+  apiRootUrl,
+  configureOAuthEndpoints,
+  calendarApi
+};
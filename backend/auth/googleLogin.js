@@ -0,0 +1,189 @@
+// googleLogin.js
+// Google sign-in: /auth/google sends the browser to Google's consent page and
+// /oauth2callback finishes the sign-in.
+//
+// CSRF: a random `state` must come back unchanged. It is kept, with the PKCE
+// code verifier and the chosen username, in a short-lived signed cookie
+// instead of the session: the session row is written by the store after the
+// redirect is sent, so Google could bring the browser back before it exists.
+// PKCE (RFC 7636): Google only exchanges the code together with the verifier
+// whose S256 challenge was sent with the consent request.
+
+const crypto = require('crypto');
+const express = require('express');
+const { google } = require('googleapis');
+const db = require('../db/index');
+const tokenManager = require('./tokenManager');
+
+const LOGIN_COOKIE = 'oauth_login';
+const LOGIN_COOKIE_PATH = '/oauth2callback';
+const LOGIN_TTL_MS = 10 * 60 * 1000; // time allowed on Google's consent page
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,12}$/; // person.username is VARCHAR(12)
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// base64url(JSON).signature
+function encodeLoginState(state, secret) {
+  const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// the login state, or null when the cookie is missing, tampered with or expired
+function decodeLoginState(value, secret, now = Date.now()) {
+  if (typeof value !== 'string') return null;
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+  try {
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return state.expiresAt > now ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// express has no cookie parsing of its own
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return undefined;
+}
+
+// failures end on the error page; reason picks the message shown there
+function redirectToError(res, reason) {
+  res.redirect(`/error.html?reason=${reason}`);
+}
+
+// Router with /auth/google and /oauth2callback.
+// options: { secret, scopes, optionalScopes, secureCookies, apiRootUrl }
+// optionalScopes: { name: [scope] } asked for on top of `scopes` by
+// /auth/google?access=name (incremental authorization: Google adds them to
+// what the user granted before)
+// apiRootUrl replaces https://www.googleapis.com/ for the userinfo call
+function createLoginRouter({ secret, scopes, optionalScopes = {}, secureCookies = false, apiRootUrl }) {
+  if (!secret) throw new Error("createLoginRouter needs a secret to sign the login cookie");
+  const router = express.Router();
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax', // sent on Google's top-level redirect back to us
+    secure: secureCookies,
+    path: LOGIN_COOKIE_PATH
+  };
+
+  router.get('/auth/google', async (req, res) => {
+    const username = req.query.username;
+    if (username !== undefined && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+      return redirectToError(res, 'invalid_username');
+    }
+    const access = req.query.access;
+    if (access !== undefined && !Object.hasOwn(optionalScopes, access)) {
+      return redirectToError(res, 'invalid_access');
+    }
+
+    try {
+      const oauth2Client = tokenManager.createOAuthClient();
+      const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+      const state = crypto.randomBytes(32).toString('hex');
+
+      res.cookie(LOGIN_COOKIE, encodeLoginState({
+        state,
+        codeVerifier,
+        username: username || null,
+        expiresAt: Date.now() + LOGIN_TTL_MS
+      }, secret), { ...cookieOptions, maxAge: LOGIN_TTL_MS });
+
+      const authorizationUrl = oauth2Client.generateAuthUrl({
+        access_type: 'offline',
+        scope: access === undefined ? scopes : [...scopes, ...optionalScopes[access]],
+        // Enable incremental authorization. Recommended as a best practice.
+        include_granted_scopes: true,
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge,
+        prompt: 'consent'
+      });
+      res.redirect(authorizationUrl);
+    } catch (err) {
+      console.error("Could not start Google sign-in", err);
+      redirectToError(res, 'login_failed');
+    }
+  });
+
+  router.get('/oauth2callback', async (req, res) => {
+    // single use: whatever happens next, the login cookie is spent
+    const login = decodeLoginState(readCookie(req, LOGIN_COOKIE), secret);
+    res.clearCookie(LOGIN_COOKIE, cookieOptions);
+
+    if (req.query.error) {
+      console.log('Google sign-in was not completed:', req.query.error);
+      return redirectToError(res, 'denied');
+    }
+    if (!login) {
+      return redirectToError(res, 'expired');
+    }
+    if (typeof req.query.state !== 'string' || !safeEqual(req.query.state, login.state)) {
+      console.error('OAuth state mismatch, possible CSRF');
+      return redirectToError(res, 'state_mismatch');
+    }
+    if (typeof req.query.code !== 'string' || req.query.code.length === 0) {
+      return redirectToError(res, 'login_failed');
+    }
+
+    try {
+      // a client for this sign-in only
+      const oauth2Client = tokenManager.createOAuthClient();
+      const { tokens } = await oauth2Client.getToken({ code: req.query.code, codeVerifier: login.codeVerifier });
+      oauth2Client.setCredentials(tokens);
+
+      const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
+      const { data: userInfo } = await oauth2.userinfo.get({}, { rootUrl: apiRootUrl });
+
+      const { user_id: userId } = await db.persons.upsertGoogleAccount({
+        google_id: userInfo.id,
+        email: userInfo.email,
+        first_name: userInfo.given_name,
+        last_name: userInfo.family_name,
+        username: login.username,
+        refresh_token: tokens.refresh_token,
+        access_token: tokens.access_token,
+        token_expiry: tokens.expiry_date,
+        granted_scopes: tokens.scope
+      });
+
+      // fresh tokens: calendars that failed on auth errors can sync again
+      await db.syncMeta.resetFailures(userId);
+
+      // new session id on sign-in (no session fixation); saved before redirecting
+      await new Promise((resolve, reject) => {
+        req.session.regenerate((err) => (err ? reject(err) : resolve()));
+      });
+      req.session.userId = userId;
+      req.session.isAuthenticated = true;
+      await new Promise((resolve, reject) => {
+        req.session.save((err) => (err ? reject(err) : resolve()));
+      });
+
+      res.redirect('/');
+    } catch (err) {
+      console.error("Login failed", err);
+      redirectToError(res, 'login_failed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLoginRouter
+};
@@ -0,0 +1,250 @@
+const http = require('http');
+const express = require('express');
+const session = require('express-session');
+
+jest.mock('../db/index', () => ({
+  persons: { upsertGoogleAccount: jest.fn(async () => ({ user_id: 42 })) },
+  syncMeta: { resetFailures: jest.fn(async () => true) }
+}));
+
+const db = require('../db/index');
+const { createLoginRouter } = require('./googleLogin');
+const { configureOAuthEndpoints } = require('./googleEndpoints');
+const { createFakeGoogle } = require('../fakeGoogle/fakeGoogle');
+
+const SECRET = 'test-secret';
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-client-secret';
+const ACCOUNT = { id: 'g-123', email: 'alice@example.com', given_name: 'Alice', family_name: 'Smith' };
+
+// ---------- fake Google (see fakeGoogle/) ----------
+// A fresh fake per test, so scopes granted in one test are not carried into
+// the next; token requests are counted on the way in.
+function startFakeProvider() {
+  const provider = { tokenRequests: 0, fake: null };
+  const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/token') provider.tokenRequests++;
+    provider.fake.app(req, res);
+  });
+  return listen(server).then(({ url }) => Object.assign(provider, { server, url }));
+}
+
+// ---------- app under test ----------
+function startApp() {
+  const app = express();
+  app.use(session({ secret: SECRET, resave: false, saveUninitialized: false }));
+  app.use(createLoginRouter({
+    secret: SECRET,
+    scopes: ['openid'],
+    optionalScopes: { calendar_write: ['calendar.events'] },
+    apiRootUrl: `${provider.url}/`
+  }));
+  app.get('/whoami', (req, res) => res.json({ userId: req.session.userId ?? null }));
+  return listen(http.createServer(app));
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// minimal browser: keeps cookies per host and never follows redirects by itself
+function createBrowser() {
+  const jar = new Map(); // host -> Map(name -> value)
+  const browser = {
+    async get(target) {
+      const url = new URL(target);
+      const cookies = jar.get(url.host) || new Map();
+      const response = await fetch(url, {
+        redirect: 'manual',
+        headers: { cookie: [...cookies].map(([k, v]) => `${k}=${v}`).join('; ') }
+      });
+      for (const header of response.headers.getSetCookie()) {
+        const [pair, ...attrs] = header.split(';');
+        const [name, value] = pair.split('=');
+        const expired = attrs.some((a) => /expires=Thu, 01 Jan 1970/i.test(a));
+        if (expired || value === '') cookies.delete(name.trim());
+        else cookies.set(name.trim(), value);
+      }
+      jar.set(url.host, cookies);
+      return { status: response.status, location: response.headers.get('location'), response };
+    },
+    cookie(target, name) {
+      return (jar.get(new URL(target).host) || new Map()).get(name);
+    },
+    setCookie(target, name, value) {
+      const host = new URL(target).host;
+      if (!jar.has(host)) jar.set(host, new Map());
+      jar.get(host).set(name, value);
+    }
+  };
+  return browser;
+}
+
+let provider;
+let app;
+let browser;
+
+beforeAll(async () => {
+  provider = await startFakeProvider();
+  app = await startApp();
+  configureOAuthEndpoints(provider.url);
+
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  process.env.GOOGLE_CLIENT_SECRET = CLIENT_SECRET;
+  process.env.GOOGLE_REDIRECT_URI = `${app.url}/oauth2callback`;
+});
+
+afterAll(async () => {
+  configureOAuthEndpoints('');
+  await new Promise((resolve) => provider.server.close(resolve));
+  await new Promise((resolve) => app.server.close(resolve));
+});
+
+beforeEach(() => {
+  browser = createBrowser();
+  provider.fake = createFakeGoogle({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, users: [ACCOUNT] });
+  provider.tokenRequests = 0;
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// /auth/google -> provider consent (picking ACCOUNT); returns the callback URL the provider sends back
+async function startLogin(b = browser, query = '?username=alice') {
+  const start = await b.get(`${app.url}/auth/google${query}`);
+  expect(start.status).toBe(302);
+  const consentUrl = new URL(start.location);
+  consentUrl.searchParams.set('account', ACCOUNT.id);
+  const consent = await b.get(consentUrl);
+  expect(consent.status).toBe(302);
+  return { authorizeUrl: new URL(start.location), callbackUrl: new URL(consent.location) };
+}
+
+describe('Google sign-in', () => {
+  test('happy path: state and PKCE check out and the session is signed in', async () => {
+    const { authorizeUrl, callbackUrl } = await startLogin();
+    expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(authorizeUrl.searchParams.get('code_challenge')).toBeTruthy();
+    expect(authorizeUrl.searchParams.get('state')).toMatch(/^[0-9a-f]{64}$/);
+    expect(browser.cookie(app.url, 'oauth_login')).toBeTruthy();
+
+    const callback = await browser.get(callbackUrl);
+    expect(callback.status).toBe(302);
+    expect(callback.location).toBe('/');
+    expect(db.persons.upsertGoogleAccount).toHaveBeenCalledWith({
+      google_id: 'g-123',
+      email: 'alice@example.com',
+      first_name: 'Alice',
+      last_name: 'Smith',
+      username: 'alice',
+      refresh_token: expect.stringMatching(/^fake-refresh/),
+      access_token: expect.any(String),
+      token_expiry: expect.any(Number),
+      granted_scopes: 'openid'
+    });
+    expect(db.syncMeta.resetFailures).toHaveBeenCalledWith(42);
+    expect(browser.cookie(app.url, 'oauth_login')).toBeUndefined();
+
+    const me = await browser.get(`${app.url}/whoami`);
+    expect(await me.response.json()).toEqual({ userId: 42 });
+  });
+
+  test('the username is optional', async () => {
+    const { callbackUrl } = await startLogin(browser, '');
+    const callback = await browser.get(callbackUrl);
+    expect(callback.location).toBe('/');
+    expect(db.persons.upsertGoogleAccount.mock.calls[0][0].username).toBeNull();
+  });
+
+  test('?access= asks for optional scopes on top of the sign-in scopes', async () => {
+    const { authorizeUrl, callbackUrl } = await startLogin(browser, '?access=calendar_write');
+    expect(authorizeUrl.searchParams.get('scope')).toBe('openid calendar.events');
+    expect(authorizeUrl.searchParams.get('include_granted_scopes')).toBe('true');
+    await browser.get(callbackUrl);
+    expect(db.persons.upsertGoogleAccount.mock.calls[0][0].granted_scopes).toBe('openid calendar.events');
+
+    const unknown = await browser.get(`${app.url}/auth/google?access=everything`);
+    expect(unknown.location).toBe('/error.html?reason=invalid_access');
+  });
+
+  test('an invalid username never reaches Google', async () => {
+    const start = await browser.get(`${app.url}/auth/google?username=${encodeURIComponent('<script>')}`);
+    expect(start.location).toBe('/error.html?reason=invalid_username');
+    expect(browser.cookie(app.url, 'oauth_login')).toBeUndefined();
+  });
+
+  test('a callback whose state does not match is rejected', async () => {
+    const { callbackUrl } = await startLogin();
+    callbackUrl.searchParams.set('state', 'f'.repeat(64));
+    const callback = await browser.get(callbackUrl);
+    expect(callback.location).toBe('/error.html?reason=state_mismatch');
+    expect(provider.tokenRequests).toBe(0);
+    expect(db.persons.upsertGoogleAccount).not.toHaveBeenCalled();
+  });
+
+  test('login CSRF: an attacker\'s callback link is rejected in a browser that did not start the login', async () => {
+    const { callbackUrl } = await startLogin(createBrowser()); // the attacker's own sign-in
+    const callback = await browser.get(callbackUrl); // opened by the victim
+    expect(callback.location).toBe('/error.html?reason=expired');
+    expect(provider.tokenRequests).toBe(0);
+    expect(db.persons.upsertGoogleAccount).not.toHaveBeenCalled();
+  });
+
+  test('a forged login cookie is rejected', async () => {
+    const { callbackUrl } = await startLogin();
+    const forged = Buffer.from(JSON.stringify({
+      state: callbackUrl.searchParams.get('state'),
+      codeVerifier: 'x',
+      username: 'mallory',
+      expiresAt: Date.now() + 60000
+    })).toString('base64url');
+    browser.setCookie(app.url, 'oauth_login', `${forged}.bad-signature`);
+    const callback = await browser.get(callbackUrl);
+    expect(callback.location).toBe('/error.html?reason=expired');
+    expect(db.persons.upsertGoogleAccount).not.toHaveBeenCalled();
+  });
+
+  test('a login left open for too long expires', async () => {
+    const { callbackUrl } = await startLogin();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 11 * 60 * 1000);
+    const callback = await browser.get(callbackUrl);
+    expect(callback.location).toBe('/error.html?reason=expired');
+  });
+
+  test('code injection: a code issued for another login fails PKCE', async () => {
+    const attacker = await startLogin(createBrowser());
+    const victim = await startLogin();
+    const injected = new URL(victim.callbackUrl);
+    injected.searchParams.set('code', attacker.callbackUrl.searchParams.get('code'));
+
+    const callback = await browser.get(injected);
+    expect(callback.location).toBe('/error.html?reason=login_failed');
+    expect(provider.tokenRequests).toBe(1);
+    expect(db.persons.upsertGoogleAccount).not.toHaveBeenCalled();
+  });
+
+  test('replaying a finished login is refused by the provider', async () => {
+    const { callbackUrl } = await startLogin();
+    const cookie = browser.cookie(app.url, 'oauth_login');
+    await browser.get(callbackUrl);
+    expect(db.persons.upsertGoogleAccount).toHaveBeenCalledTimes(1);
+
+    browser.setCookie(app.url, 'oauth_login', cookie);
+    const replay = await browser.get(callbackUrl);
+    expect(replay.location).toBe('/error.html?reason=login_failed'); // provider refuses a used code
+    expect(db.persons.upsertGoogleAccount).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancelling on the consent page shows the error page', async () => {
+    await startLogin();
+    const callback = await browser.get(`${app.url}/oauth2callback?error=access_denied`);
+    expect(callback.location).toBe('/error.html?reason=denied');
+  });
+});
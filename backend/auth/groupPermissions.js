@@ -0,0 +1,70 @@
+// groupPermissions.js
+// Who may do what in a group. Roles live on group_match.member_role:
+// one owner per group, any number of admins, everyone else a member.
+
+const db = require('../db/index');
+
+const GroupRole = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+// action -> roles allowed to perform it (every member may view the group,
+// its availability, and leave it)
+const PERMISSIONS = {
+  rename: [GroupRole.OWNER, GroupRole.ADMIN],
+  invite: [GroupRole.OWNER, GroupRole.ADMIN],
+  viewMemberDetails: [GroupRole.OWNER, GroupRole.ADMIN],
+  delete: [GroupRole.OWNER],
+  manageRoles: [GroupRole.OWNER]
+};
+
+function can(role, action) {
+  const allowed = PERMISSIONS[action];
+  if (!allowed) throw new Error(`Unknown group action: ${action}`);
+  return allowed.includes(role);
+}
+
+// Resolve :id to a group the caller belongs to; sets req.group and req.groupRole.
+// Answers 400/404/403 when that fails. Runs after requireAuth.
+async function loadMemberGroup(req, res, next) {
+  const groupId = Number(req.params.id);
+  if (!Number.isInteger(groupId) || groupId <= 0) {
+    return res.status(400).json({ error: "Invalid group id" });
+  }
+  try {
+    const group = await db.groups.getById(groupId);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    const role = await db.memberships.getRole(groupId, req.session.userId);
+    if (!role) {
+      return res.status(403).json({ error: "Not a member of this group" });
+    }
+    req.group = group;
+    req.groupRole = role;
+    next();
+  } catch (error) {
+    console.error('Error loading group', error);
+    res.status(500).json({ error: "Failed to load group" });
+  }
+}
+
+// 403 unless the caller's role allows `action`; runs after loadMemberGroup
+function requireGroupPermission(action) {
+  if (!PERMISSIONS[action]) throw new Error(`Unknown group action: ${action}`);
+  return (req, res, next) => {
+    if (!can(req.groupRole, action)) {
+      return res.status(403).json({ error: `Your role in this group (${req.groupRole}) does not allow this` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  GroupRole,
+  can,
+  loadMemberGroup,
+  requireGroupPermission
+};
@@ -0,0 +1,23 @@
+// middleware.js
+// Express middleware shared by the routes in app.js.
+
+// 401 unless the session belongs to a signed-in user
+function requireAuth(req, res, next) {
+  if (!req.session.userId || !req.session.isAuthenticated) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+  next();
+}
+
+// debug routes answer 404 outside NODE_ENV=development
+function developmentOnly(req, res, next) {
+  if (process.env.NODE_ENV !== 'development') {
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  developmentOnly
+};
@@ -0,0 +1,87 @@
+// tokenCrypto.js
+// AES-256-GCM encryption for the Google tokens stored in person.
+//
+// Keys come from the environment:
+//   TOKEN_ENCRYPTION_KEYS   = "keyId:base64Key,keyId2:base64Key2"  (32-byte keys)
+//   TOKEN_ENCRYPTION_KEY_ID = id of the key used for new ciphertexts
+// Every ciphertext carries its key id ("enc1:<keyId>:<iv>:<tag>:<data>"), so
+// old keys keep decrypting after a rotation; db/encryptExistingTokens.js
+// re-encrypts rows under the current key.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc1';
+const IV_BYTES = 12;
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+// Map keyId -> Buffer, parsed once per TOKEN_ENCRYPTION_KEYS value
+function loadKeys() {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!source) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not set.");
+  }
+  if (source !== cachedKeysSource) {
+    const keys = new Map();
+    for (const entry of source.split(',')) {
+      const [keyId, encoded] = entry.trim().split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+      if (!keyId || key.length !== 32) {
+        throw new Error(`Invalid token encryption key entry: ${keyId || entry}`);
+      }
+      keys.set(keyId, key);
+    }
+    cachedKeys = keys;
+    cachedKeysSource = source;
+  }
+  return cachedKeys;
+}
+
+function currentKeyId() {
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID;
+  if (!keyId || !loadKeys().has(keyId)) {
+    throw new Error("TOKEN_ENCRYPTION_KEY_ID must name a key in TOKEN_ENCRYPTION_KEYS.");
+  }
+  return keyId;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+// null/undefined pass through so optional tokens stay optional
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+  const keyId = currentKeyId();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKeys().get(keyId), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [PREFIX, keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+// Plaintext values (rows not migrated yet) are returned unchanged.
+function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = loadKeys().get(keyId);
+  if (!key) {
+    throw new Error(`Unknown token encryption key: ${keyId}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// plaintext, or encrypted under a key other than the current one
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[1] !== currentKeyId();
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  needsReencryption
+};
@@ -0,0 +1,109 @@
+const { encryptToken, decryptToken, needsReencryption } = require('./tokenCrypto');
+
+const OLD_KEY = Buffer.alloc(32, 1).toString('base64');
+const NEW_KEY = Buffer.alloc(32, 2).toString('base64');
+const saved = { keys: process.env.TOKEN_ENCRYPTION_KEYS, keyId: process.env.TOKEN_ENCRYPTION_KEY_ID };
+
+function useKeys(keys, keyId) {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  process.env.TOKEN_ENCRYPTION_KEY_ID = keyId;
+}
+
+// a ciphertext with one of its base64 fields (2: iv, 3: tag, 4: data) altered
+function tamper(ciphertext, field) {
+  const parts = ciphertext.split(':');
+  const bytes = Buffer.from(parts[field], 'base64');
+  bytes[0] ^= 1;
+  parts[field] = bytes.toString('base64');
+  return parts.join(':');
+}
+
+beforeEach(() => {
+  useKeys(`old:${OLD_KEY}`, 'old');
+});
+
+afterAll(() => {
+  for (const [name, value] of [['TOKEN_ENCRYPTION_KEYS', saved.keys], ['TOKEN_ENCRYPTION_KEY_ID', saved.keyId]]) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+describe('encryptToken / decryptToken', () => {
+  test('round trip, with a fresh iv every time', () => {
+    const first = encryptToken('ya29.access-token');
+    const second = encryptToken('ya29.access-token');
+    expect(first).toMatch(/^enc1:old:/);
+    expect(first).not.toContain('ya29');
+    expect(first).not.toBe(second);
+    expect(decryptToken(first)).toBe('ya29.access-token');
+    expect(decryptToken(second)).toBe('ya29.access-token');
+  });
+
+  test('null, undefined and plaintext values pass through', () => {
+    expect(encryptToken(null)).toBeNull();
+    expect(encryptToken(undefined)).toBeUndefined();
+    expect(decryptToken(null)).toBeNull();
+    expect(decryptToken('1//plain-refresh-token')).toBe('1//plain-refresh-token');
+  });
+
+  test('values under an old key still decrypt after TOKEN_ENCRYPTION_KEY_ID moves to a new key', () => {
+    const underOld = encryptToken('refresh-1');
+    useKeys(`old:${OLD_KEY},new:${NEW_KEY}`, 'new');
+    const underNew = encryptToken('refresh-2');
+    expect(underNew).toMatch(/^enc1:new:/);
+    expect(decryptToken(underOld)).toBe('refresh-1');
+    expect(decryptToken(underNew)).toBe('refresh-2');
+  });
+
+  test('a changed tag, ciphertext or iv is rejected', () => {
+    const ciphertext = encryptToken('refresh-1');
+    for (const field of [2, 3, 4]) {
+      expect(() => decryptToken(tamper(ciphertext, field))).toThrow();
+    }
+  });
+
+  test('a value under a key that is no longer configured is rejected', () => {
+    const underOld = encryptToken('refresh-1');
+    useKeys(`new:${NEW_KEY}`, 'new');
+    expect(() => decryptToken(underOld)).toThrow('Unknown token encryption key: old');
+    // the same id with a different key fails authentication
+    useKeys(`old:${NEW_KEY}`, 'old');
+    expect(() => decryptToken(underOld)).toThrow();
+  });
+});
+
+describe('needsReencryption', () => {
+  test('plaintext and old-key values do, current-key values and null do not', () => {
+    const underOld = encryptToken('refresh-1');
+    expect(needsReencryption('1//plain-refresh-token')).toBe(true);
+    expect(needsReencryption(underOld)).toBe(false);
+    expect(needsReencryption(null)).toBe(false);
+
+    useKeys(`old:${OLD_KEY},new:${NEW_KEY}`, 'new');
+    expect(needsReencryption(underOld)).toBe(true);
+    expect(needsReencryption(encryptToken('refresh-1'))).toBe(false);
+  });
+});
+
+describe('key configuration', () => {
+  test('bad TOKEN_ENCRYPTION_KEYS entries are rejected', () => {
+    const cases = [
+      [`short:${Buffer.alloc(16).toString('base64')}`, 'Invalid token encryption key entry: short'],
+      ['nokey', 'Invalid token encryption key entry: nokey'],
+      [`:${NEW_KEY}`, 'Invalid token encryption key entry'],
+      [`good:${NEW_KEY},bad:`, 'Invalid token encryption key entry: bad']
+    ];
+    for (const [keys, message] of cases) {
+      useKeys(keys, 'good');
+      expect(() => encryptToken('x')).toThrow(message);
+    }
+  });
+
+  test('missing keys or a current key id that names no key', () => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+    expect(() => encryptToken('x')).toThrow('TOKEN_ENCRYPTION_KEYS is not set.');
+    useKeys(`old:${OLD_KEY}`, 'new');
+    expect(() => encryptToken('x')).toThrow('TOKEN_ENCRYPTION_KEY_ID must name a key');
+  });
+});
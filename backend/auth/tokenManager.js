@@ -0,0 +1,76 @@
+// tokenManager.js
+// One Google OAuth client per user and request, so concurrent requests never
+// run with someone else's tokens. Refreshed access tokens are written back
+// to person; a revoked refresh token clears the stored tokens and surfaces as
+// ReconnectRequiredError so routes can ask the user to sign in again.
+
+const { google } = require('googleapis');
+const db = require('../db/index');
+
+class ReconnectRequiredError extends Error {
+  constructor(message = "Google account must be reconnected") {
+    super(message);
+    this.name = 'ReconnectRequiredError';
+    this.reconnect = true;
+  }
+}
+
+// bare client for the sign-in flow (no user tokens yet)
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+}
+
+// Google's answer when a refresh token was revoked or expired
+function isRevokedGrant(err) {
+  return Boolean(err && err.response && err.response.data && err.response.data.error === 'invalid_grant');
+}
+
+// Client with this user's stored tokens; refreshes are saved back to person.
+async function getUserClient(userId) {
+  const user = await db.persons.getGoogleAccount(userId);
+  if (!user || !user.refresh_token) {
+    throw new ReconnectRequiredError("Calendar not connected");
+  }
+
+  const client = createOAuthClient();
+  client.setCredentials({
+    refresh_token: user.refresh_token,
+    access_token: user.access_token,
+    expiry_date: user.token_expiry ? new Date(user.token_expiry).getTime() : null
+  });
+  client.on('tokens', (tokens) => {
+    db.persons.updateTokens(userId, {
+      access_token: tokens.access_token,
+      token_expiry: tokens.expiry_date,
+      refresh_token: tokens.refresh_token
+    })
+      .catch((err) => console.error(`Failed to save refreshed tokens for user ${userId}`, err));
+  });
+  return client;
+}
+
+// Run fn with the user's client. A revoked grant clears the stored tokens
+// and is rethrown as ReconnectRequiredError.
+async function withUserClient(userId, fn) {
+  const client = await getUserClient(userId);
+  try {
+    return await fn(client);
+  } catch (err) {
+    if (isRevokedGrant(err)) {
+      await db.persons.clearTokens(userId);
+      throw new ReconnectRequiredError();
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  ReconnectRequiredError,
+  createOAuthClient,
+  getUserClient,
+  withUserClient
+};
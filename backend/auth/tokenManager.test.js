@@ -0,0 +1,113 @@
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.TOKEN_ENCRYPTION_KEY_ID = 'test';
+process.env.GOOGLE_CLIENT_ID = 'fake-client';
+process.env.GOOGLE_CLIENT_SECRET = 'fake-secret';
+
+const http = require('http');
+
+jest.mock('../db/index', () => require('../db/testDatabase').createTestDatabase());
+
+const db = require('../db/index');
+const tokenManager = require('./tokenManager');
+const googleEndpoints = require('./googleEndpoints');
+const { SCOPES, createFakeGoogle } = require('../fakeGoogle/fakeGoogle');
+
+const REDIRECT_URI = 'http://127.0.0.1/oauth2callback';
+const empty = db.mem.backup();
+let fake, fakeServer, fakeUrl;
+
+beforeAll(async () => {
+  fake = createFakeGoogle({
+    clientId: 'fake-client',
+    clientSecret: 'fake-secret',
+    users: [{ id: 'g-alice', email: 'alice@example.com', given_name: 'Alice', family_name: 'Test' }]
+  });
+  await new Promise((resolve) => {
+    fakeServer = http.createServer(fake.app).listen(0, '127.0.0.1', resolve);
+  });
+  fakeUrl = `http://127.0.0.1:${fakeServer.address().port}`;
+  process.env.GOOGLE_API_ROOT_URL = fakeUrl;
+  googleEndpoints.configureOAuthEndpoints(fakeUrl);
+});
+
+afterAll(async () => {
+  delete process.env.GOOGLE_API_ROOT_URL;
+  googleEndpoints.configureOAuthEndpoints('');
+  await new Promise((resolve) => fakeServer.close(resolve));
+});
+
+beforeEach(() => {
+  empty.restore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// sign in to the fake Google and store the tokens with an access token that has already expired
+async function connectExpired() {
+  const consent = new URL(`${fakeUrl}/o/oauth2/v2/auth`);
+  consent.search = new URLSearchParams({
+    client_id: 'fake-client', redirect_uri: REDIRECT_URI, response_type: 'code', scope: SCOPES.calendarReadonly, account: 'g-alice'
+  });
+  const redirect = await fetch(consent, { redirect: 'manual' });
+  const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+  const tokens = await (await fetch(`${fakeUrl}/token`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'fake-client', client_secret: 'fake-secret'
+    })
+  })).json();
+  const { user_id } = await db.persons.upsertGoogleAccount({
+    google_id: 'g-alice', email: 'alice@example.com', first_name: 'Alice', last_name: 'Test', username: 'alice',
+    refresh_token: tokens.refresh_token, access_token: tokens.access_token, token_expiry: Date.now() - 1000
+  });
+  return user_id;
+}
+
+const listCalendars = (client) => googleEndpoints.calendarApi(client).calendarList.list();
+
+describe('withUserClient', () => {
+  test('a refreshed access token is saved through persons.updateTokens', async () => {
+    const alice = await connectExpired();
+    const before = await db.persons.getGoogleAccount(alice);
+    const updateTokens = jest.spyOn(db.persons, 'updateTokens');
+    await tokenManager.withUserClient(alice, listCalendars);
+
+    expect(updateTokens).toHaveBeenCalledTimes(1);
+    const [userId, tokens] = updateTokens.mock.calls[0];
+    expect(userId).toBe(alice);
+    expect(tokens.access_token).not.toBe(before.access_token);
+    expect(tokens.token_expiry).toBeGreaterThan(Date.now());
+    // the save runs in the background of the request
+    await updateTokens.mock.results[0].value;
+    const after = await db.persons.getGoogleAccount(alice);
+    expect(after.access_token).toBe(tokens.access_token);
+    expect(after.refresh_token).toBe(before.refresh_token);
+  });
+
+  test('a revoked grant clears the stored tokens and throws ReconnectRequiredError', async () => {
+    const alice = await connectExpired();
+    fake.revokeUserTokens('g-alice');
+
+    await expect(tokenManager.withUserClient(alice, listCalendars))
+      .rejects.toBeInstanceOf(tokenManager.ReconnectRequiredError);
+    const account = await db.persons.getGoogleAccount(alice);
+    expect(account).toMatchObject({ refresh_token: null, access_token: null });
+  });
+
+  test('a user without stored tokens must reconnect', async () => {
+    const alice = await connectExpired();
+    await db.persons.clearTokens(alice);
+    const fn = jest.fn();
+    await expect(tokenManager.withUserClient(alice, fn)).rejects.toThrow(tokenManager.ReconnectRequiredError);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('other errors are rethrown and keep the tokens', async () => {
+    const alice = await connectExpired();
+    const error = new Error('Backend Error');
+    await expect(tokenManager.withUserClient(alice, async () => { throw error; })).rejects.toBe(error);
+    expect((await db.persons.getGoogleAccount(alice)).refresh_token).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,72 @@
+// database.js
+// Repositories over one pg-compatible pool: node-postgres in the app, pg-mem
+// in tests (see testDatabase.js).
+//
+// Return shapes are the same everywhere:
+//   get...    -> one row, or null
+//   list...   -> an array of rows (possibly empty)
+//   create / upsert / update -> the written row (null when nothing matched)
+//   delete / remove -> true when a row was removed
+// Rows keep their column names (snake_case); routes format them for the API.
+
+const { createPersonRepository } = require('./repositories/persons');
+const { createGroupRepository } = require('./repositories/groups');
+const { createMembershipRepository } = require('./repositories/memberships');
+const { createCalendarRepository } = require('./repositories/calendars');
+const { createEventRepository } = require('./repositories/events');
+const { createSyncMetaRepository } = require('./repositories/syncMeta');
+const { createMeetingRepository } = require('./repositories/meetings');
+const { createPollRepository } = require('./repositories/polls');
+
+// repositories that send their queries to `queryable` (the pool, or one client in a transaction)
+const bindRepositories = (queryable, transaction) => {
+    const db = {
+        query: (text, params) => queryable.query(text, params),
+        transaction
+    };
+    db.persons = createPersonRepository(db);
+    db.groups = createGroupRepository(db);
+    db.memberships = createMembershipRepository(db);
+    db.calendars = createCalendarRepository(db);
+    db.events = createEventRepository(db);
+    db.syncMeta = createSyncMetaRepository(db);
+    db.meetings = createMeetingRepository(db);
+    db.polls = createPollRepository(db);
+    return db;
+}
+
+const createDatabase = (pool) => {
+    // Run fn(tx) inside BEGIN/COMMIT on one client; rolls back if fn throws.
+    // tx has the same repositories; tx.transaction(fn) joins the open transaction.
+    const transaction = async(fn) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const tx = bindRepositories(client, (inner) => inner(tx));
+            const result = await fn(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    const db = bindRepositories(pool, transaction);
+    db.pool = pool;
+    db.testConnection = async() => {
+        const result = await pool.query('SELECT NOW() AS now');
+        return {
+            success: true,
+            timestamp: result.rows[0].now,
+            message: "Database connected successfully!"
+        };
+    };
+    return db;
+}
+
+module.exports = {
+    createDatabase
+};
@@ -0,0 +1,438 @@
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.TOKEN_ENCRYPTION_KEY_ID = 'test';
+
+const { createDatabase } = require('./database');
+const { createTestDatabase } = require('./testDatabase');
+
+const db = createTestDatabase();
+const empty = db.mem.backup();
+
+beforeEach(() => {
+  empty.restore();
+});
+
+function createPerson(first_name) {
+  return db.persons.create({
+    email: `${first_name.toLowerCase()}@example.com`,
+    first_name,
+    last_name: 'Test',
+    username: first_name.toLowerCase()
+  });
+}
+
+function signIn(google_id, tokens = {}) {
+  return db.persons.upsertGoogleAccount({
+    google_id,
+    email: `${google_id}@example.com`,
+    first_name: 'Gina',
+    last_name: 'Google',
+    username: null,
+    refresh_token: 'refresh-1',
+    access_token: 'access-1',
+    token_expiry: Date.UTC(2026, 0, 1),
+    ...tokens
+  });
+}
+
+// pg-mem ignores ROLLBACK, so transactions are checked against a pool that records its queries
+describe('transaction', () => {
+  function createRecordingPool() {
+    const log = [];
+    const client = {
+      query: async (text) => {
+        log.push(text.trim().split(/\s+/)[0]);
+        return { rows: [{ user_id: 1 }], rowCount: 1 };
+      },
+      release: () => log.push('release')
+    };
+    return { log, pool: { connect: async () => client, query: client.query } };
+  }
+
+  test('runs fn on one client between BEGIN and COMMIT', async () => {
+    const { log, pool } = createRecordingPool();
+    const result = await createDatabase(pool).transaction((tx) => tx.persons.getById(1));
+    expect(result).toEqual({ user_id: 1 });
+    expect(log).toEqual(['BEGIN', 'SELECT', 'COMMIT', 'release']);
+  });
+
+  test('rolls back and rethrows when fn throws', async () => {
+    const { log, pool } = createRecordingPool();
+    await expect(createDatabase(pool).transaction(async (tx) => {
+      await tx.persons.clearTokens(1);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+    expect(log).toEqual(['BEGIN', 'UPDATE', 'ROLLBACK', 'release']);
+  });
+
+  test('repositories that open their own transaction join the open one', async () => {
+    const { log, pool } = createRecordingPool();
+    await createDatabase(pool).transaction((tx) => tx.groups.create({ group_name: 'Team', creator_id: 1 }));
+    expect(log.filter((entry) => entry === 'BEGIN' || entry === 'COMMIT')).toEqual(['BEGIN', 'COMMIT']);
+  });
+});
+
+describe('persons', () => {
+  test('a Google sign-in creates the person once and refreshes its tokens afterwards', async () => {
+    const first = await signIn('g-1');
+    const again = await signIn('g-1', { refresh_token: 'refresh-2', access_token: 'access-2' });
+    expect(again).toEqual(first);
+
+    const profile = await db.persons.getById(first.user_id);
+    expect(profile).toEqual({
+      user_id: first.user_id,
+      first_name: 'Gina',
+      last_name: 'Google',
+      username: 'Gina', // no username chosen: the first name
+      email: 'g-1@example.com'
+    });
+    expect(profile).not.toHaveProperty('refresh_token');
+
+    const account = await db.persons.getGoogleAccount(first.user_id);
+    expect(account).toMatchObject({ google_id: 'g-1', refresh_token: 'refresh-2', access_token: 'access-2' });
+  });
+
+  test('tokens are stored encrypted', async () => {
+    const { user_id } = await signIn('g-1');
+    const raw = await db.query('SELECT refresh_token, access_token FROM person WHERE user_id = $1', [user_id]);
+    expect(raw.rows[0].refresh_token).toMatch(/^enc1:test:/);
+    expect(raw.rows[0].access_token).toMatch(/^enc1:test:/);
+  });
+
+  test('granted scopes are kept until a sign-in reports new ones, and forgotten with the tokens', async () => {
+    const { user_id } = await signIn('g-1', { granted_scopes: 'openid calendar.readonly' });
+    await signIn('g-1');
+    expect((await db.persons.getGoogleAccount(user_id)).granted_scopes).toBe('openid calendar.readonly');
+    await signIn('g-1', { granted_scopes: 'openid calendar.readonly calendar.events' });
+    expect((await db.persons.getGoogleAccount(user_id)).granted_scopes).toBe('openid calendar.readonly calendar.events');
+
+    await db.persons.clearTokens(user_id);
+    expect((await db.persons.getGoogleAccount(user_id)).granted_scopes).toBeNull();
+  });
+
+  test('updateTokens keeps the refresh token unless a new one is given; clearTokens forgets both', async () => {
+    const { user_id } = await signIn('g-1');
+    expect(await db.persons.updateTokens(user_id, { access_token: 'access-2', token_expiry: null, refresh_token: null })).toBe(true);
+    expect(await db.persons.getGoogleAccount(user_id)).toMatchObject({ refresh_token: 'refresh-1', access_token: 'access-2' });
+
+    expect(await db.persons.clearTokens(user_id)).toBe(true);
+    expect(await db.persons.getGoogleAccount(user_id)).toMatchObject({ refresh_token: null, access_token: null });
+    expect(await db.persons.clearTokens(999)).toBe(false);
+  });
+
+  test('unknown ids read as null or are left out', async () => {
+    const alice = await createPerson('Alice');
+    expect(await db.persons.getById(999)).toBeNull();
+    expect(await db.persons.getGoogleAccount(999)).toBeNull();
+    expect(await db.persons.listExistingIds([alice.user_id, 999])).toEqual([alice.user_id]);
+    expect(await db.persons.listExistingIds([])).toEqual([]);
+  });
+});
+
+describe('groups and memberships', () => {
+  let alice, bob, carol;
+
+  beforeEach(async () => {
+    alice = await createPerson('Alice');
+    bob = await createPerson('Bob');
+    carol = await createPerson('Carol');
+  });
+
+  test('the creator owns a new group; repeated members are added once', async () => {
+    const group = await db.groups.create({
+      group_name: 'Team',
+      creator_id: alice.user_id,
+      member_ids: [bob.user_id, alice.user_id, bob.user_id]
+    });
+    expect(group).toMatchObject({ group_name: 'Team', member_role: 'owner' });
+
+    const members = await db.memberships.listMembers(group.group_id);
+    expect(members.map((m) => [m.user_id, m.member_role])).toEqual([
+      [alice.user_id, 'owner'],
+      [bob.user_id, 'member']
+    ]);
+    expect(await db.groups.listForUser(bob.user_id)).toEqual([
+      { group_id: group.group_id, group_name: 'Team', member_role: 'member', member_count: 2 }
+    ]);
+    expect(await db.memberships.add(group.group_id, [bob.user_id, carol.user_id])).toEqual([carol.user_id]);
+  });
+
+  test('get, rename and remove', async () => {
+    const group = await db.groups.create({ group_name: 'Team', creator_id: alice.user_id });
+    expect(await db.groups.rename(group.group_id, 'Crew')).toEqual({ group_id: group.group_id, group_name: 'Crew' });
+    expect(await db.groups.getById(group.group_id)).toEqual({ group_id: group.group_id, group_name: 'Crew' });
+
+    expect(await db.groups.remove(group.group_id)).toBe(true);
+    expect(await db.groups.getById(group.group_id)).toBeNull();
+    expect(await db.groups.rename(group.group_id, 'Gone')).toBeNull();
+    expect(await db.groups.remove(group.group_id)).toBe(false);
+  });
+
+  test('setRole never changes the owner; transferOwnership demotes the old owner to admin', async () => {
+    const group = await db.groups.create({ group_name: 'Team', creator_id: alice.user_id, member_ids: [bob.user_id] });
+    expect(await db.memberships.setRole(group.group_id, alice.user_id, 'member')).toBeNull();
+    expect(await db.memberships.setRole(group.group_id, bob.user_id, 'admin')).toEqual({ user_id: bob.user_id, member_role: 'admin' });
+
+    expect(await db.memberships.transferOwnership(group.group_id, alice.user_id, carol.user_id)).toBe(false);
+    expect(await db.memberships.transferOwnership(group.group_id, alice.user_id, bob.user_id)).toBe(true);
+    expect(await db.memberships.getRole(group.group_id, alice.user_id)).toBe('admin');
+    expect(await db.memberships.getRole(group.group_id, bob.user_id)).toBe('owner');
+    expect(await db.memberships.getRole(group.group_id, carol.user_id)).toBeNull();
+  });
+
+  test('a group has at most one owner', async () => {
+    const group = await db.groups.create({ group_name: 'Team', creator_id: alice.user_id, member_ids: [bob.user_id] });
+    await expect(db.query(
+      `UPDATE group_match SET member_role = 'owner' WHERE group_id = $1 AND user_id = $2`,
+      [group.group_id, bob.user_id]
+    )).rejects.toThrow();
+    const other = await db.groups.create({ group_name: 'Other', creator_id: bob.user_id, member_ids: [alice.user_id] });
+    expect(await db.memberships.listMemberIds(other.group_id)).toEqual([alice.user_id, bob.user_id]);
+  });
+
+  test('an owner leaving hands the group to an admin; the last member leaving deletes it', async () => {
+    const group = await db.groups.create({
+      group_name: 'Team',
+      creator_id: alice.user_id,
+      member_ids: [bob.user_id, carol.user_id]
+    });
+    await db.memberships.setRole(group.group_id, carol.user_id, 'admin');
+
+    expect(await db.memberships.remove(group.group_id, alice.user_id)).toEqual({ removed: true, groupDeleted: false });
+    expect(await db.memberships.getRole(group.group_id, carol.user_id)).toBe('owner');
+    expect(await db.memberships.remove(group.group_id, alice.user_id)).toEqual({ removed: false, groupDeleted: false });
+
+    await db.memberships.remove(group.group_id, carol.user_id);
+    expect(await db.memberships.listMemberIds(group.group_id)).toEqual([bob.user_id]);
+    expect(await db.memberships.remove(group.group_id, bob.user_id)).toEqual({ removed: true, groupDeleted: true });
+    expect(await db.groups.getById(group.group_id)).toBeNull();
+  });
+});
+
+describe('calendars, events and sync meta', () => {
+  let userId;
+
+  beforeEach(async () => {
+    ({ user_id: userId } = await signIn('g-1'));
+  });
+
+  test('saveList adds new calendars with their defaults and keeps the user\'s choices for known ones', async () => {
+    const [primary] = await db.calendars.saveList(userId, [
+      { gcal_id: 'primary', calendar_name: 'Gina', is_selected: true, blocking_level: 'B3' }
+    ]);
+    await db.calendars.updateSettings(userId, primary.calendar_id, { blocking_level: 'B1' });
+
+    const saved = await db.calendars.saveList(userId, [
+      { gcal_id: 'primary', calendar_name: 'Gina G.', is_selected: true, blocking_level: 'B3' },
+      { gcal_id: 'holidays', calendar_name: 'Holidays', is_selected: false, blocking_level: 'NONE' }
+    ]);
+    expect(saved.map(({ gcal_id, calendar_name, is_selected, blocking_level }) =>
+      [gcal_id, calendar_name, is_selected, blocking_level])).toEqual([
+      ['primary', 'Gina G.', true, 'B1'],
+      ['holidays', 'Holidays', false, 'NONE']
+    ]);
+  });
+
+  test('updateSettings only touches the person\'s own calendars', async () => {
+    const other = await signIn('g-2');
+    const calendar = await db.calendars.upsert(userId, 'primary');
+    expect(await db.calendars.updateSettings(other.user_id, calendar.calendar_id, { is_selected: false })).toBeNull();
+    expect(await db.calendars.updateSettings(userId, calendar.calendar_id, { is_selected: false }))
+      .toMatchObject({ is_selected: false, blocking_level: 'B3' });
+  });
+
+  test('a person without calendar rows reads the primary calendar as selected', async () => {
+    expect(await db.calendars.listSelected(userId)).toEqual([
+      { calendar_id: null, gcal_id: 'primary', calendar_name: null, blocking_level: 'B3' }
+    ]);
+    const calendar = await db.calendars.upsert(userId, 'primary');
+    expect(await db.calendars.listSelected(userId)).toEqual([
+      { calendar_id: calendar.calendar_id, gcal_id: 'primary', calendar_name: null, blocking_level: 'B3' }
+    ]);
+  });
+
+  test('full and incremental syncs; reads return overlapping events from blocking calendars', async () => {
+    const primary = await db.calendars.upsert(userId, 'primary');
+    const holidays = await db.calendars.upsert(userId, 'holidays');
+    await db.calendars.updateSettings(userId, holidays.calendar_id, { is_selected: true, blocking_level: 'NONE' });
+    const event = (gcal_event_id, iso, hours) =>
+      ({ gcal_event_id, event_start: new Date(iso), event_duration: hours, priority: 3 });
+
+    await db.events.replaceForCalendar(primary.calendar_id, [
+      event('standup', '2026-03-02T09:00:00Z', 0.5),
+      event('lunch', '2026-03-02T12:00:00Z', 1)
+    ], 'token-1');
+    await db.events.replaceForCalendar(holidays.calendar_id, [event('holiday', '2026-03-02T00:00:00Z', 24)], 'token-h');
+    await db.events.applyChanges(primary.calendar_id, [event('review', '2026-03-02T15:00:00Z', 2)], ['lunch'], 'token-2');
+
+    expect((await db.syncMeta.get(primary.calendar_id)).sync_token).toBe('token-2');
+    const rows = await db.events.listForUsers([userId], new Date('2026-03-02T09:15:00Z'), new Date('2026-03-02T16:00:00Z'));
+    expect(rows.map((row) => [row.gcal_event_id, row.blocking_level])).toEqual([
+      ['standup', 'B3'], // still running at 09:15
+      ['review', 'B3']
+    ]);
+    expect(await db.events.listForUsers([], new Date(0), new Date())).toEqual([]);
+  });
+
+  test('failed syncs back off exponentially and stop after repeated auth errors until the next sign-in', async () => {
+    const { calendar_id } = await db.calendars.upsert(userId, 'primary');
+    const policy = { base_ms: 60000, max_ms: 150000, max_auth_failures: 2 };
+    const before = Date.now();
+
+    const first = await db.syncMeta.saveError(calendar_id, 'timeout', { ...policy, is_auth_error: false });
+    expect(first).toMatchObject({ sync_status: 'retrying', failure_count: 1 });
+    expect(first.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + 60000);
+
+    const second = await db.syncMeta.saveError(calendar_id, '401', { ...policy, is_auth_error: true });
+    expect(second).toMatchObject({ sync_status: 'retrying', failure_count: 2 });
+    expect(second.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + 120000);
+
+    const third = await db.syncMeta.saveError(calendar_id, '401', { ...policy, is_auth_error: true });
+    expect(third).toMatchObject({ sync_status: 'failed', failure_count: 3 });
+    expect(third.next_attempt_at.getTime()).toBeLessThan(before + 150000 + 60000); // capped at max_ms
+
+    expect(await db.syncMeta.listDue(0, 10)).toEqual([]);
+    await db.syncMeta.resetFailures(userId);
+    expect(await db.syncMeta.listStatusForUser(userId)).toEqual([
+      expect.objectContaining({ calendar_id, sync_status: 'ok', failure_count: 0, last_error: '401' })
+    ]);
+    expect(await db.syncMeta.listDue(0, 10)).toEqual([{ user_id: userId, gcal_id: 'primary' }]);
+  });
+});
+
+describe('meetings', () => {
+  let alice, bob, group;
+
+  beforeEach(async () => {
+    alice = await createPerson('Alice');
+    bob = await createPerson('Bob');
+    group = await db.groups.create({ group_name: 'Team', creator_id: alice.user_id, member_ids: [bob.user_id] });
+  });
+
+  function book(start, end, extra = {}) {
+    return db.meetings.create({
+      group_id: group.group_id,
+      organizer_id: alice.user_id,
+      title: 'Planning',
+      start_time: new Date(start),
+      end_time: new Date(end),
+      gcal_event_id: 'evt-1',
+      attendee_ids: [bob.user_id, alice.user_id],
+      ...extra
+    });
+  }
+
+  test('a booked meeting is listed with its attendees until it ends or is cancelled', async () => {
+    const meeting = await book('2026-03-02T10:00:00Z', '2026-03-02T11:00:00Z');
+    expect(meeting).toMatchObject({ title: 'Planning', status: 'scheduled', attendee_ids: [alice.user_id, bob.user_id] });
+    expect(await db.meetings.getById(group.group_id, meeting.meeting_id)).toEqual(meeting);
+    expect(await db.meetings.getById(group.group_id + 1, meeting.meeting_id)).toBeNull();
+
+    const later = await book('2026-03-03T10:00:00Z', '2026-03-03T11:00:00Z', { gcal_event_id: 'evt-2' });
+    const upcoming = (from) => db.meetings.listUpcoming(group.group_id, new Date(from)).then((rows) => rows.map((m) => m.meeting_id));
+    expect(await upcoming('2026-03-02T10:30:00Z')).toEqual([meeting.meeting_id, later.meeting_id]);
+    expect(await upcoming('2026-03-02T11:00:00Z')).toEqual([later.meeting_id]);
+
+    expect(await db.meetings.cancel(later.meeting_id)).toBe(true);
+    expect(await db.meetings.cancel(later.meeting_id)).toBe(false);
+    expect(await upcoming('2026-03-01T00:00:00Z')).toEqual([meeting.meeting_id]);
+    expect(await db.meetings.update(later.meeting_id, { title: 'Too late' })).toBeNull();
+  });
+
+  test('update only changes the given fields', async () => {
+    const meeting = await book('2026-03-02T10:00:00Z', '2026-03-02T11:00:00Z', { description: 'Agenda' });
+    const moved = await db.meetings.update(meeting.meeting_id, {
+      start_time: new Date('2026-03-02T14:00:00Z'),
+      end_time: new Date('2026-03-02T15:00:00Z')
+    });
+    expect(moved).toMatchObject({ title: 'Planning', description: 'Agenda', attendee_ids: [alice.user_id, bob.user_id] });
+    expect(moved.start_time.toISOString()).toBe('2026-03-02T14:00:00.000Z');
+  });
+
+  test('deleting the group deletes its meetings', async () => {
+    const meeting = await book('2026-03-02T10:00:00Z', '2026-03-02T11:00:00Z');
+    await db.groups.remove(group.group_id);
+    expect(await db.meetings.getById(group.group_id, meeting.meeting_id)).toBeNull();
+  });
+});
+
+describe('polls', () => {
+  let alice, bob, group;
+
+  beforeEach(async () => {
+    alice = await createPerson('Alice');
+    bob = await createPerson('Bob');
+    group = await db.groups.create({ group_name: 'Team', creator_id: alice.user_id, member_ids: [bob.user_id] });
+  });
+
+  function createPoll() {
+    return db.polls.create({
+      group_id: group.group_id,
+      organizer_id: alice.user_id,
+      title: 'Planning',
+      options: [
+        { start_time: new Date('2026-03-03T10:00:00Z'), end_time: new Date('2026-03-03T11:00:00Z') },
+        { start_time: new Date('2026-03-02T10:00:00Z'), end_time: new Date('2026-03-02T11:00:00Z') }
+      ]
+    });
+  }
+
+  test('a new poll is open with its options in time order and no votes', async () => {
+    const poll = await createPoll();
+    expect(poll).toMatchObject({ title: 'Planning', status: 'open', chosen_option_id: null, meeting_id: null });
+    expect(poll.options.map((o) => [o.start_time.toISOString(), o.votes])).toEqual([
+      ['2026-03-02T10:00:00.000Z', []],
+      ['2026-03-03T10:00:00.000Z', []]
+    ]);
+    expect(await db.polls.getById(group.group_id + 1, poll.poll_id)).toBeNull();
+    expect((await db.polls.listForGroup(group.group_id)).map((p) => p.poll_id)).toEqual([poll.poll_id]);
+  });
+
+  test('votes are replaced per option until the poll is finalized', async () => {
+    const poll = await createPoll();
+    const [first, second] = poll.options.map((o) => o.option_id);
+    expect(await db.polls.saveVotes(poll.poll_id, bob.user_id, [
+      { option_id: first, vote: 'yes' },
+      { option_id: second, vote: 'no' }
+    ])).toBe(true);
+    await db.polls.saveVotes(poll.poll_id, bob.user_id, [{ option_id: first, vote: 'if_needed' }]);
+    await db.polls.saveVotes(poll.poll_id, alice.user_id, [{ option_id: first, vote: 'yes' }]);
+    const voted = await db.polls.getById(group.group_id, poll.poll_id);
+    expect(voted.options.map((o) => o.votes)).toEqual([
+      [{ user_id: alice.user_id, vote: 'yes' }, { user_id: bob.user_id, vote: 'if_needed' }],
+      [{ user_id: bob.user_id, vote: 'no' }]
+    ]);
+
+    expect(await db.polls.finalize(poll.poll_id, null)).toBeNull();
+    expect(await db.polls.claim(poll.poll_id, first)).toBe(true);
+    expect(await db.polls.claim(poll.poll_id, second)).toBe(false);
+    expect(await db.polls.saveVotes(poll.poll_id, bob.user_id, [{ option_id: second, vote: 'yes' }])).toBe(false);
+    expect(await db.polls.finalize(poll.poll_id, null)).toMatchObject({ status: 'finalized', chosen_option_id: first });
+    expect(await db.polls.finalize(poll.poll_id, null)).toBeNull();
+  });
+
+  test('a claimed poll reopens when booking fails', async () => {
+    const poll = await createPoll();
+    const [first] = poll.options.map((o) => o.option_id);
+    await db.polls.claim(poll.poll_id, first);
+    expect(await db.polls.getById(group.group_id, poll.poll_id)).toMatchObject({ status: 'finalizing', chosen_option_id: first });
+    await db.polls.release(poll.poll_id);
+    expect(await db.polls.getById(group.group_id, poll.poll_id)).toMatchObject({ status: 'open', chosen_option_id: null });
+    expect(await db.polls.saveVotes(poll.poll_id, bob.user_id, [{ option_id: first, vote: 'yes' }])).toBe(true);
+  });
+
+  test('deleting the group deletes its polls, votes and booked meetings', async () => {
+    const poll = await createPoll();
+    const option = poll.options[0];
+    await db.polls.saveVotes(poll.poll_id, bob.user_id, [{ option_id: option.option_id, vote: 'yes' }]);
+    const meeting = await db.meetings.create({
+      group_id: group.group_id, organizer_id: alice.user_id, title: 'Planning',
+      start_time: option.start_time, end_time: option.end_time, gcal_event_id: 'evt-1', attendee_ids: [alice.user_id]
+    });
+    await db.polls.claim(poll.poll_id, option.option_id);
+    await db.polls.finalize(poll.poll_id, meeting.meeting_id);
+
+    expect(await db.groups.remove(group.group_id)).toBe(true);
+    expect(await db.polls.getById(group.group_id, poll.poll_id)).toBeNull();
+    expect((await db.query('SELECT COUNT(*)::int AS n FROM poll_vote')).rows[0].n).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+// encryptExistingTokens.js
+// One-off migration: encrypt plaintext Google tokens in person, and re-encrypt
+// tokens under an old key after a key rotation. Safe to run again.
+//   node db/encryptExistingTokens.js
+
+require('dotenv').config({
+  path: process.env.NODE_ENV === 'production' ? '.env.production' : '.env.development'
+});
+const db = require('./index');
+const { encryptToken, decryptToken, needsReencryption } = require('../auth/tokenCrypto');
+
+async function main() {
+  const { rows } = await db.pool.query(
+    `SELECT user_id, refresh_token, access_token FROM person
+     WHERE refresh_token IS NOT NULL OR access_token IS NOT NULL`
+  );
+
+  let updated = 0;
+  for (const row of rows) {
+    if (!needsReencryption(row.refresh_token) && !needsReencryption(row.access_token)) continue;
+    // row by row, so a concurrent token refresh is never overwritten with older data
+    // (the row is then left for the next run and not counted)
+    const result = await db.pool.query(
+      `UPDATE person SET refresh_token = $2, access_token = $3
+       WHERE user_id = $1 AND refresh_token IS NOT DISTINCT FROM $4 AND access_token IS NOT DISTINCT FROM $5`,
+      [
+        row.user_id,
+        encryptToken(decryptToken(row.refresh_token)),
+        encryptToken(decryptToken(row.access_token)),
+        row.refresh_token,
+        row.access_token
+      ]
+    );
+    updated += result.rowCount;
+  }
+  console.log(`Encrypted tokens for ${updated} of ${rows.length} user(s).`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Token encryption failed', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -0,0 +1,166 @@
+// migrate.js
+// Versioned schema migrations from db/migrations at the repo root.
+// Files are named NNNN_description.sql and run in version order, each in its
+// own transaction together with its schema_migrations row. The row keeps a
+// sha256 of the file: editing a migration after it was applied stops `up`
+// until the file is restored (add a new migration instead).
+//   node db/migrate.js up       apply pending migrations
+//   node db/migrate.js status   list applied, pending and changed migrations
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'db', 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const LOCK_ID = 7340021; // pg_advisory_lock key: one runner at a time
+
+function checksumOf(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// migration files sorted by version: [{ version, name, file, sql, checksum }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.sql'))) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file name must look like 0001_description.sql: ${file}`);
+    }
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.push({ version: Number(match[1]), name: match[2], file, sql, checksum: checksumOf(sql) });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+// Compare files with schema_migrations rows.
+// state: 'applied' | 'pending' | 'changed' (edited after it was applied)
+//        | 'missing' (applied, but the file is gone)
+function getMigrationStatus(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map((row) => [Number(row.version), row]));
+  const status = migrations.map((m) => {
+    const row = applied.get(m.version);
+    if (!row) return { version: m.version, name: m.name, state: 'pending' };
+    return {
+      version: m.version,
+      name: m.name,
+      state: row.checksum === m.checksum ? 'applied' : 'changed',
+      appliedAt: row.applied_at
+    };
+  });
+  for (const row of appliedRows) {
+    if (!migrations.some((m) => m.version === Number(row.version))) {
+      status.push({ version: Number(row.version), name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+}
+
+async function readApplied(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return result.rows;
+}
+
+async function status(pool, dir = MIGRATIONS_DIR) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    return getMigrationStatus(loadMigrations(dir), await readApplied(client));
+  } finally {
+    client.release();
+  }
+}
+
+// Apply every pending migration in order; returns the ones applied.
+// Refuses to run while an applied migration is changed or missing.
+async function up(pool, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const current = getMigrationStatus(migrations, await readApplied(client));
+    const drifted = current.filter((m) => m.state === 'changed' || m.state === 'missing');
+    if (drifted.length > 0) {
+      throw new Error(`Applied migrations differ from the files: ${drifted.map((m) => `${m.version} (${m.state})`).join(', ')}`);
+    }
+
+    const pending = migrations.filter((m) => current.find((s) => s.version === m.version).state === 'pending');
+    for (const migration of pending) {
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.sql);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+      }
+      console.log(`Applied ${migration.file}`);
+    }
+    return pending;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function main(command) {
+  require('dotenv').config({
+    path: process.env.NODE_ENV === 'production' ? '.env.production' : '.env.development'
+  });
+  const db = require('./index');
+  try {
+    if (command === 'up') {
+      const applied = await up(db.pool);
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied.` : 'Database is up to date.');
+    } else if (command === 'status') {
+      for (const m of await status(db.pool)) {
+        const when = m.appliedAt ? `  ${new Date(m.appliedAt).toISOString()}` : '';
+        console.log(`${String(m.version).padStart(4, '0')}  ${m.state.padEnd(8)} ${m.name}${when}`);
+      }
+    } else {
+      console.error('Usage: node db/migrate.js <up|status>');
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv[2]);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  status,
+  up
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, getMigrationStatus } = require('./migrate');
+
+function tempDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+describe('loadMigrations', () => {
+  test('the checked-in migrations are numbered without gaps', () => {
+    const versions = loadMigrations().map((m) => m.version);
+    expect(versions).toEqual(versions.map((_, i) => i + 1));
+  });
+
+  test('sorts by version and checksums the contents', () => {
+    const dir = tempDir({ '0002_b.sql': 'SELECT 2;', '0001_a.sql': 'SELECT 1;', 'notes.txt': 'ignored' });
+    const migrations = loadMigrations(dir);
+    expect(migrations.map((m) => m.file)).toEqual(['0001_a.sql', '0002_b.sql']);
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'a', sql: 'SELECT 1;' });
+    expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(migrations[0].checksum).not.toBe(migrations[1].checksum);
+  });
+
+  test('rejects badly named files and duplicate versions', () => {
+    expect(() => loadMigrations(tempDir({ 'create-tables.sql': '' }))).toThrow('0001_description.sql');
+    expect(() => loadMigrations(tempDir({ '0001_a.sql': '', '0001_b.sql': '' }))).toThrow('Duplicate migration version 1');
+  });
+});
+
+describe('getMigrationStatus', () => {
+  const dir = tempDir({ '0001_a.sql': 'SELECT 1;', '0002_b.sql': 'SELECT 2;', '0003_c.sql': 'SELECT 3;' });
+  const [a, b] = loadMigrations(dir);
+  const appliedAt = new Date('2026-01-01T00:00:00Z');
+
+  test('applied, pending and changed migrations', () => {
+    const status = getMigrationStatus(loadMigrations(dir), [
+      { version: 1, name: 'a', checksum: a.checksum, applied_at: appliedAt },
+      { version: 2, name: 'b', checksum: 'edited'.padEnd(64, '0'), applied_at: appliedAt }
+    ]);
+    expect(status.map((m) => [m.version, m.state])).toEqual([[1, 'applied'], [2, 'changed'], [3, 'pending']]);
+    expect(status[0].appliedAt).toBe(appliedAt);
+  });
+
+  test('applied migrations whose file is gone are missing', () => {
+    const status = getMigrationStatus([a], [
+      { version: 1, name: 'a', checksum: a.checksum, applied_at: appliedAt },
+      { version: 2, name: 'b', checksum: b.checksum, applied_at: appliedAt }
+    ]);
+    expect(status.map((m) => [m.version, m.state])).toEqual([[1, 'applied'], [2, 'missing']]);
+  });
+});
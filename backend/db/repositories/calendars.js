@@ -0,0 +1,91 @@
+// calendars.js
+// calendar rows: a person's Google calendars, whether each one counts toward
+// busy time (is_selected) and how strongly (blocking_level NONE | B1 | B2 | B3).
+
+const CALENDAR_COLUMNS = 'calendar_id, gcal_id, calendar_name, is_selected, blocking_level';
+
+const createCalendarRepository = (db) => {
+    // calendar row for a person's Google calendar, created on first sync
+    // (a primary calendar created here is selected; others start unselected)
+    const upsert = async(person_id, gcal_id, calendar_name = null) => {
+        const query = `
+        INSERT INTO calendar (person_id, gcal_id, calendar_name, is_selected)
+        VALUES ($1, $2, $3, $2 = 'primary')
+        ON CONFLICT (person_id, gcal_id)
+        DO UPDATE SET calendar_name = COALESCE(EXCLUDED.calendar_name, calendar.calendar_name)
+        RETURNING ${CALENDAR_COLUMNS}`
+        const result = await db.query(query, [person_id, gcal_id, calendar_name]);
+        return result.rows[0];
+    }
+
+    const listForUser = async(person_id) => {
+        const query = `
+        SELECT ${CALENDAR_COLUMNS}
+        FROM calendar
+        WHERE person_id = $1
+        ORDER BY gcal_id <> 'primary', calendar_name, calendar_id`
+        const result = await db.query(query, [person_id]);
+        return result.rows;
+    }
+
+    // Save the calendars from Google's calendarList.
+    // New calendars get their default selection and blocking level; for existing
+    // ones only the name is refreshed so the user's choices are kept.
+    // calendars: [{ gcal_id, calendar_name, is_selected, blocking_level }]
+    // returns the person's calendars
+    const saveList = async(person_id, calendars) => {
+        return db.transaction(async (tx) => {
+            for (const calendar of calendars) {
+                await tx.query(`
+                    INSERT INTO calendar (person_id, gcal_id, calendar_name, is_selected, blocking_level)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (person_id, gcal_id)
+                    DO UPDATE SET calendar_name = EXCLUDED.calendar_name`,
+                    [person_id, calendar.gcal_id, calendar.calendar_name, calendar.is_selected, calendar.blocking_level]
+                );
+            }
+            return tx.calendars.listForUser(person_id);
+        });
+    }
+
+    // change selection and/or blocking level (null leaves a field as it is)
+    // returns the updated row, or null when the calendar is not this person's
+    const updateSettings = async(person_id, calendar_id, { is_selected = null, blocking_level = null }) => {
+        const query = `
+        UPDATE calendar
+        SET is_selected = COALESCE($3, is_selected),
+            blocking_level = COALESCE($4, blocking_level)
+        WHERE calendar_id = $2 AND person_id = $1
+        RETURNING ${CALENDAR_COLUMNS}`
+        const result = await db.query(query, [person_id, calendar_id, is_selected, blocking_level]);
+        return result.rows[0] || null;
+    }
+
+    // Calendars that count toward a person's busy time.
+    // A person without any calendar rows (never synced or listed) reads 'primary'
+    // (with a null calendar_id).
+    const listSelected = async(person_id) => {
+        const query = `
+        SELECT calendar_id, gcal_id, calendar_name, blocking_level FROM calendar
+        WHERE person_id = $1 AND is_selected
+        ORDER BY calendar_id`
+        const result = await db.query(query, [person_id]);
+        if (result.rows.length > 0) return result.rows;
+        const any = await db.query(`SELECT 1 FROM calendar WHERE person_id = $1 LIMIT 1`, [person_id]);
+        return any.rows.length > 0
+            ? []
+            : [{ calendar_id: null, gcal_id: 'primary', calendar_name: null, blocking_level: 'B3' }];
+    }
+
+    return {
+        upsert,
+        listForUser,
+        saveList,
+        updateSettings,
+        listSelected
+    };
+}
+
+module.exports = {
+    createCalendarRepository
+};
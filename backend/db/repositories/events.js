@@ -0,0 +1,78 @@
+// events.js
+// cal_event rows synced from Google. Every write also records the sync in
+// calendar_sync_meta, in the same transaction.
+// events: [{ gcal_event_id, event_start (Date), event_duration (hours), priority }]
+
+const { inList, valueRows } = require('./sql');
+
+const UPSERT_BATCH_SIZE = 500; // rows per INSERT (5 parameters each)
+
+const createEventRepository = (db) => {
+    const upsertMany = async(tx, calendar_id, events) => {
+        for (let i = 0; i < events.length; i += UPSERT_BATCH_SIZE) {
+            const batch = events.slice(i, i + UPSERT_BATCH_SIZE);
+            await tx.query(`
+                INSERT INTO cal_event (calendar_id, gcal_event_id, event_start, event_duration, priority)
+                VALUES ${valueRows(batch.length, 5)}
+                ON CONFLICT (calendar_id, gcal_event_id)
+                DO UPDATE SET
+                    event_start = EXCLUDED.event_start,
+                    event_duration = EXCLUDED.event_duration,
+                    priority = EXCLUDED.priority`,
+                batch.flatMap((e) => [calendar_id, e.gcal_event_id, e.event_start, e.event_duration, e.priority])
+            );
+        }
+    }
+
+    // Full sync: replace every stored event of the calendar and store the new token.
+    const replaceForCalendar = async(calendar_id, events, sync_token) => {
+        return db.transaction(async (tx) => {
+            await tx.query(`DELETE FROM cal_event WHERE calendar_id = $1`, [calendar_id]);
+            await upsertMany(tx, calendar_id, events);
+            await tx.syncMeta.saveSuccess(calendar_id, sync_token);
+        });
+    }
+
+    // Incremental sync: apply changed and deleted events and store the new token.
+    const applyChanges = async(calendar_id, changed, deleted_gcal_ids, sync_token) => {
+        return db.transaction(async (tx) => {
+            await upsertMany(tx, calendar_id, changed);
+            if (deleted_gcal_ids.length > 0) {
+                await tx.query(
+                    `DELETE FROM cal_event WHERE calendar_id = $1 AND gcal_event_id IN (${inList(deleted_gcal_ids, 2)})`,
+                    [calendar_id, ...deleted_gcal_ids]
+                );
+            }
+            await tx.syncMeta.saveSuccess(calendar_id, sync_token);
+        });
+    }
+
+    // stored events of these users overlapping [start, end), from calendars that
+    // are selected and block (blocking_level NONE never does)
+    const listForUsers = async(user_ids, start, end) => {
+        if (user_ids.length === 0) return [];
+        // end of an event in epoch seconds: event_start + event_duration hours
+        const query = `
+        SELECT c.person_id AS user_id, e.event_id, e.gcal_event_id, e.event_start, e.event_duration, c.blocking_level
+        FROM cal_event e
+        JOIN calendar c ON c.calendar_id = e.calendar_id
+        WHERE c.person_id IN (${inList(user_ids, 3)})
+          AND c.is_selected
+          AND c.blocking_level <> 'NONE'
+          AND e.event_start < $2
+          AND EXTRACT(EPOCH FROM e.event_start) + e.event_duration * 3600 > $1
+        ORDER BY e.event_start, e.event_id`
+        const result = await db.query(query, [start.getTime() / 1000, end, ...user_ids]);
+        return result.rows;
+    }
+
+    return {
+        replaceForCalendar,
+        applyChanges,
+        listForUsers
+    };
+}
+
+module.exports = {
+    createEventRepository
+};
@@ -0,0 +1,68 @@
+// groups.js
+// f_group rows. Members and roles are in memberships.js.
+
+const createGroupRepository = (db) => {
+    // groups the user belongs to, with member counts and the user's role
+    const listForUser = async(user_id) => {
+        const query = `
+        SELECT g.group_id, g.group_name, mine.member_role, COUNT(all_members.user_id)::int AS member_count
+        FROM f_group g
+        JOIN group_match mine ON mine.group_id = g.group_id AND mine.user_id = $1
+        JOIN group_match all_members ON all_members.group_id = g.group_id
+        GROUP BY g.group_id, g.group_name, mine.member_role
+        ORDER BY g.group_name, g.group_id`
+        const result = await db.query(query, [user_id]);
+        return result.rows;
+    }
+
+    const getById = async(group_id) => {
+        const query = `
+        SELECT group_id, group_name FROM f_group
+        WHERE group_id = $1`
+        const result = await db.query(query, [group_id]);
+        return result.rows[0] || null;
+    }
+
+    // creator is always the owner; member_ids may repeat or include the creator
+    const create = async({ group_name, creator_id, member_ids = [] }) => {
+        return db.transaction(async (tx) => {
+            const created = await tx.query(
+                `INSERT INTO f_group (group_name) VALUES ($1) RETURNING group_id, group_name`,
+                [group_name]
+            );
+            const group = created.rows[0];
+            await tx.memberships.add(group.group_id, [creator_id], 'owner');
+            await tx.memberships.add(group.group_id, member_ids);
+            return { ...group, member_role: 'owner' };
+        });
+    }
+
+    const rename = async(group_id, group_name) => {
+        const query = `
+        UPDATE f_group SET group_name = $2
+        WHERE group_id = $1
+        RETURNING group_id, group_name`
+        const result = await db.query(query, [group_id, group_name]);
+        return result.rows[0] || null;
+    }
+
+    const remove = async(group_id) => {
+        return db.transaction(async (tx) => {
+            await tx.query(`DELETE FROM group_match WHERE group_id = $1`, [group_id]);
+            const result = await tx.query(`DELETE FROM f_group WHERE group_id = $1`, [group_id]);
+            return result.rowCount > 0;
+        });
+    }
+
+    return {
+        listForUser,
+        getById,
+        create,
+        rename,
+        remove
+    };
+}
+
+module.exports = {
+    createGroupRepository
+};
@@ -0,0 +1,104 @@
+// meetings.js
+// meeting rows: meetings booked for a group, with the Google event on the
+// organizer's primary calendar (gcal_event_id), and meeting_attendee rows for
+// the members invited. Rows come back with attendee_ids (sorted user ids).
+
+const { inList, valueRows } = require('./sql');
+
+const MEETING_COLUMNS = `meeting_id, group_id, organizer_id, title, description,
+    start_time, end_time, gcal_event_id, status, created_at, updated_at`;
+
+const createMeetingRepository = (db) => {
+    // adds attendee_ids to each meeting row
+    const withAttendees = async(meetings) => {
+        if (meetings.length === 0) return [];
+        const ids = meetings.map((m) => m.meeting_id);
+        const query = `
+        SELECT meeting_id, user_id FROM meeting_attendee
+        WHERE meeting_id IN (${inList(ids)})
+        ORDER BY user_id`
+        const result = await db.query(query, ids);
+        return meetings.map((meeting) => ({
+            ...meeting,
+            attendee_ids: result.rows.filter((row) => row.meeting_id === meeting.meeting_id).map((row) => row.user_id)
+        }));
+    }
+
+    // attendee_ids: invited members (the organizer included)
+    const create = async({ group_id, organizer_id, title, description = null, start_time, end_time, gcal_event_id, attendee_ids }) => {
+        return db.transaction(async (tx) => {
+            const created = await tx.query(`
+                INSERT INTO meeting (group_id, organizer_id, title, description, start_time, end_time, gcal_event_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING ${MEETING_COLUMNS}`,
+                [group_id, organizer_id, title, description, start_time, end_time, gcal_event_id]
+            );
+            const meeting = created.rows[0];
+            const ids = [...new Set(attendee_ids)];
+            if (ids.length > 0) {
+                await tx.query(
+                    `INSERT INTO meeting_attendee (meeting_id, user_id) VALUES ${valueRows(ids.length, 2)}`,
+                    ids.flatMap((id) => [meeting.meeting_id, id])
+                );
+            }
+            return { ...meeting, attendee_ids: ids.sort((a, b) => a - b) };
+        });
+    }
+
+    // the meeting if it belongs to group_id, else null
+    const getById = async(group_id, meeting_id) => {
+        const query = `
+        SELECT ${MEETING_COLUMNS} FROM meeting
+        WHERE meeting_id = $1 AND group_id = $2`
+        const result = await db.query(query, [meeting_id, group_id]);
+        if (result.rows.length === 0) return null;
+        return (await withAttendees(result.rows))[0];
+    }
+
+    // scheduled meetings of a group that end after `from`, earliest first
+    const listUpcoming = async(group_id, from) => {
+        const query = `
+        SELECT ${MEETING_COLUMNS} FROM meeting
+        WHERE group_id = $1 AND status = 'scheduled' AND end_time > $2
+        ORDER BY start_time, meeting_id`
+        const result = await db.query(query, [group_id, from]);
+        return withAttendees(result.rows);
+    }
+
+    // change title, description and/or time (null leaves a field as it is)
+    const update = async(meeting_id, { title = null, description = null, start_time = null, end_time = null }) => {
+        const query = `
+        UPDATE meeting
+        SET title = COALESCE($2, title),
+            description = COALESCE($3, description),
+            start_time = COALESCE($4, start_time),
+            end_time = COALESCE($5, end_time),
+            updated_at = NOW()
+        WHERE meeting_id = $1 AND status = 'scheduled'
+        RETURNING ${MEETING_COLUMNS}`
+        const result = await db.query(query, [meeting_id, title, description, start_time, end_time]);
+        if (result.rows.length === 0) return null;
+        return (await withAttendees(result.rows))[0];
+    }
+
+    // true when a scheduled meeting was cancelled
+    const cancel = async(meeting_id) => {
+        const query = `
+        UPDATE meeting SET status = 'cancelled', updated_at = NOW()
+        WHERE meeting_id = $1 AND status = 'scheduled'`
+        const result = await db.query(query, [meeting_id]);
+        return result.rowCount > 0;
+    }
+
+    return {
+        create,
+        getById,
+        listUpcoming,
+        update,
+        cancel
+    };
+}
+
+module.exports = {
+    createMeetingRepository
+};
@@ -0,0 +1,129 @@
+// memberships.js
+// group_match rows: who is in which group, and with which role
+// ('owner' | 'admin' | 'member'; one owner per group).
+// group_match.user_id is BIGSERIAL; ids are cast so they compare equal to person.user_id.
+
+const { valueRows } = require('./sql');
+
+const createMembershipRepository = (db) => {
+    // 'owner' | 'admin' | 'member', or null when the user is not in the group
+    const getRole = async(group_id, user_id) => {
+        const query = `
+        SELECT member_role FROM group_match
+        WHERE group_id = $1 AND user_id = $2`
+        const result = await db.query(query, [group_id, user_id]);
+        return result.rows.length > 0 ? result.rows[0].member_role : null;
+    }
+
+    const listMembers = async(group_id) => {
+        const query = `
+        SELECT p.user_id, p.first_name, p.last_name, p.username, p.email, gm.member_role, gm.joined_at
+        FROM group_match gm
+        JOIN person p ON p.user_id = gm.user_id
+        WHERE gm.group_id = $1
+        ORDER BY p.first_name, p.user_id`
+        const result = await db.query(query, [group_id]);
+        return result.rows;
+    }
+
+    const listMemberIds = async(group_id) => {
+        const query = `
+        SELECT user_id::int AS user_id FROM group_match
+        WHERE group_id = $1
+        ORDER BY user_id`
+        const result = await db.query(query, [group_id]);
+        return result.rows.map((row) => row.user_id);
+    }
+
+    // returns the ids that were not already members
+    const add = async(group_id, user_ids, member_role = 'member') => {
+        return db.transaction(async (tx) => {
+            const existing = await tx.memberships.listMemberIds(group_id);
+            const ids = [...new Set(user_ids)].filter((id) => !existing.includes(id));
+            if (ids.length === 0) return [];
+            const query = `
+            INSERT INTO group_match (group_id, user_id, member_role)
+            VALUES ${valueRows(ids.length, 3)}
+            ON CONFLICT (group_id, user_id) DO NOTHING
+            RETURNING user_id::int AS user_id`
+            const result = await tx.query(query, ids.flatMap((id) => [group_id, id, member_role]));
+            return result.rows.map((row) => row.user_id);
+        });
+    }
+
+    // The last member leaving deletes the group. When the owner leaves, the
+    // longest-standing admin (or member if there are no admins) becomes owner.
+    const remove = async(group_id, user_id) => {
+        return db.transaction(async (tx) => {
+            const removed = await tx.query(
+                `DELETE FROM group_match WHERE group_id = $1 AND user_id = $2
+                RETURNING member_role`,
+                [group_id, user_id]
+            );
+            const remaining = await tx.query(`
+                SELECT user_id, member_role FROM group_match
+                WHERE group_id = $1
+                ORDER BY member_role = 'admin' DESC, joined_at, user_id`,
+                [group_id]
+            );
+            const groupDeleted = remaining.rows.length === 0;
+            if (groupDeleted) {
+                await tx.query(`DELETE FROM f_group WHERE group_id = $1`, [group_id]);
+            } else if (removed.rows.length > 0 && removed.rows[0].member_role === 'owner') {
+                await tx.query(
+                    `UPDATE group_match SET member_role = 'owner' WHERE group_id = $1 AND user_id = $2`,
+                    [group_id, remaining.rows[0].user_id]
+                );
+            }
+            return { removed: removed.rows.length > 0, groupDeleted };
+        });
+    }
+
+    // set an admin or member role; the owner's role only changes through transferOwnership
+    // returns { user_id, member_role }, or null when user_id is not a non-owner member
+    const setRole = async(group_id, user_id, member_role) => {
+        const query = `
+        UPDATE group_match SET member_role = $3
+        WHERE group_id = $1 AND user_id = $2 AND member_role <> 'owner'
+        RETURNING user_id::int AS user_id, member_role`
+        const result = await db.query(query, [group_id, user_id, member_role]);
+        return result.rows[0] || null;
+    }
+
+    // the current owner becomes an admin; returns false when to_user_id is not a member
+    const transferOwnership = async(group_id, from_user_id, to_user_id) => {
+        return db.transaction(async (tx) => {
+            const target = await tx.query(
+                `SELECT 1 FROM group_match WHERE group_id = $1 AND user_id = $2 FOR UPDATE`,
+                [group_id, to_user_id]
+            );
+            if (target.rows.length === 0) return false;
+            // demote first: a group has at most one owner
+            await tx.query(
+                `UPDATE group_match SET member_role = 'admin'
+                WHERE group_id = $1 AND user_id = $2 AND member_role = 'owner'`,
+                [group_id, from_user_id]
+            );
+            await tx.query(
+                `UPDATE group_match SET member_role = 'owner'
+                WHERE group_id = $1 AND user_id = $2`,
+                [group_id, to_user_id]
+            );
+            return true;
+        });
+    }
+
+    return {
+        getRole,
+        listMembers,
+        listMemberIds,
+        add,
+        remove,
+        setRole,
+        transferOwnership
+    };
+}
+
+module.exports = {
+    createMembershipRepository
+};
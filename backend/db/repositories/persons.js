@@ -0,0 +1,134 @@
+// persons.js
+// person rows. Google tokens are encrypted on the way in and only
+// getGoogleAccount decrypts them; no other query returns tokens.
+
+const { encryptToken, decryptToken } = require('../../auth/tokenCrypto');
+const { inList } = require('./sql');
+
+const PROFILE_COLUMNS = 'user_id, first_name, last_name, username, email';
+
+const createPersonRepository = (db) => {
+    const create = async({ email, first_name, last_name, username }) => {
+        const query = `
+        INSERT INTO person (email, first_name, last_name, username)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${PROFILE_COLUMNS}`
+        const result = await db.query(query, [email, first_name, last_name, username]);
+        return result.rows[0];
+    }
+
+    // Sign-in: create the person for a Google account, or store fresh tokens
+    // for a returning one. Without a username the first name is used.
+    // granted_scopes: the token response's space-separated `scope`
+    // returns { user_id }
+    const upsertGoogleAccount = async({ google_id, email, first_name, last_name, username, refresh_token, access_token, token_expiry, granted_scopes = null }) => {
+        const query = `
+        INSERT INTO person (google_id, email, first_name, last_name, username, refresh_token, access_token, token_expiry, granted_scopes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (google_id)
+        DO UPDATE SET
+            refresh_token = $6,
+            access_token = $7,
+            token_expiry = $8,
+            granted_scopes = COALESCE($9, person.granted_scopes),
+            updated_at = NOW()
+        RETURNING user_id`
+        const result = await db.query(query, [
+            google_id,
+            email,
+            first_name,
+            last_name,
+            username || first_name,
+            encryptToken(refresh_token),
+            encryptToken(access_token),
+            token_expiry ? new Date(token_expiry) : null,
+            granted_scopes
+        ]);
+        return result.rows[0];
+    }
+
+    const getById = async(user_id) => {
+        const query = `
+        SELECT ${PROFILE_COLUMNS} FROM person
+        WHERE user_id = $1`
+        const result = await db.query(query, [user_id]);
+        return result.rows[0] || null;
+    }
+
+    // google_id, decrypted tokens and granted scopes, for the token manager
+    const getGoogleAccount = async(user_id) => {
+        const query = `
+        SELECT google_id, refresh_token, access_token, token_expiry, granted_scopes FROM person
+        WHERE user_id = $1`
+        const result = await db.query(query, [user_id]);
+        const account = result.rows[0];
+        if (!account) return null;
+        return {
+            ...account,
+            refresh_token: decryptToken(account.refresh_token),
+            access_token: decryptToken(account.access_token)
+        };
+    }
+
+    const listByFirstName = async(first_name) => {
+        const query = `
+        SELECT ${PROFILE_COLUMNS} FROM person
+        WHERE first_name = $1
+        ORDER BY user_id`
+        const result = await db.query(query, [first_name]);
+        return result.rows;
+    }
+
+    // which of user_ids exist
+    const listExistingIds = async(user_ids) => {
+        if (user_ids.length === 0) return [];
+        const query = `
+        SELECT user_id FROM person
+        WHERE user_id IN (${inList(user_ids)})`
+        const result = await db.query(query, user_ids);
+        return result.rows.map((row) => row.user_id);
+    }
+
+    // after Google refreshes an access token; refresh_token is only sent when it changes
+    const updateTokens = async(user_id, { access_token, token_expiry, refresh_token }) => {
+        const query = `
+        UPDATE person
+        SET access_token = $2,
+            token_expiry = $3,
+            refresh_token = COALESCE($4, refresh_token),
+            updated_at = NOW()
+        WHERE user_id = $1`
+        const result = await db.query(query, [
+            user_id,
+            encryptToken(access_token),
+            token_expiry ? new Date(token_expiry) : null,
+            refresh_token ? encryptToken(refresh_token) : null
+        ]);
+        return result.rowCount > 0;
+    }
+
+    // revoked grant: forget the tokens so the user is asked to reconnect
+    const clearTokens = async(user_id) => {
+        const query = `
+        UPDATE person
+        SET refresh_token = NULL, access_token = NULL, token_expiry = NULL, granted_scopes = NULL, updated_at = NOW()
+        WHERE user_id = $1`
+        const result = await db.query(query, [user_id]);
+        return result.rowCount > 0;
+    }
+
+    return {
+        create,
+        upsertGoogleAccount,
+        getById,
+        getGoogleAccount,
+        listByFirstName,
+        listExistingIds,
+        updateTokens,
+        clearTokens
+    };
+}
+
+module.exports = {
+    createPersonRepository
+};
@@ -0,0 +1,149 @@
+// polls.js
+// meeting_poll rows with their poll_option candidates and poll_vote votes
+// ('yes' | 'if_needed' | 'no', one per member and option). A poll is 'open'
+// until the organizer finalizes it: claim sets 'finalizing' and chosen_option_id
+// while the meeting is booked, then finalize sets 'finalized' and meeting_id
+// (or release reopens it when booking fails).
+// getById returns the poll with options: [{ option_id, start_time, end_time,
+// votes: [{ user_id, vote }] }] in start order.
+
+const { inList, valueRows } = require('./sql');
+
+const POLL_COLUMNS = `poll_id, group_id, organizer_id, title, description, status,
+    chosen_option_id, meeting_id, created_at, updated_at`;
+
+const createPollRepository = (db) => {
+    // options: [{ start_time, end_time }]
+    const create = async({ group_id, organizer_id, title, description = null, options }) => {
+        return db.transaction(async (tx) => {
+            const created = await tx.query(`
+                INSERT INTO meeting_poll (group_id, organizer_id, title, description)
+                VALUES ($1, $2, $3, $4)
+                RETURNING poll_id`,
+                [group_id, organizer_id, title, description]
+            );
+            const poll_id = created.rows[0].poll_id;
+            await tx.query(
+                `INSERT INTO poll_option (poll_id, start_time, end_time) VALUES ${valueRows(options.length, 3)}`,
+                options.flatMap((option) => [poll_id, option.start_time, option.end_time])
+            );
+            return tx.polls.getById(group_id, poll_id);
+        });
+    }
+
+    // the poll with its options and votes if it belongs to group_id, else null
+    const getById = async(group_id, poll_id) => {
+        const polls = await db.query(`
+            SELECT ${POLL_COLUMNS} FROM meeting_poll
+            WHERE poll_id = $1 AND group_id = $2`,
+            [poll_id, group_id]
+        );
+        if (polls.rows.length === 0) return null;
+        const options = await db.query(`
+            SELECT option_id, start_time, end_time FROM poll_option
+            WHERE poll_id = $1
+            ORDER BY start_time, option_id`,
+            [poll_id]
+        );
+        const optionIds = options.rows.map((option) => option.option_id);
+        const votes = optionIds.length === 0 ? { rows: [] } : await db.query(`
+            SELECT option_id, user_id, vote FROM poll_vote
+            WHERE option_id IN (${inList(optionIds)})
+            ORDER BY user_id`,
+            optionIds
+        );
+        return {
+            ...polls.rows[0],
+            options: options.rows.map((option) => ({
+                ...option,
+                votes: votes.rows
+                    .filter((row) => row.option_id === option.option_id)
+                    .map(({ user_id, vote }) => ({ user_id, vote }))
+            }))
+        };
+    }
+
+    // a group's polls without options, open ones first, newest first
+    const listForGroup = async(group_id) => {
+        const query = `
+        SELECT ${POLL_COLUMNS} FROM meeting_poll
+        WHERE group_id = $1
+        ORDER BY status = 'open' DESC, created_at DESC, poll_id DESC`
+        const result = await db.query(query, [group_id]);
+        return result.rows;
+    }
+
+    // Set a member's votes on options of an open poll; options not listed keep their vote.
+    // votes: [{ option_id, vote }] (option ids must belong to the poll)
+    // returns false when the poll is not open
+    const saveVotes = async(poll_id, user_id, votes) => {
+        return db.transaction(async (tx) => {
+            const poll = await tx.query(
+                `SELECT status FROM meeting_poll WHERE poll_id = $1 FOR UPDATE`,
+                [poll_id]
+            );
+            if (poll.rows.length === 0 || poll.rows[0].status !== 'open') return false;
+            if (votes.length === 0) return true;
+            await tx.query(`
+                INSERT INTO poll_vote (option_id, user_id, vote)
+                VALUES ${valueRows(votes.length, 3)}
+                ON CONFLICT (option_id, user_id)
+                DO UPDATE SET vote = EXCLUDED.vote, updated_at = NOW()`,
+                votes.flatMap((v) => [v.option_id, user_id, v.vote])
+            );
+            return true;
+        });
+    }
+
+    // open -> finalizing with the chosen option; only one request can claim a poll
+    // returns false when it was not open
+    const claim = async(poll_id, option_id) => {
+        const query = `
+        UPDATE meeting_poll
+        SET status = 'finalizing', chosen_option_id = $2, updated_at = NOW()
+        WHERE poll_id = $1 AND status = 'open'`
+        const result = await db.query(query, [poll_id, option_id]);
+        return result.rowCount > 0;
+    }
+
+    // finalizing -> open, when booking the claimed option failed
+    const release = async(poll_id) => {
+        const query = `
+        UPDATE meeting_poll
+        SET status = 'open', chosen_option_id = NULL, updated_at = NOW()
+        WHERE poll_id = $1 AND status = 'finalizing'`
+        await db.query(query, [poll_id]);
+    }
+
+    // finalizing -> finalized with the meeting booked for the claimed option
+    // returns the updated poll row, or null when it was not claimed (or is gone)
+    const finalize = async(poll_id, meeting_id) => {
+        const query = `
+        UPDATE meeting_poll
+        SET status = 'finalized', meeting_id = $2, updated_at = NOW()
+        WHERE poll_id = $1 AND status = 'finalizing'
+        RETURNING ${POLL_COLUMNS}`
+        const result = await db.query(query, [poll_id, meeting_id]);
+        return result.rows[0] || null;
+    }
+
+    const remove = async(poll_id) => {
+        const result = await db.query(`DELETE FROM meeting_poll WHERE poll_id = $1`, [poll_id]);
+        return result.rowCount > 0;
+    }
+
+    return {
+        create,
+        getById,
+        listForGroup,
+        saveVotes,
+        claim,
+        release,
+        finalize,
+        remove
+    };
+}
+
+module.exports = {
+    createPollRepository
+};
@@ -0,0 +1,22 @@
+// sql.js
+// Placeholder lists for queries over a variable number of values. Written out
+// instead of ANY($1::int[]) / UNNEST so the same SQL also runs on pg-mem.
+
+// "$first, $first+1, ..." for an IN (...) list; callers skip empty lists
+const inList = (values, first = 1) => values.map((_, i) => `$${first + i}`).join(', ');
+
+// "($first, ...), (...)" for a multi-row INSERT of rowCount rows
+const valueRows = (rowCount, columnCount, first = 1) => {
+    const rows = [];
+    for (let r = 0; r < rowCount; r++) {
+        const cells = [];
+        for (let c = 0; c < columnCount; c++) cells.push(`$${first + r * columnCount + c}`);
+        rows.push(`(${cells.join(', ')})`);
+    }
+    return rows.join(', ');
+}
+
+module.exports = {
+    inList,
+    valueRows
+};
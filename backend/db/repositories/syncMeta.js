@@ -0,0 +1,141 @@
+// syncMeta.js
+// calendar_sync_meta rows: when each calendar was last synced, its Google
+// sync token, and the retry state after failures.
+
+const { inList } = require('./sql');
+
+const createSyncMetaRepository = (db) => {
+    const get = async(calendar_id) => {
+        const query = `
+        SELECT calendar_id, last_refreshed, last_error, sync_token, sync_status, failure_count, next_attempt_at
+        FROM calendar_sync_meta
+        WHERE calendar_id = $1`
+        const result = await db.query(query, [calendar_id]);
+        return result.rows[0] || null;
+    }
+
+    // sync meta and retry state for each user's calendars (users without a calendar row are left out)
+    const listForUsers = async(user_ids) => {
+        if (user_ids.length === 0) return [];
+        const query = `
+        SELECT c.person_id AS user_id, c.calendar_id, c.gcal_id, c.is_selected, m.last_refreshed, m.last_error,
+               m.sync_status, m.next_attempt_at
+        FROM calendar c
+        LEFT JOIN calendar_sync_meta m ON m.calendar_id = c.calendar_id
+        WHERE c.person_id IN (${inList(user_ids)})
+        ORDER BY c.calendar_id`
+        const result = await db.query(query, user_ids);
+        return result.rows;
+    }
+
+    // a finished sync clears any retry state
+    const saveSuccess = async(calendar_id, sync_token) => {
+        const query = `
+        INSERT INTO calendar_sync_meta (calendar_id, last_refreshed, last_error, sync_token)
+        VALUES ($1, NOW(), NULL, $2)
+        ON CONFLICT (calendar_id)
+        DO UPDATE SET
+            last_refreshed = NOW(),
+            last_error = NULL,
+            sync_token = EXCLUDED.sync_token,
+            sync_status = 'ok',
+            failure_count = 0,
+            auth_failure_count = 0,
+            next_attempt_at = NULL
+        RETURNING calendar_id, last_refreshed, sync_status`
+        const result = await db.query(query, [calendar_id, sync_token]);
+        return result.rows[0];
+    }
+
+    // Record a failed sync and schedule the retry: next_attempt_at backs off
+    // exponentially (base_ms * 2^(failures-1), capped at max_ms). After
+    // max_auth_failures 401s in a row the calendar is 'failed' and is no longer
+    // retried until the user signs in again.
+    // Keeps the previous sync token: a later sync can resume from it.
+    const saveError = async(calendar_id, message, { is_auth_error, base_ms, max_ms, max_auth_failures }) => {
+        return db.transaction(async (tx) => {
+            const previous = await tx.query(
+                `SELECT failure_count, auth_failure_count FROM calendar_sync_meta WHERE calendar_id = $1 FOR UPDATE`,
+                [calendar_id]
+            );
+            const failure_count = (previous.rows.length > 0 ? previous.rows[0].failure_count : 0) + 1;
+            const auth_failure_count = is_auth_error
+                ? (previous.rows.length > 0 ? previous.rows[0].auth_failure_count : 0) + 1
+                : 0;
+            const sync_status = is_auth_error && auth_failure_count >= max_auth_failures ? 'failed' : 'retrying';
+            const next_attempt_at = new Date(Date.now() + Math.min(base_ms * 2 ** (failure_count - 1), max_ms));
+
+            const result = await tx.query(`
+                INSERT INTO calendar_sync_meta
+                    (calendar_id, last_error, sync_status, failure_count, auth_failure_count, next_attempt_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (calendar_id)
+                DO UPDATE SET
+                    last_error = EXCLUDED.last_error,
+                    sync_status = EXCLUDED.sync_status,
+                    failure_count = EXCLUDED.failure_count,
+                    auth_failure_count = EXCLUDED.auth_failure_count,
+                    next_attempt_at = EXCLUDED.next_attempt_at
+                RETURNING calendar_id, sync_status, failure_count, next_attempt_at`,
+                [calendar_id, message, sync_status, failure_count, auth_failure_count, next_attempt_at]
+            );
+            return result.rows[0];
+        });
+    }
+
+    // after a new sign-in: let the scheduler retry calendars it gave up on
+    const resetFailures = async(person_id) => {
+        const query = `
+        UPDATE calendar_sync_meta
+        SET sync_status = 'ok', failure_count = 0, auth_failure_count = 0, next_attempt_at = NULL
+        WHERE calendar_id IN (SELECT calendar_id FROM calendar WHERE person_id = $1)`
+        const result = await db.query(query, [person_id]);
+        return result.rowCount > 0;
+    }
+
+    // Connected users' calendars that are due: never synced (no calendar row yet
+    // counts as 'primary'), or older than stale_ms, and not waiting for a retry or failed.
+    const listDue = async(stale_ms, limit) => {
+        const query = `
+        SELECT p.user_id, COALESCE(c.gcal_id, 'primary') AS gcal_id
+        FROM person p
+        LEFT JOIN calendar c ON c.person_id = p.user_id
+        LEFT JOIN calendar_sync_meta m ON m.calendar_id = c.calendar_id
+        WHERE p.refresh_token IS NOT NULL
+          AND (c.calendar_id IS NULL OR c.is_selected)
+          AND COALESCE(m.sync_status, 'ok') <> 'failed'
+          AND (m.next_attempt_at IS NULL OR m.next_attempt_at <= NOW())
+          AND (m.last_refreshed IS NULL OR m.last_refreshed < $1)
+        ORDER BY m.last_refreshed NULLS FIRST
+        LIMIT $2`
+        const result = await db.query(query, [new Date(Date.now() - stale_ms), limit]);
+        return result.rows;
+    }
+
+    const listStatusForUser = async(person_id) => {
+        const query = `
+        SELECT c.calendar_id, c.gcal_id, c.calendar_name,
+               COALESCE(m.sync_status, 'pending') AS sync_status,
+               m.last_refreshed, m.last_error, COALESCE(m.failure_count, 0) AS failure_count, m.next_attempt_at
+        FROM calendar c
+        LEFT JOIN calendar_sync_meta m ON m.calendar_id = c.calendar_id
+        WHERE c.person_id = $1
+        ORDER BY c.calendar_id`
+        const result = await db.query(query, [person_id]);
+        return result.rows;
+    }
+
+    return {
+        get,
+        listForUsers,
+        saveSuccess,
+        saveError,
+        resetFailures,
+        listDue,
+        listStatusForUser
+    };
+}
+
+module.exports = {
+    createSyncMetaRepository
+};
@@ -0,0 +1,462 @@
+// fakeGoogle.js
+// A stand-in for the parts of Google the backend talks to, for offline
+// development and tests:
+//   OAuth 2.0   GET /o/oauth2/v2/auth (account picker), POST /token
+//               (authorization_code with PKCE, refresh_token), POST /revoke
+//   userinfo    GET /oauth2/v2/userinfo
+//   Calendar    GET /calendar/v3/users/me/calendarList
+//               GET/POST /calendar/v3/calendars/:calendarId/events
+//               GET/PATCH/DELETE /calendar/v3/calendars/:calendarId/events/:eventId
+// events.list pages with pageToken and hands out a nextSyncToken on its last
+// page; listing with that syncToken returns only what changed since, deleted
+// events included (status 'cancelled'). Events are Google event resources:
+// { id, status, summary, start: { dateTime } | { date }, end, transparency? }.
+// State lives in memory; seed it with loadSeed (seed.js) or the options below.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SCOPES = {
+  calendar: 'https://www.googleapis.com/auth/calendar',
+  calendarReadonly: 'https://www.googleapis.com/auth/calendar.readonly',
+  events: 'https://www.googleapis.com/auth/calendar.events',
+  eventsReadonly: 'https://www.googleapis.com/auth/calendar.events.readonly'
+};
+const READ_EVENTS_SCOPES = Object.values(SCOPES);
+const WRITE_EVENTS_SCOPES = [SCOPES.calendar, SCOPES.events];
+const READ_CALENDAR_LIST_SCOPES = [SCOPES.calendar, SCOPES.calendarReadonly];
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 250;
+const MAX_PAGE_SIZE = 2500;
+
+function randomToken(prefix) {
+  return `${prefix}-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function encodeToken(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+// null when the token is not one of ours
+function decodeToken(value) {
+  try {
+    const data = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Calendar API errors look like Google's: { error: { code, message, errors: [{ reason }] } }
+function sendApiError(res, code, reason, message) {
+  res.status(code).json({ error: { code, message, errors: [{ domain: 'global', reason, message }] } });
+}
+
+// start/end of an event resource in epoch ms (all-day dates read as UTC midnight)
+function boundsOf(event) {
+  const toMs = (time) => Date.parse(time.dateTime || `${time.date}T00:00:00Z`);
+  return { startMs: toMs(event.start), endMs: toMs(event.end) };
+}
+
+function isValidTime(time) {
+  return Boolean(time) && Number.isFinite(Date.parse(time.dateTime || `${time.date}T00:00:00Z`));
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// options: {
+//   clientId, clientSecret   the backend's GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET
+//   users: [{ id, email, given_name, family_name,
+//             calendars: [{ id?, summary, primary?, timeZone?, events: [event resource] }] }]
+//   accessTokenTtlSeconds    lifetime of access tokens (default 3600)
+// }
+// The primary calendar's id is the user's email, as on Google; 'primary' also works.
+function createFakeGoogle({ clientId, clientSecret, users = [], accessTokenTtlSeconds = 3600 }) {
+  const accounts = new Map(); // user id -> { id, email, given_name, family_name }
+  const calendars = new Map(); // calendar id -> { id, ownerId, summary, primary, timeZone, events: Map, syncFloor }
+  const codes = new Map(); // code -> { userId, scopes, redirectUri, challenge, method, expiresAt }
+  const accessTokens = new Map(); // token -> { userId, scopes, refreshToken, expiresAt }
+  const refreshTokens = new Map(); // token -> { userId, scopes }
+  const grantedScopes = new Map(); // user id -> Set of scopes granted so far
+  let version = 0; // bumped by every event change; sync tokens remember it
+
+  // ---------- state ----------
+
+  function addUser({ calendars: userCalendars = [], ...account }) {
+    accounts.set(account.id, account);
+    if (!userCalendars.some((cal) => cal.primary)) {
+      userCalendars = [{ primary: true, summary: account.email, events: [] }, ...userCalendars];
+    }
+    for (const cal of userCalendars) addCalendar(account.id, cal);
+  }
+
+  function addCalendar(userId, { id, summary, primary = false, timeZone = 'UTC', events = [] }) {
+    const calendarId = primary ? accounts.get(userId).email : id || `${randomToken('cal')}@group.calendar.google.com`;
+    calendars.set(calendarId, {
+      id: calendarId,
+      ownerId: userId,
+      summary: summary || calendarId,
+      primary,
+      timeZone,
+      events: new Map(),
+      syncFloor: 0 // sync tokens from before this version answer 410
+    });
+    for (const event of events) insertEvent(calendarId, event);
+    return calendarId;
+  }
+
+  function insertEvent(calendarId, resource) {
+    const calendar = calendars.get(calendarId);
+    const now = new Date().toISOString();
+    const event = {
+      kind: 'calendar#event',
+      status: 'confirmed',
+      ...resource,
+      id: resource.id || crypto.randomBytes(12).toString('hex'),
+      created: now,
+      updated: now,
+      version: ++version
+    };
+    calendar.events.set(event.id, event);
+    return toResource(event);
+  }
+
+  // null when the event does not exist
+  function updateEvent(calendarId, eventId, changes) {
+    const calendar = calendars.get(calendarId);
+    const event = calendar && calendar.events.get(eventId);
+    if (!event || event.status === 'cancelled') return null;
+    Object.assign(event, changes, { id: eventId, updated: new Date().toISOString(), version: ++version });
+    return toResource(event);
+  }
+
+  // deleted events stay behind as 'cancelled' so incremental syncs see them
+  function deleteEvent(calendarId, eventId) {
+    return updateEvent(calendarId, eventId, { status: 'cancelled' }) !== null;
+  }
+
+  function listEvents(calendarId) {
+    return [...calendars.get(calendarId).events.values()].map(toResource);
+  }
+
+  // every earlier sync token of the calendar answers 410 Gone from now on
+  function expireSyncTokens(calendarId) {
+    calendars.get(calendarId).syncFloor = version + 1;
+  }
+
+  // the user must consent again (refresh answers invalid_grant)
+  function revokeUserTokens(userId) {
+    for (const [token, grant] of refreshTokens) if (grant.userId === userId) refreshTokens.delete(token);
+    for (const [token, grant] of accessTokens) if (grant.userId === userId) accessTokens.delete(token);
+  }
+
+  // access tokens stop working; refresh tokens keep working
+  function expireAccessTokens() {
+    accessTokens.clear();
+  }
+
+  function toResource({ version: _version, ...event }) {
+    return { ...event, etag: `"${_version}"` };
+  }
+
+  function issueAccessToken(userId, scopes, refreshToken) {
+    const token = randomToken('fake-access');
+    accessTokens.set(token, { userId, scopes, refreshToken, expiresAt: Date.now() + accessTokenTtlSeconds * 1000 });
+    return token;
+  }
+
+  for (const user of users) addUser(user);
+
+  // ---------- OAuth ----------
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  // Google's consent screen, reduced to picking a seeded account.
+  // The picker links back here with `account`, which issues the code.
+  app.get('/o/oauth2/v2/auth', (req, res) => {
+    const { client_id, redirect_uri, response_type, scope = '', state, account } = req.query;
+    if (client_id !== clientId || !redirect_uri || response_type !== 'code') {
+      return res.status(400).send('invalid_request: unknown client_id, or missing redirect_uri / response_type=code');
+    }
+    const redirect = new URL(redirect_uri);
+    if (state !== undefined) redirect.searchParams.set('state', state);
+
+    if (account === undefined) {
+      const link = (params) => `/o/oauth2/v2/auth?${new URLSearchParams({ ...req.query, ...params })}`;
+      const items = [...accounts.values()].map((user) =>
+        `<li><a href="${escapeHtml(link({ account: user.id }))}">${escapeHtml(user.given_name)} ${escapeHtml(user.family_name)} &lt;${escapeHtml(user.email)}&gt;</a></li>`);
+      return res.send(`<!DOCTYPE html><html><head><title>Fake Google sign-in</title></head><body>
+<h1>Choose an account</h1><ul>${items.join('')}</ul>
+<p><a href="${escapeHtml(link({ account: '' }))}">Cancel</a></p></body></html>`);
+    }
+    if (!accounts.has(account)) {
+      redirect.searchParams.set('error', 'access_denied');
+      return res.redirect(redirect.toString());
+    }
+
+    const requested = scope.split(' ').filter(Boolean);
+    const previous = req.query.include_granted_scopes === 'true' ? [...(grantedScopes.get(account) || [])] : [];
+    const scopes = [...new Set([...previous, ...requested])];
+    grantedScopes.set(account, new Set([...(grantedScopes.get(account) || []), ...requested]));
+
+    const code = randomToken('fake-code');
+    codes.set(code, {
+      userId: account,
+      scopes,
+      redirectUri: redirect_uri,
+      challenge: req.query.code_challenge,
+      method: req.query.code_challenge_method || 'plain',
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('scope', scopes.join(' '));
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const body = req.body || {};
+    if (body.client_id !== clientId || (clientSecret !== undefined && body.client_secret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const invalidGrant = (description) => res.status(400).json({ error: 'invalid_grant', error_description: description });
+
+    if (body.grant_type === 'authorization_code') {
+      const grant = codes.get(body.code);
+      codes.delete(body.code); // single use
+      if (!grant || grant.expiresAt < Date.now()) return invalidGrant('Malformed auth code.');
+      if (grant.redirectUri !== body.redirect_uri) return invalidGrant('Bad Request');
+      if (grant.challenge) {
+        const verifier = body.code_verifier || '';
+        const expected = grant.method === 'S256'
+          ? crypto.createHash('sha256').update(verifier).digest('base64url')
+          : verifier;
+        if (expected !== grant.challenge) return invalidGrant('Invalid code verifier.');
+      }
+      const refreshToken = randomToken('fake-refresh');
+      refreshTokens.set(refreshToken, { userId: grant.userId, scopes: grant.scopes });
+      return res.json({
+        access_token: issueAccessToken(grant.userId, grant.scopes, refreshToken),
+        refresh_token: refreshToken,
+        expires_in: accessTokenTtlSeconds,
+        scope: grant.scopes.join(' '),
+        token_type: 'Bearer'
+      });
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const grant = refreshTokens.get(body.refresh_token);
+      if (!grant) return invalidGrant('Token has been expired or revoked.');
+      return res.json({
+        access_token: issueAccessToken(grant.userId, grant.scopes, body.refresh_token),
+        expires_in: accessTokenTtlSeconds,
+        scope: grant.scopes.join(' '),
+        token_type: 'Bearer'
+      });
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type' });
+  });
+
+  // revoking either token of a grant revokes the whole grant
+  app.post('/revoke', (req, res) => {
+    const token = req.query.token || (req.body && req.body.token);
+    const access = accessTokens.get(token);
+    const refreshToken = access ? access.refreshToken : token;
+    if (!access && !refreshTokens.has(token)) {
+      return res.status(400).json({ error: 'invalid_token' });
+    }
+    refreshTokens.delete(refreshToken);
+    for (const [key, grant] of accessTokens) if (grant.refreshToken === refreshToken) accessTokens.delete(key);
+    res.json({});
+  });
+
+  // ---------- APIs ----------
+
+  // Bearer token -> req.grant; 401 like Google for a missing, unknown or expired token
+  function authenticate(req, res, next) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const grant = match && accessTokens.get(match[1]);
+    if (!grant || grant.expiresAt <= Date.now()) {
+      return sendApiError(res, 401, 'authError', 'Invalid Credentials');
+    }
+    req.grant = grant;
+    next();
+  }
+
+  function requireScope(scopes) {
+    return (req, res, next) => {
+      if (!req.grant.scopes.some((scope) => scopes.includes(scope))) {
+        return sendApiError(res, 403, 'insufficientPermissions', 'Request had insufficient authentication scopes.');
+      }
+      next();
+    };
+  }
+
+  // :calendarId -> req.calendar (only the signed-in user's own calendars)
+  function loadCalendar(req, res, next) {
+    const owner = accounts.get(req.grant.userId);
+    const calendarId = req.params.calendarId === 'primary' ? owner.email : req.params.calendarId;
+    const calendar = calendars.get(calendarId);
+    if (!calendar || calendar.ownerId !== owner.id) {
+      return sendApiError(res, 404, 'notFound', 'Not Found');
+    }
+    req.calendar = calendar;
+    next();
+  }
+
+  app.get('/oauth2/v2/userinfo', authenticate, (req, res) => {
+    const user = accounts.get(req.grant.userId);
+    res.json({
+      id: user.id,
+      email: user.email,
+      verified_email: true,
+      name: `${user.given_name} ${user.family_name}`,
+      given_name: user.given_name,
+      family_name: user.family_name
+    });
+  });
+
+  app.get('/calendar/v3/users/me/calendarList', authenticate, requireScope(READ_CALENDAR_LIST_SCOPES), (req, res) => {
+    const entries = [...calendars.values()]
+      .filter((cal) => cal.ownerId === req.grant.userId)
+      .map((cal) => ({
+        kind: 'calendar#calendarListEntry',
+        id: cal.id,
+        summary: cal.summary,
+        timeZone: cal.timeZone,
+        accessRole: 'owner',
+        ...(cal.primary ? { primary: true } : {})
+      }));
+    const page = paginate(entries, req.query);
+    if (!page) return sendApiError(res, 400, 'invalid', 'Invalid page token value.');
+    res.json({ kind: 'calendar#calendarList', items: page.items, ...(page.nextPageToken ? { nextPageToken: page.nextPageToken } : {}) });
+  });
+
+  // offset paging; null for a page token that is not ours
+  function paginate(items, query, extra = {}) {
+    const pageSize = Math.min(Number(query.maxResults) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    let offset = 0;
+    if (query.pageToken) {
+      const token = decodeToken(query.pageToken);
+      if (!token || !Number.isInteger(token.offset)) return null;
+      offset = token.offset;
+      Object.assign(extra, token);
+    }
+    const pageItems = items.slice(offset, offset + pageSize);
+    const nextOffset = offset + pageSize;
+    return {
+      items: pageItems,
+      nextPageToken: nextOffset < items.length ? encodeToken({ ...extra, offset: nextOffset }) : null,
+      state: extra
+    };
+  }
+
+  const eventsPath = '/calendar/v3/calendars/:calendarId/events';
+
+  app.get(eventsPath, authenticate, requireScope(READ_EVENTS_SCOPES), loadCalendar, (req, res) => {
+    const { timeMin, timeMax, syncToken, orderBy, singleEvents, showDeleted, pageToken } = req.query;
+    if (syncToken && (timeMin || timeMax || orderBy)) {
+      return sendApiError(res, 400, 'invalid', 'syncToken cannot be combined with timeMin, timeMax or orderBy.');
+    }
+    if (orderBy === 'startTime' && singleEvents !== 'true') {
+      return sendApiError(res, 400, 'badRequest', 'The requested ordering is not available for the particular query.');
+    }
+    const minMs = timeMin ? Date.parse(timeMin) : -Infinity;
+    const maxMs = timeMax ? Date.parse(timeMax) : Infinity;
+    if (Number.isNaN(minMs) || Number.isNaN(maxMs)) {
+      return sendApiError(res, 400, 'invalid', 'Bad Request');
+    }
+
+    // the version the listing started at: later pages and the sync token keep it
+    const startedAt = pageToken ? (decodeToken(pageToken) || {}).version : version;
+    let items = [...req.calendar.events.values()].filter((event) => event.version <= startedAt);
+    if (syncToken) {
+      const token = decodeToken(syncToken);
+      if (!token || token.calendarId !== req.calendar.id || token.version < req.calendar.syncFloor) {
+        return sendApiError(res, 410, 'fullSyncRequired', 'Sync token is no longer valid, a full sync is required.');
+      }
+      items = items.filter((event) => event.version > token.version);
+    } else {
+      if (showDeleted !== 'true') items = items.filter((event) => event.status !== 'cancelled');
+      items = items.filter((event) => {
+        const { startMs, endMs } = boundsOf(event);
+        return endMs > minMs && startMs < maxMs;
+      });
+    }
+    items.sort((a, b) => boundsOf(a).startMs - boundsOf(b).startMs || a.id.localeCompare(b.id));
+
+    const page = paginate(items.map(toResource), req.query, { version: startedAt });
+    if (!page || !Number.isInteger(startedAt)) return sendApiError(res, 400, 'invalid', 'Invalid page token value.');
+    res.json({
+      kind: 'calendar#events',
+      summary: req.calendar.summary,
+      timeZone: req.calendar.timeZone,
+      items: page.items,
+      ...(page.nextPageToken
+        ? { nextPageToken: page.nextPageToken }
+        : { nextSyncToken: encodeToken({ calendarId: req.calendar.id, version: startedAt }) })
+    });
+  });
+
+  app.get(`${eventsPath}/:eventId`, authenticate, requireScope(READ_EVENTS_SCOPES), loadCalendar, (req, res) => {
+    const event = req.calendar.events.get(req.params.eventId);
+    if (!event) return sendApiError(res, 404, 'notFound', 'Not Found');
+    res.json(toResource(event));
+  });
+
+  app.post(eventsPath, authenticate, requireScope(WRITE_EVENTS_SCOPES), loadCalendar, (req, res) => {
+    const body = req.body || {};
+    if (!isValidTime(body.start) || !isValidTime(body.end)) {
+      return sendApiError(res, 400, 'required', 'Missing start or end time.');
+    }
+    if (boundsOf(body).endMs <= boundsOf(body).startMs) {
+      return sendApiError(res, 400, 'timeRangeEmpty', 'The specified time range is empty.');
+    }
+    if (body.id && req.calendar.events.has(body.id)) {
+      return sendApiError(res, 409, 'duplicate', 'The requested identifier already exists.');
+    }
+    res.json(insertEvent(req.calendar.id, body));
+  });
+
+  app.patch(`${eventsPath}/:eventId`, authenticate, requireScope(WRITE_EVENTS_SCOPES), loadCalendar, (req, res) => {
+    const event = req.calendar.events.get(req.params.eventId);
+    if (!event || event.status === 'cancelled') return sendApiError(res, 404, 'notFound', 'Not Found');
+    const changes = req.body || {};
+    const merged = { ...event, ...changes };
+    if (!isValidTime(merged.start) || !isValidTime(merged.end) || boundsOf(merged).endMs <= boundsOf(merged).startMs) {
+      return sendApiError(res, 400, 'timeRangeEmpty', 'The specified time range is empty.');
+    }
+    res.json(updateEvent(req.calendar.id, event.id, changes));
+  });
+
+  app.delete(`${eventsPath}/:eventId`, authenticate, requireScope(WRITE_EVENTS_SCOPES), loadCalendar, (req, res) => {
+    const event = req.calendar.events.get(req.params.eventId);
+    if (!event) return sendApiError(res, 404, 'notFound', 'Not Found');
+    if (event.status === 'cancelled') return sendApiError(res, 410, 'deleted', 'Resource has been deleted');
+    deleteEvent(req.calendar.id, event.id);
+    res.status(204).end();
+  });
+
+  return {
+    app,
+    addUser,
+    addCalendar,
+    insertEvent,
+    updateEvent,
+    deleteEvent,
+    listEvents,
+    expireSyncTokens,
+    expireAccessTokens,
+    revokeUserTokens
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createFakeGoogle
+};
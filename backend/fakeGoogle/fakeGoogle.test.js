@@ -0,0 +1,327 @@
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.TOKEN_ENCRYPTION_KEY_ID = 'test';
+process.env.GOOGLE_CLIENT_ID = 'fake-client';
+process.env.GOOGLE_CLIENT_SECRET = 'fake-secret';
+process.env.GOOGLE_REDIRECT_URI = 'http://127.0.0.1/oauth2callback';
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { google } = require('googleapis');
+
+jest.mock('../db/index', () => require('../db/testDatabase').createTestDatabase());
+
+const db = require('../db/index');
+const googleEndpoints = require('../auth/googleEndpoints');
+const calendarSync = require('../sync/calendarSync');
+const { SCOPES, createFakeGoogle } = require('./fakeGoogle');
+
+const READONLY = [SCOPES.calendarReadonly, 'openid', 'email', 'profile'];
+
+function event(id, start, end, extra = {}) {
+  return { id, summary: id, start: { dateTime: start }, end: { dateTime: end }, ...extra };
+}
+
+const USERS = [
+  {
+    id: 'g-alice',
+    email: 'alice@example.com',
+    given_name: 'Alice',
+    family_name: 'Anders',
+    calendars: [
+      {
+        primary: true,
+        events: [
+          event('lecture', '2026-03-02T09:00:00Z', '2026-03-02T10:30:00Z'),
+          event('lunch', '2026-03-02T12:00:00Z', '2026-03-02T13:00:00Z', { transparency: 'transparent' }),
+          event('gym', '2026-03-03T17:00:00Z', '2026-03-03T18:00:00Z'),
+          { id: 'trip', summary: 'trip', start: { date: '2026-03-05' }, end: { date: '2026-03-07' } }
+        ]
+      },
+      { id: 'holidays@group.v.calendar.google.com', summary: 'Holidays' }
+    ]
+  },
+  { id: 'g-bob', email: 'bob@example.com', given_name: 'Bob', family_name: 'Berg' }
+];
+
+let fake;
+let server;
+let baseUrl;
+const empty = db.mem.backup();
+
+beforeAll(async () => {
+  fake = createFakeGoogle({ clientId: 'fake-client', clientSecret: 'fake-secret', users: USERS });
+  await new Promise((resolve) => {
+    server = http.createServer(fake.app).listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.GOOGLE_API_ROOT_URL = baseUrl;
+  googleEndpoints.configureOAuthEndpoints(baseUrl);
+});
+
+afterAll(async () => {
+  delete process.env.GOOGLE_API_ROOT_URL;
+  googleEndpoints.configureOAuthEndpoints('');
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  empty.restore();
+});
+
+// consent as `account` through the picker; returns the redirect back to the app
+async function consent(authUrl, account) {
+  const url = new URL(authUrl);
+  url.searchParams.set('account', account);
+  const response = await fetch(url, { redirect: 'manual' });
+  expect(response.status).toBe(302);
+  return new URL(response.headers.get('location'));
+}
+
+// tokens for a user, the way googleLogin gets them
+async function signIn(account, scopes = READONLY) {
+  const client = new google.auth.OAuth2('fake-client', 'fake-secret', process.env.GOOGLE_REDIRECT_URI);
+  const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+  const redirect = await consent(client.generateAuthUrl({
+    access_type: 'offline',
+    scope: scopes,
+    state: 'state-1',
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge
+  }), account);
+  const { tokens } = await client.getToken({ code: redirect.searchParams.get('code'), codeVerifier });
+  return tokens;
+}
+
+async function api(method, path, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['content-type'] = 'application/json';
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+describe('OAuth', () => {
+  test('the consent page lists the accounts and denies on cancel', async () => {
+    const client = new google.auth.OAuth2('fake-client', 'fake-secret', process.env.GOOGLE_REDIRECT_URI);
+    const authUrl = client.generateAuthUrl({ scope: READONLY, state: 'xyz' });
+    const page = await fetch(authUrl);
+    expect(await page.text()).toContain('alice@example.com');
+
+    const cancelled = await consent(authUrl, '');
+    expect(cancelled.searchParams.get('error')).toBe('access_denied');
+    expect(cancelled.searchParams.get('state')).toBe('xyz');
+
+    const unknownClient = new google.auth.OAuth2('other-client', 'x', process.env.GOOGLE_REDIRECT_URI);
+    expect((await fetch(unknownClient.generateAuthUrl({ scope: READONLY }))).status).toBe(400);
+  });
+
+  test('codes are exchanged once, only with the PKCE verifier', async () => {
+    const client = new google.auth.OAuth2('fake-client', 'fake-secret', process.env.GOOGLE_REDIRECT_URI);
+    const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+    const authUrl = client.generateAuthUrl({ scope: READONLY, code_challenge_method: 'S256', code_challenge: codeChallenge });
+    const code = (await consent(authUrl, 'g-alice')).searchParams.get('code');
+
+    await expect(client.getToken({ code, codeVerifier: 'wrong' })).rejects.toMatchObject({
+      response: { data: { error: 'invalid_grant' } }
+    });
+    const secondCode = (await consent(authUrl, 'g-alice')).searchParams.get('code');
+    const { tokens } = await client.getToken({ code: secondCode, codeVerifier });
+    expect(tokens).toMatchObject({ token_type: 'Bearer', refresh_token: expect.any(String) });
+    await expect(client.getToken({ code: secondCode, codeVerifier })).rejects.toThrow();
+  });
+
+  test('userinfo through googleapis, and refreshing an expired access token', async () => {
+    const tokens = await signIn('g-alice');
+    const client = new google.auth.OAuth2('fake-client', 'fake-secret');
+    client.setCredentials(tokens);
+    const oauth2 = google.oauth2({ version: 'v2', auth: client });
+    const { data } = await oauth2.userinfo.get({}, { rootUrl: googleEndpoints.apiRootUrl() });
+    expect(data).toMatchObject({ id: 'g-alice', email: 'alice@example.com', given_name: 'Alice', family_name: 'Anders' });
+
+    fake.expireAccessTokens();
+    expect((await api('GET', '/oauth2/v2/userinfo', { token: tokens.access_token })).status).toBe(401);
+    const refreshed = new google.auth.OAuth2('fake-client', 'fake-secret');
+    refreshed.setCredentials({ refresh_token: tokens.refresh_token });
+    const list = await googleEndpoints.calendarApi(refreshed).calendarList.list();
+    expect(list.data.items.map((entry) => [entry.id, entry.primary])).toEqual([
+      ['alice@example.com', true],
+      ['holidays@group.v.calendar.google.com', undefined]
+    ]);
+
+    await refreshed.revokeToken(tokens.refresh_token);
+    const revoked = new google.auth.OAuth2('fake-client', 'fake-secret');
+    revoked.setCredentials({ refresh_token: tokens.refresh_token });
+    await expect(revoked.getAccessToken()).rejects.toMatchObject({ response: { data: { error: 'invalid_grant' } } });
+  });
+
+  test('incremental authorization adds scopes to the earlier grant', async () => {
+    await signIn('g-bob');
+    const client = new google.auth.OAuth2('fake-client', 'fake-secret', process.env.GOOGLE_REDIRECT_URI);
+    const redirect = await consent(client.generateAuthUrl({ scope: [SCOPES.events], include_granted_scopes: true }), 'g-bob');
+    const { tokens } = await client.getToken(redirect.searchParams.get('code'));
+    expect(tokens.scope.split(' ')).toEqual(expect.arrayContaining([SCOPES.calendarReadonly, SCOPES.events]));
+  });
+});
+
+describe('Calendar API', () => {
+  let token;
+  beforeAll(async () => {
+    token = (await signIn('g-alice')).access_token;
+  });
+
+  test('events.list filters by time, pages and ends with a sync token', async () => {
+    const query = 'timeMin=2026-03-02T10:00:00Z&timeMax=2026-03-06T00:00:00Z&singleEvents=true&orderBy=startTime';
+    const first = await api('GET', `/calendar/v3/calendars/primary/events?${query}&maxResults=2`, { token });
+    expect(first.body.items.map((e) => e.id)).toEqual(['lecture', 'lunch']);
+    expect(first.body.nextSyncToken).toBeUndefined();
+
+    const second = await api('GET', `/calendar/v3/calendars/primary/events?${query}&maxResults=2&pageToken=${first.body.nextPageToken}`, { token });
+    expect(second.body.items.map((e) => e.id)).toEqual(['gym', 'trip']);
+    expect(second.body.nextSyncToken).toEqual(expect.any(String));
+  });
+
+  test('a sync token returns only the changes, deletions as cancelled', async () => {
+    const calendarId = 'alice@example.com';
+    const full = await api('GET', `/calendar/v3/calendars/${calendarId}/events`, { token });
+    fake.insertEvent(calendarId, event('new', '2026-03-04T09:00:00Z', '2026-03-04T10:00:00Z'));
+    fake.deleteEvent(calendarId, 'gym');
+
+    const changes = await api('GET', `/calendar/v3/calendars/${calendarId}/events?syncToken=${full.body.nextSyncToken}`, { token });
+    expect(changes.body.items.map((e) => [e.id, e.status])).toEqual([['gym', 'cancelled'], ['new', 'confirmed']]);
+
+    fake.expireSyncTokens(calendarId);
+    const gone = await api('GET', `/calendar/v3/calendars/${calendarId}/events?syncToken=${changes.body.nextSyncToken}`, { token });
+    expect(gone.status).toBe(410);
+    expect(gone.body.error.errors[0].reason).toBe('fullSyncRequired');
+
+    fake.updateEvent(calendarId, 'gym', { status: 'confirmed' });
+    fake.deleteEvent(calendarId, 'new');
+  });
+
+  test('rejects what Google rejects', async () => {
+    const list = (query) => api('GET', `/calendar/v3/calendars/primary/events?${query}`, { token });
+    expect((await list('orderBy=startTime')).status).toBe(400);
+    expect((await list('syncToken=abc&timeMin=2026-03-01T00:00:00Z')).status).toBe(400);
+    expect((await list('syncToken=abc')).status).toBe(410);
+    expect((await api('GET', '/calendar/v3/calendars/bob@example.com/events', { token })).status).toBe(404);
+    expect((await api('GET', '/calendar/v3/calendars/primary/events', { token: 'nope' })).status).toBe(401);
+
+    const insert = await api('POST', '/calendar/v3/calendars/primary/events', {
+      token,
+      body: event('meeting', '2026-03-04T09:00:00Z', '2026-03-04T10:00:00Z')
+    });
+    expect(insert.status).toBe(403);
+    expect(insert.body.error.errors[0].reason).toBe('insufficientPermissions');
+  });
+
+  test('events can be written with the calendar.events scope', async () => {
+    const writer = (await signIn('g-bob', [SCOPES.events])).access_token;
+    const created = await api('POST', '/calendar/v3/calendars/primary/events', {
+      token: writer,
+      body: { summary: 'Sync', start: { dateTime: '2026-03-04T09:00:00Z' }, end: { dateTime: '2026-03-04T10:00:00Z' } }
+    });
+    expect(created).toMatchObject({ status: 200, body: { summary: 'Sync', status: 'confirmed' } });
+
+    const eventPath = `/calendar/v3/calendars/primary/events/${created.body.id}`;
+    const moved = await api('PATCH', eventPath, { token: writer, body: { end: { dateTime: '2026-03-04T11:00:00Z' } } });
+    expect(moved.body.end).toEqual({ dateTime: '2026-03-04T11:00:00Z' });
+    expect((await api('DELETE', eventPath, { token: writer })).status).toBe(204);
+    expect((await api('GET', eventPath, { token: writer })).body.status).toBe('cancelled');
+  });
+});
+
+describe('calendarSync against the fake', () => {
+  test('full sync, incremental changes and a full sync after 410', async () => {
+    const tokens = await signIn('g-alice');
+    const { user_id: userId } = await db.persons.upsertGoogleAccount({
+      google_id: 'g-alice', email: 'alice@example.com', first_name: 'Alice', last_name: 'Anders',
+      username: 'alice', refresh_token: tokens.refresh_token, access_token: tokens.access_token,
+      token_expiry: tokens.expiry_date
+    });
+    const storedIds = async (calendarId) =>
+      (await db.query('SELECT gcal_event_id FROM cal_event WHERE calendar_id = $1 ORDER BY gcal_event_id', [calendarId]))
+        .rows.map((row) => row.gcal_event_id);
+
+    const calendars = await calendarSync.refreshCalendarList(userId);
+    expect(calendars.map((c) => [c.gcal_id, c.is_selected, c.blocking_level])).toEqual([
+      ['primary', true, 'B3'],
+      ['holidays@group.v.calendar.google.com', false, 'NONE']
+    ]);
+
+    // the fixtures are in the past; the full sync only keeps the last 30 days
+    const soon = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+    fake.insertEvent('alice@example.com', event('standup', soon(1), soon(2)));
+    fake.insertEvent('alice@example.com', event('review', soon(3), soon(4)));
+
+    const full = await calendarSync.syncUserCalendar(userId);
+    expect(full).toMatchObject({ mode: 'full', upserted: 2 });
+    expect(await storedIds(full.calendarId)).toEqual(['review', 'standup']);
+
+    fake.deleteEvent('alice@example.com', 'standup');
+    fake.insertEvent('alice@example.com', event('retro', soon(5), soon(6)));
+    expect(await calendarSync.syncUserCalendar(userId)).toMatchObject({ mode: 'incremental', upserted: 1, deleted: 1 });
+    expect(await storedIds(full.calendarId)).toEqual(['retro', 'review']);
+
+    fake.expireSyncTokens('alice@example.com');
+    expect(await calendarSync.syncUserCalendar(userId)).toMatchObject({ mode: 'full', upserted: 2 });
+  });
+});
+
+describe('npm run fake-google', () => {
+  test('serves the ICS fixtures of seed.json', async () => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+      env: { ...process.env, FAKE_GOOGLE_PORT: '0', NODE_ENV: 'test' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    try {
+      const url = await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', (chunk) => {
+          output += chunk;
+          const match = /running on (\S+)/.exec(output);
+          if (match) resolve(match[1]);
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.on('exit', () => reject(new Error(output)));
+      });
+
+      const authUrl = new URL(`${url}/o/oauth2/v2/auth`);
+      const verifier = crypto.randomBytes(32).toString('base64url');
+      authUrl.search = new URLSearchParams({
+        client_id: 'fake-client',
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+        response_type: 'code',
+        scope: SCOPES.calendarReadonly,
+        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256',
+        account: '100000000000000000001'
+      });
+      const redirect = await fetch(authUrl, { redirect: 'manual' });
+      const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+      const token = await (await fetch(`${url}/token`, {
+        method: 'POST',
+        body: new URLSearchParams({
+          grant_type: 'authorization_code', code, code_verifier: verifier,
+          client_id: 'fake-client', client_secret: 'fake-secret', redirect_uri: process.env.GOOGLE_REDIRECT_URI
+        })
+      })).json();
+
+      const events = await (await fetch(`${url}/calendar/v3/calendars/primary/events`, {
+        headers: { authorization: `Bearer ${token.access_token}` }
+      })).json();
+      expect(events.items.filter((e) => e.summary === 'A: Lecture').length).toBeGreaterThan(0);
+      // moved into the current week
+      const weekMs = 7 * 24 * 3600 * 1000;
+      expect(Math.abs(Date.parse(events.items[0].start.dateTime) - Date.now())).toBeLessThan(weekMs);
+    } finally {
+      child.kill();
+    }
+  }, 20000);
+});
@@ -0,0 +1,127 @@
+// seed.js
+// Users and calendars for the fake Google, from a JSON file (see seed.json):
+//   {
+//     "window": { "start": ISO, "end": ISO },   recurring events are expanded inside it
+//     "users": [{ "id", "email", "given_name", "family_name",
+//                 "calendars": [{ "id"?, "summary", "primary"?, "timeZone"?,
+//                                 "ics": path relative to the seed file }] }]
+//   }
+// Fixture dates are fixed, so by default every event moves forward by the same
+// whole number of weeks, putting the earliest one in the current week; weekdays
+// and times of day stay as in the fixtures.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { parseIcsEvents } = require('../algorithm/index.cjs');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const ONE_WEEK_MS = 7 * ONE_DAY_MS;
+const DEFAULT_WINDOW = { start: '2026-01-01T00:00:00Z', end: '2027-01-01T00:00:00Z' };
+
+// uid -> { summary, allDay } from the VEVENTs, plus the file's X-WR-TIMEZONE;
+// parseIcsEvents only returns intervals
+function scanIcs(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const details = new Map();
+  let timeZone;
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') current = {};
+    else if (line === 'END:VEVENT') {
+      if (current.uid !== undefined && !details.has(current.uid)) details.set(current.uid, current);
+      current = null;
+    } else if (current) {
+      const [, name, params, value] = /^([A-Z-]+)((?:;[^:]*)?):(.*)$/.exec(line) || [];
+      if (name === 'UID') current.uid = value;
+      else if (name === 'SUMMARY') current.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      else if (name === 'DTSTART') current.allDay = /VALUE=DATE(;|$)/.test(params) || /^\d{8}$/.test(value);
+    } else if (line.startsWith('X-WR-TIMEZONE:')) {
+      timeZone = line.slice('X-WR-TIMEZONE:'.length);
+    }
+  }
+  return { details, timeZone };
+}
+
+// YYYY-MM-DD of an instant in timeZone
+function localDate(ms, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(ms));
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * ONE_DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday 00:00 UTC of the week containing ms
+function weekStart(ms) {
+  const day = Math.floor(ms / ONE_DAY_MS);
+  return (day - ((day + 3) % 7)) * ONE_DAY_MS; // 1970-01-01 was a Thursday
+}
+
+async function loadCalendarEvents(calendar, seedDir, window) {
+  if (!calendar.ics) return { ...calendar, intervals: [] };
+  const text = await fs.readFile(path.resolve(seedDir, calendar.ics), 'utf8');
+  const { details, timeZone } = scanIcs(text);
+  const zone = calendar.timeZone || timeZone || 'UTC';
+  const intervals = (await parseIcsEvents(text, {
+    userId: calendar.id,
+    windowStartMs: Date.parse(window.start),
+    windowEndMs: Date.parse(window.end),
+    timeZone: zone
+  })).map((interval) => ({ ...interval, ...details.get(interval.eventRef.split('#')[0]) }));
+  const { ics: _ics, ...rest } = calendar;
+  return { ...rest, timeZone: zone, intervals };
+}
+
+// EventInterval (plus summary/allDay) -> Google event resource, shifted by weeks
+function toEventResource(interval, timeZone, weeks) {
+  const id = crypto.createHash('sha1').update(interval.eventRef).digest('hex');
+  const event = {
+    id,
+    iCalUID: interval.eventRef.split('#')[0],
+    status: interval.blockingLevel === 'B1' ? 'tentative' : 'confirmed',
+    summary: interval.summary || '(No title)'
+  };
+  if (interval.allDay) {
+    event.start = { date: addDays(localDate(interval.startMs, timeZone), weeks * 7) };
+    event.end = { date: addDays(localDate(interval.endMs, timeZone), weeks * 7) };
+  } else {
+    event.start = { dateTime: new Date(interval.startMs + weeks * ONE_WEEK_MS).toISOString(), timeZone };
+    event.end = { dateTime: new Date(interval.endMs + weeks * ONE_WEEK_MS).toISOString(), timeZone };
+  }
+  return event;
+}
+
+// options.shift: false keeps the fixture dates; options.now: the current time (ms)
+async function loadSeed(seedFile, { shift = true, now = Date.now() } = {}) {
+  const seed = JSON.parse(await fs.readFile(seedFile, 'utf8'));
+  const seedDir = path.dirname(path.resolve(seedFile));
+  const window = { ...DEFAULT_WINDOW, ...seed.window };
+
+  const users = [];
+  for (const user of seed.users || []) {
+    const calendars = [];
+    for (const calendar of user.calendars || []) {
+      calendars.push(await loadCalendarEvents(calendar, seedDir, window));
+    }
+    users.push({ ...user, calendars });
+  }
+
+  const starts = users.flatMap((user) => user.calendars.flatMap((cal) => cal.intervals.map((i) => i.startMs)));
+  const weeks = shift && starts.length > 0
+    ? Math.round((weekStart(now) - weekStart(Math.min(...starts))) / ONE_WEEK_MS)
+    : 0;
+
+  return users.map((user) => ({
+    ...user,
+    calendars: user.calendars.map(({ intervals, ...calendar }) => ({
+      ...calendar,
+      events: intervals.map((interval) => toEventResource(interval, calendar.timeZone, weeks))
+    }))
+  }));
+}
+
+module.exports = {
+  loadSeed
+};
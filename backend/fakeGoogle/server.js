@@ -0,0 +1,44 @@
+// server.js
+// Runs the fake Google for local development (npm run fake-google), seeded
+// from seed.json. Point the backend at it in .env.development:
+//   GOOGLE_OAUTH_BASE_URL=http://localhost:4000
+//   GOOGLE_API_ROOT_URL=http://localhost:4000
+// GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET are shared with the backend; any
+// values work as long as both sides agree.
+//   FAKE_GOOGLE_PORT   default 4000 (0 picks a free port)
+//   FAKE_GOOGLE_SEED   seed file, default fakeGoogle/seed.json
+//   FAKE_GOOGLE_SHIFT  "off" keeps the fixture dates instead of moving them to this week
+
+const path = require('path');
+const { createFakeGoogle } = require('./fakeGoogle');
+const { loadSeed } = require('./seed');
+
+async function main() {
+  require('dotenv').config({
+    path: process.env.NODE_ENV === 'production' ? '.env.production' : '.env.development'
+  });
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    throw new Error('GOOGLE_CLIENT_ID is not set');
+  }
+  const seedFile =process.env.FAKE_GOOGLE_SEED || path.join(__dirname, 'seed.json');
+  const port = Number(process.env.FAKE_GOOGLE_PORT || 4000);
+
+  const users = await loadSeed(seedFile, { shift: process.env.FAKE_GOOGLE_SHIFT !== 'off' });
+  const fake = createFakeGoogle({
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    users
+  });
+
+  const server = fake.app.listen(port, () => {
+    const url = `http://localhost:${server.address().port}`;
+    console.log(`Fake Google running on ${url}`);
+    console.log(`Accounts: ${users.map((user) => user.email).join(', ')}`);
+    console.log(`Backend: GOOGLE_OAUTH_BASE_URL=${url} GOOGLE_API_ROOT_URL=${url}`);
+  });
+}
+
+main().catch((err) => {
+  console.error('Could not start the fake Google:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,245 @@
+// calendarSync.js
+// Google Calendar -> cal_event sync.
+// The first sync of a calendar is a full one; later syncs send the stored
+// nextSyncToken and only receive what changed. Google answers 410 Gone once a
+// token expires: the token is dropped and a full sync runs again.
+// https://developers.google.com/calendar/api/guides/sync
+
+const db = require('../db/index');
+const tokenManager = require('../auth/tokenManager');
+const { calendarApi } = require('../auth/googleEndpoints');
+const { SYNC_CONCURRENCY, runWithConcurrency } = require('./concurrency');
+const { assertTimeZone, zonedTimeToUtc } = require('../algorithm/timezone.cjs');
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const FULL_SYNC_LOOKBACK_MS = 30 * 24 * ONE_HOUR_MS; // past events kept by a full sync
+const DEFAULT_PRIORITY = 3; // cal_event.priority; the blocking level comes from the calendar
+
+// Retry policy for failed syncs (see db.syncMeta.saveError)
+const RETRY_POLICY = {
+  base_ms: 60 * 1000,
+  max_ms: 6 * ONE_HOUR_MS,
+  max_auth_failures: 3
+};
+
+// free-time and cancelled events are not stored
+function isBusy(item) {
+  return item.status !== 'cancelled' && item.transparency !== 'transparent';
+}
+
+// Start of an all-day date ('YYYY-MM-DD') in the calendar's time zone: a busy
+// all-day event blocks the user's local day, not the UTC one.
+function startOfDayMs(date, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+// Google event -> cal_event row; timeZone: the calendar's, for all-day dates
+function toCalEvent(item, timeZone = 'UTC') {
+  const toMs = (time) => (time.dateTime ? Date.parse(time.dateTime) : startOfDayMs(time.date, timeZone));
+  const startMs = toMs(item.start);
+  const endMs = toMs(item.end);
+  return {
+    gcal_event_id: item.id,
+    event_start: new Date(startMs),
+    event_duration: (endMs - startMs) / ONE_HOUR_MS,
+    priority: DEFAULT_PRIORITY
+  };
+}
+
+// the zone of an events.list response, if Intl knows it
+function timeZoneOf(response) {
+  try {
+    assertTimeZone(response.timeZone);
+    return response.timeZone;
+  } catch {
+    return 'UTC';
+  }
+}
+
+// every page of events.list; nextSyncToken comes with the last page,
+// timeZone (the calendar's) with every page
+async function listAllEvents(calendar, params) {
+  const items = [];
+  let pageToken;
+  let nextSyncToken;
+  let timeZone;
+  do {
+    const response = await calendar.events.list({ ...params, maxResults: 250, pageToken });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+    nextSyncToken = response.data.nextSyncToken;
+    timeZone = timeZoneOf(response.data);
+  } while (pageToken);
+  return { items, nextSyncToken, timeZone };
+}
+
+function statusOf(err) {
+  return err.code || (err.response && err.response.status);
+}
+
+function isGone(err) {
+  return statusOf(err) === 410;
+}
+
+// revoked or expired grant: retrying will not help until the user signs in again
+function isAuthError(err) {
+  return statusOf(err) === 401 || err instanceof tokenManager.ReconnectRequiredError;
+}
+
+async function fullSync(calendar, gcalId, calendarId) {
+  const { items, nextSyncToken, timeZone } = await listAllEvents(calendar, {
+    calendarId: gcalId,
+    singleEvents: true,
+    timeMin: new Date(Date.now() - FULL_SYNC_LOOKBACK_MS).toISOString()
+  });
+  const events = items.filter(isBusy).map((item) => toCalEvent(item, timeZone));
+  await db.events.replaceForCalendar(calendarId, events, nextSyncToken);
+  return { mode: 'full', upserted: events.length, deleted: 0 };
+}
+
+async function incrementalSync(calendar, gcalId, calendarId, syncToken) {
+  const { items, nextSyncToken, timeZone } = await listAllEvents(calendar, {
+    calendarId: gcalId,
+    singleEvents: true,
+    syncToken
+  });
+  // an event that became free time is removed like a cancelled one
+  const changed = items.filter(isBusy).map((item) => toCalEvent(item, timeZone));
+  const deleted = items.filter((item) => !isBusy(item)).map((item) => item.id);
+  await db.events.applyChanges(calendarId, changed, deleted, nextSyncToken);
+  return { mode: 'incremental', upserted: changed.length, deleted: deleted.length };
+}
+
+// Sync one user's Google calendar into cal_event.
+// Errors are stored in calendar_sync_meta (with the next retry time) and rethrown.
+// returns { calendarId, mode: 'full' | 'incremental', upserted, deleted }
+async function syncUserCalendar(userId, gcalId = 'primary') {
+  let calendarId = null;
+  try {
+    return await tokenManager.withUserClient(userId, async (client) => {
+      calendarId = (await db.calendars.upsert(userId, gcalId)).calendar_id;
+      const calendar = calendarApi(client);
+      const meta = await db.syncMeta.get(calendarId);
+      if (meta && meta.sync_token) {
+        try {
+          return { calendarId, ...(await incrementalSync(calendar, gcalId, calendarId, meta.sync_token)) };
+        } catch (err) {
+          if (!isGone(err)) throw err;
+          console.log(`Sync token expired for calendar ${calendarId}, running a full sync`);
+        }
+      }
+      return { calendarId, ...(await fullSync(calendar, gcalId, calendarId)) };
+    });
+  } catch (err) {
+    // no calendar row yet when the user has no tokens at all
+    if (calendarId !== null) {
+      const meta = await db.syncMeta.saveError(calendarId, err.message || String(err), {
+        is_auth_error: isAuthError(err),
+        ...RETRY_POLICY
+      });
+      if (meta.sync_status === 'failed') {
+        console.error(`Calendar ${calendarId} marked failed after repeated auth errors`);
+      }
+    }
+    throw err;
+  }
+}
+
+// Sync every selected calendar of a user, one after the other.
+// returns one syncUserCalendar result per calendar; stops at the first error
+async function syncSelectedCalendars(userId) {
+  const calendars = await db.calendars.listSelected(userId);
+  const results = [];
+  for (const { gcal_id } of calendars) {
+    results.push(await syncUserCalendar(userId, gcal_id));
+  }
+  return results;
+}
+
+// Sync the selected calendars that were never synced, are due a retry after
+// an error, or are older than maxAgeMs. Users without any calendar row sync
+// 'primary'. Calendars marked failed, or still waiting for their retry time
+// (see RETRY_POLICY), are not synced: their stored error is reported instead.
+// At most SYNC_CONCURRENCY syncs run at once, as in the background scheduler.
+// returns Map userId -> error message for users with a failed calendar
+async function syncStaleCalendars(userIds, maxAgeMs) {
+  const metaRows = await db.syncMeta.listForUsers(userIds);
+  const now = Date.now();
+  const stale = [];
+  const errors = new Map();
+  for (const userId of userIds) {
+    const rows = metaRows.filter((row) => row.user_id === userId);
+    if (rows.length === 0) {
+      stale.push({ userId, gcalId: 'primary' });
+      continue;
+    }
+    for (const meta of rows) {
+      if (!meta.is_selected) continue;
+      const waiting = meta.next_attempt_at && new Date(meta.next_attempt_at).getTime() > now;
+      if (meta.sync_status === 'failed' || waiting) {
+        if (!errors.has(userId)) {
+          errors.set(userId, meta.last_error || "Failed to sync calendar");
+        }
+        continue;
+      }
+      if (!meta.last_refreshed ||
+        meta.last_error ||
+        now - new Date(meta.last_refreshed).getTime() > maxAgeMs) {
+        stale.push({ userId, gcalId: meta.gcal_id });
+      }
+    }
+  }
+
+  const results = await runWithConcurrency(stale, SYNC_CONCURRENCY, ({ userId, gcalId }) => syncUserCalendar(userId, gcalId));
+  results.forEach((result, i) => {
+    const { userId, gcalId } = stale[i];
+    if (result.status === 'rejected') {
+      console.error(`Calendar sync failed for user ${userId} (${gcalId})`, result.reason);
+      if (!errors.has(userId)) {
+        errors.set(userId, result.reason.message || "Failed to sync calendar");
+      }
+    }
+  });
+  return errors;
+}
+
+// Google's generated calendars (holidays, birthdays, week numbers) never
+// block; everything else defaults to B3. Only the primary calendar starts
+// selected. The primary calendar is stored as 'primary', like sync does.
+function defaultCalendarSettings(entry) {
+  const generated = entry.id.endsWith('@group.v.calendar.google.com');
+  return {
+    gcal_id: entry.primary ? 'primary' : entry.id,
+    calendar_name: entry.summaryOverride || entry.summary || entry.id,
+    is_selected: Boolean(entry.primary),
+    blocking_level: generated && !entry.primary ? 'NONE' : 'B3'
+  };
+}
+
+// Read the user's calendarList from Google and store it in `calendar`.
+// returns the user's calendar rows
+async function refreshCalendarList(userId) {
+  const entries = await tokenManager.withUserClient(userId, async (client) => {
+    const calendar = calendarApi(client);
+    const items = [];
+    let pageToken;
+    do {
+      const response = await calendar.calendarList.list({ maxResults: 250, pageToken });
+      items.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return items;
+  });
+  if (entries.length > 0) {
+    return db.calendars.saveList(userId, entries.map(defaultCalendarSettings));
+  }
+  return db.calendars.listForUser(userId);
+}
+
+module.exports = {
+  syncUserCalendar,
+  syncSelectedCalendars,
+  syncStaleCalendars,
+  refreshCalendarList
+};
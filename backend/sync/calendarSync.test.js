@@ -0,0 +1,232 @@
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.TOKEN_ENCRYPTION_KEY_ID = 'test';
+process.env.GOOGLE_CLIENT_ID = 'fake-client';
+process.env.GOOGLE_CLIENT_SECRET = 'fake-secret';
+
+const http = require('http');
+
+jest.mock('../db/index', () => require('../db/testDatabase').createTestDatabase());
+
+const db = require('../db/index');
+const calendarSync = require('./calendarSync');
+const { SYNC_CONCURRENCY } = require('./concurrency');
+const { SCOPES, createFakeGoogle } = require('../fakeGoogle/fakeGoogle');
+
+const REDIRECT_URI = 'http://127.0.0.1/oauth2callback';
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const CALENDAR_ID = 'alice@example.com'; // the primary calendar in the fake
+const empty = db.mem.backup();
+let fake, fakeServer, fakeUrl;
+let eventRequests; // events.list requests the fake answered
+let eventsInFlight = 0;
+let maxEventsInFlight = 0;
+let eventsDelayMs = 0; // holds events.list answers back so syncs overlap
+
+beforeAll(async () => {
+  fake = createFakeGoogle({
+    clientId: 'fake-client',
+    clientSecret: 'fake-secret',
+    users: [{ id: 'g-alice', email: 'alice@example.com', given_name: 'Alice', family_name: 'Test' }]
+  });
+  await new Promise((resolve) => {
+    fakeServer = http.createServer((req, res) => {
+      if (/\/events(\?|$)/.test(req.url) && req.method === 'GET') {
+        eventRequests.push(req.url);
+        maxEventsInFlight = Math.max(maxEventsInFlight, ++eventsInFlight);
+        res.on('finish', () => eventsInFlight--);
+        return setTimeout(() => fake.app(req, res), eventsDelayMs);
+      }
+      fake.app(req, res);
+    }).listen(0, '127.0.0.1', resolve);
+  });
+  fakeUrl = `http://127.0.0.1:${fakeServer.address().port}`;
+  process.env.GOOGLE_API_ROOT_URL = fakeUrl;
+});
+
+afterAll(async () => {
+  delete process.env.GOOGLE_API_ROOT_URL;
+  await new Promise((resolve) => fakeServer.close(resolve));
+});
+
+let alice;
+beforeEach(async () => {
+  empty.restore();
+  eventRequests = [];
+  for (const event of fake.listEvents(CALENDAR_ID)) fake.deleteEvent(CALENDAR_ID, event.id);
+  alice = await connect('g-alice', 'Alice');
+});
+
+// sign in to the fake Google and store the tokens, as /oauth2callback would
+async function connect(googleId, firstName) {
+  const consent = new URL(`${fakeUrl}/o/oauth2/v2/auth`);
+  consent.search = new URLSearchParams({
+    client_id: 'fake-client', redirect_uri: REDIRECT_URI, response_type: 'code', scope: SCOPES.calendarReadonly, account: googleId
+  });
+  const redirect = await fetch(consent, { redirect: 'manual' });
+  const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+  const tokens = await (await fetch(`${fakeUrl}/token`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'fake-client', client_secret: 'fake-secret'
+    })
+  })).json();
+  const { user_id } = await db.persons.upsertGoogleAccount({
+    google_id: googleId, email: `${firstName.toLowerCase()}@example.com`, first_name: firstName, last_name: 'Test',
+    username: firstName.toLowerCase(), refresh_token: tokens.refresh_token, access_token: tokens.access_token,
+    token_expiry: Date.now() + tokens.expires_in * 1000, granted_scopes: tokens.scope
+  });
+  return user_id;
+}
+
+const RETRY_POLICY = { is_auth_error: false, base_ms: 60 * 1000, max_ms: 60 * 60 * 1000, max_auth_failures: 3 };
+
+describe('syncStaleCalendars', () => {
+  test('syncs calendars that were never synced or are too old', async () => {
+    expect(await calendarSync.syncStaleCalendars([alice], 60 * 1000)).toEqual(new Map());
+    expect(eventRequests).toHaveLength(1);
+
+    await calendarSync.syncStaleCalendars([alice], 60 * 1000);
+    expect(eventRequests).toHaveLength(1);
+    await calendarSync.syncStaleCalendars([alice], -1);
+    expect(eventRequests).toHaveLength(2);
+  });
+
+  test('syncs at most SYNC_CONCURRENCY calendars at once', async () => {
+    const gcalIds = Array.from({ length: SYNC_CONCURRENCY + 3 }, (_, i) => fake.addCalendar('g-alice', { summary: `Team ${i}` }));
+    await db.calendars.saveList(alice, gcalIds.map((gcal_id) => ({ gcal_id, calendar_name: gcal_id, is_selected: true, blocking_level: 'B3' })));
+    maxEventsInFlight = 0;
+    eventsDelayMs = 50;
+    try {
+      expect(await calendarSync.syncStaleCalendars([alice], 60 * 1000)).toEqual(new Map());
+    } finally {
+      eventsDelayMs = 0;
+    }
+    expect(eventRequests).toHaveLength(gcalIds.length);
+    expect(maxEventsInFlight).toBe(SYNC_CONCURRENCY);
+  });
+
+  test('calendars waiting for a retry or marked failed are not synced; their stored error is reported', async () => {
+    const { calendarId } = await calendarSync.syncUserCalendar(alice);
+    await db.syncMeta.saveError(calendarId, 'Backend Error', RETRY_POLICY);
+    eventRequests = [];
+
+    expect(await calendarSync.syncStaleCalendars([alice], -1)).toEqual(new Map([[alice, 'Backend Error']]));
+    expect(eventRequests).toEqual([]);
+
+    // retry time reached: synced again
+    await db.query(`UPDATE calendar_sync_meta SET next_attempt_at = $2 WHERE calendar_id = $1`, [calendarId, new Date(Date.now() - 1000)]);
+    expect(await calendarSync.syncStaleCalendars([alice], 60 * 1000)).toEqual(new Map());
+    expect(eventRequests).toHaveLength(1);
+
+    // failed: not retried until the user signs in again, whatever next_attempt_at says
+    for (let i = 0; i < RETRY_POLICY.max_auth_failures; i++) {
+      await db.syncMeta.saveError(calendarId, 'Invalid Credentials', { ...RETRY_POLICY, is_auth_error: true });
+    }
+    await db.query(`UPDATE calendar_sync_meta SET next_attempt_at = NULL WHERE calendar_id = $1`, [calendarId]);
+    eventRequests = [];
+    expect(await calendarSync.syncStaleCalendars([alice], -1)).toEqual(new Map([[alice, 'Invalid Credentials']]));
+    expect(eventRequests).toEqual([]);
+  });
+});
+
+describe('syncUserCalendar', () => {
+  // cal_event rows of a calendar as [gcal_event_id, start ISO, hours]
+  async function storedEvents(calendarId) {
+    const result = await db.query(
+      `SELECT gcal_event_id, event_start, event_duration FROM cal_event WHERE calendar_id = $1 ORDER BY event_start`,
+      [calendarId]
+    );
+    return result.rows.map((row) => [row.gcal_event_id, new Date(row.event_start).toISOString(), row.event_duration]);
+  }
+
+  // a busy event n hours after the next full hour
+  function hourEvent(id, n, extra = {}) {
+    const start = Math.ceil(Date.now() / ONE_HOUR_MS) * ONE_HOUR_MS + n * ONE_HOUR_MS;
+    return {
+      id,
+      summary: id,
+      start: { dateTime: new Date(start).toISOString() },
+      end: { dateTime: new Date(start + ONE_HOUR_MS).toISOString() },
+      ...extra
+    };
+  }
+
+  test('a full sync first, then incremental syncs that drop cancelled and free-time events', async () => {
+    for (const [id, n] of [['a', 1], ['b', 2], ['c', 3]]) fake.insertEvent(CALENDAR_ID, hourEvent(id, n));
+    fake.insertEvent(CALENDAR_ID, hourEvent('free', 4, { transparency: 'transparent' }));
+
+    const first = await calendarSync.syncUserCalendar(alice);
+    expect(first).toMatchObject({ mode: 'full', upserted: 3, deleted: 0 });
+    expect((await storedEvents(first.calendarId)).map(([id]) => id)).toEqual(['a', 'b', 'c']);
+
+    fake.deleteEvent(CALENDAR_ID, 'a');
+    fake.updateEvent(CALENDAR_ID, 'b', { transparency: 'transparent' });
+    fake.insertEvent(CALENDAR_ID, hourEvent('d', 5));
+    const second = await calendarSync.syncUserCalendar(alice);
+    expect(second).toEqual({ calendarId: first.calendarId, mode: 'incremental', upserted: 1, deleted: 2 });
+    expect((await storedEvents(first.calendarId)).map(([id]) => id)).toEqual(['c', 'd']);
+    expect(eventRequests[1]).toContain('syncToken=');
+  });
+
+  test('an expired sync token (410 Gone) falls back to a full sync', async () => {
+    fake.insertEvent(CALENDAR_ID, hourEvent('a', 1));
+    const { calendarId } = await calendarSync.syncUserCalendar(alice);
+    fake.expireSyncTokens(CALENDAR_ID);
+    fake.insertEvent(CALENDAR_ID, hourEvent('b', 2));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      expect(await calendarSync.syncUserCalendar(alice)).toMatchObject({ mode: 'full', upserted: 2 });
+    } finally {
+      console.log.mockRestore();
+    }
+    expect(eventRequests).toHaveLength(3); // full, the rejected incremental, full again
+    expect((await storedEvents(calendarId)).map(([id]) => id)).toEqual(['a', 'b']);
+    expect(await db.syncMeta.get(calendarId)).toMatchObject({ last_error: null, sync_status: 'ok' });
+  });
+
+  test('every page of events is stored', async () => {
+    for (let i = 0; i < 260; i++) fake.insertEvent(CALENDAR_ID, hourEvent(`e${i}`, i));
+    const { calendarId, upserted } = await calendarSync.syncUserCalendar(alice);
+    expect(upserted).toBe(260);
+    expect(eventRequests).toHaveLength(2);
+    expect(await storedEvents(calendarId)).toHaveLength(260);
+  });
+
+  test('a failed sync records the error and the next retry, then rethrows', async () => {
+    await expect(calendarSync.syncUserCalendar(alice, 'missing@example.com')).rejects.toMatchObject({ code: 404 });
+    const [missing] = await db.calendars.listForUser(alice);
+    const meta = await db.syncMeta.get(missing.calendar_id);
+    expect(meta).toMatchObject({ sync_status: 'retrying', failure_count: 1, last_error: 'Not Found' });
+    expect(new Date(meta.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    // 401s are auth errors: after three in a row the calendar is failed and no longer retried
+    fake.revokeUserTokens('g-alice');
+    fake.expireAccessTokens();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      for (let i = 0; i < 3; i++) {
+        await expect(calendarSync.syncUserCalendar(alice)).rejects.toMatchObject({ code: 401 });
+      }
+    } finally {
+      console.error.mockRestore();
+    }
+    const primary = (await db.calendars.listForUser(alice)).find((c) => c.gcal_id === 'primary');
+    expect(await db.syncMeta.get(primary.calendar_id)).toMatchObject({ sync_status: 'failed', last_error: 'Invalid Credentials' });
+  });
+
+  test('an all-day event blocks the day in the calendar\'s time zone', async () => {
+    const day = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const nextDay = new Date(Date.parse(day) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const tokyo = fake.addCalendar('g-alice', {
+      summary: 'Tokyo',
+      timeZone: 'Asia/Tokyo',
+      events: [{ id: 'holiday', summary: 'Off', start: { date: day }, end: { date: nextDay } }]
+    });
+
+    const { calendarId } = await calendarSync.syncUserCalendar(alice, tokyo);
+    // midnight in Tokyo (UTC+9) is 15:00 UTC the day before
+    expect(await storedEvents(calendarId)).toEqual([
+      ['holiday', new Date(Date.parse(day) - 9 * 60 * 60 * 1000).toISOString(), 24]
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+// concurrency.js
+// Bounded parallelism for calendar syncs. Each sync makes Google API calls, so
+// the background scheduler and the syncs an availability request starts share
+// one limit instead of firing a request per calendar at once.
+
+const SYNC_CONCURRENCY = 4;
+
+// run fn over items with at most `limit` in flight; never rejects.
+// returns Promise.allSettled-style results in item order
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i]) };
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  SYNC_CONCURRENCY,
+  runWithConcurrency
+};
@@ -0,0 +1,63 @@
+// scheduler.js
+// In-process background sync: every tick, refresh the calendars whose last
+// sync is older than staleAfterMs, a few at a time. Failed calendars are
+// retried with exponential backoff (see calendarSync.RETRY_POLICY); ticks
+// never overlap.
+
+const db = require('../db/index');
+const calendarSync = require('./calendarSync');
+const { SYNC_CONCURRENCY, runWithConcurrency } = require('./concurrency');
+
+const DEFAULTS = {
+  intervalMs: 60 * 1000,
+  staleAfterMs: 15 * 60 * 1000,
+  concurrency: SYNC_CONCURRENCY,
+  batchSize: 100 // calendars per tick at most
+};
+
+// one pass over the due calendars; returns how many were attempted
+async function runSyncTick(options = {}) {
+  const { staleAfterMs, concurrency, batchSize } = { ...DEFAULTS, ...options };
+  const due = await db.syncMeta.listDue(staleAfterMs, batchSize);
+  const results = await runWithConcurrency(due, concurrency, (row) => calendarSync.syncUserCalendar(row.user_id, row.gcal_id));
+  for (const result of results) {
+    // already recorded in calendar_sync_meta by the sync itself
+    if (result.status === 'rejected') console.error('Background sync failed', result.reason.message || result.reason);
+  }
+  return due.length;
+}
+
+// Start ticking; returns { stop } so tests and shutdown can end it.
+function startSyncScheduler(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const count = await runSyncTick(settings);
+      if (count > 0) console.log(`Background sync: ${count} calendar(s) attempted`);
+    } catch (err) {
+      console.error('Background sync tick failed', err);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, settings.intervalMs);
+      timer.unref();
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  timer.unref();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  startSyncScheduler,
+  runSyncTick
+};
@@ -0,0 +1,104 @@
+jest.mock('../db/index', () => ({ syncMeta: { listDue: jest.fn() } }));
+jest.mock('./calendarSync', () => ({ syncUserCalendar: jest.fn() }));
+
+const db = require('../db/index');
+const calendarSync = require('./calendarSync');
+const { runSyncTick, startSyncScheduler } = require('./scheduler');
+
+const due = (count) => Array.from({ length: count }, (_, i) => ({ user_id: i + 1, gcal_id: 'primary' }));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// syncUserCalendar that stays in flight until release(); counts concurrent calls
+function holdSyncs() {
+  const state = { inFlight: 0, maxInFlight: 0, pending: [] };
+  calendarSync.syncUserCalendar.mockImplementation(() => {
+    state.inFlight++;
+    state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+    return new Promise((resolve) => state.pending.push(() => {
+      state.inFlight--;
+      resolve();
+    }));
+  });
+  state.release = () => state.pending.splice(0).forEach((done) => done());
+  return state;
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('runSyncTick', () => {
+  test('syncs every due calendar with at most `concurrency` in flight', async () => {
+    db.syncMeta.listDue.mockResolvedValue(due(7));
+    const syncs = holdSyncs();
+
+    const tick = runSyncTick({ concurrency: 3, staleAfterMs: 1000, batchSize: 50 });
+    while (calendarSync.syncUserCalendar.mock.calls.length < 7) {
+      await wait(0);
+      expect(syncs.inFlight).toBeLessThanOrEqual(3);
+      syncs.pending.shift()?.();
+    }
+    syncs.release();
+
+    expect(await tick).toBe(7);
+    expect(syncs.maxInFlight).toBe(3);
+    expect(db.syncMeta.listDue).toHaveBeenCalledWith(1000, 50);
+    expect(calendarSync.syncUserCalendar.mock.calls.map(([userId]) => userId)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('a failed sync does not stop the others', async () => {
+    db.syncMeta.listDue.mockResolvedValue(due(3));
+    calendarSync.syncUserCalendar.mockImplementation(async (userId) => {
+      if (userId === 1) throw new Error('Backend Error');
+    });
+    expect(await runSyncTick({ concurrency: 1 })).toBe(3);
+    expect(calendarSync.syncUserCalendar).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('startSyncScheduler', () => {
+  test('ticks never overlap: the next one is scheduled after the last finished', async () => {
+    db.syncMeta.listDue.mockResolvedValue(due(1));
+    const syncs = holdSyncs();
+    const scheduler = startSyncScheduler({ intervalMs: 5 });
+    try {
+      await wait(50);
+      expect(db.syncMeta.listDue).toHaveBeenCalledTimes(1);
+
+      syncs.release();
+      await wait(50);
+      expect(db.syncMeta.listDue).toHaveBeenCalledTimes(2);
+      expect(syncs.maxInFlight).toBe(1);
+    } finally {
+      scheduler.stop();
+      syncs.release();
+    }
+  });
+
+  test('stop() ends the ticks, also when called during one', async () => {
+    db.syncMeta.listDue.mockResolvedValue(due(1));
+    const syncs = holdSyncs();
+    const scheduler = startSyncScheduler({ intervalMs: 5 });
+    await wait(10);
+    expect(db.syncMeta.listDue).toHaveBeenCalledTimes(1);
+
+    scheduler.stop();
+    syncs.release();
+    await wait(50);
+    expect(db.syncMeta.listDue).toHaveBeenCalledTimes(1);
+  });
+
+  test('stop() before the first tick runs none', async () => {
+    db.syncMeta.listDue.mockResolvedValue([]);
+    startSyncScheduler({ intervalMs: 5 }).stop();
+    await wait(20);
+    expect(db.syncMeta.listDue).not.toHaveBeenCalled();
+  });
+});
@@ -1,3 +1,7 @@
+-- Base schema: what table_initialization.sql, calendar_sync_meta.sql and
+-- group_support.sql created. Existing databases already have these tables;
+-- every statement is a no-op there.
+
 CREATE TABLE IF NOT EXISTS 
 person (
 	user_id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
@@ -23,10 +27,8 @@ group_match (
 
 CREATE TABLE IF NOT EXISTS
 calendar (
-	-- i think this is internal calendar id
 	calendar_id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
 	gcal_id VARCHAR(255),
-	-- unknown if needed
 	calendar_name VARCHAR(100)
 );
 
@@ -38,3 +40,18 @@ cal_event (
 	event_start TIMESTAMPTZ NOT NULL,
 	event_duration FLOAT NOT NULL -- in hours
 );
+
+CREATE TABLE IF NOT EXISTS calendar_sync_meta (
+  calendar_id INTEGER PRIMARY KEY REFERENCES calendar (calendar_id),
+  last_refreshed TIMESTAMPTZ,
+  last_error TEXT,
+  sync_token TEXT
+);
+
+ALTER TABLE calendar
+  ADD COLUMN IF NOT EXISTS person_id INTEGER REFERENCES person (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_person_id ON calendar (person_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_calendar_person_gcal
+  ON calendar (person_id, gcal_id);
@@ -0,0 +1,29 @@
+-- person as db/index.js uses it: insertUpdateUser writes google_id and the
+-- OAuth tokens and upserts with ON CONFLICT (google_id). Databases created
+-- from table_initialization.sql only had google_user_id.
+
+ALTER TABLE person
+  ADD COLUMN IF NOT EXISTS google_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS refresh_token TEXT,
+  ADD COLUMN IF NOT EXISTS access_token TEXT,
+  ADD COLUMN IF NOT EXISTS token_expiry TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- keep ids stored under the old name, then drop it
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'person' AND column_name = 'google_user_id'
+  ) THEN
+    UPDATE person SET google_id = google_user_id WHERE google_id IS NULL;
+    ALTER TABLE person DROP COLUMN google_user_id;
+  END IF;
+END
+$$;
+
+-- ON CONFLICT (google_id) needs a unique index
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_person_google_id ON person (google_id);
+
+-- Google account emails are often longer than 25 characters
+ALTER TABLE person ALTER COLUMN email TYPE VARCHAR(255);
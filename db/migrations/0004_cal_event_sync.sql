@@ -0,0 +1,9 @@
+-- Google event ids so incremental syncs can update/delete single events
+ALTER TABLE cal_event
+  ADD COLUMN IF NOT EXISTS gcal_event_id VARCHAR(1024);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_cal_event_gcal
+  ON cal_event (calendar_id, gcal_event_id);
+
+CREATE INDEX IF NOT EXISTS idx_cal_event_calendar_start
+  ON cal_event (calendar_id, event_start);
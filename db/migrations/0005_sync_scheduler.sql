@@ -0,0 +1,6 @@
+-- Retry/backoff state for the background calendar sync
+ALTER TABLE calendar_sync_meta
+  ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20) NOT NULL DEFAULT 'ok', -- ok | retrying | failed
+  ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS auth_failure_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
@@ -0,0 +1,4 @@
+-- Encrypted tokens are longer than Google's plaintext ones
+ALTER TABLE person
+  ALTER COLUMN refresh_token TYPE TEXT,
+  ALTER COLUMN access_token TYPE TEXT;
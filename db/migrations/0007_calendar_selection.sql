@@ -0,0 +1,8 @@
+-- Which Google calendars count toward a user's busy time, and how strongly.
+-- blocking_level: NONE (never blocks), B1, B2 or B3
+ALTER TABLE calendar
+  ADD COLUMN IF NOT EXISTS is_selected BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS blocking_level VARCHAR(4) NOT NULL DEFAULT 'B3';
+
+-- calendars created before selection existed were all the primary calendar
+UPDATE calendar SET is_selected = TRUE WHERE gcal_id = 'primary';
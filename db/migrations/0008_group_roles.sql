@@ -0,0 +1,22 @@
+-- Group roles: one owner per group, admins, and plain members.
+ALTER TABLE group_match
+  ADD COLUMN IF NOT EXISTS member_role VARCHAR(10) NOT NULL DEFAULT 'member',
+  ADD COLUMN IF NOT EXISTS joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE group_match DROP CONSTRAINT IF EXISTS group_match_member_role_check;
+ALTER TABLE group_match
+  ADD CONSTRAINT group_match_member_role_check CHECK (member_role IN ('owner', 'admin', 'member'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_group_match_owner
+  ON group_match (group_id) WHERE member_role = 'owner';
+
+-- groups created before roles existed: the lowest user id becomes the owner
+UPDATE group_match gm
+SET member_role = 'owner'
+FROM (
+  SELECT group_id, MIN(user_id) AS user_id
+  FROM group_match
+  GROUP BY group_id
+  HAVING BOOL_AND(member_role <> 'owner')
+) first_member
+WHERE gm.group_id = first_member.group_id AND gm.user_id = first_member.user_id;
@@ -0,0 +1,30 @@
+-- Scopes of the person's last Google grant (space-separated, as Google sends
+-- them); booking meetings needs calendar.events on top of the sign-in scopes.
+ALTER TABLE person
+  ADD COLUMN IF NOT EXISTS granted_scopes TEXT;
+
+-- Meetings booked for a group. The Google event lives on the organizer's
+-- primary calendar; attendees are the members invited to it.
+CREATE TABLE IF NOT EXISTS meeting (
+  meeting_id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES f_group (group_id) ON DELETE CASCADE,
+  organizer_id INTEGER NOT NULL REFERENCES person (user_id),
+  title VARCHAR(200) NOT NULL,
+  description TEXT,
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ NOT NULL,
+  gcal_event_id VARCHAR(1024),
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled | cancelled
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT meeting_status_check CHECK (status IN ('scheduled', 'cancelled')),
+  CONSTRAINT meeting_time_check CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_group_start ON meeting (group_id, start_time);
+
+CREATE TABLE IF NOT EXISTS meeting_attendee (
+  meeting_id INTEGER NOT NULL REFERENCES meeting (meeting_id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES person (user_id),
+  PRIMARY KEY (meeting_id, user_id)
+);
@@ -0,0 +1,37 @@
+-- Meeting polls: the organizer proposes candidate times, members vote on each,
+-- and finalizing books the chosen one as a meeting.
+CREATE TABLE IF NOT EXISTS meeting_poll (
+  poll_id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES f_group (group_id) ON DELETE CASCADE,
+  organizer_id INTEGER NOT NULL REFERENCES person (user_id),
+  title VARCHAR(200) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open | finalized
+  chosen_option_id INTEGER,
+  meeting_id INTEGER REFERENCES meeting (meeting_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT meeting_poll_status_check CHECK (status IN ('open', 'finalized'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_poll_group ON meeting_poll (group_id);
+
+CREATE TABLE IF NOT EXISTS poll_option (
+  option_id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  poll_id INTEGER NOT NULL REFERENCES meeting_poll (poll_id) ON DELETE CASCADE,
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ NOT NULL,
+  CONSTRAINT poll_option_time_check CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_poll_option_poll ON poll_option (poll_id);
+
+-- one vote per member and option: yes | if_needed | no
+CREATE TABLE IF NOT EXISTS poll_vote (
+  option_id INTEGER NOT NULL REFERENCES poll_option (option_id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES person (user_id),
+  vote VARCHAR(10) NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (option_id, user_id),
+  CONSTRAINT poll_vote_vote_check CHECK (vote IN ('yes', 'if_needed', 'no'))
+);
@@ -0,0 +1,5 @@
+-- A poll is claimed ('finalizing') before its meeting is booked, so two
+-- finalize requests cannot both book one; it goes back to 'open' if booking fails.
+ALTER TABLE meeting_poll DROP CONSTRAINT IF EXISTS meeting_poll_status_check;
+ALTER TABLE meeting_poll
+  ADD CONSTRAINT meeting_poll_status_check CHECK (status IN ('open', 'finalizing', 'finalized'));
@@ -14,3 +14,15 @@ export async function apiPost(path, data) {
   });
   return response.json();
 }
+
+// PUT/POST/DELETE to this origin; resolves to the JSON body (null for 204 No Content)
+export async function apiSend(method, path, data) {
+  const response = await fetch(path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: data === undefined ? undefined : JSON.stringify(data)
+  });
+  if (response.status === 204) return null;
+  return response.json();
+}
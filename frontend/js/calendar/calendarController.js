@@ -43,7 +43,13 @@ export async function renderCalendar() {
 
   try {
     // check permissions!
-      const events = await apiGet('/api/events');
+      const weekEnd = new Date(currentWeekStart);
+      weekEnd.setDate(weekEnd.getDate() + 7);
+      const range = new URLSearchParams({
+        start: currentWeekStart.toISOString(),
+        end: weekEnd.toISOString()
+      });
+      const events = await apiGet(`/api/events?${range}`);
 
       console.log("Before renderCalendarGrid:", container.innerHTML);
       renderCalendarGrid(container, currentWeekStart, events);
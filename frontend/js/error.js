@@ -0,0 +1,14 @@
+// messages for the ?reason= values sent by the sign-in routes
+const messages = {
+  denied: "Google sign-in was cancelled.",
+  expired: "The sign-in took too long or was started in another browser. Please try again.",
+  state_mismatch: "This sign-in link was not started from this browser, so it was rejected.",
+  invalid_username: "Usernames are 1-12 letters, digits, dots, dashes or underscores.",
+  invalid_access: "That sign-in link asks for an unknown kind of calendar access.",
+  login_failed: "Something went wrong while signing in with Google."
+};
+
+const reason = new URLSearchParams(window.location.search).get("reason");
+if (messages[reason]) {
+  document.getElementById("errorMessage").textContent = messages[reason];
+}
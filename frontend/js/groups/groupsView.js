@@ -1,17 +1,22 @@
-// replace mockGroups with await apiGet("/groups")
+import { apiGet } from "../api/api.js";
+import { getCurrentUser } from "../auth.js";
+import { renderPolls } from "./pollsView.js";
 
-import { mockGroups } from "./groupsMock.js";
+export async function renderGroups() {
 
-export function renderGroups() {
-
-  console.log("Rendering groups:", mockGroups);
+  const groups = await apiGet("/api/groups");
+  const user = await getCurrentUser();
+  console.log("Rendering groups:", groups);
 
   const container = document.getElementById("groups");
   container.innerHTML = `
     <h2>My Groups</h2>
     <button id="create-group-btn">+ Create New Group</button>`
 
-  mockGroups.forEach(group => {
+  const polls = document.createElement("div");
+  polls.id = "group-polls";
+
+  groups.forEach(group => {
     const row = document.createElement("div");
     row.className = "group-row";
 
@@ -22,6 +27,7 @@ export function renderGroups() {
     viewBtn.textContent = "View";
     viewBtn.onclick = () => {
       console.log("View group", group.groupId);
+      renderPolls(polls, group, user.user_id);
     };
 
     const leaveBtn = document.createElement("button");
@@ -37,4 +43,5 @@ export function renderGroups() {
     container.appendChild(row);
   });
 
+  container.appendChild(polls);
 }
@@ -0,0 +1,187 @@
+// Meeting polls of one group: candidate times with their availabilityFraction,
+// everyone's votes, and a yes / if needed / no choice per option.
+
+import { apiGet, apiSend } from "../api/api.js";
+
+const VOTES = [
+  { value: "yes", label: "Yes" },
+  { value: "if_needed", label: "If needed" },
+  { value: "no", label: "No" }
+];
+
+function formatTime(start, end) {
+  const from = new Date(start);
+  const to = new Date(end);
+  const day = from.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  const time = (date) => date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return `${day} ${time(from)} - ${time(to)}`;
+}
+
+function formatFraction(fraction) {
+  return fraction == null ? "?" : `${Math.round(fraction * 100)}% free`;
+}
+
+export async function renderPolls(container, group, userId) {
+  container.innerHTML = `<h3>Polls in ${group.groupName}</h3>`;
+
+  const newPollBtn = document.createElement("button");
+  newPollBtn.textContent = "+ New Poll";
+  newPollBtn.onclick = () => renderNewPollForm(container, group, userId);
+  container.appendChild(newPollBtn);
+
+  const polls = await apiGet(`/api/groups/${group.groupId}/polls`);
+  if (!Array.isArray(polls)) {
+    container.appendChild(message(polls.error || "Could not load polls"));
+    return;
+  }
+  if (polls.length === 0) {
+    container.appendChild(message("No polls yet"));
+  }
+
+  for (const summary of polls) {
+    const pollEl = document.createElement("div");
+    pollEl.className = "poll";
+    container.appendChild(pollEl);
+    // the list has no options: fetch each poll for its votes and fractions
+    const { poll, error } = await apiGet(`/api/groups/${group.groupId}/polls/${summary.pollId}`);
+    if (!poll) {
+      pollEl.appendChild(message(error || "Could not load poll"));
+      continue;
+    }
+    renderPoll(pollEl, poll, group, userId, () => renderPolls(container, group, userId));
+  }
+}
+
+function renderPoll(pollEl, poll, group, userId, refresh) {
+  const title = document.createElement("h4");
+  title.textContent = poll.status === "finalized" ? `${poll.title} (booked)` : poll.title;
+  pollEl.appendChild(title);
+
+  const pollPath = `/api/groups/${group.groupId}/polls/${poll.pollId}`;
+  const open = poll.status === "open";
+
+  poll.options.forEach(option => {
+    const row = document.createElement("div");
+    row.className = "poll-option";
+    if (option.optionId === poll.chosenOptionId) row.classList.add("poll-option-chosen");
+
+    const time = document.createElement("span");
+    time.textContent = formatTime(option.start, option.end);
+
+    const fraction = document.createElement("span");
+    fraction.className = "poll-fraction";
+    fraction.textContent = formatFraction(option.availabilityFraction);
+
+    const counts = document.createElement("span");
+    counts.className = "poll-counts";
+    counts.textContent = VOTES.map(v => `${v.label}: ${option.votes[v.value].length}`).join("  ");
+
+    row.appendChild(time);
+    row.appendChild(fraction);
+    row.appendChild(counts);
+
+    if (open) {
+      VOTES.forEach(v => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = `poll-${poll.pollId}-option-${option.optionId}`;
+        input.value = v.value;
+        input.checked = option.votes[v.value].includes(userId);
+        label.appendChild(input);
+        label.append(v.label);
+        row.appendChild(label);
+      });
+    }
+
+    pollEl.appendChild(row);
+  });
+
+  if (!open) return;
+
+  const saveBtn = document.createElement("button");
+  saveBtn.textContent = "Save Votes";
+  saveBtn.onclick = async () => {
+    const votes = {};
+    pollEl.querySelectorAll("input[type=radio]:checked").forEach(input => {
+      votes[input.name.split("-option-")[1]] = input.value;
+    });
+    const result = await apiSend("PUT", `${pollPath}/votes`, { votes });
+    if (result.error) alert(result.error);
+    refresh();
+  };
+  pollEl.appendChild(saveBtn);
+
+  if (poll.organizerId !== userId) return;
+
+  const finalizeBtn = document.createElement("button");
+  finalizeBtn.textContent = "Finalize";
+  finalizeBtn.onclick = async () => {
+    const result = await apiSend("POST", `${pollPath}/finalize`, {});
+    if (result.authorizeUrl) {
+      // booking needs calendar write access: ask Google for it, then come back
+      window.location.href = result.authorizeUrl;
+      return;
+    }
+    if (result.error) alert(result.error);
+    refresh();
+  };
+  pollEl.appendChild(finalizeBtn);
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.textContent = "Delete";
+  deleteBtn.onclick = async () => {
+    await apiSend("DELETE", pollPath);
+    refresh();
+  };
+  pollEl.appendChild(deleteBtn);
+}
+
+// pick candidates from the group's suggested times for the next week
+async function renderNewPollForm(container, group, userId) {
+  const form = document.createElement("div");
+  form.className = "poll-form";
+  container.prepend(form);
+
+  const titleInput = document.createElement("input");
+  titleInput.placeholder = "Poll title";
+  form.appendChild(titleInput);
+
+  const { slots, error } = await apiGet(`/api/groups/${group.groupId}/suggestions?duration=60&minFraction=0.5`);
+  if (!slots) {
+    form.appendChild(message(error || "Could not load suggested times"));
+    return;
+  }
+
+  const checkboxes = slots.map(slot => {
+    const label = document.createElement("label");
+    label.className = "poll-option";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    label.appendChild(input);
+    label.append(`${formatTime(slot.startMs, slot.endMs)} (${formatFraction(slot.attendanceFraction)})`);
+    form.appendChild(label);
+    return { input, slot };
+  });
+
+  const createBtn = document.createElement("button");
+  createBtn.textContent = "Create Poll";
+  createBtn.onclick = async () => {
+    const options = checkboxes
+      .filter(c => c.input.checked)
+      .map(c => ({ start: new Date(c.slot.startMs).toISOString(), end: new Date(c.slot.endMs).toISOString() }));
+    const result = await apiSend("POST", `/api/groups/${group.groupId}/polls`, { title: titleInput.value, options });
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    renderPolls(container, group, userId);
+  };
+  form.appendChild(createBtn);
+}
+
+function message(text) {
+  const p = document.createElement("p");
+  p.textContent = text;
+  return p;
+}